@@ -5,16 +5,37 @@ import buildTheme from './routes/generate.js';
 import validateTheme from './middleware/validate.js';
 import zipTheme from './middleware/zip.js';
 import respondTheme from './middleware/respond.js';
+import { listSpecSchemas, sendSpecSchema, validateSpecRequest } from './routes/schema.js';
+import listPlatformsRequest from './routes/platforms.js';
+import { createJobRequest, getJobRequest, streamJobEvents } from './routes/jobs.js';
+import { exportTokensRequest, importTokensRequest } from './routes/tokens.js';
 
 const app = express();
 const allowedOrigin = process.env.ALLOWED_ORIGIN || '*';
 app.use(cors({ origin: allowedOrigin === '*' ? undefined : allowedOrigin }));
-app.use(express.json({ limit: '2mb' }));
+// application/*+json covers exported design tokens (application/design-tokens+json)
+app.use(express.json({ limit: '2mb', type: ['application/json', 'application/*+json'] }));
 app.use('/output', express.static(path.resolve('output')));
 
 // Build → validate → zip pipeline using middleware chain
 app.post('/generate-theme', buildTheme, validateTheme, zipTheme, respondTheme);
 
+// Same pipeline as a background job with progress events
+app.post('/jobs', createJobRequest);
+app.get('/jobs/:id', getJobRequest);
+app.get('/jobs/:id/events', streamJobEvents);
+
+// Published themeSpec JSON Schemas and a validation endpoint for editors
+app.get('/schemas', listSpecSchemas);
+app.get('/schemas/:name', sendSpecSchema);
+app.post('/validate-spec', validateSpecRequest);
+
+app.get('/platforms', listPlatformsRequest);
+
+// Design tokens in W3C (DTCG), Tailwind and Style Dictionary formats
+app.post('/tokens/export', exportTokensRequest);
+app.post('/tokens/import', importTokensRequest);
+
 app.get('/healthz', (req, res) => res.json({ ok: true }));
 
 const PORT = process.env.PORT || 4000;
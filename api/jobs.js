@@ -0,0 +1,116 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { STAGES, runPipeline } from './pipeline.js';
+
+// In-memory build jobs. Jobs run the same pipeline as /generate-theme in the
+// background; clients poll GET /jobs/:id or follow GET /jobs/:id/events.
+// Jobs are lost on restart, finished ones are dropped after JOB_TTL_MS.
+
+const JOB_TTL_MS = Number(process.env.THEMESMITH_JOB_TTL_MINUTES || 60) * 60 * 1000;
+const CONCURRENCY = Math.max(1, Number(process.env.THEMESMITH_JOB_CONCURRENCY || 2));
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+// Public view of a job (GET /jobs/:id and the final SSE event)
+export const serializeJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  stages: job.stages,
+  result: job.result,
+  error: job.error,
+});
+
+const emit = (job, type, data) => {
+  const event = { id: job.events.length + 1, type, data };
+  job.events.push(event);
+  job.emitter.emit('event', event);
+};
+
+const finish = (job, status, fields) => {
+  Object.assign(job, { status, finishedAt: new Date().toISOString(), ...fields });
+  emit(job, 'done', serializeJob(job));
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+};
+
+const onStage = (job) => (name, { status, durationMs, error }) => {
+  const stage = job.stages.find((s) => s.name === name);
+  const now = new Date().toISOString();
+  if (status === 'started') {
+    Object.assign(stage, { status: 'running', startedAt: now });
+  } else {
+    Object.assign(stage, {
+      status, finishedAt: now, durationMs, ...(error && { error }),
+    });
+  }
+  emit(job, 'stage', { ...stage });
+};
+
+const run = async (job) => {
+  Object.assign(job, { status: 'running', startedAt: new Date().toISOString() });
+  emit(job, 'status', { status: job.status });
+  try {
+    const ctx = { input: job.input, failOn: job.failOn };
+    const result = await runPipeline(ctx, { onStage: onStage(job) });
+    finish(job, 'succeeded', { result });
+  } catch (e) {
+    finish(job, 'failed', {
+      error: {
+        stage: e.stage,
+        message: e.message,
+        ...(e.errors && { errors: e.errors }),
+        ...(e.validation && { validation: e.validation }),
+      },
+    });
+  }
+};
+
+const release = () => {
+  running -= 1;
+  // eslint-disable-next-line no-use-before-define
+  drain();
+};
+
+const drain = () => {
+  while (running < CONCURRENCY && queue.length) {
+    running += 1;
+    run(queue.shift()).finally(release);
+  }
+};
+
+export const createJob = (input, { failOn } = {}) => {
+  const job = {
+    id: randomUUID(),
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    stages: STAGES.map((name) => ({ name, status: 'pending' })),
+    result: null,
+    error: null,
+    input,
+    failOn,
+    events: [],
+    emitter: new EventEmitter(),
+  };
+  jobs.set(job.id, job);
+  queue.push(job);
+  drain();
+  return job;
+};
+
+export const getJob = (id) => jobs.get(id);
+
+export const isFinished = (job) => job.status === 'succeeded' || job.status === 'failed';
+
+// Replays the events after `lastEventId`, then calls `listener` for new
+// ones. Returns an unsubscribe function.
+export const subscribe = (job, listener, lastEventId = 0) => {
+  job.events.filter((e) => e.id > lastEventId).forEach(listener);
+  job.emitter.on('event', listener);
+  return () => job.emitter.off('event', listener);
+};
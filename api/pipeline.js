@@ -0,0 +1,207 @@
+import archiver from 'archiver';
+import { createWriteStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { buildThemeFromSpec, migrateSpec, validateTheme } from '../core/theme-builder.js';
+import { getPlatform } from '../core/registry.js';
+import { SEVERITIES, exceedsThreshold, groupByFile } from '../core/validation.js';
+import {
+  createBuild, discardBuild, promoteBuild, promotedPath, pruneBuilds,
+} from '../core/builds.js';
+
+// The build → validate → zip → report pipeline shared by the synchronous
+// /generate-theme middleware chain and the /jobs API. Every stage reads and
+// extends one context object (`res.locals` for the middleware).
+
+export const STAGES = ['build', 'validate', 'zip', 'report'];
+
+export class StageError extends Error {
+  constructor(stage, cause) {
+    super(cause.message);
+    this.name = 'StageError';
+    this.stage = stage;
+    // Spec problems are the caller's fault, everything later is ours
+    this.status = cause.status || (stage === 'build' ? 400 : 500);
+    if (cause.errors) this.errors = cause.errors;
+    if (cause.validation) this.validation = cause.validation;
+  }
+}
+
+const readSpecFromDisk = async () => {
+  const p = path.resolve(process.cwd(), 'themeSpec.json');
+  const json = await fs.readFile(p, 'utf8');
+  return JSON.parse(json);
+};
+
+// An empty request body builds ./themeSpec.json
+export const resolveInput = async (body) => {
+  const hasBody = body && Object.keys(body).length > 0;
+  return hasBody ? body : readSpecFromDisk();
+};
+
+const zipDirectory = (themePath, zipPath) => new Promise((resolve, reject) => {
+  const output = createWriteStream(zipPath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  output.on('close', resolve);
+  archive.on('error', reject);
+  archive.pipe(output);
+  archive.directory(themePath, false);
+  archive.finalize();
+});
+
+// Font files and libraries of specs sent over HTTP must stay below this
+// directory; without it they are rejected
+const fontsRoot = () => process.env.THEMESMITH_FONTS_ROOT || null;
+
+export const buildStage = async (ctx) => {
+  // Checked up front so a typo does not cost a full build
+  if (ctx.failOn !== undefined && ctx.failOn !== 'none' && !SEVERITIES.includes(ctx.failOn)) {
+    throw new Error(`failOn must be one of: none, ${SEVERITIES.join(', ')}`);
+  }
+  // Each build gets its own staging directory (see core/builds.js)
+  ctx.build = await createBuild();
+  const { spec, changes } = migrateSpec(await resolveInput(ctx.input));
+  ctx.spec = spec;
+  ctx.migrations = changes;
+  ctx.themePath = await buildThemeFromSpec(spec, {
+    outDir: ctx.build.stagingPath,
+    // Specs sent over HTTP may only use overrides below this directory
+    overridesRoot: process.env.THEMESMITH_OVERRIDES_ROOT || null,
+    fontsRoot: fontsRoot(),
+    translationsRoot: process.env.THEMESMITH_TRANSLATIONS_ROOT || null,
+  });
+  ctx.slug = path.basename(ctx.themePath);
+};
+
+export const validateStage = async (ctx) => {
+  const { themePath, spec, failOn = 'none' } = ctx;
+  // Each platform registers its own validator; core adds the spec checks
+  const validation = await validateTheme(spec, themePath, { fontsRoot: fontsRoot() });
+  ctx.validation = validation;
+  // Callers can gate the build on the validator findings
+  if (exceedsThreshold(validation, failOn)) {
+    const { error, warning, info } = validation.counts;
+    const counts = `${error} error(s), ${warning} warning(s), ${info} info`;
+    const gate = new Error(`Validation failed (failOn=${failOn}): ${counts}`);
+    gate.status = 422;
+    gate.validation = validation;
+    throw gate;
+  }
+};
+
+export const zipStage = async (ctx) => {
+  const { themePath, spec, slug } = ctx;
+  // The zip sits next to the theme folder inside the build directory
+  const zipPath = path.join(path.dirname(themePath), `${slug}.zip`);
+  // Platforms may ship their own packager; plain zip otherwise
+  const platform = getPlatform(spec.platform);
+  if (platform?.package) {
+    await platform.package(themePath, zipPath, { spec });
+  } else {
+    await zipDirectory(themePath, zipPath);
+  }
+  ctx.zipPath = zipPath;
+};
+
+const reportIssueLine = (issue) => {
+  const parts = [`- **${issue.severity}**`];
+  if (issue.line) parts.push(`line ${issue.line}:`);
+  parts.push(issue.message, `(\`${issue.ruleId}\`)`);
+  if (issue.fix) parts.push(`Fix: ${issue.fix}`);
+  if (issue.docUrl) parts.push(`[Docs](${issue.docUrl})`);
+  return parts.join(' ');
+};
+
+export const reportStage = async (ctx) => {
+  const {
+    build,
+    spec,
+    slug,
+    themePath,
+    zipPath,
+    validation,
+    migrations = [],
+  } = ctx;
+  const issuesByFile = Object.entries(groupByFile(validation.issues));
+  const platformLabel = getPlatform(spec.platform)?.label || spec.platform;
+  const reportLines = [
+    '# ThemeSmith Report',
+    '',
+    `- Theme: ${spec.projectName} (${slug})`,
+    `- Platform: ${spec.platform}`,
+    `- Build: ${build.id}`,
+    `- Output: ${promotedPath(build, themePath)}`,
+    `- Zip: ${promotedPath(build, zipPath)}`,
+    '',
+    ...(migrations.length ? [
+      '## Spec Migrations',
+      '',
+      ...migrations.map((m) => `- v${m.version}: ${m.message}`),
+      '',
+    ] : []),
+    `## Validation (${platformLabel}, ${validation.validator})`,
+    '',
+    `- Errors: ${validation.counts.error}`,
+    `- Warnings: ${validation.counts.warning}`,
+    `- Info: ${validation.counts.info}`,
+    '',
+    ...issuesByFile.flatMap(([file, issues]) => [
+      `### ${file}`,
+      '',
+      ...issues.map(reportIssueLine),
+      '',
+    ]),
+  ];
+  const reportPath = path.join(build.stagingPath, 'report.md');
+  await fs.writeFile(reportPath, `${reportLines.join('\n')}\n`, 'utf8');
+  await promoteBuild(build);
+  pruneBuilds().catch((e) => console.warn(`Failed to prune old builds: ${e.message}`));
+
+  const buildUrl = `/output/builds/${build.id}`;
+  ctx.result = {
+    message: validation.ok ? 'Theme built successfully' : 'Theme built with validator findings',
+    buildId: build.id,
+    download: `${buildUrl}/${path.basename(zipPath)}`,
+    validation,
+    report: `${buildUrl}/report.md`,
+    themePath: promotedPath(build, themePath),
+    migrations,
+  };
+};
+
+const stageHandlers = {
+  build: buildStage,
+  validate: validateStage,
+  zip: zipStage,
+  report: reportStage,
+};
+
+// Runs one stage, wrapping failures in a StageError
+export const runStage = async (stage, ctx) => {
+  try {
+    await stageHandlers[stage](ctx);
+  } catch (e) {
+    throw new StageError(stage, e);
+  }
+};
+
+// Runs every stage in order. `onStage(stage, event)` is called with
+// 'started', 'completed' or 'failed'. An unfinished build is discarded.
+export const runPipeline = async (ctx, { onStage = () => {} } = {}) => {
+  try {
+    await STAGES.reduce((prev, stage) => prev.then(async () => {
+      const startedAt = Date.now();
+      onStage(stage, { status: 'started' });
+      try {
+        await runStage(stage, ctx);
+      } catch (e) {
+        onStage(stage, { status: 'failed', durationMs: Date.now() - startedAt, error: e.message });
+        throw e;
+      }
+      onStage(stage, { status: 'completed', durationMs: Date.now() - startedAt });
+    }), Promise.resolve());
+    return ctx.result;
+  } finally {
+    if (ctx.build) await discardBuild(ctx.build).catch(() => {});
+  }
+};
@@ -1,23 +1,20 @@
-import path from 'path';
-import fs from 'fs/promises';
-import { buildThemeFromSpec } from '../../core/theme-builder.js';
-
-const readSpecFromDisk = async () => {
-  const p = path.resolve(process.cwd(), 'themeSpec.json');
-  const json = await fs.readFile(p, 'utf8');
-  return JSON.parse(json);
-};
+import { discardBuild } from '../../core/builds.js';
+import { runStage } from '../pipeline.js';
 
 const buildTheme = async (req, res, next) => {
+  // respondTheme promotes the build; every other outcome throws it away
+  // once the response is done
+  res.on('close', () => {
+    if (res.locals.build) discardBuild(res.locals.build).catch(() => {});
+  });
+  res.locals.input = req.body;
+  // ?failOn=error|warning|info turns validator findings into a 422
+  res.locals.failOn = req.query.failOn;
   try {
-    const hasBody = req.body && Object.keys(req.body).length > 0;
-    const spec = hasBody ? req.body : await readSpecFromDisk();
-    const themePath = await buildThemeFromSpec(spec);
-    res.locals.spec = spec;
-    res.locals.themePath = themePath;
+    await runStage('build', res.locals);
     return next();
   } catch (e) {
-    return res.status(400).json({ error: e.message });
+    return res.status(e.status).json({ error: e.message, ...(e.errors && { errors: e.errors }) });
   }
 };
 
@@ -0,0 +1,57 @@
+import {
+  createJob, getJob, isFinished, serializeJob, subscribe,
+} from '../jobs.js';
+
+const jobLinks = (job) => ({
+  self: `/jobs/${job.id}`,
+  events: `/jobs/${job.id}/events`,
+});
+
+// Queues a build of the posted spec (or ./themeSpec.json for an empty body).
+// ?failOn=error|warning|info fails the job on validator findings.
+export const createJobRequest = (req, res) => {
+  const job = createJob(req.body, { failOn: req.query.failOn });
+  return res
+    .status(202)
+    .location(`/jobs/${job.id}`)
+    .json({ ...serializeJob(job), links: jobLinks(job) });
+};
+
+export const getJobRequest = (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: `Unknown job: ${req.params.id}` });
+  return res.json({ ...serializeJob(job), links: jobLinks(job) });
+};
+
+// Server-Sent Events: `status`, one `stage` event per stage transition and a
+// final `done` event carrying the job. Reconnecting clients send
+// Last-Event-ID and only receive what they missed.
+export const streamJobEvents = (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: `Unknown job: ${req.params.id}` });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  let unsubscribe = () => {};
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    if (event.type === 'done') {
+      unsubscribe();
+      res.end();
+    }
+  };
+  const lastEventId = Number(req.get('Last-Event-ID')) || 0;
+  unsubscribe = subscribe(job, send, lastEventId);
+  // A finished job only replays its events
+  if (isFinished(job)) {
+    unsubscribe();
+    if (!res.writableEnded) res.end();
+  }
+  req.on('close', () => unsubscribe());
+  return undefined;
+};
@@ -0,0 +1,9 @@
+import { describePlatform, listPlatforms, loadPlatforms } from '../../core/registry.js';
+
+// Registered platforms with their layout options and feature flags (drives the UI)
+const listPlatformsRequest = async (req, res) => {
+  await loadPlatforms();
+  return res.json({ platforms: listPlatforms().map(describePlatform) });
+};
+
+export default listPlatformsRequest;
@@ -0,0 +1,31 @@
+import { getSchemaByName, listSchemas, validateSpec } from '../../core/spec/schema.js';
+import { migrateSpec } from '../../core/spec/migrate.js';
+import { loadPlatforms } from '../../core/registry.js';
+
+// Platform schemas are registered by loadPlatforms()
+export const listSpecSchemas = async (req, res) => {
+  await loadPlatforms();
+  return res.json({ schemas: listSchemas() });
+};
+
+export const sendSpecSchema = async (req, res) => {
+  await loadPlatforms();
+  const schema = getSchemaByName(req.params.name);
+  if (!schema) return res.status(404).json({ error: `Unknown schema: ${req.params.name}` });
+  return res.type('application/schema+json').send(JSON.stringify(schema, null, 2));
+};
+
+// Validation only; always 200 so clients can render `errors` without special casing.
+// The spec is migrated first, the same way /generate-theme does it.
+export const validateSpecRequest = async (req, res) => {
+  await loadPlatforms();
+  try {
+    const { spec, changes } = migrateSpec(req.body);
+    return res.json({ ...validateSpec(spec), migrations: changes });
+  } catch (e) {
+    const errors = [{
+      pointer: '/specVersion', path: 'specVersion', keyword: 'specVersion', message: e.message,
+    }];
+    return res.json({ valid: false, errors, migrations: [] });
+  }
+};
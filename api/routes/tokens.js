@@ -0,0 +1,28 @@
+import { assertValidSpec } from '../../core/spec/schema.js';
+import { migrateSpec } from '../../core/spec/migrate.js';
+import { loadPlatforms } from '../../core/registry.js';
+import { exportTokens, importW3CTokens } from '../../core/token-formats.js';
+import { resolveInput } from '../pipeline.js';
+
+// ?format=w3c|tailwind|style-dictionary; an empty body exports ./themeSpec.json
+export const exportTokensRequest = async (req, res) => {
+  await loadPlatforms();
+  try {
+    const { spec } = migrateSpec(await resolveInput(req.body));
+    assertValidSpec(spec);
+    const { filename, contentType, content } = exportTokens(spec, req.query.format);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.type(contentType).send(content);
+  } catch (e) {
+    return res.status(400).json({ error: e.message, ...(e.errors && { errors: e.errors }) });
+  }
+};
+
+// The body is a DTCG tokens document; the answer holds spec.colors/spec.fonts values
+export const importTokensRequest = (req, res) => {
+  try {
+    return res.json(importW3CTokens(req.body));
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+};
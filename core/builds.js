@@ -0,0 +1,80 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+// Isolated build directories. Every build is written to a private staging
+// directory and renamed into output/builds/<buildId> once it is complete, so
+// concurrent builds of the same project never share files and readers never
+// see a half-written build.
+
+const STAGING = '.staging';
+const BUILD_ID = /^[a-z0-9]+-[a-f0-9]{8}$/;
+
+export const buildsRoot = (outputRoot = path.resolve('output')) => path.join(outputRoot, 'builds');
+
+// Time-ordered so a directory listing sorts oldest first
+const newBuildId = () => `${Date.now().toString(36)}-${randomBytes(4).toString('hex')}`;
+
+export const isBuildId = (id) => BUILD_ID.test(id);
+
+export const createBuild = async ({ outputRoot } = {}) => {
+  const root = buildsRoot(outputRoot);
+  const id = newBuildId();
+  const stagingPath = path.join(root, STAGING, id);
+  await fs.mkdir(stagingPath, { recursive: true });
+  return {
+    id,
+    stagingPath,
+    path: path.join(root, id),
+    promoted: false,
+  };
+};
+
+// Maps a path inside the staging directory to its location after promotion
+export const promotedPath = (build, p) => path.join(
+  build.path,
+  path.relative(build.stagingPath, p),
+);
+
+export const promoteBuild = async (build) => {
+  await fs.rename(build.stagingPath, build.path);
+  // eslint-disable-next-line no-param-reassign
+  build.promoted = true;
+  return build.path;
+};
+
+export const discardBuild = async (build) => {
+  if (!build.promoted) await fs.rm(build.stagingPath, { recursive: true, force: true });
+};
+
+const ageOf = async (dir) => {
+  const stat = await fs.stat(dir).catch(() => null);
+  return stat ? Date.now() - stat.mtimeMs : 0;
+};
+
+// Removes promoted builds beyond the newest `keep` or older than `maxAgeMs`,
+// and staging directories left behind by crashed builds. Resolves to the ids
+// that were removed.
+export const pruneBuilds = async ({
+  outputRoot,
+  keep = Number(process.env.THEMESMITH_BUILD_RETENTION || 20),
+  maxAgeMs = Number(process.env.THEMESMITH_BUILD_MAX_AGE_HOURS || 24) * 60 * 60 * 1000,
+} = {}) => {
+  const root = buildsRoot(outputRoot);
+  const ids = (await fs.readdir(root).catch(() => [])).filter(isBuildId).sort().reverse();
+  const ages = await Promise.all(ids.map((id) => ageOf(path.join(root, id))));
+  const expired = ids.filter((id, i) => i >= keep || ages[i] > maxAgeMs);
+
+  const stagingRoot = path.join(root, STAGING);
+  const staging = (await fs.readdir(stagingRoot).catch(() => [])).filter(isBuildId);
+  const stagingAges = await Promise.all(staging.map((id) => ageOf(path.join(stagingRoot, id))));
+  const abandoned = staging.filter((id, i) => stagingAges[i] > maxAgeMs);
+
+  await Promise.all([
+    ...expired.map((id) => fs.rm(path.join(root, id), { recursive: true, force: true })),
+    ...abandoned.map((id) => fs.rm(path.join(stagingRoot, id), { recursive: true, force: true })),
+  ]);
+  return [...expired, ...abandoned];
+};
+
+export default createBuild;
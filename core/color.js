@@ -0,0 +1,327 @@
+import { COLOR_NAMES } from './color-names.js';
+
+// Color math for the builders: parsing any CSS color, HSL adjustments,
+// WCAG contrast and hex output. Parsed colors are { r, g, b, a } with
+// sRGB channels in 0–255 and alpha in 0–1.
+
+const clamp = (value, min = 0, max = 1) => Math.min(max, Math.max(min, value));
+
+const parseHex = (hex) => {
+  const digits = hex.length <= 4 ? hex.replace(/./g, '$&$&') : hex;
+  const [r, g, b, a = 255] = digits.match(/../g).map((pair) => parseInt(pair, 16));
+  return {
+    r, g, b, a: a / 255,
+  };
+};
+
+export const toHex = ({
+  r, g, b, a = 1,
+}) => {
+  const channels = a < 1 ? [r, g, b, Math.round(a * 255)] : [r, g, b];
+  return `#${channels.map((n) => Math.round(n).toString(16).padStart(2, '0')).join('')}`;
+};
+
+export const toHsl = ({
+  r, g, b, a = 1,
+}) => {
+  const [rn, gn, bn] = [r, g, b].map((n) => n / 255);
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  const d = max - min;
+  if (d === 0) {
+    return {
+      h: 0, s: 0, l, a,
+    };
+  }
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === rn) h = ((gn - bn) / d) % 6;
+  else if (max === gn) h = (bn - rn) / d + 2;
+  else h = (rn - gn) / d + 4;
+  return {
+    h: (h * 60 + 360) % 360, s, l, a,
+  };
+};
+
+export const fromHsl = ({
+  h, s, l, a = 1,
+}) => {
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+  const m = l - c / 2;
+  const sector = Math.floor(h / 60) % 6;
+  const [r, g, b] = [[c, x, 0], [x, c, 0], [0, c, x], [0, x, c], [x, 0, c], [c, 0, x]][sector];
+  return {
+    r: (r + m) * 255, g: (g + m) * 255, b: (b + m) * 255, a,
+  };
+};
+
+const ANGLE_UNITS = {
+  deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360,
+};
+
+const NUMBER = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|grad|rad|turn)?$/;
+
+// One channel token; `percent` is what 100% stands for. NaN when malformed.
+const num = (token, percent = 1) => {
+  if (token === 'none') return 0;
+  const match = String(token).match(NUMBER);
+  if (!match) return NaN;
+  const n = Number(match[1]);
+  if (match[2] === '%') return (n / 100) * percent;
+  return match[2] ? n * ANGLE_UNITS[match[2]] : n;
+};
+
+// Gamma encoded sRGB (0–1) ↔ linear light
+const toLinear = (c) => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+const fromLinear = (c) => (c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055);
+
+const multiply = (matrix, vector) => matrix
+  .map((row) => row.reduce((sum, value, i) => sum + value * vector[i], 0));
+
+const XYZ_D65_TO_LINEAR_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786],
+];
+const D50_TO_D65 = [
+  [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+  [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+  [0.012314001688319899, -0.020507696433477912, 1.3303659366080753],
+];
+const LINEAR_P3_TO_XYZ_D65 = [
+  [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+  [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+  [0, 0.04511338185890264, 1.043944368900976],
+];
+
+const linearToSrgb = (linear) => linear.map(fromLinear);
+const xyzToSrgb = (xyz) => linearToSrgb(multiply(XYZ_D65_TO_LINEAR_SRGB, xyz));
+
+const labToSrgb = (l, a, b) => {
+  const epsilon = 216 / 24389;
+  const kappa = 24389 / 27;
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const xr = fx ** 3 > epsilon ? fx ** 3 : (116 * fx - 16) / kappa;
+  const yr = l > kappa * epsilon ? fy ** 3 : l / kappa;
+  const zr = fz ** 3 > epsilon ? fz ** 3 : (116 * fz - 16) / kappa;
+  // D50 reference white
+  return xyzToSrgb(multiply(D50_TO_D65, [xr * 0.96422, yr, zr * 0.82521]));
+};
+
+const oklabToSrgb = (l, a, b) => {
+  const [lc, mc, sc] = [
+    l + 0.3963377774 * a + 0.2158037573 * b,
+    l - 0.1055613458 * a - 0.0638541728 * b,
+    l - 0.0894841775 * a - 1.291485548 * b,
+  ].map((n) => n ** 3);
+  return linearToSrgb([
+    4.0767416621 * lc - 3.3077115913 * mc + 0.2309699292 * sc,
+    -1.2684380046 * lc + 2.6097574011 * mc - 0.3413193965 * sc,
+    -0.0041960863 * lc - 0.7034186147 * mc + 1.707614701 * sc,
+  ]);
+};
+
+const polar = (chroma, hue) => [
+  chroma * Math.cos((hue * Math.PI) / 180),
+  chroma * Math.sin((hue * Math.PI) / 180),
+];
+
+const hslToSrgb = (h, s, l) => {
+  const { r, g, b } = fromHsl({
+    h: ((h % 360) + 360) % 360, s: clamp(s), l: clamp(l),
+  });
+  return [r / 255, g / 255, b / 255];
+};
+
+const hwbToSrgb = (h, w, b) => {
+  if (w + b >= 1) return [w / (w + b), w / (w + b), w / (w + b)];
+  return hslToSrgb(h, 1, 0.5).map((c) => c * (1 - w - b) + w);
+};
+
+const COLOR_SPACES = {
+  srgb: (channels) => channels,
+  'srgb-linear': linearToSrgb,
+  'display-p3': (channels) => xyzToSrgb(multiply(LINEAR_P3_TO_XYZ_D65, channels.map(toLinear))),
+};
+
+// Color functions: channel tokens → gamma encoded sRGB (0–1, may be out of gamut)
+const FUNCTIONS = {
+  rgb: ([r, g, b]) => [r, g, b].map((t) => num(t, 255) / 255),
+  hsl: ([h, s, l]) => hslToSrgb(num(h), num(s, 100) / 100, num(l, 100) / 100),
+  hwb: ([h, w, b]) => hwbToSrgb(num(h), num(w, 100) / 100, num(b, 100) / 100),
+  lab: ([l, a, b]) => labToSrgb(num(l, 100), num(a, 125), num(b, 125)),
+  lch: ([l, c, h]) => labToSrgb(num(l, 100), ...polar(num(c, 150), num(h))),
+  oklab: ([l, a, b]) => oklabToSrgb(num(l, 1), num(a, 0.4), num(b, 0.4)),
+  oklch: ([l, c, h]) => oklabToSrgb(num(l, 1), ...polar(num(c, 0.4), num(h))),
+  color: ([space, ...channels]) => COLOR_SPACES[space]?.(channels.map((t) => num(t, 1))),
+};
+
+// "rgb(1, 2, 3)" and "rgb(1 2 3 / 50%)" → { name: 'rgb', channels, alpha }
+const splitFunction = (input) => {
+  const match = input.match(/^([a-z]+)\(([^()]*)\)$/);
+  if (!match) return null;
+  const [channels, alpha, extra] = match[2].replace(/,/g, ' ').split('/');
+  if (extra !== undefined) return null;
+  const tokens = channels.trim().split(/\s+/).filter(Boolean);
+  // Legacy comma syntax puts the alpha in fourth place
+  const legacyAlpha = match[1] === 'color' ? undefined : tokens[3];
+  return {
+    name: match[1].replace(/^(rgb|hsl)a$/, '$1'),
+    channels: tokens,
+    alpha: alpha === undefined ? legacyAlpha : alpha.trim(),
+  };
+};
+
+// Any CSS color: hex, named colors, rgb(), hsl(), hwb(), lab(), lch(),
+// oklab(), oklch() and color(srgb|srgb-linear|display-p3 …). Out of gamut
+// colors are clipped to sRGB. null for anything else (var(), currentColor).
+export const parseColor = (value) => {
+  const input = String(value ?? '').trim().toLowerCase();
+  const hex = input.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) return parseHex(hex[1]);
+  if (input === 'transparent') {
+    return {
+      r: 0, g: 0, b: 0, a: 0,
+    };
+  }
+  if (COLOR_NAMES[input]) return parseHex(COLOR_NAMES[input]);
+  const fn = splitFunction(input);
+  if (!fn || !FUNCTIONS[fn.name]) return null;
+  const srgb = FUNCTIONS[fn.name](fn.channels);
+  const alpha = fn.alpha === undefined ? 1 : num(fn.alpha, 1);
+  if (!srgb || srgb.length !== 3 || [...srgb, alpha].some(Number.isNaN)) return null;
+  const [r, g, b] = srgb.map((c) => clamp(c) * 255);
+  return {
+    r, g, b, a: clamp(alpha),
+  };
+};
+
+// Applies `fn(hsl) → partial hsl` to a CSS color and returns hex; colors
+// that cannot be parsed are returned unchanged
+export const adjust = (value, fn) => {
+  const color = parseColor(value);
+  if (!color) return value;
+  const hsl = toHsl(color);
+  const next = { ...hsl, ...fn(hsl) };
+  return toHex(fromHsl({ ...next, s: clamp(next.s), l: clamp(next.l) }));
+};
+
+// Linear mix in sRGB; weight 0 returns `a`, 1 returns `b`
+export const mix = (a, b, weight = 0.5) => {
+  const [ca, cb] = [parseColor(a), parseColor(b)];
+  if (!ca || !cb) return a;
+  const channel = (key) => ca[key] + (cb[key] - ca[key]) * weight;
+  return toHex({
+    r: channel('r'), g: channel('g'), b: channel('b'), a: channel('a'),
+  });
+};
+
+// Alpha compositing of `top` over `bottom` (both parsed)
+const over = (top, bottom) => {
+  const channel = (key) => top[key] * top.a + bottom[key] * (1 - top.a);
+  return {
+    r: channel('r'), g: channel('g'), b: channel('b'), a: 1,
+  };
+};
+
+const WHITE = {
+  r: 255, g: 255, b: 255, a: 1,
+};
+
+const luminanceOf = ({ r, g, b }) => {
+  const [lr, lg, lb] = [r, g, b].map((c) => toLinear(c / 255));
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+};
+
+const ratioOf = (foreground, background) => {
+  // A translucent background sits on the (white) canvas, the text on top of it
+  const bg = background.a < 1 ? over(background, WHITE) : background;
+  const fg = foreground.a < 1 ? over(foreground, bg) : foreground;
+  const [light, dark] = [luminanceOf(fg), luminanceOf(bg)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+};
+
+// WCAG 2.x relative luminance (0 black … 1 white); null when unparseable
+export const relativeLuminance = (value) => {
+  const color = parseColor(value);
+  return color ? luminanceOf(color) : null;
+};
+
+// WCAG 2.x contrast ratio, 1 to 21; null when either color is unparseable
+export const contrastRatio = (foreground, background) => {
+  const [fg, bg] = [parseColor(foreground), parseColor(background)];
+  return fg && bg ? ratioOf(fg, bg) : null;
+};
+
+// WCAG thresholds: normal text, large text (24px, or 18.66px bold) and UI parts
+export const AA = 4.5;
+export const AA_LARGE = 3;
+export const AAA = 7;
+
+// The nearest color (by HSL lightness, hue and saturation kept) that reaches
+// `minRatio` against `against`. Returns the color unchanged when it already
+// passes or cannot be parsed, and the best reachable color when none passes.
+export const ensureContrast = (value, against, minRatio = AA) => {
+  const [color, bg] = [parseColor(value), parseColor(against)];
+  if (!color || !bg || ratioOf(color, bg) >= minRatio) return value;
+  const hsl = toHsl(color);
+  // Measured after rounding to hex, which is what ends up in the CSS
+  const at = (l) => parseColor(toHex(fromHsl({ ...hsl, l })));
+  const search = (direction) => {
+    for (let step = 1; step <= 200; step += 1) {
+      const l = hsl.l + (direction * step) / 200;
+      if (l < 0 || l > 1) return null;
+      if (ratioOf(at(l), bg) >= minRatio) return { l, distance: step };
+    }
+    return null;
+  };
+  const found = [search(-1), search(1)].filter(Boolean).sort((x, y) => x.distance - y.distance);
+  if (found.length) return toHex(at(found[0].l));
+  return toHex(ratioOf(at(0), bg) >= ratioOf(at(1), bg) ? at(0) : at(1));
+};
+
+// The first candidate readable on `background` (or the most readable one),
+// e.g. for text on a primary colored header
+export const readableOn = (background, candidates = ['#ffffff', '#000000'], minRatio = AA) => {
+  const ratios = candidates.map((c) => contrastRatio(c, background) ?? 0);
+  const passing = ratios.findIndex((r) => r >= minRatio);
+  return candidates[passing !== -1 ? passing : ratios.indexOf(Math.max(...ratios))];
+};
+
+// Tints mix in white, shades black; amount 0–1
+export const tint = (value, amount = 0.1) => mix(value, '#ffffff', amount);
+export const shade = (value, amount = 0.1) => mix(value, '#000000', amount);
+
+// Moves a color away from `against` (darker on light backgrounds, lighter on
+// dark ones), e.g. for hover states that must not lose contrast
+export const emphasize = (value, against, amount = 0.15) => {
+  const luminance = relativeLuminance(against);
+  if (luminance === null) return value;
+  return luminance > 0.18 ? shade(value, amount) : tint(value, amount);
+};
+
+// Dark mode counterpart of a palette: a near black background tinted with
+// the primary hue, light text and links bright enough for WCAG AA on it
+export const darkPalette = ({ primary, accent, text }) => {
+  const background = adjust(primary, ({ s }) => ({ s: Math.min(s, 0.25), l: 0.11 }));
+  return {
+    background,
+    text: ensureContrast(
+      adjust(text, ({ s }) => ({ s: Math.min(s, 0.1), l: 0.9 })),
+      background,
+      AAA,
+    ),
+    primary: ensureContrast(adjust(primary, ({ l }) => ({ l: Math.max(l, 0.72) })), background, AA),
+    accent: ensureContrast(
+      adjust(accent, ({ l }) => ({ l: Math.min(Math.max(l, 0.6), 0.7) })),
+      background,
+      AA,
+    ),
+  };
+};
+
+export default parseColor;
@@ -0,0 +1,157 @@
+import {
+  AA, contrastRatio, ensureContrast, parseColor,
+} from './color.js';
+import { resolveVariations } from './variations.js';
+
+// WCAG contrast checks for the color pairs a platform's templates use.
+// Platforms declare them as `colorPairs`, an array or a function of the spec:
+//
+//   { foreground: 'accent', background: 'background', usage: 'Links', minRatio: 4.5 }
+//
+// foreground and background name a key of spec.colors or are CSS colors.
+// With spec.colors.autoFix, failing pairs are fixed in declaration order by
+// changing the lightness of one color; the background is never touched.
+
+export const RULE_ID = 'color-contrast';
+const DOC_URL = 'https://www.w3.org/WAI/WCAG22/Understanding/contrast-minimum.html';
+const PALETTE_KEYS = ['primary', 'accent', 'background', 'text'];
+
+export const colorPairsFor = (platform, spec) => {
+  const pairs = platform?.colorPairs || [];
+  return typeof pairs === 'function' ? pairs(spec) : pairs;
+};
+
+const isKey = (ref) => PALETTE_KEYS.includes(ref);
+const valueOf = (colors, ref) => (isKey(ref) ? colors[ref] : ref);
+const describe = (colors, ref) => (isKey(ref) ? `${ref} ${colors[ref]}` : ref);
+const isReference = (value) => /^var\(/.test(String(value).trim());
+// Truncated, so 4.49 never shows as a passing 4.5
+const formatRatio = (ratio) => `${Math.floor(ratio * 100) / 100}:1`;
+
+// The palette key autoFix changes for a pair, and the color it is measured against
+const adjustable = ({ foreground, background }) => {
+  if (isKey(foreground) && foreground !== 'background') {
+    return { key: foreground, against: background };
+  }
+  if (isKey(background) && background !== 'background') {
+    return { key: background, against: foreground };
+  }
+  return null;
+};
+
+const ratioFor = (colors, pair) => contrastRatio(
+  valueOf(colors, pair.foreground),
+  valueOf(colors, pair.background),
+);
+
+// { colors, changes: [{ key, from, to, pair }] }
+export const fixPalette = (colors, pairs) => pairs.reduce((acc, pair) => {
+  const target = adjustable(pair);
+  const ratio = ratioFor(acc.colors, pair);
+  const minRatio = pair.minRatio ?? AA;
+  if (!target || ratio === null || ratio >= minRatio) return acc;
+  const from = acc.colors[target.key];
+  const to = ensureContrast(from, valueOf(acc.colors, target.against), minRatio);
+  if (to === from) return acc;
+  return {
+    colors: { ...acc.colors, [target.key]: to },
+    changes: [...acc.changes, {
+      key: target.key, from, to, pair,
+    }],
+  };
+}, { colors, changes: [] });
+
+// The spec the builders see: unchanged unless colors.autoFix is set, then
+// with fixed colors and the variations resolved against them
+export const autoFixColors = (spec, pairs) => {
+  if (!spec.colors?.autoFix) return { spec, changes: [] };
+  const base = fixPalette(spec.colors, pairs);
+  const fixed = { ...spec, colors: base.colors };
+  const variations = resolveVariations(fixed).map((variation) => ({
+    variation,
+    ...fixPalette(variation.colors, pairs),
+  }));
+  return {
+    spec: spec.variations ? {
+      ...fixed,
+      variations: variations.map(({ variation, colors }) => ({
+        name: variation.name,
+        colors,
+        fonts: variation.fonts,
+      })),
+    } : fixed,
+    changes: [
+      ...base.changes,
+      ...variations.flatMap(({ variation, changes }) => changes
+        .map((change) => ({ ...change, variation: variation.name }))),
+    ],
+  };
+};
+
+const checkPalette = (colors, pairs, label) => pairs.flatMap((pair) => {
+  const ratio = ratioFor(colors, pair);
+  const minRatio = pair.minRatio ?? AA;
+  const where = label ? `${pair.usage} (${label})` : pair.usage;
+  const colorsUsed = `${describe(colors, pair.foreground)} on ${describe(colors, pair.background)}`;
+  if (ratio === null) {
+    const unreadable = [pair.foreground, pair.background]
+      .filter((ref) => parseColor(valueOf(colors, ref)) === null)
+      .filter((ref) => !isReference(valueOf(colors, ref)));
+    if (unreadable.length) {
+      return [{
+        severity: 'error',
+        message: `${where}: ${unreadable.map((ref) => describe(colors, ref)).join(' and ')} `
+          + 'is not a CSS color',
+        fix: 'Use a hex, named, rgb(), hsl() or other CSS color value',
+      }];
+    }
+    return [{
+      severity: 'info',
+      message: `${where}: cannot check the contrast of ${colorsUsed}`,
+      fix: 'Use literal CSS colors instead of var() to have them checked',
+    }];
+  }
+  if (ratio >= minRatio) return [];
+  const target = adjustable(pair);
+  const suggestion = target && ensureContrast(
+    colors[target.key],
+    valueOf(colors, target.against),
+    minRatio,
+  );
+  return [{
+    severity: 'warning',
+    message: `${where}: ${colorsUsed} has a contrast ratio of ${formatRatio(ratio)}, `
+      + `WCAG AA needs ${minRatio}:1`,
+    fix: target
+      ? `Use ${suggestion} for ${target.key}, or set colors.autoFix`
+      : `Change ${pair.foreground} or ${pair.background}`,
+  }];
+});
+
+// Issues for the validation report: autoFix changes (info), the pairs
+// that still fail (warning) and values that are not colors (error), for
+// the spec colors and every variation
+export const checkContrast = (spec, pairs) => {
+  const { spec: checked, changes } = autoFixColors(spec, pairs);
+  const fixes = changes.map(({
+    key, from, to, pair, variation,
+  }) => ({
+    severity: 'info',
+    message: `colors.autoFix changed ${key} from ${from} to ${to} `
+      + `(${pair.usage}${variation ? `, variation "${variation}"` : ''})`,
+  }));
+  const palettes = [
+    { label: null, colors: checked.colors },
+    ...resolveVariations(checked)
+      .map((v) => ({ label: `variation "${v.name}"`, colors: v.colors })),
+  ];
+  const failures = palettes.flatMap(({ label, colors }) => checkPalette(colors, pairs, label));
+  return [...fixes, ...failures].map((issue) => ({
+    ruleId: RULE_ID,
+    file: null,
+    docUrl: DOC_URL,
+    ...issue,
+  }));
+};
+
+export default checkContrast;
@@ -0,0 +1,26 @@
+// Checks spec.features against the flags the platform's builder understands
+// (`features` of the platform object, see core/registry.js). A flag the
+// builder does not know produces no markup, so the report says so instead of
+// dropping it silently.
+
+export const RULE_ID = 'unknown-feature';
+
+export const checkFeatures = (spec, platform) => {
+  const known = platform?.features || [];
+  const flags = Array.isArray(spec.features) ? spec.features : [];
+  return flags
+    .filter((flag) => !known.includes(flag))
+    .map((flag) => ({
+      ruleId: RULE_ID,
+      severity: 'warning',
+      file: null,
+      docUrl: null,
+      message: `Feature "${flag}" is not supported by ${platform?.label || spec.platform} `
+        + 'and is ignored',
+      fix: known.length
+        ? `Remove it from features; supported features: ${known.join(', ')}`
+        : 'Remove it from features',
+    }));
+};
+
+export default checkFeatures;
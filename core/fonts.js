@@ -0,0 +1,487 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+// Self-hosted web fonts. WOFF2 files come from `fonts.files` or a font
+// library directory (`fonts.library`, else ~/.themesmith/fonts); the library
+// contributes the faces of the families the spec uses. Builders copy them to
+// assets/fonts and write @font-face rules, plus a metric-adjusted local
+// fallback per family so swapping in the web font barely moves the text.
+// Library problems that do not stop the build are `font-library` issues of
+// the validation report (checkFonts).
+
+export class FontError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FontError';
+  }
+}
+
+export const FONT_DIR = 'assets/fonts';
+
+export const RULE_ID = 'font-library';
+
+export const NO_FONTS = {
+  display: 'swap', faces: [], fallbacks: {}, issues: [],
+};
+
+// Letter frequencies of English text (space first). The average advance
+// width under these weights is what size-adjust matches; OS/2 xAvgCharWidth
+// counts every glyph, so Cyrillic or symbol-heavy fonts would skew it.
+const LETTERS = [' ', ...'abcdefghijklmnopqrstuvwxyz'];
+const LETTER_WEIGHTS = [18, 8.2, 1.5, 2.8, 4.3, 12.7, 2.2, 2, 6.1, 7, 0.15, 0.77, 4, 2.4, 6.7, 7.5,
+  1.9, 0.1, 6, 6.3, 9.1, 2.8, 1, 2.4, 0.15, 2, 0.07];
+
+// widths: advance width per letter, in LETTERS order
+const weightedWidth = (widths) => {
+  const total = LETTER_WEIGHTS.reduce((sum, weight) => sum + weight, 0);
+  return LETTER_WEIGHTS.reduce((sum, weight, i) => sum + widths[i] * weight, 0) / total;
+};
+
+// Local fonts the fallbacks are built on: each list starts with the common
+// font and continues with metric-compatible clones. Widths are the AFM
+// advances (per 1000 units) of Helvetica, Times and Courier, which Arial,
+// Times New Roman and Courier New match.
+const FALLBACK_FONTS = {
+  'sans-serif': {
+    local: ['Arial', 'Liberation Sans', 'Arimo'],
+    widths: [278, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+      556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500],
+  },
+  serif: {
+    local: ['Times New Roman', 'Liberation Serif', 'Tinos'],
+    widths: [250, 444, 500, 444, 500, 444, 333, 500, 500, 278, 278, 500, 278, 778, 500, 500,
+      500, 500, 333, 389, 278, 500, 500, 722, 500, 500, 444],
+  },
+  monospace: {
+    local: ['Courier New', 'Liberation Mono', 'Cousine'],
+    widths: LETTERS.map(() => 600),
+  },
+};
+
+const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui',
+  'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'math', 'emoji', 'fangsong'];
+
+/* eslint-disable no-bitwise */
+// WOFF2 known table tags, indexed by the 6-bit code in the table directory
+const KNOWN_TAGS = ['cmap head hhea hmtx maxp name OS/2 post cvt fpgm glyf loca prep CFF VORG',
+  'EBDT EBLC gasp hdmx kern LTSH PCLT VDMX vhea vmtx BASE GDEF GPOS GSUB EBSC JSTF MATH CBDT',
+  'CBLC COLR CPAL SVG sbix acnt avar bdat bloc bsln cvar fdsc feat fmtx fvar gvar hsty just',
+  'lcar mort morx opbd prop trak Zapf Silf Glat Gloc Feat Sill'].join(' ').split(' ');
+
+// Decompressed tables of a WOFF2 file by tag (transformed glyf/loca/hmtx are
+// kept as they are; only head, hhea, OS/2, name and fvar are read)
+const woff2Tables = (buffer) => {
+  if (buffer.length < 48 || buffer.toString('latin1', 0, 4) !== 'wOF2') {
+    throw new FontError('not a WOFF2 file');
+  }
+  if (buffer.toString('latin1', 4, 8) === 'ttcf') {
+    throw new FontError('font collections are not supported');
+  }
+  const numTables = buffer.readUInt16BE(12);
+  const compressedSize = buffer.readUInt32BE(20);
+  let offset = 48;
+  const base128 = () => {
+    let value = 0;
+    for (let i = 0; i < 5; i += 1) {
+      const byte = buffer[offset];
+      offset += 1;
+      value = value * 128 + (byte & 0x7f);
+      if (!(byte & 0x80)) return value;
+    }
+    throw new FontError('invalid WOFF2 table directory');
+  };
+  const entries = Array.from({ length: numTables }, () => {
+    const flags = buffer[offset];
+    offset += 1;
+    let tag = KNOWN_TAGS[flags & 0x3f];
+    if ((flags & 0x3f) === 63) {
+      tag = buffer.toString('latin1', offset, offset + 4).trim();
+      offset += 4;
+    }
+    const version = flags >> 6;
+    const length = base128();
+    const transformed = ['glyf', 'loca'].includes(tag) ? version !== 3 : version !== 0;
+    return { tag, transformed, length: transformed ? base128() : length };
+  });
+  const data = zlib.brotliDecompressSync(buffer.subarray(offset, offset + compressedSize));
+  let position = 0;
+  const tables = Object.fromEntries(entries.map(({ tag, length }) => {
+    const table = data.subarray(position, position + length);
+    position += length;
+    return [tag, table];
+  }));
+  // A transformed hmtx keeps the advance widths, after a flags byte
+  const hmtx = entries.find((entry) => entry.tag === 'hmtx');
+  return { ...tables, hmtxTransformed: Boolean(hmtx?.transformed) };
+};
+
+// Character → glyph id through the Unicode cmap subtable (format 4 or 12)
+const glyphLookup = (cmap) => {
+  const subtables = Array.from({ length: cmap.readUInt16BE(2) }, (_, i) => ({
+    platform: cmap.readUInt16BE(4 + i * 8),
+    encoding: cmap.readUInt16BE(6 + i * 8),
+    offset: cmap.readUInt32BE(8 + i * 8),
+  })).filter(({ platform, encoding }) => platform === 0
+    || (platform === 3 && [1, 10].includes(encoding)));
+  const format12 = subtables.find(({ offset }) => cmap.readUInt16BE(offset) === 12);
+  if (format12) {
+    const { offset } = format12;
+    const groups = Array.from(
+      { length: cmap.readUInt32BE(offset + 12) },
+      (_, i) => offset + 16 + i * 12,
+    );
+    return (code) => {
+      const group = groups
+        .find((at) => cmap.readUInt32BE(at) <= code && cmap.readUInt32BE(at + 4) >= code);
+      if (group === undefined) return 0;
+      return cmap.readUInt32BE(group + 8) + code - cmap.readUInt32BE(group);
+    };
+  }
+  const format4 = subtables.find(({ offset }) => cmap.readUInt16BE(offset) === 4);
+  if (!format4) return () => 0;
+  const { offset } = format4;
+  const segments = cmap.readUInt16BE(offset + 6) / 2;
+  const ends = offset + 14;
+  const starts = ends + segments * 2 + 2;
+  const deltas = starts + segments * 2;
+  const rangeOffsets = deltas + segments * 2;
+  return (code) => {
+    const i = Array.from({ length: segments }, (_, n) => n)
+      .find((n) => cmap.readUInt16BE(ends + n * 2) >= code);
+    const start = i === undefined ? Infinity : cmap.readUInt16BE(starts + i * 2);
+    if (start > code) return 0;
+    const delta = cmap.readInt16BE(deltas + i * 2);
+    const rangeOffset = cmap.readUInt16BE(rangeOffsets + i * 2);
+    if (!rangeOffset) return (code + delta) & 0xffff;
+    const glyph = cmap.readUInt16BE(rangeOffsets + i * 2 + rangeOffset + (code - start) * 2);
+    return glyph ? (glyph + delta) & 0xffff : 0;
+  };
+};
+
+// Weighted average advance width of the Latin letters, in font units
+const averageWidth = (tables) => {
+  const { cmap, hhea, hmtx } = tables;
+  if (!cmap || !hmtx) return null;
+  const glyph = glyphLookup(cmap);
+  const metrics = hhea.readUInt16BE(34);
+  const advance = (id) => {
+    const index = Math.min(id, metrics - 1);
+    return tables.hmtxTransformed ? hmtx.readUInt16BE(1 + index * 2) : hmtx.readUInt16BE(index * 4);
+  };
+  const glyphs = LETTERS.map((letter) => glyph(letter.charCodeAt(0)));
+  return glyphs.includes(0) ? null : weightedWidth(glyphs.map(advance));
+};
+
+const fixed = (table, at) => table.readInt32BE(at) / 65536;
+
+// Font family from the name table: typographic family (16), else family (1)
+const familyName = (name) => {
+  if (!name) return null;
+  const count = name.readUInt16BE(2);
+  const strings = name.readUInt16BE(4);
+  const records = Array.from({ length: count }, (_, i) => {
+    const at = 6 + i * 12;
+    const start = strings + name.readUInt16BE(at + 10);
+    return {
+      platform: name.readUInt16BE(at),
+      language: name.readUInt16BE(at + 4),
+      id: name.readUInt16BE(at + 6),
+      value: name.subarray(start, start + name.readUInt16BE(at + 8)),
+    };
+  });
+  const decode = ({ platform, value }) => (platform === 1
+    ? value.toString('latin1')
+    : Buffer.from(value).swap16().toString('utf16le'));
+  const record = [16, 1]
+    .map((id) => records.filter((r) => r.id === id && r.value.length))
+    .map((candidates) => candidates.find((r) => r.platform === 3 && r.language === 0x409)
+      || candidates[0])
+    .find(Boolean);
+  return record ? decode(record).trim() : null;
+};
+
+// PANOSE (OS/2) tells serif from sans and spots monospaced fonts
+const category = (os2) => {
+  const [familyType, serifStyle, , proportion] = os2.subarray(32, 36);
+  if (familyType !== 2) return null;
+  if (proportion === 9) return 'monospace';
+  if (serifStyle >= 11 && serifStyle <= 13) return 'sans-serif';
+  return serifStyle >= 2 && serifStyle <= 10 ? 'serif' : null;
+};
+
+// { family, weight, style, category, metrics } of a WOFF2 file
+export const readFontMetadata = (buffer) => {
+  const tables = woff2Tables(buffer);
+  const { head, hhea } = tables;
+  const os2 = tables['OS/2'];
+  if (!head || !hhea || !os2) throw new FontError('missing head, hhea or OS/2 table');
+  const fsSelection = os2.readUInt16BE(62);
+  // USE_TYPO_METRICS: browsers take the typographic ascent and descent
+  const typo = (fsSelection & 0x80) !== 0;
+  const weightAxis = tables.fvar && Array.from(
+    { length: tables.fvar.readUInt16BE(8) },
+    (_, i) => tables.fvar.readUInt16BE(4) + i * tables.fvar.readUInt16BE(10),
+  ).find((at) => tables.fvar.toString('latin1', at, at + 4) === 'wght');
+  let style = 'normal';
+  if (fsSelection & 0x1) style = 'italic';
+  else if (fsSelection & 0x200) style = 'oblique';
+  return {
+    family: familyName(tables.name),
+    weight: weightAxis === undefined
+      ? String(os2.readUInt16BE(4))
+      : `${fixed(tables.fvar, weightAxis + 4)} ${fixed(tables.fvar, weightAxis + 12)}`,
+    style,
+    category: category(os2),
+    metrics: {
+      unitsPerEm: head.readUInt16BE(18),
+      ascent: typo ? os2.readInt16BE(68) : hhea.readInt16BE(4),
+      descent: typo ? os2.readInt16BE(70) : hhea.readInt16BE(6),
+      lineGap: typo ? os2.readInt16BE(72) : hhea.readInt16BE(8),
+      averageWidth: averageWidth(tables) ?? os2.readInt16BE(2),
+    },
+  };
+};
+/* eslint-enable no-bitwise */
+
+const expandHome = (p) => (p === '~' || p.startsWith('~/')
+  ? path.join(os.homedir(), p.slice(1))
+  : p);
+
+const isInside = (root, p) => {
+  const relative = path.relative(root, p);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+export const defaultFontLibrary = () => path.join(os.homedir(), '.themesmith', 'fonts');
+
+const isDirectory = (p) => fs.stat(p).then((s) => s.isDirectory(), () => false);
+
+const walkFonts = async (dir) => {
+  const dirents = await fs.readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(dirents
+    .filter((d) => !d.name.startsWith('.'))
+    .map((d) => {
+      const full = path.join(dir, d.name);
+      if (d.isDirectory()) return walkFonts(full);
+      return /\.woff2$/i.test(d.name) ? [full] : [];
+    }));
+  return nested.flat().sort();
+};
+
+// "Open Sans", sans-serif → ['Open Sans', 'sans-serif']
+const families = (stack) => (stack || '')
+  .split(',')
+  .map((name) => name.trim().replace(/^["']|["']$/g, ''))
+  .filter(Boolean);
+
+// First family of every font the spec (and its variations) uses, by lower
+// case name; generic families are left out
+const usedFamilies = (spec) => {
+  const fonts = [spec.fonts, ...(spec.variations || []).map((v) => v?.fonts)]
+    .flatMap((f) => [f?.heading, f?.body]);
+  return new Map(fonts
+    .map((font) => families(font)[0])
+    .filter((family) => family && !GENERIC_FAMILIES.includes(family))
+    .map((family) => [family.toLowerCase(), family]));
+};
+
+const slugify = (str) => str
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '');
+
+const percent = (value) => `${Number((value * 100).toFixed(2))}%`;
+
+// size-adjust scales the local font to the web font's average letter width;
+// the vertical overrides are then relative to the adjusted size
+const fallbackFor = (face, generic) => {
+  const local = FALLBACK_FONTS[face.category || generic] || FALLBACK_FONTS['sans-serif'];
+  const {
+    unitsPerEm, ascent, descent, lineGap, averageWidth: width,
+  } = face.metrics;
+  const localWidth = weightedWidth(local.widths) / 1000;
+  const sizeAdjust = width / unitsPerEm / localWidth;
+  return {
+    family: `${face.family} Fallback`,
+    local: local.local,
+    generic: face.category || generic || 'sans-serif',
+    sizeAdjust: percent(sizeAdjust),
+    ascentOverride: percent(ascent / unitsPerEm / sizeAdjust),
+    descentOverride: percent(Math.abs(descent) / unitsPerEm / sizeAdjust),
+    lineGapOverride: percent(lineGap / unitsPerEm / sizeAdjust),
+  };
+};
+
+// The face closest to a regular weight, upright style stands in for the family
+const regularness = ({ weight, style }) => {
+  const [min, max = min] = weight.split(' ').map(Number);
+  const inRange = min <= 400 && max >= 400;
+  const distance = inRange ? 0 : Math.min(Math.abs(400 - min), Math.abs(400 - max));
+  return distance + (style === 'normal' ? 0 : 1000);
+};
+
+const libraryIssue = (message, fix) => ({
+  ruleId: RULE_ID,
+  severity: 'warning',
+  file: null,
+  docUrl: null,
+  message,
+  fix,
+});
+
+// Resolves the spec's font files into
+//   { display, faces: [{ family, weight, style, source, file, category, metrics }],
+//     fallbacks: { [family]: { family, local, generic, sizeAdjust, ... } },
+//     issues: [validation issue, ...] }
+// `root` confines spec-supplied paths, as for overrides.
+export const resolveFonts = async (spec, { root } = {}) => {
+  const settings = spec.fonts || {};
+  const locate = (p) => {
+    const full = path.resolve(expandHome(p));
+    if (root !== undefined && (root === null || !isInside(path.resolve(root), full))) {
+      throw new FontError(`font path "${p}" is not allowed here`);
+    }
+    return full;
+  };
+  const read = async (source, family) => {
+    const buffer = await fs.readFile(source).catch(() => {
+      throw new FontError(`font file "${source}" cannot be read`);
+    });
+    try {
+      const metadata = readFontMetadata(buffer);
+      return { ...metadata, family: family || metadata.family, source };
+    } catch (e) {
+      throw new FontError(`${source}: ${e.message}`);
+    }
+  };
+
+  const explicit = await Promise.all((settings.files || []).map((file) => {
+    const { src, family } = typeof file === 'string' ? { src: file } : file;
+    if (!/\.woff2$/i.test(src)) throw new FontError(`${src}: only WOFF2 files are supported`);
+    return read(locate(src), family);
+  }));
+
+  let library = null;
+  if (settings.library) {
+    library = locate(settings.library);
+    if (!await isDirectory(library)) {
+      throw new FontError(`font library "${settings.library}" is not a directory`);
+    }
+  } else if (await isDirectory(defaultFontLibrary())) {
+    library = defaultFontLibrary();
+  }
+  const wanted = usedFamilies(spec);
+  // A library holds fonts of other projects too, so one broken file only
+  // costs its own faces; listed files are always read
+  const libraryFonts = library
+    ? await Promise.all((await walkFonts(library))
+      .map((file) => read(file).catch((error) => ({ error }))))
+    : [];
+  const issues = libraryFonts.filter((font) => font.error).map(({ error }) => libraryIssue(
+    `Skipped a library font: ${error.message}`,
+    'Replace the file with a valid WOFF2 font or remove it from the library',
+  ));
+  const fromLibrary = libraryFonts
+    .filter((font) => !font.error && wanted.has(font.family?.toLowerCase()));
+
+  // Explicit files win over library faces with the same family, weight and style
+  const faces = [];
+  [...explicit, ...fromLibrary].forEach((face) => {
+    if (!face.family) throw new FontError(`${face.source}: the font has no family name`);
+    const file = `${slugify(face.family)}-${face.weight.replace(' ', '-')}-${face.style}.woff2`;
+    if (!faces.some((f) => f.file === file)) faces.push({ ...face, file });
+  });
+  if (library) {
+    const found = new Set(faces.map((face) => face.family.toLowerCase()));
+    [...wanted].filter(([key]) => !found.has(key)).forEach(([, family]) => {
+      issues.push(libraryIssue(
+        `No face of font "${family}" in the font library ${library}`,
+        `Add WOFF2 files of "${family}" to the library or list them in fonts.files`,
+      ));
+    });
+  }
+
+  const generics = new Map([settings.heading, settings.body].map((font) => {
+    const [first, ...rest] = families(font);
+    return [first?.toLowerCase(), rest.find((name) => FALLBACK_FONTS[name])];
+  }));
+  const regular = new Map();
+  faces.forEach((face) => {
+    const current = regular.get(face.family);
+    if (!current || regularness(face) < regularness(current)) regular.set(face.family, face);
+  });
+  const fallbacks = Object.fromEntries([...regular].map(([family, face]) => [
+    family,
+    fallbackFor(face, generics.get(family.toLowerCase())),
+  ]));
+
+  return {
+    display: settings.display || NO_FONTS.display, faces, fallbacks, issues,
+  };
+};
+
+// The font-library issues of the spec; `root` as for resolveFonts
+export const checkFonts = async (spec, { root } = {}) => (
+  (await resolveFonts(spec, { root })).issues
+);
+
+// Copies the faces into <themePath>/assets/fonts
+export const writeFontFiles = async (themePath, fonts) => {
+  if (!fonts.faces.length) return;
+  await fs.mkdir(path.join(themePath, FONT_DIR), { recursive: true });
+  await Promise.all(fonts.faces.map((face) => fs.copyFile(
+    face.source,
+    path.join(themePath, FONT_DIR, face.file),
+  )));
+};
+
+const quote = (name) => (GENERIC_FAMILIES.includes(name) ? name : `"${name}"`);
+
+const sameFamily = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// "Inter" → '"Inter", "Inter Fallback", sans-serif' when Inter is packaged;
+// other stacks are returned unchanged
+export const withFallback = (stack, fonts = NO_FONTS) => {
+  const [first, ...rest] = families(stack);
+  const fallback = first && Object.entries(fonts.fallbacks)
+    .find(([family]) => sameFamily(family, first))?.[1];
+  if (!fallback) return stack;
+  // The rest of the stack is kept as written (-apple-system must stay unquoted)
+  const written = stack.split(',').slice(1).map((part) => part.trim()).filter(Boolean);
+  const generic = rest.some((name) => GENERIC_FAMILIES.includes(name)) ? [] : [fallback.generic];
+  return [quote(first), quote(fallback.family), ...written, ...generic].join(', ');
+};
+
+// The packaged faces of a font's first family
+export const facesFor = (font, fonts = NO_FONTS) => {
+  const [first] = families(font);
+  return first ? fonts.faces.filter((face) => sameFamily(face.family, first)) : [];
+};
+
+const rule = (declarations) => `@font-face {\n${declarations
+  .map(([property, value]) => `  ${property}: ${value};`)
+  .join('\n')}\n}\n`;
+
+// @font-face rules for the metric-adjusted local fallbacks
+export const fallbackFaceCSS = (fonts) => Object.values(fonts.fallbacks).map((fallback) => rule([
+  ['font-family', quote(fallback.family)],
+  ['src', fallback.local.map((name) => `local("${name}")`).join(', ')],
+  ['size-adjust', fallback.sizeAdjust],
+  ['ascent-override', fallback.ascentOverride],
+  ['descent-override', fallback.descentOverride],
+  ['line-gap-override', fallback.lineGapOverride],
+])).join('');
+
+// @font-face rules for every face and fallback; `fontUrl` is the URL of
+// assets/fonts relative to the stylesheet
+export const fontFaceCSS = (fonts, fontUrl) => fonts.faces.map((face) => rule([
+  ['font-family', quote(face.family)],
+  ['src', `url("${fontUrl}/${face.file}") format("woff2")`],
+  ['font-weight', face.weight],
+  ['font-style', face.style],
+  ['font-display', fonts.display],
+])).join('') + fallbackFaceCSS(fonts);
+
+export default resolveFonts;
@@ -0,0 +1,100 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Translations for spec.i18n.locales. A translation source turns the strings
+// a builder collected from its templates into one locale:
+//
+//   (options, { locate }) => ({ translate: async (locale, strings) => ({ [string]: text }) })
+//
+// Strings a source leaves out stay untranslated; the platform decides how to
+// fall back. spec.i18n.source is a dictionary path (shorthand for
+// { type: 'dictionary', path }) or { type, ...options } of a source added with
+// registerTranslationSource().
+
+export class TranslationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TranslationError';
+  }
+}
+
+const expandHome = (p) => (p === '~' || p.startsWith('~/')
+  ? path.join(os.homedir(), p.slice(1))
+  : p);
+
+const isInside = (root, p) => {
+  const relative = path.relative(root, p);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+const isDirectory = (p) => fs.stat(p).then((s) => s.isDirectory(), () => false);
+
+const readJson = async (file) => {
+  const text = await fs.readFile(file, 'utf8').catch(() => {
+    throw new TranslationError(`translation file "${file}" cannot be read`);
+  });
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new TranslationError(`${file}: ${e.message}`);
+  }
+};
+
+// A directory of <locale>.json files (a theme's locales/ folder works), or one
+// JSON file keyed by locale: { "de": { "Latest Posts": "Neueste Beiträge" } }
+const dictionarySource = async ({ path: dictionary }, { locate }) => {
+  if (!dictionary) throw new TranslationError('the dictionary source needs a path');
+  const full = locate(dictionary);
+  const byLocale = await isDirectory(full) ? null : await readJson(full);
+  return {
+    translate: async (locale) => {
+      if (byLocale) return byLocale[locale] || {};
+      const file = path.join(full, `${locale}.json`);
+      return await fs.stat(file).then(() => true, () => false) ? readJson(file) : {};
+    },
+  };
+};
+
+const sources = new Map([['dictionary', dictionarySource]]);
+
+export const registerTranslationSource = (type, source) => {
+  if (typeof source !== 'function') {
+    throw new TypeError(`Translation source "${type}" must be a function`);
+  }
+  sources.set(type, source);
+};
+
+// Resolves spec.i18n into { locales, translate(locale, strings) }, where
+// translate keeps only the strings the source has text for. `root` confines
+// spec-supplied paths, as for fonts and overrides.
+export const resolveTranslations = async (spec, { root } = {}) => {
+  const settings = spec.i18n || {};
+  const locales = settings.locales || [];
+  const options = typeof settings.source === 'string'
+    ? { type: 'dictionary', path: settings.source }
+    : settings.source;
+  const locate = (p) => {
+    const full = path.resolve(expandHome(p));
+    if (root !== undefined && (root === null || !isInside(path.resolve(root), full))) {
+      throw new TranslationError(`translation path "${p}" is not allowed here`);
+    }
+    return full;
+  };
+
+  if (!options) return { locales, translate: async () => ({}) };
+  const create = sources.get(options.type);
+  if (!create) throw new TranslationError(`unknown translation source "${options.type}"`);
+  const source = await create(options, { locate });
+  return {
+    locales,
+    translate: async (locale, strings) => {
+      const texts = await source.translate(locale, strings);
+      return Object.fromEntries(strings
+        .filter((string) => typeof texts?.[string] === 'string' && texts[string] !== '')
+        .map((string) => [string, texts[string]]));
+    },
+  };
+};
+
+export default resolveTranslations;
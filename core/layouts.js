@@ -0,0 +1,99 @@
+// Homepage and post layout catalogues. A platform supports a layout by
+// listing it in the layout.homepage / layout.postPage enum of its schema, so
+// a spec asking for a layout the platform does not build fails validation
+// instead of being ignored. Each platform gives every layout it lists its own
+// template and CSS.
+
+export const HOMEPAGE_LAYOUTS = {
+  grid: 'Cards with image, title and excerpt in a three-column grid',
+  list: 'One post per row, image beside the title and excerpt',
+  minimal: 'Titles and dates only',
+  sidebar: 'A list next to a widget sidebar',
+  magazine: 'The latest post as a large featured card above a grid of the rest',
+  masonry: 'Cards of varying height flowing in columns',
+  'hero-list': 'A hero with the site title and description, then a list',
+  portfolio: 'Image tiles with the title over the image',
+  newsletter: 'A signup form first, the latest posts below',
+  timeline: 'Posts along a vertical timeline with their dates',
+};
+
+export const POST_LAYOUTS = {
+  'single-column': 'Title, meta and image above the text, then tags, author and related posts',
+  sidebar: 'The post next to a sidebar',
+  minimal: 'Title, date and text only',
+  'wide-feature-image': 'A full-width feature image above a centered title and the text',
+  'toc-sidebar': 'A sticky table of contents, built from the headings, beside the text',
+  'reading-progress': 'One column with a bar at the top that fills while the post is read',
+};
+
+// Catalogue entries per layout key
+export const LAYOUT_CATALOGUES = {
+  homepage: HOMEPAGE_LAYOUTS,
+  postPage: POST_LAYOUTS,
+};
+
+// Lists the h2/h3 headings of `content` in the [data-toc] element, giving
+// headings without an id one, and marks the section being read
+const tableOfContentsScript = (content) => `(function () {
+  var toc = document.querySelector('[data-toc]');
+  var content = document.querySelector('${content}');
+  if (!toc || !content) return;
+  var headings = Array.prototype.slice.call(content.querySelectorAll('h2, h3'));
+  if (!headings.length) {
+    toc.hidden = true;
+    return;
+  }
+  var list = document.createElement('ol');
+  var links = headings.map(function (heading, i) {
+    if (!heading.id) heading.id = 'section-' + (i + 1);
+    var item = document.createElement('li');
+    var link = document.createElement('a');
+    item.className = 'toc-' + heading.tagName.toLowerCase();
+    link.href = '#' + heading.id;
+    link.textContent = heading.textContent;
+    item.appendChild(link);
+    list.appendChild(item);
+    return link;
+  });
+  toc.appendChild(list);
+  if (!('IntersectionObserver' in window)) return;
+  var observer = new IntersectionObserver(function (entries) {
+    entries.forEach(function (entry) {
+      if (!entry.isIntersecting) return;
+      links.forEach(function (link) {
+        if (link.hash === '#' + entry.target.id) link.setAttribute('aria-current', 'location');
+        else link.removeAttribute('aria-current');
+      });
+    });
+  }, { rootMargin: '0px 0px -70% 0px' });
+  headings.forEach(function (heading) { observer.observe(heading); });
+})();
+`;
+
+// Fills the .reading-progress bar with how much of `article` was scrolled past
+const readingProgressScript = (article) => `(function () {
+  var bar = document.querySelector('.reading-progress');
+  var article = document.querySelector('${article}');
+  if (!bar || !article) return;
+  var update = function () {
+    var rect = article.getBoundingClientRect();
+    var total = rect.height - window.innerHeight;
+    var read = total > 0 ? Math.min(Math.max(-rect.top / total, 0), 1) : 1;
+    bar.value = Math.round(read * 100);
+  };
+  window.addEventListener('scroll', update, { passive: true });
+  window.addEventListener('resize', update);
+  update();
+})();
+`;
+
+// Script a post layout needs on post pages ('' for none). Plain ES5 without
+// template literals, so builders can put it inside their own JS files.
+// `content` selects the post body, `article` the whole post.
+export const postLayoutScript = (layout, { content, article }) => {
+  if (layout === 'toc-sidebar') return tableOfContentsScript(content);
+  if (layout === 'reading-progress') return readingProgressScript(article);
+  return '';
+};
+
+export default HOMEPAGE_LAYOUTS;
@@ -0,0 +1,34 @@
+// Normalises `spec.navigation` for the platform builders.
+
+export const NAVIGATION_STYLES = [
+  'top-bar',
+  'centered',
+  'sidebar-drawer',
+  'hamburger',
+  'mega-menu',
+];
+
+export const DEFAULT_NAVIGATION_STYLE = 'top-bar';
+
+// Styles whose menu is hidden behind a toggle button
+export const TOGGLED_NAVIGATION_STYLES = ['sidebar-drawer', 'hamburger', 'mega-menu'];
+
+const normaliseLink = (link) => ({
+  label: link.label,
+  url: link.url,
+  children: (link.children || []).map(normaliseLink),
+});
+
+export const resolveNavigation = (spec) => {
+  const style = spec?.navigation?.style || DEFAULT_NAVIGATION_STYLE;
+  return {
+    style,
+    links: (spec?.navigation?.links || []).map(normaliseLink),
+    toggled: TOGGLED_NAVIGATION_STYLES.includes(style),
+  };
+};
+
+// Site-relative links ("/about") need the site URL prepended on some platforms
+export const isSiteRelative = (url) => url.startsWith('/') && !url.startsWith('//');
+
+export default resolveNavigation;
@@ -0,0 +1,117 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// User overrides for generated themes. An overrides directory mirrors the
+// theme layout: `partials/footer.hbs` replaces the generated footer and
+// `assets/css/screen.append.css` is added to the end of the generated
+// stylesheet (`.prepend.` adds it to the start). Merging is limited to CSS
+// and JS; every other file is copied over the generated one.
+
+const MERGE_PATTERN = /^(.+)\.(append|prepend)(\.(?:css|js))$/;
+const MERGE_MARKER = /\.(append|prepend)\.[^.]+$/;
+
+export class OverrideError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OverrideError';
+  }
+}
+
+const expandHome = (p) => (p === '~' || p.startsWith('~/')
+  ? path.join(os.homedir(), p.slice(1))
+  : p);
+
+const isDirectory = (p) => fs.stat(p).then((s) => s.isDirectory(), () => false);
+
+const isInside = (root, p) => {
+  const relative = path.relative(root, p);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+export const defaultOverridesDir = (platform) => path.join(
+  os.homedir(),
+  '.themesmith',
+  'overrides',
+  platform,
+);
+
+// Resolves the overrides directory for a spec, or null when there is none.
+// `root` confines spec-supplied paths (the API sets it so requests cannot
+// read arbitrary directories on the server).
+export const resolveOverridesDir = async (spec, { root } = {}) => {
+  if (spec.overrides) {
+    const dir = path.resolve(expandHome(spec.overrides));
+    if (root !== undefined && (root === null || !isInside(path.resolve(root), dir))) {
+      throw new OverrideError(`overrides path "${spec.overrides}" is not allowed here`);
+    }
+    if (!await isDirectory(dir)) {
+      throw new OverrideError(`overrides path "${spec.overrides}" is not a directory`);
+    }
+    return dir;
+  }
+  const fallback = defaultOverridesDir(spec.platform);
+  return (await isDirectory(fallback)) ? fallback : null;
+};
+
+const walk = async (dir, prefix = '') => {
+  const dirents = await fs.readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(dirents
+    .filter((d) => !d.name.startsWith('.'))
+    .map((d) => {
+      const relative = path.join(prefix, d.name);
+      return d.isDirectory() ? walk(path.join(dir, d.name), relative) : [relative];
+    }));
+  return nested.flat().sort();
+};
+
+const readIfExists = (p) => fs.readFile(p, 'utf8').catch(() => null);
+
+const joinBlocks = (first, second) => `${first.replace(/\n*$/, '\n')}${second}`;
+
+const applyOne = async (overridesDir, themePath, relative) => {
+  const source = path.join(overridesDir, relative);
+  const merge = path.basename(relative).match(MERGE_PATTERN);
+  if (!merge && MERGE_MARKER.test(relative)) {
+    throw new OverrideError(`${relative}: append/prepend is only supported for .css and .js files`);
+  }
+  if (!merge) {
+    const target = path.join(themePath, relative);
+    const existed = (await readIfExists(target)) !== null;
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(source, target);
+    return { file: relative, action: existed ? 'replace' : 'add' };
+  }
+
+  const [, name, action, ext] = merge;
+  const file = path.join(path.dirname(relative), `${name}${ext}`);
+  const target = path.join(themePath, file);
+  const block = await fs.readFile(source, 'utf8');
+  const current = await readIfExists(target);
+  if (current === null) {
+    throw new OverrideError(`${relative}: the generated theme has no ${file} to ${action} to`);
+  }
+  const merged = action === 'append' ? joinBlocks(current, block) : joinBlocks(block, current);
+  await fs.writeFile(target, merged, 'utf8');
+  return { file, action };
+};
+
+// Copies/merges every file of `overridesDir` into the built theme and
+// resolves to what was changed, e.g. [{ file: 'footer.php', action: 'replace' }].
+export const applyOverrides = async (themePath, overridesDir) => {
+  const files = await walk(overridesDir);
+  // Replacements first, so append/prepend blocks merge into the final file
+  const ordered = [
+    ...files.filter((f) => !MERGE_PATTERN.test(path.basename(f))),
+    ...files.filter((f) => MERGE_PATTERN.test(path.basename(f))),
+  ];
+  return ordered.reduce(
+    (prev, relative) => prev.then(async (applied) => [
+      ...applied,
+      await applyOne(overridesDir, themePath, relative),
+    ]),
+    Promise.resolve([]),
+  );
+};
+
+export default applyOverrides;
@@ -0,0 +1,171 @@
+import { readdir, access } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { LAYOUT_CATALOGUES } from './layouts.js';
+import { registerPlatformSchema } from './spec/schema.js';
+
+// Platform registry. A platform is a plain object:
+//
+//   {
+//     name: 'ghost',                      // value of spec.platform
+//     label: 'Ghost',                     // shown in the UI
+//     schema: { $id, ... },               // JSON Schema for specs of this platform
+//     layout: { homepage: 'grid', ... },  // default value per layout key
+//     features: ['dark_mode', ...],       // feature flags the builder understands
+//     colorPairs: [{ foreground, background, usage, minRatio }],  // optional, see core/contrast.js
+//     build: async (spec, { outDir, fonts, translations }) => themePath,  // core/fonts.js, i18n.js
+//     validate: async (themePath, { spec }) => report,   // optional, see below
+//     package: async (themePath, zipPath, { spec }) => zipPath,  // optional
+//   }
+//
+// validate resolves to a report made with createReport() from
+// core/validation.js ({ validator, ok, counts, issues }); core adds its spec
+// checks to the issues.
+//
+// Built-in platforms live in platforms/<name>/index.js; third-party platforms
+// are npm packages named themesmith-platform-* (or @scope/themesmith-platform-*)
+// whose default export is such an object.
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PACKAGE_PREFIX = 'themesmith-platform-';
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+const platforms = new Map();
+let loading = null;
+
+const checkDefinition = (definition, source) => {
+  const problems = [];
+  if (!definition || typeof definition !== 'object') {
+    problems.push('default export must be a platform object');
+  } else {
+    if (!NAME_PATTERN.test(definition.name || '')) problems.push(`name must match ${NAME_PATTERN}`);
+    if (typeof definition.build !== 'function') problems.push('build() is required');
+    if (!definition.schema?.$id) problems.push('schema with an $id is required');
+    const pairs = definition.colorPairs;
+    if (pairs !== undefined && !Array.isArray(pairs) && typeof pairs !== 'function') {
+      problems.push('colorPairs must be an array or a function');
+    }
+    ['validate', 'package'].forEach((hook) => {
+      if (definition[hook] !== undefined && typeof definition[hook] !== 'function') {
+        problems.push(`${hook} must be a function`);
+      }
+    });
+  }
+  if (problems.length) {
+    throw new Error(`Invalid platform definition (${source}): ${problems.join('; ')}`);
+  }
+};
+
+export const registerPlatform = (definition, source = 'inline') => {
+  checkDefinition(definition, source);
+  if (platforms.has(definition.name)) {
+    throw new Error(`Platform "${definition.name}" is already registered (${source})`);
+  }
+  const platform = {
+    label: definition.name,
+    layout: {},
+    features: [],
+    ...definition,
+    source,
+  };
+  registerPlatformSchema(platform.name, platform.schema);
+  platforms.set(platform.name, platform);
+  return platform;
+};
+
+export const getPlatform = (name) => platforms.get(name);
+
+export const listPlatforms = () => [...platforms.values()];
+
+// Serializable summary for clients (e.g. the frontend platform picker).
+// Layout options come from the enums in the platform schema.
+export const describePlatform = (platform) => {
+  const layoutSchema = platform.schema.properties?.layout?.properties || {};
+  // Enum options under spec.<platform name>, e.g. wordpress.mode
+  const settingsSchema = platform.schema.properties?.[platform.name]?.properties || {};
+  const layoutKeys = [...new Set([...Object.keys(platform.layout), ...Object.keys(layoutSchema)])];
+  return {
+    name: platform.name,
+    label: platform.label,
+    schema: platform.schema.$id,
+    layout: Object.fromEntries(layoutKeys.map((key) => {
+      const options = layoutSchema[key]?.enum || [];
+      const catalogue = LAYOUT_CATALOGUES[key];
+      return [key, {
+        default: platform.layout[key] ?? options[0] ?? null,
+        options,
+        // What each option looks like, for layout keys with a catalogue
+        ...(catalogue && {
+          descriptions: Object.fromEntries(options.map((o) => [o, catalogue[o] || null])),
+        }),
+      }];
+    })),
+    features: platform.features,
+    settings: Object.fromEntries(Object.entries(settingsSchema)
+      .filter(([, sub]) => sub.enum)
+      .map(([key, sub]) => [key, {
+        default: sub.default ?? sub.enum[0],
+        options: sub.enum,
+        description: sub.description || null,
+      }])),
+  };
+};
+
+const exists = (p) => access(p).then(() => true, () => false);
+
+const builtinEntries = async () => {
+  const dir = path.join(repoRoot, 'platforms');
+  const dirents = await readdir(dir, { withFileTypes: true }).catch(() => []);
+  const candidates = dirents
+    .filter((d) => d.isDirectory())
+    .map((d) => path.join(dir, d.name, 'index.js'))
+    .sort();
+  const present = await Promise.all(candidates.map(exists));
+  return candidates.filter((file, i) => present[i]).map((file) => ({
+    source: path.relative(repoRoot, file),
+    specifier: pathToFileURL(file).href,
+  }));
+};
+
+const packageEntries = async () => {
+  const dir = path.join(repoRoot, 'node_modules');
+  const dirents = await readdir(dir, { withFileTypes: true }).catch(() => []);
+  const direct = dirents
+    .filter((d) => d.name.startsWith(PACKAGE_PREFIX))
+    .map((d) => d.name);
+  const scopes = dirents.filter((d) => d.name.startsWith('@'));
+  const scoped = await Promise.all(scopes.map(async (scope) => {
+    const inner = await readdir(path.join(dir, scope.name)).catch(() => []);
+    return inner.filter((n) => n.startsWith(PACKAGE_PREFIX)).map((n) => `${scope.name}/${n}`);
+  }));
+  return [...direct, ...scoped.flat()].sort().map((name) => ({ source: name, specifier: name }));
+};
+
+// Discovers and registers all platforms once; later calls reuse the result.
+// A broken plugin is reported and skipped so it cannot take the others down.
+export const loadPlatforms = () => {
+  if (!loading) {
+    loading = (async () => {
+      const entries = [...await builtinEntries(), ...await packageEntries()];
+      const modules = await Promise.all(entries.map(async (entry) => {
+        try {
+          return { entry, module: await import(entry.specifier) };
+        } catch (e) {
+          return { entry, error: e };
+        }
+      }));
+      modules.forEach(({ entry, module, error }) => {
+        try {
+          if (error) throw error;
+          registerPlatform(module.default, entry.source);
+        } catch (e) {
+          console.warn(`Skipping platform ${entry.source}: ${e.message}`);
+        }
+      });
+      return listPlatforms();
+    })();
+  }
+  return loading;
+};
+
+export default loadPlatforms;
@@ -0,0 +1,98 @@
+// Homepage sections: `spec.sections` is an ordered list of components the
+// builders assemble the homepage from. Every platform renders each section as
+// a reusable piece (a Ghost partial, a WordPress block pattern) named after its
+// id. The `posts` entry places the homepage layout's feed; without one the
+// feed follows the sections. footer-columns sections go above the site footer
+// on every page instead.
+
+export const SECTION_TYPES = {
+  hero: 'A large headline and text with an optional button',
+  'featured-posts': 'Featured posts (sticky posts on WordPress) as a row of cards',
+  cta: 'A call to action: headline, text and a button',
+  newsletter: 'An email signup form',
+  testimonials: 'Quotes with the name and role of who said them',
+  pricing: 'Plans side by side with price, features and a button',
+  'author-grid': 'The authors with avatar and bio',
+  'tag-cloud': 'The most used tags',
+  'footer-columns': 'Columns of text and links above the site footer',
+  posts: 'Where the feed of the homepage layout goes',
+};
+
+// Props a section type gets unless the spec sets them
+const DEFAULTS = {
+  hero: { alignment: 'center', background: 'primary' },
+  cta: { alignment: 'center', background: 'accent' },
+  newsletter: { alignment: 'center' },
+  'featured-posts': { count: 3 },
+  'author-grid': { count: 6 },
+  'tag-cloud': { count: 20 },
+};
+
+// Palette key the text of a section uses on each background
+export const SECTION_TEXT = {
+  primary: 'background',
+  accent: 'background',
+  text: 'background',
+};
+
+const FEED = { type: 'posts', id: 'posts' };
+
+// Gives each section its defaults and a unique id: the spec's, or the type
+// numbered by occurrence (cta-1, cta-2)
+const normalise = (sections) => {
+  const taken = new Set();
+  const counts = {};
+  return sections.map((section) => {
+    counts[section.type] = (counts[section.type] || 0) + 1;
+    let id = section.id || `${section.type}-${counts[section.type]}`;
+    for (let n = 2; taken.has(id); n += 1) id = `${section.id || section.type}-${n}`;
+    taken.add(id);
+    return {
+      alignment: 'left',
+      background: 'none',
+      ...DEFAULTS[section.type],
+      ...section,
+      id,
+    };
+  });
+};
+
+// { home, footer, types }: home in page order with the feed included,
+// footer the footer-columns sections, types every type the theme renders
+export const resolveSections = (spec) => {
+  const sections = normalise(Array.isArray(spec?.sections) ? spec.sections : []);
+  const home = sections.filter((section) => section.type !== 'footer-columns');
+  const footer = sections.filter((section) => section.type === 'footer-columns');
+  const hasFeed = home.some((section) => section.type === 'posts');
+  return {
+    home: hasFeed ? home : [...home, FEED],
+    footer,
+    types: [...new Set(sections.map((section) => section.type))]
+      .filter((type) => type !== 'posts'),
+  };
+};
+
+// Sections a theme writes as partials or patterns (all but the feed)
+export const renderedSections = ({ home, footer }) => [...home, ...footer]
+  .filter((section) => section.type !== 'posts');
+
+const pairKey = (pair) => [pair.foreground, pair.background].sort().join();
+
+// Appends a contrast pair for each section background the spec uses, unless
+// the platform already checks the two colors (in either order)
+export const withSectionPairs = (pairs, spec) => {
+  const backgrounds = new Set(renderedSections(resolveSections(spec))
+    .map((section) => section.background)
+    .filter((background) => SECTION_TEXT[background]));
+  const extra = [...backgrounds]
+    .map((background) => ({
+      foreground: SECTION_TEXT[background],
+      background,
+      usage: `Section text on ${background}`,
+      minRatio: 4.5,
+    }))
+    .filter((pair) => !pairs.some((p) => pairKey(p) === pairKey(pair)));
+  return [...pairs, ...extra];
+};
+
+export default resolveSections;
@@ -0,0 +1,92 @@
+// Upgrades saved specs to the current spec format one version at a time.
+// Specs without `specVersion` predate versioning and are treated as version 1.
+
+export const CURRENT_SPEC_VERSION = 2;
+
+const LEGACY_SPEC_VERSION = 1;
+
+const layoutKeyFor = (platform) => (platform === 'wordpress' ? 'archivePage' : 'tagPage');
+
+// Each migration upgrades a spec from `from` to `from + 1`. `up` mutates the
+// (already cloned) spec and returns a list of human readable changes.
+const migrations = [
+  {
+    from: 1,
+    description: 'Use tagPage for Ghost and archivePage for WordPress listings',
+    up: (spec) => {
+      const changes = [];
+      const { layout } = spec;
+      if (!layout || typeof layout !== 'object') return changes;
+      const wanted = layoutKeyFor(spec.platform);
+      const other = wanted === 'tagPage' ? 'archivePage' : 'tagPage';
+      if (layout[other] === undefined) return changes;
+      if (layout[wanted] === undefined) {
+        layout[wanted] = layout[other];
+        changes.push({
+          pointer: `/layout/${wanted}`,
+          message: `Renamed layout.${other} to layout.${wanted}`,
+        });
+      } else {
+        changes.push({
+          pointer: `/layout/${other}`,
+          message: `Removed layout.${other} (${spec.platform} uses layout.${wanted})`,
+        });
+      }
+      delete layout[other];
+      return changes;
+    },
+  },
+];
+
+export class SpecMigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SpecMigrationError';
+  }
+}
+
+export const getSpecVersion = (spec) => spec?.specVersion ?? LEGACY_SPEC_VERSION;
+
+export const migrateSpec = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new SpecMigrationError('Spec must be a JSON object');
+  }
+  const fromVersion = getSpecVersion(input);
+  if (!Number.isInteger(fromVersion) || fromVersion < LEGACY_SPEC_VERSION) {
+    const got = JSON.stringify(fromVersion);
+    throw new SpecMigrationError(`specVersion must be a positive integer (got ${got})`);
+  }
+  if (fromVersion > CURRENT_SPEC_VERSION) {
+    throw new SpecMigrationError(
+      `specVersion ${fromVersion} is newer than this ThemeSmith supports (${CURRENT_SPEC_VERSION})`,
+    );
+  }
+
+  const working = structuredClone(input);
+  const changes = [];
+  migrations
+    .filter((m) => m.from >= fromVersion)
+    .forEach((m) => {
+      m.up(working).forEach((change) => changes.push({ version: m.from + 1, ...change }));
+    });
+
+  if (fromVersion !== CURRENT_SPEC_VERSION) {
+    changes.push({
+      version: CURRENT_SPEC_VERSION,
+      pointer: '/specVersion',
+      message: `Set specVersion to ${CURRENT_SPEC_VERSION}`,
+    });
+  }
+  // Keep specVersion as the first key so it is obvious in saved files
+  const { specVersion, ...rest } = working;
+  const spec = { specVersion: CURRENT_SPEC_VERSION, ...rest };
+
+  return {
+    spec,
+    changes,
+    fromVersion,
+    toVersion: CURRENT_SPEC_VERSION,
+  };
+};
+
+export default migrateSpec;
@@ -0,0 +1,341 @@
+import { readFileSync } from 'fs';
+import { parseColor } from '../color.js';
+
+// Minimal JSON Schema (2020-12 subset) validator for themeSpec documents.
+// It collects every error instead of stopping at the first one, so callers
+// can show all problems of a hand-edited spec in one go.
+
+const readJson = (relative) => JSON.parse(readFileSync(new URL(relative, import.meta.url), 'utf8'));
+
+export const SCHEMA_VERSION = 1;
+
+const baseSchema = readJson('./schemas/themespec.schema.json');
+
+// $id -> schema document, used to resolve $ref across files
+const documents = new Map([[baseSchema.$id, baseSchema]]);
+// platform name -> platform schema, filled by the platform registry
+const platformSchemas = new Map();
+
+export const registerPlatformSchema = (platform, schema) => {
+  if (!schema?.$id) throw new Error(`Schema for platform "${platform}" needs an $id`);
+  documents.set(schema.$id, schema);
+  platformSchemas.set(platform, schema);
+};
+
+export class SpecValidationError extends Error {
+  constructor(errors) {
+    const lines = errors.map((e) => `- ${e.message}`);
+    super(`Invalid theme spec:\n${lines.join('\n')}`);
+    this.name = 'SpecValidationError';
+    this.errors = errors;
+  }
+}
+
+const escapePointer = (token) => String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+
+// "/layout/homepage" -> "layout.homepage", used for human readable messages
+const toPath = (pointer) => (pointer
+  ? pointer.slice(1).split('/').map((t) => t.replace(/~1/g, '/').replace(/~0/g, '~')).join('.')
+  : 'spec');
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+// JSON has a single number type; "integer" only matters for matching
+const describeType = (value) => (typeOf(value) === 'integer' ? 'number' : typeOf(value));
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+};
+
+// `format` checks by name, with the noun used in messages. Colors end up
+// verbatim in stylesheets, so only values parseColor reads and plain
+// var(--name) references pass.
+const FORMATS = {
+  color: {
+    label: 'a CSS color',
+    test: (value) => parseColor(value) !== null || /^var\(--[A-Za-z0-9_-]+\)$/.test(value),
+  },
+};
+
+const article = (word) => (/^[aeiou]/.test(word) ? `an ${word}` : `a ${word}`);
+
+const resolveRef = (ref, baseId) => {
+  const url = new URL(ref, baseId);
+  const fragment = decodeURIComponent(url.hash.slice(1));
+  url.hash = '';
+  const doc = documents.get(url.href);
+  if (!doc) throw new Error(`Unknown schema reference: ${ref}`);
+  const target = fragment
+    .split('/')
+    .filter(Boolean)
+    .map((t) => t.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, token) => node?.[token], doc);
+  if (!target) throw new Error(`Unresolvable schema reference: ${ref}`);
+  return { schema: target, baseId: url.href };
+};
+
+const error = (pointer, keyword, message, extra = {}) => ({
+  pointer,
+  path: toPath(pointer),
+  keyword,
+  ...extra,
+  message,
+});
+
+// A failed anyOf reports the errors of its closest branch: the one with the
+// fewest errors among those that accept the value's type. When no branch
+// accepts the type, one error lists the types the branches allow.
+const anyOfErrors = (branches, value, pointer) => {
+  const typeError = (branch) => branch.find((e) => e.pointer === pointer && e.keyword === 'type');
+  const fitting = branches.filter((branch) => !typeError(branch));
+  if (fitting.length) {
+    return fitting.reduce((closest, branch) => (branch.length < closest.length ? branch : closest));
+  }
+  const expected = [...new Set(branches.flatMap((branch) => typeError(branch).expected))];
+  const received = describeType(value);
+  const message = `${toPath(pointer)} must be ${article(expected.join(' or '))}, got ${received}`;
+  return [error(pointer, 'anyOf', message, { expected, received })];
+};
+
+// Property names a schema declares itself or through $ref and allOf, which is
+// what unevaluatedProperties looks past: a platform schema extends the base
+// schema with allOf, so additionalProperties could not see the base keys.
+const declaredProperties = (schema, baseId) => {
+  const id = schema.$id || baseId;
+  const names = Object.keys(schema.properties || {});
+  if (schema.$ref) {
+    const resolved = resolveRef(schema.$ref, id);
+    names.push(...declaredProperties(resolved.schema, resolved.baseId));
+  }
+  (schema.allOf || []).forEach((sub) => names.push(...declaredProperties(sub, id)));
+  return names;
+};
+
+const validateNode = (schema, value, pointer, baseId) => {
+  const errors = [];
+  const id = schema.$id || baseId;
+  const path = toPath(pointer);
+
+  if (schema.$ref) {
+    const resolved = resolveRef(schema.$ref, id);
+    errors.push(...validateNode(resolved.schema, value, pointer, resolved.baseId));
+  }
+
+  (schema.allOf || []).forEach((sub) => errors.push(...validateNode(sub, value, pointer, id)));
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map((sub) => validateNode(sub, value, pointer, id));
+    if (!branches.some((branch) => branch.length === 0)) {
+      errors.push(...anyOfErrors(branches, value, pointer));
+    }
+  }
+
+  if (schema.if) {
+    const matches = validateNode(schema.if, value, pointer, id).length === 0;
+    const branch = matches ? schema.then : schema.else;
+    if (branch) errors.push(...validateNode(branch, value, pointer, id));
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => matchesType(value, t))) {
+      const received = describeType(value);
+      const message = `${path} must be ${article(types.join(' or '))}, got ${received}`;
+      errors.push(error(pointer, 'type', message, { expected: schema.type, received }));
+      // Nested keywords are meaningless for the wrong type
+      return errors;
+    }
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    errors.push(error(pointer, 'const', `${path} must be ${JSON.stringify(schema.const)}`, {
+      expected: schema.const,
+      received: value,
+    }));
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const allowed = schema.enum.join(', ');
+    const message = `${path} must be one of: ${allowed} (got ${JSON.stringify(value)})`;
+    errors.push(error(pointer, 'enum', message, { expected: schema.enum, received: value }));
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      const message = schema.minLength === 1
+        ? `${path} must not be empty`
+        : `${path} must be at least ${schema.minLength} characters long`;
+      errors.push(error(pointer, 'minLength', message, { expected: schema.minLength }));
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      const message = `${path} must be at most ${schema.maxLength} characters long`;
+      errors.push(error(pointer, 'maxLength', message, { expected: schema.maxLength }));
+    }
+    if (schema.pattern && value.length > 0 && !new RegExp(schema.pattern, 'u').test(value)) {
+      const message = `${path} must match the pattern ${schema.pattern} (got "${value}")`;
+      const details = { expected: schema.pattern, received: value };
+      errors.push(error(pointer, 'pattern', message, details));
+    }
+    const format = FORMATS[schema.format];
+    if (format && value.length > 0 && !format.test(value)) {
+      const message = `${path} must be ${format.label} (got ${JSON.stringify(value)})`;
+      errors.push(error(pointer, 'format', message, { expected: schema.format, received: value }));
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      const message = `${path} must be >= ${schema.minimum}`;
+      errors.push(error(pointer, 'minimum', message, { expected: schema.minimum }));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      const message = `${path} must be <= ${schema.maximum}`;
+      errors.push(error(pointer, 'maximum', message, { expected: schema.maximum }));
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      const message = `${path} must contain at least ${schema.minItems} item(s)`;
+      errors.push(error(pointer, 'minItems', message, { expected: schema.minItems }));
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      const message = `${path} must contain at most ${schema.maxItems} item(s)`;
+      errors.push(error(pointer, 'maxItems', message, { expected: schema.maxItems }));
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, i) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) {
+          const message = `${path} must not contain duplicates (${key})`;
+          errors.push(error(`${pointer}/${i}`, 'uniqueItems', message));
+        }
+        seen.add(key);
+      });
+    }
+    if (schema.contains) {
+      const matching = value.filter((item, i) => (
+        validateNode(schema.contains, item, `${pointer}/${i}`, id).length === 0
+      )).length;
+      const min = schema.minContains ?? 1;
+      const what = schema.contains.description || 'matching item(s)';
+      if (matching < min) {
+        const message = `${path} must contain at least ${min} ${what}`;
+        errors.push(error(pointer, 'contains', message, { expected: min }));
+      }
+      if (schema.maxContains !== undefined && matching > schema.maxContains) {
+        const message = `${path} must contain at most ${schema.maxContains} ${what}`;
+        errors.push(error(pointer, 'maxContains', message, { expected: schema.maxContains }));
+      }
+    }
+    (schema.prefixItems || []).forEach((sub, i) => {
+      if (i < value.length) errors.push(...validateNode(sub, value[i], `${pointer}/${i}`, id));
+    });
+    if (schema.items) {
+      value.slice((schema.prefixItems || []).length).forEach((item, i) => {
+        const index = i + (schema.prefixItems || []).length;
+        errors.push(...validateNode(schema.items, item, `${pointer}/${index}`, id));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        const childPointer = `${pointer}/${escapePointer(key)}`;
+        errors.push(error(childPointer, 'required', `${toPath(childPointer)} is required`));
+      }
+    });
+    if (schema.propertyNames) {
+      Object.keys(value).forEach((key) => {
+        const childPointer = `${pointer}/${escapePointer(key)}`;
+        errors.push(...validateNode(schema.propertyNames, key, childPointer, id));
+      });
+    }
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, child]) => {
+      const childPointer = `${pointer}/${escapePointer(key)}`;
+      if (properties[key]) {
+        errors.push(...validateNode(properties[key], child, childPointer, id));
+      } else if (schema.additionalProperties === false) {
+        const message = `${toPath(childPointer)} is not a known property`;
+        errors.push(error(childPointer, 'additionalProperties', message));
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateNode(schema.additionalProperties, child, childPointer, id));
+      }
+    });
+    if (schema.unevaluatedProperties === false) {
+      const declared = new Set(declaredProperties(schema, id));
+      Object.keys(value).filter((key) => !declared.has(key)).forEach((key) => {
+        const childPointer = `${pointer}/${escapePointer(key)}`;
+        const message = `${toPath(childPointer)} is not a known property`;
+        errors.push(error(childPointer, 'unevaluatedProperties', message));
+      });
+    }
+  }
+
+  return errors;
+};
+
+// The same pointer can be reported twice when a platform schema and the base
+// schema constrain the same value; keep the first message per pointer+keyword.
+const dedupe = (errors) => {
+  const seen = new Set();
+  return errors.filter((e) => {
+    const key = `${e.pointer}|${e.keyword}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Validates any JSON document (e.g. a generated theme.json) against a schema with an $id
+export const validateAgainstSchema = (schema, value) => {
+  if (!documents.has(schema.$id)) documents.set(schema.$id, schema);
+  const errors = dedupe(validateNode(schema, value, '', schema.$id));
+  return { valid: errors.length === 0, errors };
+};
+
+export const getSpecSchema = (platform) => platformSchemas.get(platform) || baseSchema;
+
+export const listSchemas = () => [baseSchema, ...platformSchemas.values()].map((s) => ({
+  id: s.$id,
+  name: s.$id.split('/').pop(),
+  title: s.title,
+}));
+
+export const getSchemaByName = (name) => [...documents.values()]
+  .find((s) => s.$id.split('/').pop() === name);
+
+export const validateSpec = (spec, platform = spec?.platform) => {
+  if (typeOf(spec) !== 'object') {
+    const errors = [error('', 'type', 'spec must be a JSON object', { expected: 'object' })];
+    return { valid: false, errors };
+  }
+  const schema = getSpecSchema(platform);
+  const errors = dedupe(validateNode(schema, spec, '', schema.$id));
+  if (typeof spec.platform === 'string' && !platformSchemas.has(spec.platform)) {
+    const known = [...platformSchemas.keys()];
+    const received = spec.platform;
+    const allowed = known.join(', ');
+    const message = `platform must be one of: ${allowed} (got ${JSON.stringify(received)})`;
+    errors.unshift(error('/platform', 'enum', message, { expected: known, received }));
+  }
+  return { valid: errors.length === 0, errors };
+};
+
+export const assertValidSpec = (spec, platform) => {
+  const { valid, errors } = validateSpec(spec, platform);
+  if (!valid) throw new SpecValidationError(errors);
+  return spec;
+};
+
+export default validateSpec;
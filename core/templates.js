@@ -0,0 +1,124 @@
+import { readFileSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { escapeHtml } from './utils/escape.js';
+
+// Build-time templates for generated theme files.
+//
+// The tags are EJS-style so they never clash with the Handlebars/PHP syntax
+// of the generated file itself:
+//
+//   <%= expr %>   output, HTML-escaped
+//   <%- expr %>   output, raw
+//   <% code %>    JavaScript (if/else, loops)
+//   <%# note %>   comment, not rendered
+//   -%>           closing a tag with a dash also drops the newline after it
+//
+// Every key of `locals` is available as a variable, plus `include(file, extra)`
+// which renders another template relative to the current one and
+// `indent(text, spaces)` to line up multi-line output.
+
+export class TemplateError extends Error {
+  constructor(message, file) {
+    super(`${file}: ${message}`);
+    this.name = 'TemplateError';
+    this.file = file;
+  }
+}
+
+const TAG = /<%([=#-]?)([\s\S]*?)(-?)%>(\n?)/g;
+
+const compileSource = (source) => {
+  const parts = ["let __out = '';"];
+  let last = 0;
+  source.replace(TAG, (match, kind, code, trim, newline, offset) => {
+    parts.push(`__out += ${JSON.stringify(source.slice(last, offset))};`);
+    if (kind === '=') parts.push(`__out += __escape(${code.trim()});`);
+    else if (kind === '-') parts.push(`__out += __raw(${code.trim()});`);
+    else if (kind !== '#') parts.push(code);
+    if (newline && !trim) parts.push("__out += '\\n';");
+    last = offset + match.length;
+    return match;
+  });
+  parts.push(`__out += ${JSON.stringify(source.slice(last))};`, 'return __out;');
+  return parts.join('\n');
+};
+
+const raw = (value) => (value === undefined || value === null ? '' : String(value));
+
+const indent = (text, spaces) => raw(text).replace(/^(?=.)/gm, ' '.repeat(spaces));
+
+// file -> { body, functions: Map(local names -> compiled function) }
+const cache = new Map();
+
+const load = (file) => {
+  if (!cache.has(file)) {
+    let source;
+    try {
+      source = readFileSync(file, 'utf8');
+    } catch (e) {
+      throw new TemplateError('template not found', file);
+    }
+    cache.set(file, { body: compileSource(source), functions: new Map() });
+  }
+  return cache.get(file);
+};
+
+export const renderTemplate = (file, locals = {}) => {
+  const entry = load(file);
+  const names = Object.keys(locals);
+  const signature = names.join(',');
+  if (!entry.functions.has(signature)) {
+    try {
+      const params = ['__escape', '__raw', 'include', 'indent', ...names];
+      // eslint-disable-next-line no-new-func
+      entry.functions.set(signature, new Function(...params, entry.body));
+    } catch (e) {
+      throw new TemplateError(e.message, file);
+    }
+  }
+  const include = (relative, extra = {}) => renderTemplate(
+    path.resolve(path.dirname(file), relative),
+    { ...locals, ...extra },
+  );
+  try {
+    return entry.functions.get(signature)(
+      escapeHtml,
+      raw,
+      include,
+      indent,
+      ...names.map((n) => locals[n]),
+    );
+  } catch (e) {
+    if (e instanceof TemplateError) throw e;
+    throw new TemplateError(e.message, file);
+  }
+};
+
+const walk = async (dir, prefix = '') => {
+  const dirents = await fs.readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(dirents
+    // Names starting with "_" are fragments for include(), not output files
+    .filter((d) => !d.name.startsWith('_'))
+    .map((d) => {
+      const relative = path.join(prefix, d.name);
+      return d.isDirectory() ? walk(path.join(dir, d.name), relative) : [relative];
+    }));
+  return nested.flat().sort();
+};
+
+export const listTemplates = (dir) => walk(dir);
+
+// Renders every template under `templateDir` to the same relative path
+// under `outDir` and resolves to the list of written files.
+export const renderTemplateDir = async (templateDir, outDir, locals = {}) => {
+  const files = await listTemplates(templateDir);
+  await Promise.all(files.map(async (relative) => {
+    const target = path.join(outDir, relative);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, renderTemplate(path.join(templateDir, relative), locals), 'utf8');
+  }));
+  return files;
+};
+
+export default renderTemplate;
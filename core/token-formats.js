@@ -0,0 +1,249 @@
+import { parseColor, toHex } from './color.js';
+import { resolveTokens } from './tokens.js';
+
+// Spec colors, fonts and design tokens in formats other tools read:
+//
+//   w3c               Design Tokens Community Group JSON (Figma plugins, Tokens Studio)
+//   tailwind          tailwind.config.js with the tokens under theme.extend
+//   style-dictionary  Style Dictionary source ({ value, type } leaves)
+//
+// importW3CTokens() reads a DTCG file back into spec.colors and spec.fonts.
+
+const PALETTE_KEYS = ['primary', 'accent', 'background', 'text'];
+const FALLBACK_FONT = 'system-ui, sans-serif';
+
+// "\"Open Sans\", sans-serif" → ['Open Sans', 'sans-serif']
+const fontList = (font) => (font || FALLBACK_FONT)
+  .split(',')
+  .map((name) => name.trim().replace(/^["']|["']$/g, ''))
+  .filter(Boolean);
+
+// Hex where the color can be parsed, so every tool understands it
+const colorValue = (value) => {
+  const color = parseColor(value);
+  return color ? toHex(color) : value;
+};
+
+// One tree, leaves as [type, value]; each format decides how to write them
+const tokenTree = (spec) => {
+  const tokens = resolveTokens(spec);
+  const group = (type, entries) => Object.fromEntries(entries
+    .map(([name, value]) => [name, [type, value]]));
+  return {
+    color: group('color', PALETTE_KEYS.map((key) => [key, colorValue(spec.colors[key])])),
+    font: {
+      family: group('fontFamily', [
+        ['heading', fontList(spec.fonts?.heading)],
+        ['body', fontList(spec.fonts?.body)],
+      ]),
+      size: group('dimension', [
+        ...tokens.fontSizes.map(({ slug, size }) => [slug, size]),
+        ...Object.entries(tokens.headings),
+      ]),
+    },
+    spacing: group('dimension', tokens.spacingSizes.map(({ slug, size }) => [slug, size])),
+    radius: group('dimension', Object.entries(tokens.radius)),
+    shadow: group('shadow', Object.entries(tokens.shadows)),
+    breakpoint: group('dimension', Object.entries(tokens.breakpoints)),
+    size: group('dimension', [['content', tokens.layout.content], ['wide', tokens.layout.wide]]),
+  };
+};
+
+const isLeaf = (node) => Array.isArray(node);
+
+const mapTree = (node, fn) => Object.fromEntries(Object.entries(node)
+  .map(([key, child]) => [key, isLeaf(child) ? fn(child) : mapTree(child, fn)]));
+
+// Top level commas only: "0 1px red, 0 2px rgba(0, 0, 0, 0.5)" → two parts
+const splitTopLevel = (value) => value.split(/,(?![^(]*\))/).map((part) => part.trim());
+
+// CSS box-shadow → DTCG shadow value; null when it is not a plain shadow list
+const shadowValue = (css) => {
+  const layers = splitTopLevel(css).map((layer) => {
+    const color = layer.match(/(#[0-9a-f]{3,8}|[a-z]+\([^)]*\)|[a-z]+)$/i)?.[0];
+    const lengths = layer.slice(0, color ? -color.length : undefined).trim().split(/\s+/);
+    const inset = lengths[0] === 'inset';
+    const [offsetX, offsetY, blur = '0px', spread = '0px'] = inset ? lengths.slice(1) : lengths;
+    if (!color || !parseColor(color) || !offsetY) return null;
+    const px = (length) => (length === '0' ? '0px' : length);
+    return {
+      color: colorValue(color),
+      offsetX: px(offsetX),
+      offsetY: px(offsetY),
+      blur: px(blur),
+      spread: px(spread),
+      ...(inset && { inset: true }),
+    };
+  });
+  if (layers.includes(null)) return null;
+  return layers.length === 1 ? layers[0] : layers;
+};
+
+export const toW3CTokens = (spec) => ({
+  $description: `Design tokens of ${spec.projectName}, exported by ThemeSmith`,
+  ...mapTree(tokenTree(spec), ([type, value]) => {
+    if (type !== 'shadow') return { $type: type, $value: value };
+    const shadow = shadowValue(value);
+    // Shadows DTCG cannot express stay CSS strings, without a type
+    return shadow ? { $type: type, $value: shadow } : { $value: value };
+  }),
+});
+
+export const toStyleDictionary = (spec) => mapTree(tokenTree(spec), ([type, value]) => ({
+  value: type === 'fontFamily' ? value.join(', ') : value,
+  type,
+}));
+
+export const toTailwindConfig = (spec) => {
+  const tree = tokenTree(spec);
+  const values = (node) => mapTree(node, ([, value]) => value);
+  const extend = {
+    colors: values(tree.color),
+    fontFamily: values(tree.font.family),
+    fontSize: values(tree.font.size),
+    spacing: values(tree.spacing),
+    borderRadius: values(tree.radius),
+    boxShadow: values(tree.shadow),
+    screens: values(tree.breakpoint),
+    maxWidth: values(tree.size),
+  };
+  return [
+    `// Design tokens of ${spec.projectName}, exported by ThemeSmith`,
+    "/** @type {import('tailwindcss').Config} */",
+    `module.exports = ${JSON.stringify({ theme: { extend } }, null, 2)};`,
+    '',
+  ].join('\n');
+};
+
+export const TOKEN_FORMATS = {
+  w3c: {
+    filename: 'tokens.json',
+    contentType: 'application/design-tokens+json',
+    render: (spec) => `${JSON.stringify(toW3CTokens(spec), null, 2)}\n`,
+  },
+  tailwind: {
+    filename: 'tailwind.config.js',
+    contentType: 'text/javascript',
+    render: toTailwindConfig,
+  },
+  'style-dictionary': {
+    filename: 'tokens.style-dictionary.json',
+    contentType: 'application/json',
+    render: (spec) => `${JSON.stringify(toStyleDictionary(spec), null, 2)}\n`,
+  },
+};
+
+// { filename, contentType, content } for a validated spec
+export const exportTokens = (spec, format = 'w3c') => {
+  const target = TOKEN_FORMATS[format];
+  if (!target) {
+    const known = Object.keys(TOKEN_FORMATS).join(', ');
+    throw new Error(`Unknown token format "${format}" (use ${known})`);
+  }
+  return {
+    filename: target.filename,
+    contentType: target.contentType,
+    content: target.render(spec),
+  };
+};
+
+// Names a token may have in someone else's file, most specific first
+const SYNONYMS = {
+  primary: ['primary', 'brand'],
+  accent: ['accent', 'secondary', 'link'],
+  background: ['background', 'bg', 'surface'],
+  text: ['text', 'foreground', 'fg', 'body'],
+  heading: ['heading', 'headings', 'display', 'title'],
+  body: ['body', 'text', 'base', 'copy'],
+};
+
+// Every token as { path, type, value }; $type is inherited from groups
+const collectTokens = (node, path = [], inheritedType = null) => Object.entries(node)
+  .filter(([key, child]) => !key.startsWith('$') && child && typeof child === 'object')
+  .flatMap(([key, child]) => {
+    const type = child.$type || inheritedType;
+    if ('$value' in child) return [{ path: [...path, key], type, value: child.$value }];
+    return collectTokens(child, [...path, key], type);
+  });
+
+// "{color.brand.500}" aliases, followed up to a few levels. An alias without
+// a $type has the type of the token it points to.
+const resolveAlias = (token, byPath, depth = 0) => {
+  const alias = typeof token.value === 'string' && token.value.match(/^\{([^}]+)\}$/);
+  if (!alias) return token;
+  const target = byPath.get(alias[1]);
+  if (!target || depth > 8) return { ...token, value: undefined };
+  const resolved = resolveAlias(target, byPath, depth + 1);
+  return { ...token, type: token.type || resolved.type, value: resolved.value };
+};
+
+// DTCG color objects ({ colorSpace, components, alpha, hex }) or strings → CSS
+const cssColor = (value) => {
+  if (typeof value === 'string') return value;
+  if (!value || typeof value !== 'object') return undefined;
+  if (value.hex && value.alpha === undefined) return value.hex;
+  const { colorSpace, components = [], alpha = 1 } = value;
+  const channels = components.join(' ');
+  const suffix = alpha < 1 ? ` / ${alpha}` : '';
+  if (['srgb', 'srgb-linear', 'display-p3'].includes(colorSpace)) {
+    return `color(${colorSpace} ${channels}${suffix})`;
+  }
+  if (colorSpace === 'hsl' || colorSpace === 'hwb') {
+    const [h, x, y] = components;
+    return `${colorSpace}(${h} ${x}% ${y}%${suffix})`;
+  }
+  if (['lab', 'lch', 'oklab', 'oklch'].includes(colorSpace)) {
+    return `${colorSpace}(${channels}${suffix})`;
+  }
+  return value.hex;
+};
+
+// Family names as the spec writes them: "Open Sans, sans-serif"
+const cssFont = (value) => {
+  if (Array.isArray(value)) return value.join(', ');
+  return typeof value === 'string' ? value : undefined;
+};
+
+const pick = (tokens, type, key) => SYNONYMS[key]
+  .flatMap((name) => tokens
+    .filter((t) => t.type === type && t.path[t.path.length - 1].toLowerCase() === name)
+    .sort((a, b) => a.path.length - b.path.length))
+  .find((t) => t.value !== undefined);
+
+// Reads a DTCG tokens document into { colors, fonts, imported, warnings }.
+// colors/fonts only hold what was found; merge them over an existing spec.
+export const importW3CTokens = (document) => {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error('A design tokens file must be a JSON object');
+  }
+  const all = collectTokens(document);
+  const byPath = new Map(all.map((t) => [t.path.join('.'), t]));
+  const tokens = all.map((t) => resolveAlias(t, byPath));
+  const imported = [];
+  const warnings = [];
+
+  const read = (type, key, toCss, valid) => {
+    const token = pick(tokens, type, key);
+    if (!token) return [];
+    const value = toCss(token.value);
+    const where = token.path.join('.');
+    if (value === undefined || !valid(value)) {
+      warnings.push(`${where}: unsupported ${type} value ${JSON.stringify(token.value)}`);
+      return [];
+    }
+    imported.push({ path: where, to: `${type === 'color' ? 'colors' : 'fonts'}.${key}` });
+    return [[key, value]];
+  };
+
+  const colors = Object.fromEntries(PALETTE_KEYS
+    .flatMap((key) => read('color', key, cssColor, (v) => parseColor(v) !== null)));
+  const fonts = Object.fromEntries(['heading', 'body']
+    .flatMap((key) => read('fontFamily', key, cssFont, (v) => v.length > 0)));
+  PALETTE_KEYS.filter((key) => !colors[key])
+    .forEach((key) => warnings.push(`No color token for colors.${key}`));
+  return {
+    colors, fonts, imported, warnings,
+  };
+};
+
+export default exportTokens;
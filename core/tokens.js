@@ -0,0 +1,91 @@
+// Design tokens beyond colors and fonts: spacing and type scales, radii,
+// shadows, breakpoints and layout widths. spec.tokens is optional and
+// partial; every missing value falls back to DEFAULT_TOKENS.
+//
+//   "tokens": {
+//     "spacing": { "base": "1rem", "ratio": 1.5 },
+//     "typeScale": { "base": "1rem", "ratio": 1.25 },
+//     "radius": { "medium": "6px" },
+//     "layout": { "content": "680px", "wide": "1280px" }
+//   }
+//
+// Builders get the resolved set from resolveTokens(): CSS custom properties
+// (cssCustomProperties) for hand-written stylesheets, presets for theme.json.
+
+export const DEFAULT_TOKENS = {
+  spacing: { base: '1rem', ratio: 1.5 },
+  typeScale: { base: '1rem', ratio: 1.2 },
+  radius: { small: '2px', medium: '4px', large: '8px' },
+  shadows: {
+    small: '0 1px 2px rgba(0, 0, 0, 0.08)',
+    medium: '0 4px 12px rgba(0, 0, 0, 0.12)',
+    large: '0 12px 24px rgba(0, 0, 0, 0.15)',
+  },
+  breakpoints: { small: '640px', medium: '768px', large: '1024px' },
+  layout: { content: '720px', wide: '1200px' },
+};
+
+// Spacing steps, named like the WordPress presets; "30" is the base
+const SPACING_STEPS = [['20', -1], ['30', 0], ['40', 1], ['50', 2], ['60', 3], ['70', 4]];
+
+// Font size presets and headings as steps of the modular type scale
+const FONT_SIZE_STEPS = [
+  ['small', 'Small', -1],
+  ['medium', 'Medium', 0],
+  ['large', 'Large', 2],
+  ['x-large', 'Extra Large', 4],
+  ['xx-large', 'Huge', 5],
+];
+const HEADING_STEPS = {
+  h1: 5, h2: 4, h3: 3, h4: 2, h5: 1, h6: 0,
+};
+
+// "1.5rem" → { value: 1.5, unit: 'rem' }
+const parseLength = (length) => {
+  const [, value, unit] = String(length).match(/^(\d*\.?\d+)([a-z%]*)$/);
+  return { value: Number(value), unit };
+};
+
+// base × ratio^step, rounded to three decimals
+const scaleStep = (base, ratio, step) => {
+  const { value, unit } = parseLength(base);
+  return `${Number((value * ratio ** step).toFixed(3))}${unit}`;
+};
+
+export const resolveTokens = (spec) => {
+  const tokens = spec.tokens || {};
+  const merged = Object.fromEntries(Object.entries(DEFAULT_TOKENS)
+    .map(([group, defaults]) => [group, { ...defaults, ...tokens[group] }]));
+  const { spacing, typeScale } = merged;
+  return {
+    ...merged,
+    spacingSizes: SPACING_STEPS.map(([slug, step], i) => ({
+      slug,
+      name: String(i + 1),
+      size: scaleStep(spacing.base, spacing.ratio, step),
+    })),
+    fontSizes: FONT_SIZE_STEPS.map(([slug, name, step]) => ({
+      slug,
+      name,
+      size: scaleStep(typeScale.base, typeScale.ratio, step),
+    })),
+    headings: Object.fromEntries(Object.entries(HEADING_STEPS)
+      .map(([tag, step]) => [tag, scaleStep(typeScale.base, typeScale.ratio, step)])),
+  };
+};
+
+// Custom property declarations for stylesheets, one per line:
+// --space-20 … --space-70, --font-size-small … --font-size-h1, --radius-*,
+// --shadow-*, --width-content and --width-wide. Breakpoints cannot be used
+// in media queries as variables, so builders inline tokens.breakpoints.
+export const cssCustomProperties = (tokens, indent = '  ') => [
+  ...tokens.spacingSizes.map(({ slug, size }) => [`space-${slug}`, size]),
+  ...tokens.fontSizes.map(({ slug, size }) => [`font-size-${slug}`, size]),
+  ...Object.entries(tokens.headings).map(([tag, size]) => [`font-size-${tag}`, size]),
+  ...Object.entries(tokens.radius).map(([name, value]) => [`radius-${name}`, value]),
+  ...Object.entries(tokens.shadows).map(([name, value]) => [`shadow-${name}`, value]),
+  ['width-content', tokens.layout.content],
+  ['width-wide', tokens.layout.wide],
+].map(([name, value]) => `${indent}--${name}: ${value};`).join('\n');
+
+export default resolveTokens;
@@ -0,0 +1,20 @@
+// Escaping helpers for values from the spec that end up in generated source files.
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/[&<>"']/g, (ch) => HTML_ENTITIES[ch]);
+
+// Single-quoted PHP string literal
+export const phpString = (value) => {
+  const escaped = String(value ?? '').replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  return `'${escaped}'`;
+};
+
+export default escapeHtml;
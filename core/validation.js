@@ -0,0 +1,104 @@
+// Common result model for theme validators. Every platform validator
+// resolves to a report built with createReport(), whatever tool it wraps:
+//
+//   {
+//     validator: 'gscan',
+//     ok: false,                       // no error-level issues
+//     counts: { error: 1, warning: 0, info: 2 },
+//     issues: [{
+//       ruleId: 'GS020-POST-REQ',
+//       severity: 'error',             // error | warning | info
+//       file: 'post.hbs',              // relative to the theme root, or null
+//       line: null,                    // 1-based, or null
+//       message: 'A template file called post.hbs must be present',
+//       docUrl: 'https://ghost.org/docs/themes/structure/#templates',
+//       fix: null,                     // short hint on how to resolve it
+//     }],
+//   }
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+// Rules core checks on the spec for every platform (see core/contrast.js and
+// core/features.js); spec.validation.rules configures them next to the
+// platform's own rules
+export const SPEC_RULES = ['color-contrast', 'unknown-feature'];
+
+export const createIssue = ({
+  ruleId,
+  severity = 'error',
+  file = null,
+  line = null,
+  message,
+  docUrl = null,
+  fix = null,
+}) => {
+  if (!SEVERITIES.includes(severity)) throw new Error(`Unknown issue severity: ${severity}`);
+  return {
+    ruleId,
+    severity,
+    file,
+    line,
+    message,
+    docUrl,
+    fix,
+  };
+};
+
+const bySeverityThenFile = (a, b) => (
+  SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+  || (a.file || '').localeCompare(b.file || '')
+  || (a.line || 0) - (b.line || 0)
+);
+
+export const countIssues = (issues) => SEVERITIES.reduce((counts, severity) => ({
+  ...counts,
+  [severity]: issues.filter((i) => i.severity === severity).length,
+}), {});
+
+export const createReport = (validator, issues) => {
+  const sorted = issues.map(createIssue).sort(bySeverityThenFile);
+  const counts = countIssues(sorted);
+  return {
+    validator,
+    ok: counts.error === 0,
+    counts,
+    issues: sorted,
+  };
+};
+
+// spec.validation.rules for validators whose rules take no options:
+// "off" drops a rule's issues, a severity replaces theirs
+export const applyRuleConfig = (issues, rules = {}) => issues.flatMap((issue) => {
+  const setting = [].concat(rules[issue.ruleId] ?? [])[0];
+  if (setting === 'off') return [];
+  return SEVERITIES.includes(setting) ? [{ ...issue, severity: setting }] : [issue];
+});
+
+// True when the report has issues at `failOn` severity or worse.
+// failOn is 'error', 'warning', 'info' or 'none'.
+export const exceedsThreshold = (report, failOn = 'none') => {
+  const limit = SEVERITIES.indexOf(failOn);
+  if (limit === -1) return false;
+  return report.issues.some((i) => SEVERITIES.indexOf(i.severity) <= limit);
+};
+
+// { 'style.css': [issue, ...], '(theme)': [...] } for per-file display
+export const groupByFile = (issues) => issues.reduce((groups, issue) => {
+  const key = issue.file || '(theme)';
+  return { ...groups, [key]: [...(groups[key] || []), issue] };
+}, {});
+
+// Plain text rendering used in build reports and logs
+export const formatReport = (report) => {
+  const { error, warning, info } = report.counts;
+  const lines = [`${report.validator}: ${error} error(s), ${warning} warning(s), ${info} info`];
+  report.issues.forEach((i) => {
+    const where = i.file ? `${i.file}${i.line ? `:${i.line}` : ''}` : '(theme)';
+    lines.push(`- [${i.severity}] ${where} ${i.message} (${i.ruleId})`);
+    if (i.fix) lines.push(`  Fix: ${i.fix}`);
+    if (i.docUrl) lines.push(`  Docs: ${i.docUrl}`);
+  });
+  return lines.join('\n');
+};
+
+export default createReport;
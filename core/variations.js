@@ -0,0 +1,86 @@
+import { adjust, darkPalette, mix } from './color.js';
+
+// Style variations ("the same theme, but darker"). spec.variations lists
+// preset names, which are derived from spec.colors, or declared variations:
+//
+//   "variations": [
+//     "dark",
+//     { "name": "Warm", "colors": { "accent": "#d9480f" }, "fonts": { "heading": "Lora" } },
+//     { "name": "Midnight", "from": "dark", "colors": { "accent": "#7dd3fc" } }
+//   ]
+//
+// Declared colors and fonts are merged over the base spec (or over the
+// preset named by `from`), so every variation has the full set.
+
+const slugify = (str) => str
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '');
+
+export const VARIATION_PRESETS = {
+  // Dark background tinted with the primary hue, light text, brighter links
+  dark: {
+    name: 'Dark',
+    colors: darkPalette,
+  },
+  // Black on white, primary and accent darkened for stronger contrast
+  'high-contrast': {
+    name: 'High contrast',
+    colors: ({ primary, accent }) => ({
+      background: '#ffffff',
+      text: '#000000',
+      primary: adjust(primary, ({ l }) => ({ l: Math.min(l, 0.22) })),
+      accent: adjust(accent, ({ l }) => ({ l: Math.min(l, 0.3) })),
+    }),
+  },
+  // Desaturated colors and softer text
+  muted: {
+    name: 'Muted',
+    colors: ({
+      primary, accent, background, text,
+    }) => ({
+      background: mix(adjust(background, ({ s }) => ({ s: s * 0.45 })), text, 0.04),
+      text: mix(adjust(text, ({ s }) => ({ s: s * 0.45 })), background, 0.15),
+      primary: adjust(primary, ({ s }) => ({ s: s * 0.45 })),
+      accent: adjust(accent, ({ s }) => ({ s: s * 0.45 })),
+    }),
+  },
+};
+
+const baseFonts = (spec) => ({
+  heading: spec.fonts?.heading || null,
+  body: spec.fonts?.body || null,
+});
+
+const fromPreset = (spec, key) => {
+  const preset = VARIATION_PRESETS[key];
+  return {
+    name: preset.name,
+    colors: { ...spec.colors, ...preset.colors(spec.colors) },
+    fonts: baseFonts(spec),
+  };
+};
+
+// [{ name, slug, colors, fonts }] with complete colors and fonts
+export const resolveVariations = (spec) => {
+  const taken = new Set(['default']);
+  return (spec.variations || []).map((entry) => {
+    const declared = typeof entry === 'string' ? { from: entry } : entry;
+    const base = declared.from
+      ? fromPreset(spec, declared.from)
+      : { colors: spec.colors, fonts: baseFonts(spec) };
+    const name = declared.name || base.name;
+    // Two variations may share a name; their files and classes may not
+    let slug = slugify(name) || 'variation';
+    for (let i = 2; taken.has(slug); i += 1) slug = `${slugify(name)}-${i}`;
+    taken.add(slug);
+    return {
+      name,
+      slug,
+      colors: { ...base.colors, ...declared.colors },
+      fonts: { ...base.fonts, ...declared.fonts },
+    };
+  });
+};
+
+export default resolveVariations;
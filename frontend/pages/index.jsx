@@ -1,14 +1,14 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import SiteHeader from "../components/site-header";
 
 const defaultSpec = {
+  specVersion: 2,
   projectName: "Clean Grid Blog",
   platform: "ghost",
   layout: {
     homepage: "grid",
     postPage: "single-column",
     tagPage: "minimal",
-    archivePage: "grid", // WordPress specific
   },
   colors: {
     primary: "#1a1a1a",
@@ -21,12 +21,68 @@ const defaultSpec = {
     body: "Open Sans",
   },
   features: [],
+  navigation: {
+    style: "top-bar",
+    links: [
+      { label: "Home", url: "/" },
+      { label: "About", url: "/about" },
+    ],
+  },
+};
+
+const humanize = (value) => value
+  .replace(/[_-]/g, " ")
+  .replace(/\b\w/g, (l) => l.toUpperCase());
+
+// Layout for a platform switch: keep values the new platform accepts,
+// fall back to its defaults for everything else.
+const layoutFor = (platform, current = {}) => Object.fromEntries(
+  Object.entries(platform.layout).map(([key, { default: fallback, options }]) => [
+    key,
+    options.includes(current[key]) ? current[key] : fallback,
+  ]),
+);
+
+const STAGE_LABELS = {
+  build: "Building theme",
+  validate: "Validating theme",
+  zip: "Packaging",
+  report: "Writing report",
 };
 
+// Derived from the spec colors by the builders (core/variations.js)
+const VARIATION_PRESETS = ["dark", "high-contrast", "muted"];
+
+const SEVERITY_COLORS = { error: "#b91c1c", warning: "#b45309", info: "#2563eb" };
+
+const groupByFile = (issues) => issues.reduce((groups, issue) => {
+  const key = issue.file || "(theme)";
+  return { ...groups, [key]: [...(groups[key] || []), issue] };
+}, {});
+
+const isFinished = (job) => job.status === "succeeded" || job.status === "failed";
+
 export default function ThemeBuilder() {
   const [spec, setSpec] = useState(defaultSpec);
+  const [platforms, setPlatforms] = useState([]);
   const [outputUrl, setOutputUrl] = useState(null);
   const [status, setStatus] = useState("");
+  const [specErrors, setSpecErrors] = useState([]);
+  const [stages, setStages] = useState([]);
+  const [validation, setValidation] = useState(null);
+  // Raw textarea text, so partially typed lines are not dropped while editing
+  const [linksText, setLinksText] = useState(
+    defaultSpec.navigation.links.map((l) => `${l.label} | ${l.url}`).join("\n"),
+  );
+
+  useEffect(() => {
+    fetch("/api/platforms")
+      .then((res) => res.json())
+      .then((data) => setPlatforms(data.platforms || []))
+      .catch((e) => setStatus(`Error: could not load platforms (${e.message})`));
+  }, []);
+
+  const platform = platforms.find((p) => p.name === spec.platform);
 
   const updateSpec = (path, value) => {
     const keys = path.split(".");
@@ -48,24 +104,81 @@ export default function ThemeBuilder() {
     setSpec({ ...spec, features: newFeatures });
   };
 
+  const toggleVariation = (preset) => {
+    const variations = spec.variations || [];
+    const next = variations.includes(preset)
+      ? variations.filter((v) => v !== preset)
+      : [...variations, preset];
+    setSpec({ ...spec, variations: next });
+  };
+
+  const updateStage = (stage) => {
+    setStages((prev) => prev.map((s) => (s.name === stage.name ? stage : s)));
+    if (stage.status === "running") setStatus(`${STAGE_LABELS[stage.name] || stage.name}…`);
+  };
+
+  // Fallback when the event stream is not available (e.g. a buffering proxy)
+  const pollJob = async (id) => {
+    const res = await fetch(`/api/jobs/${id}`);
+    const job = await res.json();
+    setStages(job.stages);
+    if (isFinished(job)) return job;
+    await new Promise((resolve) => { setTimeout(resolve, 1000); });
+    return pollJob(id);
+  };
+
+  const followJob = (id) => new Promise((resolve, reject) => {
+    const events = new EventSource(`/api/jobs/${id}/events`);
+    events.addEventListener("stage", (e) => updateStage(JSON.parse(e.data)));
+    events.addEventListener("done", (e) => {
+      events.close();
+      resolve(JSON.parse(e.data));
+    });
+    events.onerror = () => {
+      events.close();
+      pollJob(id).then(resolve, reject);
+    };
+  });
+
   const handleSubmit = async () => {
     if (!spec.projectName) {
       setStatus("Error: Project Name is required");
       return;
     }
-    setStatus("Building…");
+    setSpecErrors([]);
+    setStatus("Validating…");
     try {
-      const res = await fetch("/api/generate-theme", {
+      const check = await fetch("/api/validate-spec", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(spec),
       });
-      const data = await res.json();
-      if (res.ok) {
-        setOutputUrl(data.download);
-        setStatus(data.message || "Done");
+      const specCheck = await check.json();
+      if (!specCheck.valid) {
+        setSpecErrors(specCheck.errors);
+        setStatus(`Error: the spec has ${specCheck.errors.length} problem(s)`);
+        return;
+      }
+      setStatus("Queued…");
+      setOutputUrl(null);
+      setValidation(null);
+      const res = await fetch("/api/jobs", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(spec),
+      });
+      const created = await res.json();
+      setStages(created.stages);
+      const job = await followJob(created.id);
+      setStages(job.stages);
+      setValidation(job.result?.validation || job.error?.validation || null);
+      if (job.status === "succeeded") {
+        // Build files are served by the API, which the dev server proxies under /api
+        setOutputUrl(`/api${job.result.download}`);
+        setStatus(job.result.message || "Done");
       } else {
-        setStatus(`Error: ${data.error || "Failed to generate theme"}`);
+        setSpecErrors(job.error?.errors || []);
+        setStatus(`Error: ${job.error?.message || "Failed to generate theme"}`);
       }
     } catch (e) {
       setStatus(`Error: ${e.message}`);
@@ -84,7 +197,7 @@ export default function ThemeBuilder() {
         <p style={{ color: "#666", marginBottom: 24 }}>
           Create a production-ready
           {" "}
-          {spec.platform === "wordpress" ? "WordPress" : "Ghost"}
+          {platform ? platform.label : spec.platform}
           {" "}
           theme from a simple specification.
         </p>
@@ -106,84 +219,112 @@ export default function ThemeBuilder() {
           <label htmlFor="platform" style={labelStyle}>Platform *</label>
           <select
             id="platform"
-            value={spec.platform || "ghost"}
+            value={spec.platform}
             onChange={(e) => {
-              const platform = e.target.value;
-              const newLayout = { ...spec.layout };
-
-              // Update layout keys based on platform
-              if (platform === "wordpress") {
-                newLayout.archivePage = newLayout.tagPage || "grid";
-                delete newLayout.tagPage;
-              } else if (platform === "ghost") {
-                newLayout.tagPage = newLayout.archivePage || "minimal";
-                delete newLayout.archivePage;
-              }
-
-              setSpec({ ...spec, platform, layout: newLayout });
+              const next = platforms.find((p) => p.name === e.target.value);
+              const features = (spec.features || []).filter((f) => next.features.includes(f));
+              // Options of the previous platform (spec.<name>) do not carry over
+              const { [spec.platform]: previousSettings, ...rest } = spec;
+              setSpec({
+                ...rest,
+                platform: next.name,
+                layout: layoutFor(next, spec.layout),
+                features,
+              });
             }}
             style={inputStyle}
           >
-            <option value="ghost">Ghost</option>
-            <option value="wordpress">WordPress</option>
+            {platforms.length === 0 && <option value={spec.platform}>{spec.platform}</option>}
+            {platforms.map((p) => (
+              <option key={p.name} value={p.name}>{p.label}</option>
+            ))}
           </select>
         </div>
 
+        {platform && Object.keys(platform.settings || {}).length > 0 && (
+          <div style={sectionStyle}>
+            <h2 style={{ fontSize: 20, marginBottom: 12 }}>{platform.label} Options</h2>
+            {Object.entries(platform.settings).map(([key, setting]) => (
+              <React.Fragment key={key}>
+                <label htmlFor={`setting-${key}`} style={labelStyle}>{humanize(key)}</label>
+                <select
+                  id={`setting-${key}`}
+                  value={spec[platform.name]?.[key] || setting.default}
+                  onChange={(e) => updateSpec(`${platform.name}.${key}`, e.target.value)}
+                  style={inputStyle}
+                >
+                  {setting.options.map((option) => (
+                    <option key={option} value={option}>{humanize(option)}</option>
+                  ))}
+                </select>
+                {setting.description && (
+                  <p style={{ fontSize: 13, color: "#666", marginTop: 4 }}>
+                    {setting.description}
+                  </p>
+                )}
+              </React.Fragment>
+            ))}
+          </div>
+        )}
+
         <div style={sectionStyle}>
           <h2 style={{ fontSize: 20, marginBottom: 12 }}>Layout</h2>
-          <label htmlFor="homepage" style={labelStyle}>Homepage</label>
-          <select
-            id="homepage"
-            value={spec.layout?.homepage || "grid"}
-            onChange={(e) => updateSpec("layout.homepage", e.target.value)}
-            style={inputStyle}
-          >
-            <option value="grid">Grid</option>
-            <option value="list">List</option>
-            <option value="minimal">Minimal</option>
-          </select>
+          {platform && Object.entries(platform.layout).map(([key, { default: fallback, options, descriptions }]) => (
+            <React.Fragment key={key}>
+              <label htmlFor={key} style={labelStyle}>{humanize(key.replace(/([A-Z])/g, " $1"))}</label>
+              <select
+                id={key}
+                value={spec.layout?.[key] || fallback}
+                onChange={(e) => updateSpec(`layout.${key}`, e.target.value)}
+                style={inputStyle}
+              >
+                {options.map((option) => (
+                  <option key={option} value={option}>{humanize(option)}</option>
+                ))}
+              </select>
+              {descriptions?.[spec.layout?.[key] || fallback] && (
+                <p style={{ fontSize: 13, color: "#666", marginTop: 4 }}>
+                  {descriptions[spec.layout?.[key] || fallback]}
+                </p>
+              )}
+            </React.Fragment>
+          ))}
+        </div>
 
-          <label htmlFor="postPage" style={labelStyle}>Post Page</label>
+        <div style={sectionStyle}>
+          <h2 style={{ fontSize: 20, marginBottom: 12 }}>Navigation</h2>
+          <label htmlFor="navigationStyle" style={labelStyle}>Header Style</label>
           <select
-            id="postPage"
-            value={spec.layout?.postPage || "single-column"}
-            onChange={(e) => updateSpec("layout.postPage", e.target.value)}
+            id="navigationStyle"
+            value={spec.navigation?.style || "top-bar"}
+            onChange={(e) => updateSpec("navigation.style", e.target.value)}
             style={inputStyle}
           >
-            <option value="single-column">Single Column</option>
-            <option value="sidebar">With Sidebar</option>
-            <option value="minimal">Minimal</option>
+            <option value="top-bar">Top Bar</option>
+            <option value="centered">Centered</option>
+            <option value="sidebar-drawer">Sidebar Drawer</option>
+            <option value="hamburger">Hamburger Only</option>
+            <option value="mega-menu">Mega Menu</option>
           </select>
 
-          {spec.platform === "ghost" ? (
-            <>
-              <label htmlFor="tagPage" style={labelStyle}>Tag Page</label>
-              <select
-                id="tagPage"
-                value={spec.layout?.tagPage || "minimal"}
-                onChange={(e) => updateSpec("layout.tagPage", e.target.value)}
-                style={inputStyle}
-              >
-                <option value="minimal">Minimal</option>
-                <option value="grid">Grid</option>
-                <option value="list">List</option>
-              </select>
-            </>
-          ) : (
-            <>
-              <label htmlFor="archivePage" style={labelStyle}>Archive Page</label>
-              <select
-                id="archivePage"
-                value={spec.layout?.archivePage || "grid"}
-                onChange={(e) => updateSpec("layout.archivePage", e.target.value)}
-                style={inputStyle}
-              >
-                <option value="grid">Grid</option>
-                <option value="list">List</option>
-                <option value="minimal">Minimal</option>
-              </select>
-            </>
-          )}
+          <label htmlFor="navigationLinks" style={labelStyle}>Default Links (one per line: Label | URL)</label>
+          <textarea
+            id="navigationLinks"
+            rows={4}
+            value={linksText}
+            onChange={(e) => {
+              setLinksText(e.target.value);
+              updateSpec(
+                "navigation.links",
+                e.target.value
+                  .split("\n")
+                  .map((line) => line.split("|").map((part) => part.trim()))
+                  .filter(([label, url]) => label && url)
+                  .map(([label, url]) => ({ label, url })),
+              );
+            }}
+            style={inputStyle}
+          />
         </div>
 
         <div style={sectionStyle}>
@@ -223,6 +364,16 @@ export default function ThemeBuilder() {
             onChange={(e) => updateSpec("colors.text", e.target.value)}
             style={{ ...inputStyle, height: 40 }}
           />
+
+          <label style={{ display: "block", marginTop: 12, cursor: "pointer" }}>
+            <input
+              type="checkbox"
+              checked={Boolean(spec.colors?.autoFix)}
+              onChange={(e) => updateSpec("colors.autoFix", e.target.checked)}
+              style={{ marginRight: 8 }}
+            />
+            Fix low contrast automatically (WCAG AA)
+          </label>
         </div>
 
         <div style={sectionStyle}>
@@ -250,35 +401,32 @@ export default function ThemeBuilder() {
 
         <div style={sectionStyle}>
           <h2 style={{ fontSize: 20, marginBottom: 12 }}>Features</h2>
-          {spec.platform === "wordpress" ? (
-            <>
-              {["gutenberg_blocks", "customizer", "widgets", "menus", "dark_mode", "responsive"].map((feature) => (
-                <label key={feature} style={{ display: "block", marginTop: 8, cursor: "pointer" }}>
-                  <input
-                    type="checkbox"
-                    checked={(spec.features || []).includes(feature)}
-                    onChange={() => toggleFeature(feature)}
-                    style={{ marginRight: 8 }}
-                  />
-                  {feature.replace(/_/g, " ").replace(/\b\w/g, (l) => l.toUpperCase())}
-                </label>
-              ))}
-            </>
-          ) : (
-            <>
-              {["dark_mode", "newsletter_signup", "search", "featured_posts"].map((feature) => (
-                <label key={feature} style={{ display: "block", marginTop: 8, cursor: "pointer" }}>
-                  <input
-                    type="checkbox"
-                    checked={(spec.features || []).includes(feature)}
-                    onChange={() => toggleFeature(feature)}
-                    style={{ marginRight: 8 }}
-                  />
-                  {feature.replace(/_/g, " ").replace(/\b\w/g, (l) => l.toUpperCase())}
-                </label>
-              ))}
-            </>
-          )}
+          {(platform?.features || []).map((feature) => (
+            <label key={feature} style={{ display: "block", marginTop: 8, cursor: "pointer" }}>
+              <input
+                type="checkbox"
+                checked={(spec.features || []).includes(feature)}
+                onChange={() => toggleFeature(feature)}
+                style={{ marginRight: 8 }}
+              />
+              {humanize(feature)}
+            </label>
+          ))}
+        </div>
+
+        <div style={sectionStyle}>
+          <h2 style={{ fontSize: 20, marginBottom: 12 }}>Style Variations</h2>
+          {VARIATION_PRESETS.map((preset) => (
+            <label key={preset} style={{ display: "block", marginTop: 8, cursor: "pointer" }}>
+              <input
+                type="checkbox"
+                checked={(spec.variations || []).includes(preset)}
+                onChange={() => toggleVariation(preset)}
+                style={{ marginRight: 8 }}
+              />
+              {humanize(preset)}
+            </label>
+          ))}
         </div>
 
         <button
@@ -295,6 +443,58 @@ export default function ThemeBuilder() {
           </div>
         )}
 
+        {stages.length > 0 && (
+          <ol style={{ marginTop: 12, paddingLeft: 24 }}>
+            {stages.map((stage) => (
+              <li key={stage.name} style={{ marginTop: 4, color: stage.status === "pending" ? "#999" : "inherit" }}>
+                {STAGE_LABELS[stage.name] || stage.name}
+                {" — "}
+                {stage.status}
+                {stage.durationMs !== undefined && ` (${stage.durationMs} ms)`}
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {validation && validation.issues.length > 0 && (
+          <div style={{ marginTop: 12 }}>
+            <h3 style={{ fontSize: 16, marginBottom: 4 }}>
+              {`Validation (${validation.validator}): `}
+              {`${validation.counts.error} error(s), ${validation.counts.warning} warning(s), `}
+              {`${validation.counts.info} info`}
+            </h3>
+            {Object.entries(groupByFile(validation.issues)).map(([file, issues]) => (
+              <div key={file} style={{ marginTop: 8 }}>
+                <code>{file}</code>
+                <ul style={{ margin: "4px 0", paddingLeft: 24 }}>
+                  {issues.map((issue) => (
+                    <li key={`${issue.ruleId}-${issue.line}-${issue.message}`} style={{ marginTop: 4 }}>
+                      <strong style={{ color: SEVERITY_COLORS[issue.severity] }}>{issue.severity}</strong>
+                      {" "}
+                      {issue.line && `line ${issue.line}: `}
+                      {issue.message}
+                      {issue.fix && <div style={{ color: "#555" }}>{`Fix: ${issue.fix}`}</div>}
+                      {issue.docUrl && (
+                        <a href={issue.docUrl} target="_blank" rel="noreferrer">Docs</a>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {specErrors.length > 0 && (
+          <ul style={{ marginTop: 12, padding: "12px 12px 12px 32px", background: "#fdecea", borderRadius: 4 }}>
+            {specErrors.map((err) => (
+              <li key={`${err.pointer}-${err.keyword}`} style={{ marginTop: 4 }}>
+                <code>{err.pointer || "/"}</code> {err.message}
+              </li>
+            ))}
+          </ul>
+        )}
+
         {outputUrl && (
           <div style={{ marginTop: 16 }}>
             <a
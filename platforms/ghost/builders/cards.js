@@ -0,0 +1,34 @@
+// Koenig editor cards. Ghost can inject its own CSS and JS for each card
+// (package.json config.card_assets); the theme styles every card on top of
+// that in screen.css, so cards look right either way. spec.ghost.cardAssets
+// picks what Ghost injects: true (all), false (none), { include } or
+// { exclude } with the card names below.
+
+export const CARD_ASSETS = [
+  'audio',
+  'blockquote',
+  'bookmark',
+  'button',
+  'callout',
+  'file',
+  'gallery',
+  'header',
+  'nft',
+  'product',
+  'signup',
+  'toggle',
+  'video',
+];
+
+export const cardAssets = (spec) => spec.ghost?.cardAssets ?? true;
+
+// Whether Ghost injects the assets of `card`; the theme adds the scripts of
+// the cards it does not
+export const ghostLoadsCard = (spec, card) => {
+  const setting = cardAssets(spec);
+  if (typeof setting === 'boolean') return setting;
+  if (setting.include) return setting.include.includes(card);
+  return !(setting.exclude || []).includes(card);
+};
+
+export default cardAssets;
@@ -0,0 +1,87 @@
+// Ghost custom theme settings (package.json config.custom), edited in Ghost
+// Admin → Design. spec.ghost.customSettings names the spec values site owners
+// may change there; each setting starts from the spec and the templates read
+// it back through @custom.<key>. Style variations always add color_scheme.
+
+import { parseColor, toHex } from '../../../core/color.js';
+
+// Settings a spec can declare, with the description Ghost Admin shows
+export const CUSTOM_SETTINGS = {
+  accent_color: 'Color of links and buttons',
+  header_style: 'Centered puts the menu under the site title; sticky keeps the header in view',
+  typography: 'The theme fonts or a system font stack',
+  show_featured: 'Show the featured posts section',
+  footer_text: 'Replaces the copyright line in the footer',
+};
+
+// Select options the templates match on
+export const HEADER_STYLES = ['Standard', 'Centered', 'Sticky'];
+
+// Typography options besides the spec fonts; screen.css sets the stack for a
+// typography-<slug> body class
+export const TYPOGRAPHY = [
+  {
+    option: 'Sans-serif',
+    slug: 'sans',
+    stack: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif',
+  },
+  {
+    option: 'Serif',
+    slug: 'serif',
+    stack: 'Charter, "Bitstream Charter", Georgia, Cambria, serif',
+  },
+  {
+    option: 'Monospace',
+    slug: 'mono',
+    stack: 'ui-monospace, "SF Mono", Menlo, Consolas, monospace',
+  },
+];
+
+// Colors the picker cannot show (var(), transparency) are left out as null
+const hexColor = (value) => {
+  const color = parseColor(value);
+  return color && color.a === 1 ? toHex(color) : null;
+};
+
+const definitions = {
+  accent_color: ({ spec }) => {
+    const accent = hexColor(spec.colors.accent);
+    return accent && { type: 'color', default: accent };
+  },
+  header_style: () => ({
+    type: 'select',
+    options: HEADER_STYLES,
+    default: HEADER_STYLES[0],
+  }),
+  typography: () => ({
+    type: 'select',
+    options: ['Theme fonts', ...TYPOGRAPHY.map((t) => t.option)],
+    default: 'Theme fonts',
+  }),
+  // Only themes with a featured posts section have something to hide
+  show_featured: ({ sections }) => sections.types.includes('featured-posts') && {
+    type: 'boolean',
+    default: true,
+    group: 'homepage',
+  },
+  footer_text: () => ({ type: 'text', default: '' }),
+};
+
+// config.custom for the spec, {} when there is nothing to edit
+export const customSettings = (spec, { sections, variations }) => {
+  const keys = spec.ghost?.customSettings || [];
+  const settings = Object.fromEntries(keys
+    .map((key) => [key, definitions[key]?.({ spec, sections })])
+    .filter(([, setting]) => setting)
+    .map(([key, setting]) => [key, { ...setting, description: CUSTOM_SETTINGS[key] }]));
+  return variations.length ? {
+    color_scheme: {
+      type: 'select',
+      options: ['Default', ...variations.map((v) => v.name)],
+      default: 'Default',
+    },
+    ...settings,
+  } : settings;
+};
+
+export default customSettings;
@@ -0,0 +1,30 @@
+// Custom templates (custom-<name>.hbs) Ghost offers in the template picker of
+// posts and pages, named by spec.ghost.customTemplates. The templates of this
+// catalogue have their own markup in templates/_fragments/custom; any other
+// name starts as the post layout, for spec.overrides to replace.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { renderTemplate } from '../../../core/templates.js';
+
+export const CUSTOM_TEMPLATES = {
+  'full-width': 'Title above a full-width feature image and text as wide as the site',
+  landing: 'Only the content, with the title hidden, for pages built from editor cards',
+  'no-feature-image': 'The post layout without the feature image',
+};
+
+export const customTemplates = (spec) => spec.ghost?.customTemplates || [];
+
+const fragmentFor = (name) => (Object.keys(CUSTOM_TEMPLATES).includes(name)
+  ? `${name}.hbs`
+  : 'post.hbs');
+
+export const writeCustomTemplates = async (themePath, templateDir, locals) => {
+  await Promise.all(locals.customTemplates.map(async (name) => fs.writeFile(
+    path.join(themePath, `custom-${name}.hbs`),
+    renderTemplate(path.join(templateDir, '_fragments', 'custom', fragmentFor(name)), locals),
+    'utf8',
+  )));
+};
+
+export default writeCustomTemplates;
@@ -0,0 +1,68 @@
+// Theme translations (locales/<locale>.json). Templates wrap their text, and
+// the spec text they print, in {{t}}; the strings are collected from the
+// built templates, so en.json always matches them. Other locales hold only
+// what the translation source knows: Ghost shows the English string for the
+// rest.
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DEFAULT_LOCALE = 'en';
+
+// {{t "..."}} and the (t "...") subexpression
+const T_CALL = /[{(]t\s+"((?:\\"|[^"])*)"/g;
+
+// Handlebars string literal for `text`, for the t() template local.
+// Handlebars only unescapes \" and keeps every other backslash as written
+// (so does templateStrings), which leaves no way to end a literal with one
+export const hbsString = (text) => {
+  const string = String(text);
+  if (string.endsWith('\\')) {
+    throw new Error(`{{t}} text cannot end with a backslash: ${JSON.stringify(string)}`);
+  }
+  return `"${string.replace(/"/g, '\\"')}"`;
+};
+
+const walk = async (dir) => {
+  const dirents = await fs.readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(dirents.map((d) => {
+    const full = path.join(dir, d.name);
+    if (d.isDirectory()) return walk(full);
+    return d.name.endsWith('.hbs') ? [full] : [];
+  }));
+  return nested.flat();
+};
+
+// Every {{t}} string of the theme, sorted
+export const templateStrings = async (themePath) => {
+  const files = await walk(themePath);
+  const texts = await Promise.all(files.map((file) => fs.readFile(file, 'utf8')));
+  const strings = new Set(texts.flatMap((text) => [...text.matchAll(T_CALL)]
+    .map(([, string]) => string.replace(/\\"/g, '"'))));
+  return [...strings].sort();
+};
+
+const writeLocale = (themePath, locale, strings) => fs.writeFile(
+  path.join(themePath, 'locales', `${locale}.json`),
+  `${JSON.stringify(strings, null, 2)}\n`,
+  'utf8',
+);
+
+// en.json maps each string to itself unless the source rewords it
+export const writeLocales = async (themePath, translations) => {
+  const strings = await templateStrings(themePath);
+  const locales = (translations?.locales || []).filter((locale) => locale !== DEFAULT_LOCALE);
+  const translate = translations?.translate || (async () => ({}));
+  await fs.mkdir(path.join(themePath, 'locales'), { recursive: true });
+  await writeLocale(themePath, DEFAULT_LOCALE, {
+    ...Object.fromEntries(strings.map((string) => [string, string])),
+    ...await translate(DEFAULT_LOCALE, strings),
+  });
+  await Promise.all(locales.map(async (locale) => writeLocale(
+    themePath,
+    locale,
+    await translate(locale, strings),
+  )));
+};
+
+export default writeLocales;
@@ -0,0 +1,106 @@
+// Dynamic routing (routes.yaml) from spec.routes. The spec mirrors Ghost's
+// file, with channels kept apart from custom routes:
+//
+//   routes: {
+//     routes: { '/': { template: 'landing', data: 'page.home' }, '/about/': 'about' },
+//     collections: { '/blog/': { permalink: '/blog/{slug}/', template: 'index' } },
+//     channels: { '/podcast/': { filter: 'tag:podcast', template: 'podcast' } },
+//     taxonomies: { tag: '/topic/{slug}/' },
+//   }
+//
+// Missing collections and taxonomies keep Ghost's defaults. Templates the
+// routes name that the theme lacks are generated: a post feed for
+// collections and channels, the page or post of `data`, or the homepage
+// sections for a route without data.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { renderTemplate } from '../../../core/templates.js';
+
+export const DEFAULT_COLLECTIONS = { '/': { permalink: '/{slug}/', template: 'index' } };
+
+export const DEFAULT_TAXONOMIES = { tag: '/tag/{slug}/', author: '/author/{slug}/' };
+
+// A route is a template name or { template, data, ... }; template may list
+// fallbacks, of which Ghost renders the first that exists
+const routeOptions = (route) => (typeof route === 'string' ? { template: route } : route);
+
+export const templateNames = (template) => [].concat(template || []);
+
+// Every route of the spec as { kind, path, options }
+export const specRoutes = (spec) => {
+  const { routes = {}, collections = DEFAULT_COLLECTIONS, channels = {} } = spec.routes || {};
+  return [
+    ...Object.entries(routes).map(([url, route]) => ({
+      kind: 'route', path: url, options: routeOptions(route),
+    })),
+    ...Object.entries(channels).map(([url, options]) => ({ kind: 'channel', path: url, options })),
+    ...Object.entries(collections).map(([url, options]) => ({
+      kind: 'collection', path: url, options,
+    })),
+  ];
+};
+
+// The routes.yaml document: channels are custom routes with the channel
+// controller
+export const routesConfig = (spec) => {
+  const { collections = DEFAULT_COLLECTIONS, taxonomies = DEFAULT_TAXONOMIES } = spec.routes;
+  const routes = Object.fromEntries(specRoutes(spec)
+    .filter((route) => route.kind !== 'collection')
+    .map(({ kind, path: url, options }) => [
+      url,
+      kind === 'channel' ? { controller: 'channel', ...options } : options,
+    ]));
+  return { routes, collections, taxonomies };
+};
+
+// YAML for plain objects, arrays and scalars, which is all routes.yaml holds
+const scalar = (value) => {
+  if (typeof value !== 'string') return String(value);
+  return /^[\w/.-][^#]*$/.test(value) && !/:(\s|$)|\s$/.test(value) ? value : JSON.stringify(value);
+};
+
+const toYaml = (value, depth = 0) => {
+  const pad = '  '.repeat(depth);
+  return Object.entries(value).map(([key, item]) => {
+    if (Array.isArray(item)) return `${pad}${key}: [${item.map(scalar).join(', ')}]\n`;
+    if (item && typeof item === 'object') return `${pad}${key}:\n${toYaml(item, depth + 1)}`;
+    return `${pad}${key}: ${scalar(item)}\n`;
+  }).join('');
+};
+
+export const routesYaml = (spec) => toYaml(routesConfig(spec));
+
+// Which fragment renders a missing template, and with what
+const generated = ({ kind, options }) => {
+  if (kind !== 'route') return { fragment: 'feed.hbs' };
+  if (options.data) return { fragment: 'entry.hbs', resource: options.data.split('.')[0] };
+  return { fragment: 'landing.hbs' };
+};
+
+const exists = (file) => fs.access(file).then(() => true, () => false);
+
+// Writes routes.yaml and the route templates the theme does not have yet
+export const writeRoutes = async (themePath, templateDir, locals) => {
+  if (!locals.spec.routes) return;
+  await fs.writeFile(path.join(themePath, 'routes.yaml'), routesYaml(locals.spec), 'utf8');
+  const routes = specRoutes(locals.spec).filter((route) => route.options.template);
+  const hasTemplate = (name) => exists(path.join(themePath, `${name}.hbs`));
+  const present = await Promise.all(routes.map(async (route) => (
+    await Promise.all(templateNames(route.options.template).map(hasTemplate))
+  ).includes(true)));
+  const missing = new Map();
+  routes.forEach((route, i) => {
+    const [name] = templateNames(route.options.template);
+    if (!present[i] && !missing.has(name)) missing.set(name, route);
+  });
+  await Promise.all([...missing].map(async ([name, route]) => {
+    const { fragment, resource } = generated(route);
+    const file = path.join(themePath, `${name}.hbs`);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const source = path.join(templateDir, '_fragments', 'routes', fragment);
+    await fs.writeFile(file, renderTemplate(source, { ...locals, resource }), 'utf8');
+  }));
+};
+
+export default writeRoutes;
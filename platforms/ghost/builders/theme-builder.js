@@ -0,0 +1,167 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { darkPalette, emphasize } from '../../../core/color.js';
+import {
+  NO_FONTS, fontFaceCSS, withFallback, writeFontFiles,
+} from '../../../core/fonts.js';
+import { postLayoutScript } from '../../../core/layouts.js';
+import { isSiteRelative, resolveNavigation } from '../../../core/navigation.js';
+import { renderedSections, resolveSections } from '../../../core/sections.js';
+import { renderTemplate, renderTemplateDir } from '../../../core/templates.js';
+import { cssCustomProperties, resolveTokens } from '../../../core/tokens.js';
+import { resolveVariations } from '../../../core/variations.js';
+import { cardAssets, ghostLoadsCard } from './cards.js';
+import { TYPOGRAPHY, customSettings } from './custom-settings.js';
+import { customTemplates, writeCustomTemplates } from './custom-templates.js';
+import { hbsString, writeLocales } from './locales.js';
+import { writeRoutes } from './routes.js';
+
+const templateDir = fileURLToPath(new URL('../templates', import.meta.url));
+
+const slugify = (str) => str
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '');
+
+const FEATURED_SECTION = { type: 'featured-posts', id: 'featured', headline: 'Featured' };
+
+// The featured_posts flag adds a featured-posts section just above the feed,
+// unless the spec places one itself
+const specSections = (spec, has) => {
+  const list = Array.isArray(spec.sections) ? spec.sections : [];
+  if (!has('featured_posts') || list.some((section) => section.type === 'featured-posts')) {
+    return list;
+  }
+  const feed = list.findIndex((section) => section.type === 'posts');
+  return feed === -1
+    ? [...list, FEATURED_SECTION]
+    : [...list.slice(0, feed), FEATURED_SECTION, ...list.slice(feed)];
+};
+
+// Values every template can use besides the spec itself
+const templateLocals = (spec, fonts) => {
+  const features = Array.isArray(spec.features) ? spec.features : [];
+  const has = (feature) => features.includes(feature);
+  const tokens = resolveTokens(spec);
+  const sections = resolveSections({ ...spec, sections: specSections(spec, has) });
+  const variations = resolveVariations(spec);
+  return {
+    spec,
+    tokens,
+    tokenProperties: cssCustomProperties(tokens),
+    // Packaged fonts: @font-face rules (screen.css sits in assets/css) and
+    // stacks with the metric-adjusted fallback after the web font
+    fontFaces: fontFaceCSS(fonts, '../fonts'),
+    fontStack: (font) => withFallback(font, fonts),
+    nav: resolveNavigation(spec),
+    sections,
+    // Table of contents or reading progress for the post layout, in main.js
+    postScript: postLayoutScript(spec.layout?.postPage, {
+      content: '.post-content',
+      article: '.post-full',
+    }),
+    variations,
+    // config.custom; default.hbs turns color_scheme into a scheme-<slug> body
+    // class, the other settings are read where they apply
+    custom: customSettings(spec, { sections, variations }),
+    typography: TYPOGRAPHY,
+    // Names of the custom-<name>.hbs templates
+    customTemplates: customTemplates(spec),
+    // Whether Ghost injects a Koenig card's CSS and JS (config.card_assets)
+    ghostLoadsCard: (card) => ghostLoadsCard(spec, card),
+    // Palette behind the dark mode toggle
+    dark: darkPalette(spec.colors),
+    // Link hover color that keeps (or raises) the contrast with the background
+    hover: (colors) => emphasize(colors.accent, colors.background),
+    has,
+    // Spec text as a {{t}} call, so locales/*.json translate it like the
+    // template text
+    t: (text) => `{{t ${hbsString(text)}}}`,
+    // Site-relative links need the site URL so they work on subdirectory installs
+    linkUrl: (url) => (isSiteRelative(url) ? `{{@site.url}}${url}` : url),
+  };
+};
+
+// Feeds that fill rows of three get a multiple of three (plus the featured
+// card on magazine); list-style feeds read better a little shorter
+const POSTS_PER_PAGE = {
+  grid: 9,
+  list: 8,
+  minimal: 20,
+  magazine: 10,
+  masonry: 12,
+  'hero-list': 8,
+  portfolio: 12,
+  newsletter: 10,
+  timeline: 15,
+};
+
+// Widths Ghost resizes feature images to for {{img_url size=""}}
+const IMAGE_SIZES = {
+  s: { width: 400 },
+  m: { width: 750 },
+  l: { width: 1200 },
+  xl: { width: 2000 },
+};
+
+const themePackage = (slug, spec, custom) => ({
+  name: slug,
+  version: '0.1.0',
+  engines: { ghost: '>=5.0.0' },
+  author: { name: 'ThemeSmith', email: 'demo@themesmith.dev' },
+  keywords: ['ghost-theme'],
+  config: {
+    posts_per_page: POSTS_PER_PAGE[spec.layout?.homepage] || 5,
+    image_sizes: IMAGE_SIZES,
+    card_assets: cardAssets(spec),
+    custom: Object.keys(custom).length ? custom : undefined,
+  },
+});
+
+// One partial per section, partials/sections/<id>.hbs, which index.hbs and
+// the footer load in spec order
+const writeSections = async (themePath, locals) => {
+  const sections = renderedSections(locals.sections);
+  if (!sections.length) return;
+  await fs.mkdir(path.join(themePath, 'partials', 'sections'), { recursive: true });
+  await Promise.all(sections.map((section) => fs.writeFile(
+    path.join(themePath, 'partials', 'sections', `${section.id}.hbs`),
+    renderTemplate(path.join(templateDir, '_fragments', 'sections', `${section.type}.hbs`), {
+      ...locals,
+      section,
+    }),
+    'utf8',
+  )));
+};
+
+export const buildGhostThemeFromSpec = async (spec, {
+  outDir = path.resolve('output'),
+  fonts = NO_FONTS,
+  translations,
+} = {}) => {
+  const slug = slugify(spec.projectName || 'theme');
+  const themePath = path.join(outDir, slug);
+
+  // Start from an empty directory so files from an earlier build never linger
+  await fs.rm(themePath, { recursive: true, force: true });
+  await fs.mkdir(path.join(themePath, 'assets', 'images'), { recursive: true });
+  const locals = templateLocals(spec, fonts);
+  await renderTemplateDir(templateDir, themePath, locals);
+  await writeSections(themePath, locals);
+  await writeCustomTemplates(themePath, templateDir, locals);
+  // After every other template, so routes only generate the ones still missing
+  await writeRoutes(themePath, templateDir, locals);
+  // Last, so every {{t}} string is in place
+  await writeLocales(themePath, translations);
+  await writeFontFiles(themePath, fonts);
+  await fs.writeFile(
+    path.join(themePath, 'package.json'),
+    `${JSON.stringify(themePackage(slug, spec, locals.custom), null, 2)}\n`,
+    'utf8',
+  );
+
+  return themePath;
+};
+
+export default buildGhostThemeFromSpec;
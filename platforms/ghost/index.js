@@ -0,0 +1,45 @@
+import { readFileSync } from 'fs';
+import { withSectionPairs } from '../../core/sections.js';
+import { buildGhostThemeFromSpec } from './builders/theme-builder.js';
+import validateGhostTheme from './validators/gscan.js';
+
+const schema = JSON.parse(readFileSync(new URL('./schema.json', import.meta.url), 'utf8'));
+
+const COLOR_PAIRS = [
+  {
+    foreground: 'text', background: 'background', usage: 'Body text', minRatio: 4.5,
+  },
+  {
+    foreground: 'accent', background: 'background', usage: 'Links', minRatio: 4.5,
+  },
+  {
+    foreground: 'primary',
+    background: 'background',
+    usage: 'Site title and current navigation item',
+    minRatio: 4.5,
+  },
+];
+
+export default {
+  name: 'ghost',
+  label: 'Ghost',
+  schema,
+  layout: {
+    homepage: 'grid',
+    postPage: 'single-column',
+    tagPage: 'minimal',
+  },
+  features: [
+    'dark_mode',
+    'newsletter_signup',
+    'search',
+    'featured_posts',
+    'comments',
+    'related_posts',
+    'reading_time',
+    'share_buttons',
+  ],
+  colorPairs: (spec) => withSectionPairs(COLOR_PAIRS, spec),
+  build: buildGhostThemeFromSpec,
+  validate: validateGhostTheme,
+};
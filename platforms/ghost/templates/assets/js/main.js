@@ -0,0 +1,44 @@
+document.addEventListener('DOMContentLoaded',()=>{
+  console.log('ThemeSmith theme loaded');
+<% if (nav.toggled) { -%>
+  const navRoot=document.documentElement;
+  const toggle=document.querySelector('.nav-toggle');
+  const setOpen=(open)=>{navRoot.classList.toggle('nav-open',open);
+    if(toggle) toggle.setAttribute('aria-expanded',open?'true':'false');};
+  if(toggle){toggle.addEventListener('click',()=>setOpen(!navRoot.classList.contains('nav-open')));}
+  document.querySelectorAll('[data-nav-close]').forEach((el)=>el.addEventListener('click',()=>setOpen(false)));
+  document.addEventListener('keydown',(e)=>{if(e.key==='Escape') setOpen(false);});
+<% } -%>
+<% if (has('dark_mode')) { -%>
+  const root=document.documentElement;
+  const key='ts_dark';
+  const btn=document.getElementById('dark-mode-toggle');
+  const apply=(on)=>{on?root.classList.add('dark'):root.classList.remove('dark');
+    if(btn) btn.textContent=on?btn.dataset.labelLight:btn.dataset.labelDark;};
+  let pref=localStorage.getItem(key);
+  if(pref===null){pref=window.matchMedia&&window.matchMedia('(prefers-color-scheme: dark)').matches?'1':'0';}
+  const enabled=pref==='1';
+  apply(enabled);
+  if(btn){btn.addEventListener('click',()=>{const cur=document.documentElement.classList.contains('dark');
+    const next=!cur; apply(next); localStorage.setItem(key,next?'1':'0');});}
+<% } -%>
+<% if (has('share_buttons')) { -%>
+  document.querySelectorAll('[data-share-copy]').forEach((el)=>el.addEventListener('click',()=>{
+    if(!navigator.clipboard) return;
+    navigator.clipboard.writeText(el.dataset.shareCopy).then(()=>{el.textContent=el.dataset.copied;});}));
+<% } -%>
+<% if (!ghostLoadsCard('toggle')) { -%>
+  document.querySelectorAll('.kg-toggle-card').forEach((card)=>{
+    const heading=card.querySelector('.kg-toggle-heading');
+    if(heading){heading.addEventListener('click',()=>{const open=card.dataset.kgToggleState==='open';
+      card.dataset.kgToggleState=open?'close':'open';});}});
+<% } -%>
+<% if (!ghostLoadsCard('gallery')) { -%>
+  document.querySelectorAll('.kg-gallery-image img').forEach((img)=>{
+    const {width,height}=img.attributes;
+    if(width&&height) img.closest('.kg-gallery-image').style.flex=`${width.value/height.value} 1 0%`;});
+<% } -%>
+<% if (postScript) { -%>
+<%- indent(postScript, 2) -%>
+<% } -%>
+});
@@ -0,0 +1,60 @@
+import gscan from 'gscan';
+import { applyRuleConfig, createReport } from '../../../core/validation.js';
+import { checkLocales } from './locales.js';
+import { checkRoutes } from './routes.js';
+
+const SEVERITY = {
+  error: 'error',
+  warning: 'warning',
+  recommendation: 'info',
+};
+
+// gscan messages are HTML; reports are plain text
+const stripHtml = (html = '') => html
+  .replace(/<br\s*\/?>/gi, ' ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const firstLink = (html = '') => html.match(/href="([^"]+)"/)?.[1] || null;
+
+const lineOf = (failure) => failure.line
+  || Number(failure.message?.match(/line (\d+)/i)?.[1])
+  || null;
+
+const toIssues = (result, severity) => {
+  const base = {
+    ruleId: result.code,
+    severity,
+    docUrl: firstLink(result.details),
+    fix: stripHtml(result.rule),
+  };
+  const failures = result.failures?.length ? result.failures : [{}];
+  return failures.map((failure) => {
+    const message = stripHtml(failure.message || result.rule);
+    return {
+      ...base,
+      file: failure.ref || result.path || null,
+      line: lineOf(failure),
+      message,
+      fix: base.fix === message ? null : base.fix,
+    };
+  });
+};
+
+// Runs gscan's checker in-process and maps its results to the common report,
+// with the checks of spec.routes (route-template, route-conflict) and
+// spec.i18n (missing-translation). spec.validation.rules can switch off or
+// re-grade any of them.
+const validateGhostTheme = async (themePath, { spec } = {}) => {
+  const theme = gscan.format(await gscan.check(themePath));
+  const issues = [
+    ...Object.entries(SEVERITY).flatMap(([level, severity]) => theme.results[level]
+      .flatMap((result) => toIssues(result, severity))),
+    ...await checkRoutes(themePath, spec),
+    ...await checkLocales(themePath, spec),
+  ];
+  return createReport('gscan', applyRuleConfig(issues, spec?.validation?.rules));
+};
+
+export default validateGhostTheme;
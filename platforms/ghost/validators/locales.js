@@ -0,0 +1,35 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_LOCALE } from '../builders/locales.js';
+
+const DOC_URL = 'https://ghost.org/docs/themes/translations/';
+
+const readLocale = (themePath, locale) => fs
+  .readFile(path.join(themePath, 'locales', `${locale}.json`), 'utf8')
+  .then(JSON.parse, () => null);
+
+// Reports, per spec.i18n locale, the template strings its locale file does
+// not translate; Ghost shows those in English
+export const checkLocales = async (themePath, spec) => {
+  const locales = (spec?.i18n?.locales || []).filter((locale) => locale !== DEFAULT_LOCALE);
+  if (!locales.length) return [];
+  const strings = Object.keys(await readLocale(themePath, DEFAULT_LOCALE) || {});
+  const issues = await Promise.all(locales.map(async (locale) => {
+    const translated = await readLocale(themePath, locale) || {};
+    const missing = strings.filter((string) => !translated[string]);
+    if (!missing.length) return [];
+    const sample = missing.slice(0, 3).map((string) => `"${string}"`).join(', ');
+    return [{
+      ruleId: 'missing-translation',
+      severity: 'info',
+      file: `locales/${locale}.json`,
+      docUrl: DOC_URL,
+      message: `${missing.length} of ${strings.length} strings are not translated `
+        + `and show in English (${sample}${missing.length > 3 ? ', ...' : ''})`,
+      fix: `Add the ${locale} texts to the translation source (i18n.source)`,
+    }];
+  }));
+  return issues.flat();
+};
+
+export default checkLocales;
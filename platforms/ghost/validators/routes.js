@@ -0,0 +1,47 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { specRoutes, templateNames } from '../builders/routes.js';
+
+const DOC_URL = 'https://ghost.org/docs/themes/routing/';
+
+const routeIssue = (ruleId, message, fix) => ({
+  ruleId,
+  severity: 'error',
+  file: 'routes.yaml',
+  docUrl: DOC_URL,
+  message,
+  fix,
+});
+
+// Checks spec.routes against the built theme: every route renders a template
+// the theme has, and no URL is claimed twice
+export const checkRoutes = async (themePath, spec) => {
+  if (!spec?.routes) return [];
+  const routes = specRoutes(spec);
+  const hasTemplate = (name) => fs.access(path.join(themePath, `${name}.hbs`))
+    .then(() => true, () => false);
+
+  const missing = await Promise.all(routes.map(async ({ kind, path: url, options }) => {
+    const names = templateNames(options.template);
+    const found = await Promise.all(names.map(hasTemplate));
+    if (!names.length || found.includes(true)) return [];
+    return [routeIssue(
+      'route-template',
+      `The ${kind} ${url} renders ${names.join(' or ')}, which the theme does not have`,
+      `Add ${names[0]}.hbs, for example through overrides, or name an existing template`,
+    )];
+  }));
+
+  const conflicts = routes
+    .map((route) => ({ route, first: routes.find((other) => other.path === route.path) }))
+    .filter(({ route, first }) => first !== route)
+    .map(({ route, first }) => routeIssue(
+      'route-conflict',
+      `${route.path} is both a ${first.kind} and a ${route.kind}`,
+      'Give each its own URL; without routes.collections the posts collection is at /',
+    ));
+
+  return [...missing.flat(), ...conflicts];
+};
+
+export default checkRoutes;
@@ -0,0 +1,108 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { NO_FONTS, fallbackFaceCSS, writeFontFiles } from '../../../core/fonts.js';
+import { postLayoutScript } from '../../../core/layouts.js';
+import { isSiteRelative, resolveNavigation } from '../../../core/navigation.js';
+import { resolveSections } from '../../../core/sections.js';
+import { renderTemplateDir } from '../../../core/templates.js';
+import { resolveTokens } from '../../../core/tokens.js';
+import { phpString } from '../../../core/utils/escape.js';
+import { generateBlockThemeJSON } from './block-theme-json.js';
+import { BLOCK_REQUIREMENTS, generateReadmeTxt } from './readme-txt.js';
+import { renderScreenshot } from './screenshot.js';
+import { writeStyleVariations } from './style-variations.js';
+
+// Block theme output (wordpress.mode: "block"): templates/*.html, parts/,
+// patterns/*.php and a theme.json v3 that carries every style, so the whole
+// theme is editable in the Site Editor. Markup lives in templates/block.
+
+const templateDir = fileURLToPath(new URL('../templates/block', import.meta.url));
+
+// Attributes of core/navigation per navigation.style
+const NAVIGATION_ATTRS = {
+  'top-bar': { overlayMenu: 'mobile', layout: { type: 'flex', justifyContent: 'right' } },
+  centered: { overlayMenu: 'mobile', layout: { type: 'flex', justifyContent: 'center' } },
+  'sidebar-drawer': { overlayMenu: 'always', layout: { type: 'flex', orientation: 'vertical' } },
+  hamburger: { overlayMenu: 'always', layout: { type: 'flex', justifyContent: 'right' } },
+  'mega-menu': {
+    overlayMenu: 'mobile',
+    openSubmenusOnClick: true,
+    className: 'mega-menu',
+    layout: { type: 'flex', justifyContent: 'right' },
+  },
+};
+
+// Block comment attributes, escaped the way serialize_block_attributes() does
+export const blockAttrs = (value) => JSON.stringify(value)
+  .replace(/--/g, '\\u002d\\u002d')
+  .replace(/</g, '\\u003c')
+  .replace(/>/g, '\\u003e')
+  .replace(/&/g, '\\u0026')
+  .replace(/\\"/g, '\\u0022');
+
+// Site-relative links go through home_url() so subdirectory installs work;
+// patterns are PHP, so the URL is resolved when the pattern is loaded
+const URL_PLACEHOLDER = '__themesmith_url__';
+const linkAttrs = (link) => {
+  const json = blockAttrs({ label: link.label, url: URL_PLACEHOLDER, kind: 'custom' });
+  const url = isSiteRelative(link.url)
+    ? `<?php echo esc_url( home_url( ${phpString(link.url)} ) ); ?>`
+    : blockAttrs(link.url).slice(1, -1);
+  return json.replace(URL_PLACEHOLDER, url);
+};
+
+// Table of contents or reading progress for the post layout ('' for none)
+const postScriptFor = (spec) => postLayoutScript(spec.layout.postPage, {
+  content: '.wp-block-post-content',
+  article: '.wp-block-post-content',
+});
+
+const templateLocals = (spec, { slug, prefix, fonts }) => {
+  const features = Array.isArray(spec.features) ? spec.features : [];
+  const nav = resolveNavigation(spec);
+  return {
+    spec,
+    slug,
+    prefix,
+    nav,
+    layout: spec.layout,
+    sections: resolveSections(spec),
+    tokens: resolveTokens(spec),
+    fallbackFaces: fallbackFaceCSS(fonts),
+    requirements: BLOCK_REQUIREMENTS,
+    postScript: Boolean(postScriptFor(spec)),
+    has: (feature) => features.includes(feature),
+    attrs: blockAttrs,
+    linkAttrs,
+    navigationAttrs: NAVIGATION_ATTRS[nav.style] || NAVIGATION_ATTRS['top-bar'],
+    php: phpString,
+  };
+};
+
+// Renders into `themePath`, which the caller has created empty
+export const buildWordPressBlockTheme = async (spec, {
+  themePath, slug, prefix, fonts = NO_FONTS,
+}) => {
+  await renderTemplateDir(templateDir, themePath, templateLocals(spec, { slug, prefix, fonts }));
+  await writeFontFiles(themePath, fonts);
+  const postScript = postScriptFor(spec);
+  if (postScript) {
+    await fs.mkdir(path.join(themePath, 'assets', 'js'), { recursive: true });
+    await fs.writeFile(path.join(themePath, 'assets', 'js', 'post-layout.js'), postScript, 'utf8');
+  }
+  await fs.writeFile(
+    path.join(themePath, 'theme.json'),
+    `${JSON.stringify(generateBlockThemeJSON(spec, { fonts }), null, 2)}\n`,
+    'utf8',
+  );
+  await writeStyleVariations(themePath, spec, { version: 3, fonts });
+  await fs.writeFile(path.join(themePath, 'readme.txt'), generateReadmeTxt(spec, {
+    ...BLOCK_REQUIREMENTS,
+    description: 'a block theme: every template, part and style can be edited in the Site Editor',
+  }), 'utf8');
+  await fs.writeFile(path.join(themePath, 'screenshot.png'), renderScreenshot(spec.colors));
+  return themePath;
+};
+
+export default buildWordPressBlockTheme;
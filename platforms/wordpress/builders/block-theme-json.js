@@ -0,0 +1,191 @@
+import {
+  FONT_DIR, NO_FONTS, facesFor, withFallback,
+} from '../../../core/fonts.js';
+import { resolveTokens } from '../../../core/tokens.js';
+
+// theme.json (version 3) for block themes. Unlike the classic theme.json it
+// drives every style: the palette, fonts, sizes and spacing presets become
+// the --wp--preset--* variables the templates and patterns use.
+
+const FALLBACK_STACK = 'system-ui, -apple-system, "Segoe UI", sans-serif';
+
+// "Open Sans" → '"Open Sans", system-ui, ...'; full stacks are kept.
+// Packaged fonts get their metric-adjusted fallback after the web font.
+export const fontStack = (font, fonts = NO_FONTS) => {
+  if (!font) return FALLBACK_STACK;
+  if (font.includes(',')) return withFallback(font, fonts);
+  const name = /\s/.test(font) && !/^["']/.test(font) ? `"${font}"` : font;
+  return withFallback(`${name}, ${FALLBACK_STACK}`, fonts);
+};
+
+// theme.json fontFace entries for the packaged files of a font; WordPress
+// prints the @font-face rules (the fallbacks go in style.css, since
+// theme.json cannot express local() sources)
+export const fontFaces = (font, fonts = NO_FONTS) => facesFor(font, fonts).map((face) => ({
+  fontFamily: face.family,
+  fontWeight: face.weight,
+  fontStyle: face.style,
+  fontDisplay: fonts.display,
+  src: [`file:./${FONT_DIR}/${face.file}`],
+}));
+
+// A fontFamilies preset, with fontFace when the font is packaged
+export const fontFamilyPreset = (slug, name, font, fonts = NO_FONTS) => {
+  const faces = fontFaces(font, fonts);
+  return {
+    slug,
+    name,
+    fontFamily: fontStack(font, fonts),
+    ...(faces.length && { fontFace: faces }),
+  };
+};
+
+const preset = (type, slug) => `var(--wp--preset--${type}--${slug})`;
+
+// Sizes from the type scale; the two smallest stay fixed, larger ones
+// shrink to three quarters on small screens
+const fluidFontSizes = (fontSizes) => fontSizes.map((size, i) => {
+  if (i < 2) return { ...size, fluid: false };
+  const [, value, unit] = size.size.match(/^([\d.]+)(.*)$/);
+  return { ...size, fluid: { min: `${Number((value * 0.75).toFixed(3))}${unit}`, max: size.size } };
+});
+
+// Without tokens.layout.content, minimal post layouts get a narrower column
+const MINIMAL_CONTENT_SIZE = '640px';
+
+const contentSize = (spec, tokens) => {
+  const minimal = spec.layout.postPage === 'minimal' && !spec.tokens?.layout?.content;
+  return minimal ? MINIMAL_CONTENT_SIZE : tokens.layout.content;
+};
+
+const titleCase = (slug) => slug[0].toUpperCase() + slug.slice(1);
+
+export const generateBlockThemeJSON = (spec, {
+  tokens = resolveTokens(spec),
+  fonts = NO_FONTS,
+} = {}) => ({
+  $schema: 'https://schemas.wp.org/wp/6.6/theme.json',
+  version: 3,
+  settings: {
+    appearanceTools: true,
+    useRootPaddingAwareAlignments: true,
+    color: {
+      defaultPalette: false,
+      defaultGradients: false,
+      defaultDuotone: false,
+      palette: ['primary', 'accent', 'background', 'text'].map((slug) => ({
+        slug,
+        color: spec.colors[slug],
+        name: titleCase(slug),
+      })),
+    },
+    shadow: {
+      defaultPresets: false,
+      presets: Object.entries(tokens.shadows)
+        .map(([slug, shadow]) => ({ slug, name: titleCase(slug), shadow })),
+    },
+    typography: {
+      defaultFontSizes: false,
+      fluid: true,
+      fontFamilies: [
+        fontFamilyPreset('heading', 'Heading', spec.fonts?.heading, fonts),
+        fontFamilyPreset('body', 'Body', spec.fonts?.body, fonts),
+      ],
+      fontSizes: fluidFontSizes(tokens.fontSizes),
+    },
+    spacing: {
+      defaultSpacingSizes: false,
+      spacingSizes: tokens.spacingSizes,
+      units: ['px', 'em', 'rem', 'vh', 'vw', '%'],
+    },
+    layout: {
+      contentSize: contentSize(spec, tokens),
+      wideSize: tokens.layout.wide,
+    },
+    // --wp--custom--radius--* (theme.json has no radius presets)
+    custom: { radius: tokens.radius },
+  },
+  styles: {
+    color: {
+      background: preset('color', 'background'),
+      text: preset('color', 'text'),
+    },
+    typography: {
+      fontFamily: preset('font-family', 'body'),
+      fontSize: preset('font-size', 'medium'),
+      lineHeight: '1.6',
+    },
+    spacing: {
+      blockGap: preset('spacing', '40'),
+      padding: {
+        left: preset('spacing', '50'),
+        right: preset('spacing', '50'),
+      },
+    },
+    elements: {
+      link: {
+        color: { text: preset('color', 'primary') },
+        ':hover': { color: { text: preset('color', 'accent') } },
+      },
+      heading: {
+        typography: {
+          fontFamily: preset('font-family', 'heading'),
+          fontWeight: '600',
+          lineHeight: '1.2',
+        },
+      },
+      h1: { typography: { fontSize: preset('font-size', 'xx-large') } },
+      h2: { typography: { fontSize: preset('font-size', 'x-large') } },
+      h3: { typography: { fontSize: preset('font-size', 'large') } },
+      button: {
+        color: {
+          background: preset('color', 'accent'),
+          text: preset('color', 'background'),
+        },
+        typography: { fontWeight: '500' },
+        border: { radius: 'var(--wp--custom--radius--medium)' },
+        ':hover': { color: { background: preset('color', 'primary') } },
+      },
+      caption: { typography: { fontSize: preset('font-size', 'small') } },
+    },
+    blocks: {
+      'core/site-title': {
+        typography: { fontFamily: preset('font-family', 'heading'), fontWeight: '700' },
+        elements: { link: { color: { text: 'inherit' } } },
+      },
+      'core/navigation': {
+        typography: { fontSize: preset('font-size', 'small') },
+      },
+      'core/post-title': {
+        elements: { link: { color: { text: 'inherit' } } },
+      },
+      'core/post-date': {
+        typography: { fontSize: preset('font-size', 'small') },
+      },
+      'core/post-terms': {
+        typography: { fontSize: preset('font-size', 'small') },
+      },
+      'core/quote': {
+        border: { left: { color: preset('color', 'accent'), width: '3px', style: 'solid' } },
+        spacing: { padding: { left: preset('spacing', '40') } },
+      },
+      'core/separator': {
+        color: { text: preset('color', 'accent') },
+      },
+      'core/post-featured-image': {
+        border: { radius: 'var(--wp--custom--radius--large)' },
+      },
+    },
+  },
+  templateParts: [
+    { name: 'header', title: 'Header', area: 'header' },
+    { name: 'footer', title: 'Footer', area: 'footer' },
+    { name: 'sidebar', title: 'Sidebar', area: 'uncategorized' },
+  ],
+  customTemplates: [
+    { name: 'page-wide', title: 'Wide page', postTypes: ['page'] },
+    { name: 'page-no-title', title: 'Page without title', postTypes: ['page'] },
+  ],
+});
+
+export default generateBlockThemeJSON;
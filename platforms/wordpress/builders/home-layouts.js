@@ -0,0 +1,389 @@
+// Homepage layouts of the classic theme. index.php loads
+// template-parts/home-<layout>.php for the spec's layout.homepage; layouts
+// built from cards share template-parts/content-card.php, which takes a
+// "featured" argument for the large card that leads the magazine layout.
+
+/* eslint-disable max-len -- PHP markup lines stay whole */
+
+const contentCardPHP = (slug) => `<?php
+/**
+ * A post as a card in the homepage feed
+ *
+ * @package ${slug}
+ */
+
+$featured = ! empty($args['featured']);
+?>
+<article id="post-<?php the_ID(); ?>" <?php post_class($featured ? 'post-card post-card-featured' : 'post-card'); ?>>
+    <?php if (has_post_thumbnail()) : ?>
+        <a class="post-card-image" href="<?php echo esc_url(get_permalink()); ?>" tabindex="-1" aria-hidden="true">
+            <?php the_post_thumbnail($featured ? 'large' : 'medium_large'); ?>
+        </a>
+    <?php endif; ?>
+    <div class="post-card-content">
+        <?php
+        $categories = get_the_category();
+        if ($categories) : ?>
+            <a class="post-card-tag" href="<?php echo esc_url(get_category_link($categories[0])); ?>"><?php echo esc_html($categories[0]->name); ?></a>
+        <?php endif; ?>
+        <?php the_title('<h2 class="post-card-title"><a href="' . esc_url(get_permalink()) . '" rel="bookmark">', '</a></h2>'); ?>
+        <div class="post-card-excerpt"><?php the_excerpt(); ?></div>
+        <time class="post-card-date" datetime="<?php echo esc_attr(get_the_date('c')); ?>"><?php echo esc_html(get_the_date()); ?></time>
+    </div>
+</article>
+`;
+
+const cardLoop = (className) => `<div class="posts-container ${className}">
+    <?php
+    while (have_posts()) :
+        the_post();
+        get_template_part('template-parts/content', 'card');
+    endwhile;
+    ?>
+</div>`;
+
+const titleLoop = `<ul class="posts-container posts-minimal">
+    <?php while (have_posts()) : the_post(); ?>
+        <li class="post-line">
+            <a href="<?php echo esc_url(get_permalink()); ?>"><?php the_title(); ?></a>
+            <time datetime="<?php echo esc_attr(get_the_date('c')); ?>"><?php echo esc_html(get_the_date()); ?></time>
+        </li>
+    <?php endwhile; ?>
+</ul>`;
+
+// Only on the first page, so older pages go straight to the posts
+const hero = `<?php if (! is_paged()) : ?>
+    <section class="home-hero">
+        <h1 class="home-hero-title"><?php bloginfo('name'); ?></h1>
+        <?php
+        $description = get_bloginfo('description', 'display');
+        if ($description) : ?>
+            <p class="home-hero-description"><?php echo esc_html($description); ?></p>
+        <?php endif; ?>
+    </section>
+<?php endif; ?>`;
+
+const layoutMarkup = {
+  grid: () => cardLoop('posts-grid'),
+  list: () => cardLoop('posts-list'),
+  minimal: () => titleLoop,
+  sidebar: () => `<div class="content-area">
+    ${cardLoop('posts-list')}
+    <div class="widget-area">
+        <?php get_sidebar(); ?>
+    </div>
+</div>`,
+  magazine: () => `<div class="posts-container posts-magazine">
+    <?php
+    while (have_posts()) :
+        the_post();
+        // The newest post leads the first page
+        get_template_part('template-parts/content', 'card', array(
+            'featured' => ! is_paged() && 0 === $GLOBALS['wp_query']->current_post,
+        ));
+    endwhile;
+    ?>
+</div>`,
+  masonry: () => cardLoop('posts-masonry'),
+  'hero-list': () => `${hero}
+${cardLoop('posts-list')}`,
+  portfolio: () => `<div class="posts-container posts-portfolio">
+    <?php while (have_posts()) : the_post(); ?>
+        <a id="post-<?php the_ID(); ?>" <?php post_class(has_post_thumbnail() ? 'portfolio-tile' : 'portfolio-tile portfolio-tile-text'); ?> href="<?php echo esc_url(get_permalink()); ?>">
+            <?php the_post_thumbnail('medium_large'); ?>
+            <span class="portfolio-tile-title"><?php the_title(); ?></span>
+        </a>
+    <?php endwhile; ?>
+</div>`,
+  timeline: () => `<ol class="posts-container timeline">
+    <?php while (have_posts()) : the_post(); ?>
+        <li id="post-<?php the_ID(); ?>" <?php post_class('timeline-item'); ?>>
+            <time class="timeline-date" datetime="<?php echo esc_attr(get_the_date('c')); ?>"><?php echo esc_html(get_the_date()); ?></time>
+            <?php the_title('<h2 class="timeline-title"><a href="' . esc_url(get_permalink()) . '" rel="bookmark">', '</a></h2>'); ?>
+            <div class="timeline-excerpt"><?php the_excerpt(); ?></div>
+        </li>
+    <?php endwhile; ?>
+</ol>`,
+};
+
+const homeLayoutPHP = (layout, slug) => `<?php
+/**
+ * Homepage posts, ${layout} layout
+ *
+ * @package ${slug}
+ */
+
+?>
+${layoutMarkup[layout]()}
+`;
+
+// { 'template-parts/…': contents } for the layout; index.php loads the home part
+export const homeLayoutFiles = (layout, slug) => ({
+  'template-parts/content-card.php': contentCardPHP(slug),
+  [`template-parts/home-${layout}.php`]: homeLayoutPHP(layout, slug),
+});
+
+const cardCSS = `
+.posts-container .post {
+  margin-bottom: 0;
+}
+
+.post-card {
+  display: flex;
+  flex-direction: column;
+  gap: var(--space-20);
+}
+
+.post-card-image img {
+  display: block;
+  width: 100%;
+  height: auto;
+  aspect-ratio: 16 / 10;
+  object-fit: cover;
+  border-radius: var(--radius-medium);
+}
+
+.post-card-tag {
+  font-size: var(--font-size-small);
+  font-weight: 600;
+  text-transform: uppercase;
+  letter-spacing: 0.04em;
+  color: var(--color-accent);
+  text-decoration: none;
+}
+
+.post-card-title {
+  font-size: var(--font-size-h4);
+  margin: 0.25rem 0 0.5rem;
+}
+
+.post-card-title a {
+  color: var(--color-text);
+  text-decoration: none;
+}
+
+.post-card-date {
+  color: #666;
+  font-size: var(--font-size-small);
+}
+`;
+
+const gridCSS = (selector, tokens) => `
+${selector} {
+  display: grid;
+  grid-template-columns: repeat(3, 1fr);
+  gap: var(--space-40);
+}
+
+@media (max-width: ${tokens.breakpoints.medium}) {
+  ${selector} {
+    grid-template-columns: repeat(2, 1fr);
+  }
+}
+
+@media (max-width: ${tokens.breakpoints.small}) {
+  ${selector} {
+    grid-template-columns: 1fr;
+  }
+}
+`;
+
+const listCSS = (tokens) => `
+.posts-list {
+  display: flex;
+  flex-direction: column;
+  gap: var(--space-40);
+}
+
+.posts-list .post-card.has-post-thumbnail {
+  display: grid;
+  grid-template-columns: minmax(0, 1fr) minmax(0, 2fr);
+  gap: var(--space-30);
+  align-items: start;
+}
+
+@media (max-width: ${tokens.breakpoints.small}) {
+  .posts-list .post-card.has-post-thumbnail {
+    grid-template-columns: 1fr;
+  }
+}
+`;
+
+const minimalCSS = `
+.posts-minimal {
+  list-style: none;
+  max-width: var(--width-content);
+  margin: 0 auto;
+}
+
+.post-line {
+  display: flex;
+  justify-content: space-between;
+  gap: var(--space-30);
+  padding: var(--space-20) 0;
+  border-bottom: 1px solid #eee;
+}
+
+.post-line time {
+  flex-shrink: 0;
+  color: #666;
+  font-size: var(--font-size-small);
+}
+`;
+
+const heroCSS = `
+.home-hero {
+  padding: var(--space-60) var(--space-40);
+  margin-bottom: var(--space-50);
+  text-align: center;
+  background: var(--color-primary);
+  color: var(--color-on-primary);
+  border-radius: var(--radius-large);
+}
+
+.home-hero-title {
+  margin: 0;
+  font-size: var(--font-size-h1);
+}
+
+.home-hero-description {
+  max-width: var(--width-content);
+  margin: var(--space-20) auto 0;
+  font-size: var(--font-size-large);
+}
+`;
+
+const layoutCSS = {
+  grid: (tokens) => `${cardCSS}${gridCSS('.posts-grid', tokens)}`,
+  list: (tokens) => `${cardCSS}${listCSS(tokens)}`,
+  minimal: () => minimalCSS,
+  // .content-area already puts the sidebar beside the posts for this layout
+  sidebar: (tokens) => `${cardCSS}${listCSS(tokens)}`,
+  magazine: (tokens) => `${cardCSS}${gridCSS('.posts-magazine', tokens)}
+.post-card-featured {
+  grid-column: 1 / -1;
+}
+
+@media (min-width: ${tokens.breakpoints.medium}) {
+  .post-card-featured.has-post-thumbnail {
+    display: grid;
+    grid-template-columns: minmax(0, 3fr) minmax(0, 2fr);
+    gap: var(--space-40);
+    align-items: center;
+  }
+}
+
+.post-card-featured .post-card-title {
+  font-size: var(--font-size-h2);
+}
+`,
+  masonry: () => `${cardCSS}
+.posts-masonry {
+  columns: 3 16rem;
+  column-gap: var(--space-40);
+}
+
+.posts-masonry .post-card {
+  break-inside: avoid;
+  margin-bottom: var(--space-40);
+}
+
+.posts-masonry .post-card-image img {
+  aspect-ratio: auto;
+}
+`,
+  'hero-list': (tokens) => `${heroCSS}${cardCSS}${listCSS(tokens)}`,
+  portfolio: () => `
+.posts-portfolio {
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(16rem, 1fr));
+  gap: var(--space-30);
+}
+
+.portfolio-tile {
+  position: relative;
+  display: block;
+  aspect-ratio: 4 / 3;
+  overflow: hidden;
+  border-radius: var(--radius-medium);
+  background: var(--color-primary);
+}
+
+.portfolio-tile img {
+  width: 100%;
+  height: 100%;
+  object-fit: cover;
+  transition: transform 0.3s ease;
+}
+
+.portfolio-tile:hover img,
+.portfolio-tile:focus img {
+  transform: scale(1.04);
+}
+
+.portfolio-tile-title {
+  position: absolute;
+  left: 0;
+  right: 0;
+  bottom: 0;
+  padding: var(--space-30);
+  font-family: var(--font-heading);
+  font-weight: 600;
+  color: #fff;
+  background: linear-gradient(transparent, rgba(0, 0, 0, 0.7));
+}
+
+.portfolio-tile-text .portfolio-tile-title {
+  color: var(--color-on-primary);
+  background: none;
+}
+`,
+  timeline: () => `
+.timeline {
+  list-style: none;
+  max-width: var(--width-content);
+  margin: 0 auto;
+  padding-left: var(--space-40);
+  border-left: 2px solid var(--color-accent);
+}
+
+.timeline-item {
+  position: relative;
+  padding-bottom: var(--space-40);
+}
+
+.timeline-item::before {
+  content: "";
+  position: absolute;
+  top: 0.35em;
+  left: calc(-1 * var(--space-40) - 7px);
+  width: 12px;
+  height: 12px;
+  border: 2px solid var(--color-accent);
+  border-radius: 50%;
+  background: var(--color-background);
+}
+
+.timeline-date {
+  color: #666;
+  font-size: var(--font-size-small);
+}
+
+.timeline-title {
+  font-size: var(--font-size-h4);
+  margin: 0.25rem 0 0.5rem;
+}
+
+.timeline-title a {
+  color: var(--color-text);
+  text-decoration: none;
+}
+`,
+};
+
+// style.css rules for the layout's markup
+export const homeLayoutCSS = (layout, tokens) => (
+  `/* Homepage (${layout}) */${layoutCSS[layout](tokens)}`
+);
+
+export default homeLayoutFiles;
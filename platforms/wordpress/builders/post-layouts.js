@@ -0,0 +1,402 @@
+// Post layouts of the classic theme: single.php for the spec's
+// layout.postPage, plus the author box and related posts it loads from
+// template-parts/. Related posts reuse the homepage card
+// (template-parts/content-card.php, see home-layouts.js).
+
+/* eslint-disable max-len -- PHP markup lines stay whole */
+
+const authorBoxPHP = (slug) => `<?php
+/**
+ * The post author's avatar, name and biographical info
+ *
+ * @package ${slug}
+ */
+
+$author_id = get_the_author_meta('ID');
+?>
+<section class="author-box">
+    <?php echo get_avatar($author_id, 64, '', '', array('class' => 'author-box-image')); ?>
+    <div class="author-box-content">
+        <h2 class="author-box-name">
+            <a href="<?php echo esc_url(get_author_posts_url($author_id)); ?>"><?php echo esc_html(get_the_author()); ?></a>
+        </h2>
+        <?php if (get_the_author_meta('description')) : ?>
+            <p class="author-box-bio"><?php echo esc_html(get_the_author_meta('description')); ?></p>
+        <?php endif; ?>
+    </div>
+</section>
+`;
+
+const relatedPostsPHP = (slug) => `<?php
+/**
+ * Up to three other posts from the current post's categories
+ *
+ * @package ${slug}
+ */
+
+$related = new WP_Query(array(
+    'category__in' => wp_get_post_categories(get_the_ID()),
+    'post__not_in' => array(get_the_ID()),
+    'posts_per_page' => 3,
+    'ignore_sticky_posts' => true,
+    'no_found_rows' => true,
+));
+
+if ($related->have_posts()) : ?>
+    <section class="related-posts">
+        <h2 class="related-posts-title"><?php esc_html_e('Related posts', '${slug}'); ?></h2>
+        <div class="related-feed">
+            <?php
+            while ($related->have_posts()) :
+                $related->the_post();
+                get_template_part('template-parts/content', 'card');
+            endwhile;
+            ?>
+        </div>
+    </section>
+<?php endif;
+
+wp_reset_postdata();
+`;
+
+const entryHeader = (prefix) => `<header class="entry-header">
+    <?php the_title('<h1 class="entry-title">', '</h1>'); ?>
+    <div class="entry-meta">
+        <?php
+        ${prefix}_posted_on();
+        ${prefix}_posted_by();
+        ?>
+    </div>
+</header>`;
+
+const thumbnail = (wide = false) => `<?php if (has_post_thumbnail()) : ?>
+    <div class="post-thumbnail${wide ? ' post-thumbnail-wide' : ''}">
+        <?php the_post_thumbnail('${wide ? 'full' : 'large'}'); ?>
+    </div>
+<?php endif; ?>`;
+
+const entryContent = (slug) => `<div class="entry-content">
+    <?php
+    the_content();
+
+    wp_link_pages(array(
+        'before' => '<div class="page-links">' . esc_html__('Pages:', '${slug}'),
+        'after' => '</div>',
+    ));
+    ?>
+</div>`;
+
+const entryFooter = (prefix, { authorBox = true } = {}) => `<footer class="entry-footer">
+    <?php ${prefix}_entry_footer(); ?>
+</footer>${authorBox ? `
+<?php get_template_part('template-parts/author-box'); ?>` : ''}`;
+
+const indent = (text, spaces) => text.replace(/^(?=.)/gm, ' '.repeat(spaces));
+
+const article = (parts, spaces) => indent(`<article id="post-<?php the_ID(); ?>" <?php post_class('post-full'); ?>>
+${indent(parts.join('\n\n'), 4)}
+</article>`, spaces);
+
+// Post navigation, related posts and comments below the post
+const afterPost = (slug, { related = true } = {}) => `<?php
+the_post_navigation(array(
+    'prev_text' => __('Previous post', '${slug}'),
+    'next_text' => __('Next post', '${slug}'),
+));
+${related ? `
+get_template_part('template-parts/related-posts');
+` : ''}
+if (comments_open() || get_comments_number()) :
+    comments_template();
+endif;
+?>`;
+
+// The markup inside <div class="container"> per layout
+const layoutMarkup = {
+  'single-column': ({ slug, prefix }) => `<?php while (have_posts()) : the_post(); ?>
+${article([entryHeader(prefix), thumbnail(), entryContent(slug), entryFooter(prefix)], 4)}
+
+${indent(afterPost(slug), 4)}
+<?php endwhile; ?>`,
+  sidebar: ({ slug, prefix }) => `<div class="post-with-sidebar">
+    <div class="post-column">
+        <?php while (have_posts()) : the_post(); ?>
+${article([entryHeader(prefix), thumbnail(), entryContent(slug), entryFooter(prefix)], 12)}
+
+${indent(afterPost(slug), 12)}
+        <?php endwhile; ?>
+    </div>
+
+    <?php get_sidebar(); ?>
+</div>`,
+  minimal: ({ slug }) => `<?php while (have_posts()) : the_post(); ?>
+${article([`<header class="entry-header">
+    <?php the_title('<h1 class="entry-title">', '</h1>'); ?>
+    <time class="entry-date" datetime="<?php echo esc_attr(get_the_date(DATE_W3C)); ?>"><?php echo esc_html(get_the_date()); ?></time>
+</header>`, entryContent(slug)], 4)}
+
+${indent(afterPost(slug, { related: false }), 4)}
+<?php endwhile; ?>`,
+  'wide-feature-image': ({ slug, prefix }) => `<?php while (have_posts()) : the_post(); ?>
+${article([thumbnail(true), entryHeader(prefix), entryContent(slug), entryFooter(prefix)], 4)}
+
+${indent(afterPost(slug), 4)}
+<?php endwhile; ?>`,
+  'toc-sidebar': ({ slug, prefix }) => `<div class="post-with-toc">
+    <aside class="post-toc">
+        <nav class="toc" aria-label="<?php esc_attr_e('Table of contents', '${slug}'); ?>" data-toc>
+            <h2 class="toc-title"><?php esc_html_e('Contents', '${slug}'); ?></h2>
+        </nav>
+    </aside>
+
+    <div class="post-column">
+        <?php while (have_posts()) : the_post(); ?>
+${article([entryHeader(prefix), thumbnail(), entryContent(slug), entryFooter(prefix)], 12)}
+
+${indent(afterPost(slug), 12)}
+        <?php endwhile; ?>
+    </div>
+</div>`,
+  'reading-progress': (names) => layoutMarkup['single-column'](names),
+};
+
+// single.php for the layout
+export const singlePHP = (layout, { slug, prefix }) => `<?php
+/**
+ * The template for displaying all single posts (${layout} layout)
+ *
+ * @package ${slug}
+ */
+
+get_header(); ?>
+${layout === 'reading-progress' ? `
+<progress class="reading-progress" max="100" value="0" aria-hidden="true"></progress>
+` : ''}
+<main id="primary" class="site-main post-layout-${layout}">
+    <div class="container">
+${indent(layoutMarkup[layout]({ slug, prefix }), 8)}
+    </div>
+</main>
+
+<?php
+get_footer();
+`;
+
+export const postLayoutFiles = (slug) => ({
+  'template-parts/author-box.php': authorBoxPHP(slug),
+  'template-parts/related-posts.php': relatedPostsPHP(slug),
+});
+
+const postCSS = `
+.post-full {
+  max-width: var(--width-content);
+  margin: 0 auto;
+}
+
+.post-full .entry-header {
+  margin-bottom: var(--space-40);
+}
+
+.entry-meta {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.25rem var(--space-30);
+  color: #666;
+  font-size: var(--font-size-small);
+}
+
+.post-thumbnail {
+  margin-bottom: var(--space-40);
+}
+
+.post-thumbnail img {
+  display: block;
+  width: 100%;
+  height: auto;
+  border-radius: var(--radius-medium);
+}
+
+.entry-footer {
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+  margin-top: var(--space-40);
+  font-size: var(--font-size-small);
+}
+
+.author-box {
+  display: flex;
+  gap: var(--space-30);
+  align-items: flex-start;
+  margin-top: var(--space-40);
+  padding: var(--space-30);
+  border-radius: var(--radius-large);
+  box-shadow: var(--shadow-small);
+}
+
+.author-box-image {
+  border-radius: 50%;
+}
+
+.author-box-name {
+  font-size: var(--font-size-large);
+  margin: 0 0 0.25rem;
+}
+
+.author-box-bio {
+  font-size: var(--font-size-small);
+}
+
+.related-posts {
+  max-width: var(--width-wide);
+  margin: var(--space-60) auto 0;
+  padding-top: var(--space-40);
+  border-top: 1px solid #eee;
+}
+
+.related-feed {
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(14rem, 1fr));
+  gap: var(--space-40);
+}
+`;
+
+const layoutCSS = {
+  'single-column': () => '',
+  sidebar: (tokens) => `
+.post-with-sidebar {
+  display: grid;
+  grid-template-columns: minmax(0, 2fr) minmax(0, 1fr);
+  gap: var(--space-50);
+  align-items: start;
+}
+
+.post-with-sidebar .post-full,
+.post-with-sidebar .related-posts {
+  max-width: none;
+}
+
+@media (max-width: ${tokens.breakpoints.medium}) {
+  .post-with-sidebar {
+    grid-template-columns: 1fr;
+  }
+}
+`,
+  minimal: () => `
+.entry-date {
+  color: #666;
+  font-size: var(--font-size-small);
+}
+`,
+  'wide-feature-image': () => `
+.post-thumbnail-wide {
+  width: 100vw;
+  margin-left: 50%;
+  transform: translateX(-50%);
+}
+
+.post-thumbnail-wide img {
+  max-height: 70vh;
+  object-fit: cover;
+  border-radius: 0;
+}
+
+.post-layout-wide-feature-image .entry-header {
+  text-align: center;
+}
+
+.post-layout-wide-feature-image .entry-meta {
+  justify-content: center;
+}
+`,
+  'toc-sidebar': (tokens) => `
+.post-with-toc {
+  display: grid;
+  grid-template-columns: minmax(12rem, 1fr) minmax(0, 3fr);
+  gap: var(--space-50);
+  align-items: start;
+}
+
+.post-toc {
+  position: sticky;
+  top: var(--space-40);
+  max-height: calc(100vh - 2 * var(--space-40));
+  overflow-y: auto;
+  font-size: var(--font-size-small);
+}
+
+.toc-title {
+  font-size: var(--font-size-small);
+  text-transform: uppercase;
+  letter-spacing: 0.04em;
+}
+
+.toc ol {
+  list-style: none;
+}
+
+.toc li {
+  margin: 0.375rem 0;
+}
+
+.toc .toc-h3 {
+  padding-left: var(--space-30);
+}
+
+.toc a {
+  color: inherit;
+  text-decoration: none;
+  opacity: 0.75;
+}
+
+.toc a[aria-current] {
+  color: var(--color-accent);
+  font-weight: 600;
+  opacity: 1;
+}
+
+@media (max-width: ${tokens.breakpoints.large}) {
+  .post-with-toc {
+    grid-template-columns: 1fr;
+  }
+
+  .post-toc {
+    position: static;
+    max-height: none;
+  }
+}
+`,
+  'reading-progress': () => `
+.reading-progress {
+  position: fixed;
+  top: 0;
+  left: 0;
+  z-index: 100;
+  width: 100%;
+  height: 4px;
+  border: 0;
+  appearance: none;
+  background: transparent;
+  color: var(--color-accent);
+}
+
+.reading-progress::-webkit-progress-bar {
+  background: transparent;
+}
+
+.reading-progress::-webkit-progress-value {
+  background: var(--color-accent);
+}
+
+.reading-progress::-moz-progress-bar {
+  background: var(--color-accent);
+}
+`,
+};
+
+// style.css rules for single.php of the layout
+export const postLayoutCSS = (layout, tokens) => (
+  `/* Post (${layout}) */${postCSS}${layoutCSS[layout](tokens)}`
+);
+
+export default singlePHP;
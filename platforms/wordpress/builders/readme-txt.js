@@ -0,0 +1,52 @@
+// readme.txt in the WordPress.org format. The version fields have to match
+// the style.css header, which the readme-txt validator rule checks.
+
+export const CLASSIC_REQUIREMENTS = {
+  requiresAtLeast: '6.0',
+  testedUpTo: '6.4',
+  requiresPhp: '7.4',
+};
+
+// theme.json version 3 needs WordPress 6.6
+export const BLOCK_REQUIREMENTS = {
+  requiresAtLeast: '6.6',
+  testedUpTo: '6.6',
+  requiresPhp: '7.4',
+};
+
+export const generateReadmeTxt = (spec, {
+  description,
+  requiresAtLeast = CLASSIC_REQUIREMENTS.requiresAtLeast,
+  testedUpTo = CLASSIC_REQUIREMENTS.testedUpTo,
+  requiresPhp = CLASSIC_REQUIREMENTS.requiresPhp,
+} = {}) => `=== ${spec.projectName} ===
+Contributors: themesmith
+Requires at least: ${requiresAtLeast}
+Tested up to: ${testedUpTo}
+Requires PHP: ${requiresPhp}
+Stable tag: 1.0.0
+License: GPL v2 or later
+License URI: https://www.gnu.org/licenses/gpl-2.0.html
+
+A modern WordPress theme generated by ThemeSmith.
+
+== Description ==
+
+${spec.projectName} is ${description}.
+
+== Changelog ==
+
+= 1.0.0 =
+* Initial release, generated by ThemeSmith
+
+== Copyright ==
+
+${spec.projectName} WordPress Theme, (C) ${new Date().getFullYear()} ThemeSmith
+${spec.projectName} is distributed under the terms of the GNU GPL v2 or later.
+
+== Resources ==
+
+* screenshot.png, generated by ThemeSmith from the theme colors, GPL v2 or later
+`;
+
+export default generateReadmeTxt;
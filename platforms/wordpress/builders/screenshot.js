@@ -0,0 +1,93 @@
+import zlib from 'zlib';
+
+// Renders the 1200×900 screenshot.png WordPress shows in Appearance → Themes:
+// a flat wireframe of the theme (header, hero, content lines) in the spec
+// colors. Written by hand so no image library is needed.
+
+const WIDTH = 1200;
+const HEIGHT = 900;
+
+/* eslint-disable no-bitwise */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buf) => {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i += 1) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+/* eslint-enable no-bitwise */
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+// #rgb / #rrggbb → [r, g, b]; other CSS colors fall back
+const toRgb = (color, fallback) => {
+  const hex = String(color || '').trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i)?.[1];
+  if (!hex) return fallback;
+  const full = hex.length === 3 ? hex.replace(/./g, '$&$&') : hex;
+  return [0, 2, 4].map((i) => parseInt(full.slice(i, i + 2), 16));
+};
+
+export const renderScreenshot = (colors = {}) => {
+  const background = toRgb(colors.background, [255, 255, 255]);
+  const primary = toRgb(colors.primary, [34, 34, 34]);
+  const accent = toRgb(colors.accent, [0, 115, 170]);
+  const text = toRgb(colors.text, [51, 51, 51]);
+
+  // [x, y, width, height, color], later boxes paint over earlier ones
+  const boxes = [
+    [0, 0, WIDTH, 110, primary],
+    [80, 40, 220, 30, background],
+    [760, 48, 90, 14, background],
+    [880, 48, 90, 14, background],
+    [1000, 48, 120, 14, background],
+    [80, 190, 760, 48, text],
+    [80, 262, 560, 48, text],
+    [80, 350, 200, 56, accent],
+    ...[0, 1, 2].flatMap((col) => {
+      const x = 80 + col * 360;
+      return [
+        [x, 480, 320, 180, accent],
+        [x + 6, 486, 308, 168, background],
+        [x, 690, 280, 18, text],
+        [x, 724, 320, 10, text],
+        [x, 746, 240, 10, text],
+      ];
+    }),
+    [0, 840, WIDTH, 60, primary],
+  ];
+
+  const stride = WIDTH * 3 + 1;
+  const raw = Buffer.alloc(stride * HEIGHT);
+  for (let y = 0; y < HEIGHT; y += 1) {
+    for (let x = 0; x < WIDTH; x += 1) raw.set(background, y * stride + 1 + x * 3);
+  }
+  boxes.forEach(([bx, by, bw, bh, color]) => {
+    for (let y = by; y < by + bh; y += 1) {
+      for (let x = bx; x < bx + bw; x += 1) raw.set(color, y * stride + 1 + x * 3);
+    }
+  });
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(WIDTH, 0);
+  header.writeUInt32BE(HEIGHT, 4);
+  header.set([8, 2, 0, 0, 0], 8); // 8-bit RGB, no interlace
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+};
+
+export default renderScreenshot;
@@ -0,0 +1,211 @@
+// Homepage sections (spec.sections, see core/sections.js) as block patterns,
+// patterns/section-<id>.php, shared by both theme modes: block templates
+// load them with wp:pattern, the classic index.php and footer.php render them
+// with do_blocks(). Markup lives in templates/block/_fragments/sections.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isSiteRelative } from '../../../core/navigation.js';
+import { renderedSections, resolveSections } from '../../../core/sections.js';
+import { renderTemplate } from '../../../core/templates.js';
+import { phpString } from '../../../core/utils/escape.js';
+import { blockAttrs } from './block-theme-builder.js';
+
+const sectionTemplate = fileURLToPath(new URL(
+  '../templates/block/_fragments/sections/section.php',
+  import.meta.url,
+));
+
+// Query blocks on one page need distinct ids; the layout patterns use 1 to 3
+const FIRST_QUERY_ID = 10;
+
+const ALIGN_CLASS = { left: '', center: ' has-text-align-center', right: ' has-text-align-right' };
+
+// Block attributes and classes of the group around a section and of its
+// headline, text and buttons
+const frameFor = (section) => {
+  const { alignment, background, type } = section;
+  const colored = background !== 'none';
+  const aligned = alignment !== 'left';
+  const headingSize = type === 'hero' ? { fontSize: 'xx-large' } : {};
+  return {
+    group: {
+      tagName: 'section',
+      anchor: section.id,
+      align: 'wide',
+      className: `section section-${type}`,
+      ...(colored ? { backgroundColor: background, textColor: 'background' } : {}),
+      layout: { type: 'constrained' },
+    },
+    groupClass: `alignwide section section-${type}${colored
+      ? ` has-background-color has-${background}-background-color has-text-color has-background`
+      : ''}`,
+    heading: { ...(aligned ? { textAlign: alignment } : {}), ...headingSize },
+    headingClass: `${ALIGN_CLASS[alignment]}${type === 'hero' ? ' has-xx-large-font-size' : ''}`,
+    paragraph: {
+      ...(aligned ? { align: alignment } : {}),
+      ...(type === 'hero' ? { fontSize: 'large' } : {}),
+    },
+    paragraphClass: `${ALIGN_CLASS[alignment]}${type === 'hero' ? ' has-large-font-size' : ''}`,
+    buttons: aligned ? { layout: { type: 'flex', justifyContent: alignment } } : {},
+    // Filled buttons use the accent color, so colored sections get outlines
+    button: colored ? { className: 'is-style-outline' } : {},
+  };
+};
+
+// `<!-- wp:name {attrs} -->`, without the attributes when there are none
+const block = (name, attrs = {}) => (Object.keys(attrs).length
+  ? `<!-- wp:${name} ${blockAttrs(attrs)} -->`
+  : `<!-- wp:${name} -->`);
+
+const sectionLocals = (section, { slug, index }) => ({
+  slug,
+  section,
+  frame: frameFor(section),
+  queryId: FIRST_QUERY_ID + index,
+  block,
+  attrs: blockAttrs,
+  php: phpString,
+  // Spec text is printed through the theme's translations
+  t: (text) => `<?php esc_html_e( ${phpString(text)}, '${slug}' ); ?>`,
+  href: (url) => (isSiteRelative(url)
+    ? `<?php echo esc_url( home_url( ${phpString(url)} ) ); ?>`
+    : `<?php echo esc_url( ${phpString(url)} ); ?>`),
+});
+
+// Writes patterns/section-<id>.php for every section of the spec
+export const writeSectionPatterns = async (themePath, spec, { slug }) => {
+  const sections = renderedSections(resolveSections(spec));
+  if (!sections.length) return;
+  await fs.mkdir(path.join(themePath, 'patterns'), { recursive: true });
+  await Promise.all(sections.map((section, index) => fs.writeFile(
+    path.join(themePath, 'patterns', `section-${section.id}.php`),
+    renderTemplate(sectionTemplate, sectionLocals(section, { slug, index })),
+    'utf8',
+  )));
+};
+
+// PHP that prints homepage sections, in index.php, on the first page of the
+// posts page (classic themes)
+export const sectionCallsPHP = (sections, prefix) => (sections.length ? `
+        <?php
+        if (is_home() && !is_paged()) :
+${sections.map((section) => `            ${prefix}_section('${section.id}');`).join('\n')}
+        endif;
+        ?>
+` : '');
+
+const TYPE_CSS = {
+  newsletter: `
+.section-signup {
+  display: flex;
+  flex-wrap: wrap;
+  gap: var(--space-20);
+}
+
+.section-signup-center {
+  justify-content: center;
+}
+
+.section-signup-right {
+  justify-content: flex-end;
+}
+
+.section-signup input {
+  flex: 1 1 15rem;
+  max-width: 22rem;
+  padding: 0.6em 0.9em;
+  border: 1px solid currentColor;
+  border-radius: var(--radius-small);
+  font: inherit;
+}
+`,
+  testimonials: `
+.testimonial cite {
+  display: block;
+  margin-top: var(--space-20);
+  font-style: normal;
+  font-weight: 600;
+}
+`,
+  pricing: `
+.pricing-plan {
+  padding: var(--space-40);
+  border-radius: var(--radius-large);
+  box-shadow: var(--shadow-small);
+  background: var(--color-background);
+  color: var(--color-text);
+}
+
+.pricing-plan-highlighted {
+  box-shadow: 0 0 0 2px var(--color-accent), var(--shadow-medium);
+}
+
+.pricing-plan-price span {
+  font-size: var(--font-size-small);
+}
+`,
+  'author-grid': `
+.author-grid {
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(12rem, 1fr));
+  gap: var(--space-40);
+}
+
+.author-card {
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  gap: var(--space-20);
+  color: inherit;
+  text-align: center;
+  text-decoration: none;
+}
+
+.author-card-image {
+  border-radius: 50%;
+}
+
+.author-card-name {
+  font-weight: 600;
+}
+
+.author-card-bio {
+  font-size: var(--font-size-small);
+}
+`,
+  'tag-cloud': `
+.tag-cloud-center {
+  text-align: center;
+}
+
+.tag-cloud-right {
+  text-align: right;
+}
+`,
+  'footer-columns': `
+.footer-column-links {
+  list-style: none;
+}
+`,
+};
+
+// style.css rules of the classic theme for the section types a spec uses
+export const sectionsCSS = (types) => (types.length ? `/* Sections */
+.section {
+  margin-bottom: var(--space-50);
+}
+
+.section.has-background {
+  padding: var(--space-50) var(--space-40);
+  border-radius: var(--radius-large);
+}
+
+.section.has-background a:not(.wp-element-button) {
+  color: inherit;
+}
+${types.map((type) => TYPE_CSS[type] || '').join('')}
+` : '');
+
+export default writeSectionPatterns;
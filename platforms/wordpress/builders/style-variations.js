@@ -0,0 +1,52 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { resolveVariations } from '../../../core/variations.js';
+import { fontFamilyPreset } from './block-theme-json.js';
+
+// styles/<slug>.json for every spec variation of a block theme. WordPress
+// lists them under Styles in the Site Editor; each one only swaps the palette
+// and font presets, which is all a block theme needs since its styles use
+// them. Classic themes get Customizer color schemes instead (theme-builder.js).
+
+const paletteNames = {
+  primary: 'Primary',
+  accent: 'Accent',
+  background: 'Background',
+  text: 'Text',
+};
+
+export const generateStyleVariation = (variation, { version, fonts }) => ({
+  $schema: 'https://schemas.wp.org/trunk/theme.json',
+  version,
+  title: variation.name,
+  settings: {
+    color: {
+      palette: Object.entries(paletteNames).map(([slug, name]) => ({
+        slug,
+        color: variation.colors[slug],
+        name,
+      })),
+    },
+    typography: {
+      fontFamilies: [
+        fontFamilyPreset('heading', 'Heading', variation.fonts.heading, fonts),
+        fontFamilyPreset('body', 'Body', variation.fonts.body, fonts),
+      ],
+    },
+  },
+});
+
+// Writes the files and returns their paths relative to the theme
+export const writeStyleVariations = async (themePath, spec, { version, fonts }) => {
+  const variations = resolveVariations(spec);
+  if (!variations.length) return [];
+  await fs.mkdir(path.join(themePath, 'styles'), { recursive: true });
+  return Promise.all(variations.map(async (variation) => {
+    const file = `styles/${variation.slug}.json`;
+    const json = generateStyleVariation(variation, { version, fonts });
+    await fs.writeFile(path.join(themePath, file), `${JSON.stringify(json, null, 2)}\n`, 'utf8');
+    return file;
+  }));
+};
+
+export default writeStyleVariations;
@@ -1,5 +1,22 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { darkPalette, mix, readableOn } from '../../../core/color.js';
+import { postLayoutScript } from '../../../core/layouts.js';
+import { resolveNavigation } from '../../../core/navigation.js';
+import { resolveSections } from '../../../core/sections.js';
+import {
+  NO_FONTS, fallbackFaceCSS, withFallback, writeFontFiles,
+} from '../../../core/fonts.js';
+import { cssCustomProperties, resolveTokens } from '../../../core/tokens.js';
+import { resolveVariations } from '../../../core/variations.js';
+import { phpString } from '../../../core/utils/escape.js';
+import { renderScreenshot } from './screenshot.js';
+import { CLASSIC_REQUIREMENTS, generateReadmeTxt } from './readme-txt.js';
+import { buildWordPressBlockTheme } from './block-theme-builder.js';
+import { homeLayoutCSS, homeLayoutFiles } from './home-layouts.js';
+import { postLayoutCSS, postLayoutFiles, singlePHP } from './post-layouts.js';
+import { sectionCallsPHP, sectionsCSS, writeSectionPatterns } from './sections.js';
+import { fontFaces } from './block-theme-json.js';
 
 const ensureDir = async (dir) => fs.mkdir(dir, { recursive: true });
 
@@ -8,27 +25,33 @@ const slugify = (str) => str
   .replace(/[^a-z0-9]+/g, '-')
   .replace(/(^-|-$)/g, '');
 
-const validateWordPressSpec = (spec) => {
-  const required = ['platform', 'projectName', 'layout', 'colors'];
-  for (const key of required) {
-    if (!spec[key]) throw new Error(`Missing required field: ${key}`);
-  }
-  if (spec.platform !== 'wordpress') {
-    throw new Error('Only platform "wordpress" is supported in this builder');
-  }
-  const layoutKeys = ['homepage', 'postPage', 'archivePage'];
-  for (const k of layoutKeys) {
-    if (!spec.layout[k]) throw new Error(`Missing layout.${k}`);
-  }
-  const colorKeys = ['primary', 'accent', 'background', 'text'];
-  for (const k of colorKeys) {
-    if (!spec.colors[k]) throw new Error(`Missing colors.${k}`);
-  }
+// PHP identifiers cannot contain "-" or start with a digit
+const functionPrefix = (slug) => {
+  const prefix = slug.replace(/-/g, '_');
+  return /^[0-9]/.test(prefix) ? `theme_${prefix}` : prefix;
 };
 
-const generateStyleCSS = (spec) => {
+// Classic themes have no Styles panel, so style variations are color schemes
+// picked in the Customizer; the choice is a scheme-<slug> body class
+const colorSchemeCSS = (spec, fonts) => resolveVariations(spec).map((v) => `
+body.scheme-${v.slug} {
+  --color-primary: ${v.colors.primary};
+  --color-accent: ${v.colors.accent};
+  --color-background: ${v.colors.background};
+  --color-text: ${v.colors.text};
+  --color-on-primary: ${readableOn(v.colors.primary)};
+  --color-on-accent: ${readableOn(v.colors.accent)};${v.fonts.heading ? `
+  --font-heading: ${withFallback(v.fonts.heading, fonts)};` : ''}${v.fonts.body ? `
+  --font-body: ${withFallback(v.fonts.body, fonts)};` : ''}
+}
+`).join('');
+
+const generateStyleCSS = (spec, { fonts, requirements }) => {
   const themeName = spec.projectName;
   const slug = slugify(themeName);
+  const dark = darkPalette(spec.colors);
+  const tokens = resolveTokens(spec);
+  const fallbackFaces = fallbackFaceCSS(fonts);
   
   return `/*
 Theme Name: ${themeName}
@@ -38,11 +61,13 @@ Version: 1.0.0
 License: GPL v2 or later
 License URI: https://www.gnu.org/licenses/gpl-2.0.html
 Text Domain: ${slug}
-Requires at least: 6.0
-Tested up to: 6.4
-Requires PHP: 7.4
+Requires at least: ${requirements.requiresAtLeast}
+Tested up to: ${requirements.testedUpTo}
+Requires PHP: ${requirements.requiresPhp}
 */
-
+${fallbackFaces && `
+/* Local fallbacks sized like the theme fonts (the fonts themselves are in theme.json) */
+${fallbackFaces}`}
 /* Reset and base styles */
 * {
   margin: 0;
@@ -55,8 +80,13 @@ Requires PHP: 7.4
   --color-accent: ${spec.colors.accent};
   --color-background: ${spec.colors.background};
   --color-text: ${spec.colors.text};
-  --font-heading: ${spec?.fonts?.heading || 'system-ui, sans-serif'};
-  --font-body: ${spec?.fonts?.body || 'system-ui, sans-serif'};
+  /* Text on primary (header, footer) and accent (buttons) backgrounds */
+  --color-on-primary: ${readableOn(spec.colors.primary)};
+  --color-on-accent: ${readableOn(spec.colors.accent)};
+  --font-heading: ${withFallback(spec?.fonts?.heading || 'system-ui, sans-serif', fonts)};
+  --font-body: ${withFallback(spec?.fonts?.body || 'system-ui, sans-serif', fonts)};
+  /* Design tokens */
+${cssCustomProperties(tokens)}
 }
 
 body {
@@ -65,33 +95,33 @@ body {
   color: var(--color-text);
   line-height: 1.6;
 }
-
+${colorSchemeCSS(spec, fonts)}
 /* Typography */
 h1, h2, h3, h4, h5, h6 {
   font-family: var(--font-heading);
   font-weight: 600;
   line-height: 1.2;
-  margin-bottom: 1rem;
+  margin-bottom: var(--space-30);
 }
 
-h1 { font-size: 2.5rem; }
-h2 { font-size: 2rem; }
-h3 { font-size: 1.75rem; }
-h4 { font-size: 1.5rem; }
-h5 { font-size: 1.25rem; }
-h6 { font-size: 1rem; }
+h1 { font-size: var(--font-size-h1); }
+h2 { font-size: var(--font-size-h2); }
+h3 { font-size: var(--font-size-h3); }
+h4 { font-size: var(--font-size-h4); }
+h5 { font-size: var(--font-size-h5); }
+h6 { font-size: var(--font-size-h6); }
 
 /* Layout */
 .container {
-  max-width: 1200px;
+  max-width: var(--width-wide);
   margin: 0 auto;
-  padding: 0 1rem;
+  padding: 0 var(--space-30);
 }
 
 .site-header {
   background-color: var(--color-primary);
-  color: white;
-  padding: 1rem 0;
+  color: var(--color-on-primary);
+  padding: var(--space-30) 0;
 }
 
 .site-header .container {
@@ -101,9 +131,9 @@ h6 { font-size: 1rem; }
 }
 
 .site-title {
-  font-size: 1.5rem;
+  font-size: var(--font-size-large);
   font-weight: bold;
-  color: white;
+  color: var(--color-on-primary);
   text-decoration: none;
 }
 
@@ -114,13 +144,14 @@ h6 { font-size: 1rem; }
 }
 
 .main-navigation a {
-  color: white;
+  color: var(--color-on-primary);
   text-decoration: none;
   font-weight: 500;
 }
 
 .main-navigation a:hover {
-  color: var(--color-accent);
+  color: var(--color-on-primary);
+  text-decoration: underline;
 }
 
 /* Content */
@@ -175,11 +206,13 @@ h6 { font-size: 1rem; }
   text-decoration: underline;
 }
 
-/* Sidebar */
+${homeLayoutCSS(spec.layout.homepage, tokens)}
+${postLayoutCSS(spec.layout.postPage, tokens)}
+${sectionsCSS(resolveSections(spec).types)}/* Sidebar */
 .widget-area {
   background: #f8f9fa;
-  padding: 1.5rem;
-  border-radius: 8px;
+  padding: var(--space-40);
+  border-radius: var(--radius-large);
 }
 
 .widget {
@@ -199,7 +232,7 @@ h6 { font-size: 1rem; }
 /* Footer */
 .site-footer {
   background-color: var(--color-primary);
-  color: white;
+  color: var(--color-on-primary);
   padding: 2rem 0;
   margin-top: 3rem;
 }
@@ -209,7 +242,7 @@ h6 { font-size: 1rem; }
 }
 
 /* Responsive */
-@media (max-width: 768px) {
+@media (max-width: ${tokens.breakpoints.medium}) {
   .site-header .container {
     flex-direction: column;
     gap: 1rem;
@@ -225,19 +258,21 @@ h6 { font-size: 1rem; }
     grid-template-columns: 1fr;
   }
   
-  h1 { font-size: 2rem; }
-  h2 { font-size: 1.75rem; }
+  h1 { font-size: var(--font-size-h2); }
+  h2 { font-size: var(--font-size-h3); }
 }
 
 /* Dark mode support */
 @media (prefers-color-scheme: dark) {
   :root {
-    --color-background: #1a1a1a;
-    --color-text: #eaeaea;
+    --color-background: ${dark.background};
+    --color-text: ${dark.text};
+    --color-accent: ${dark.accent};
+    --color-on-accent: ${readableOn(dark.accent)};
   }
   
   .widget-area {
-    background: #2a2a2a;
+    background: ${mix(dark.background, dark.text, 0.08)};
   }
   
   .post {
@@ -252,9 +287,9 @@ h6 { font-size: 1rem; }
 
 .wp-block-button__link {
   background-color: var(--color-accent);
-  color: white;
+  color: var(--color-on-accent);
   padding: 0.75rem 1.5rem;
-  border-radius: 4px;
+  border-radius: var(--radius-medium);
   text-decoration: none;
   display: inline-block;
 }
@@ -290,12 +325,14 @@ h6 { font-size: 1rem; }
   width: auto;
   z-index: 100000;
 }
-`;
+${generateNavigationCSS(resolveNavigation(spec).style, tokens)}`;
 };
 
 const generateFunctionsPHP = (spec) => {
   const slug = slugify(spec.projectName);
-  
+  const prefix = functionPrefix(slug);
+  const variations = resolveVariations(spec);
+
   return `<?php
 /**
  * ${spec.projectName} functions and definitions
@@ -313,10 +350,13 @@ define('THEME_VERSION', '1.0.0');
 define('THEME_DIR', get_template_directory());
 define('THEME_URL', get_template_directory_uri());
 
+require_once THEME_DIR . '/inc/navigation.php';
+require_once THEME_DIR . '/inc/template-tags.php';
+
 /**
  * Theme setup
  */
-function ${slug}_setup() {
+function ${prefix}_setup() {
     // Add theme support for various features
     add_theme_support('title-tag');
     add_theme_support('post-thumbnails');
@@ -353,12 +393,12 @@ function ${slug}_setup() {
         $content_width = 1200;
     }
 }
-add_action('after_setup_theme', '${slug}_setup');
+add_action('after_setup_theme', '${prefix}_setup');
 
 /**
  * Enqueue scripts and styles
  */
-function ${slug}_scripts() {
+function ${prefix}_scripts() {
     // Enqueue main stylesheet
     wp_enqueue_style('${slug}-style', get_stylesheet_uri(), array(), THEME_VERSION);
     
@@ -379,12 +419,12 @@ function ${slug}_scripts() {
         wp_enqueue_script('comment-reply');
     }
 }
-add_action('wp_enqueue_scripts', '${slug}_scripts');
+add_action('wp_enqueue_scripts', '${prefix}_scripts');
 
 /**
  * Register widget areas
  */
-function ${slug}_widgets_init() {
+function ${prefix}_widgets_init() {
     register_sidebar(array(
         'name' => __('Sidebar', '${slug}'),
         'id' => 'sidebar-1',
@@ -405,12 +445,20 @@ function ${slug}_widgets_init() {
         'after_title' => '</h3>',
     ));
 }
-add_action('widgets_init', '${slug}_widgets_init');
-
+add_action('widgets_init', '${prefix}_widgets_init');
+${resolveSections(spec).types.length ? `
+/**
+ * Pattern category of the homepage section patterns
+ */
+function ${prefix}_pattern_categories() {
+    register_block_pattern_category('${slug}', array('label' => ${phpString(spec.projectName)}));
+}
+add_action('init', '${prefix}_pattern_categories');
+` : ''}
 /**
  * Customizer additions
  */
-function ${slug}_customize_register($wp_customize) {
+function ${prefix}_customize_register($wp_customize) {
     // Add color scheme section
     $wp_customize->add_section('${slug}_colors', array(
         'title' => __('Color Scheme', '${slug}'),
@@ -438,51 +486,107 @@ function ${slug}_customize_register($wp_customize) {
         'label' => __('Accent Color', '${slug}'),
         'section' => '${slug}_colors',
     )));
+${variations.length ? `
+    // Style variations of the spec
+    $wp_customize->add_setting('color_scheme', array(
+        'default' => 'default',
+        'sanitize_callback' => '${prefix}_sanitize_color_scheme',
+    ));
+
+    $wp_customize->add_control('color_scheme', array(
+        'label' => __('Style', '${slug}'),
+        'section' => '${slug}_colors',
+        'type' => 'select',
+        'choices' => ${prefix}_color_schemes(),
+    ));
+` : ''}}
+add_action('customize_register', '${prefix}_customize_register');
+${variations.length ? `
+/**
+ * Color schemes by body class suffix
+ */
+function ${prefix}_color_schemes() {
+    return array(
+        'default' => __('Default', '${slug}'),
+${variations.map((v) => `        '${v.slug}' => ${phpString(v.name)},`).join('\n')}
+    );
 }
-add_action('customize_register', '${slug}_customize_register');
 
+/**
+ * Keep only the color schemes the theme has
+ */
+function ${prefix}_sanitize_color_scheme($value) {
+    return array_key_exists($value, ${prefix}_color_schemes()) ? $value : 'default';
+}
+` : ''}
 /**
  * Output customizer CSS
  */
-function ${slug}_customizer_css() {
+function ${prefix}_customizer_css() {
     $primary_color = get_theme_mod('primary_color', '${spec.colors.primary}');
     $accent_color = get_theme_mod('accent_color', '${spec.colors.accent}');
     
     if ($primary_color !== '${spec.colors.primary}' || $accent_color !== '${spec.colors.accent}') {
         echo '<style type="text/css">';
-        echo ':root { --color-primary: ' . esc_html($primary_color) . '; --color-accent: ' . esc_html($accent_color) . '; }';
+        echo ':root { --color-primary: ' . esc_html($primary_color) . '; --color-accent: ' . esc_html($accent_color) . ';';
+        echo ' --color-on-primary: ' . esc_html(${prefix}_readable_on($primary_color));
+        echo '; --color-on-accent: ' . esc_html(${prefix}_readable_on($accent_color)) . '; }';
         echo '</style>';
     }
 }
-add_action('wp_head', '${slug}_customizer_css');
+
+/**
+ * White or black, whichever is readable (WCAG AA) on a hex color
+ */
+function ${prefix}_readable_on($color) {
+    $hex = ltrim($color, '#');
+    if (strlen($hex) === 3) {
+        $hex = $hex[0] . $hex[0] . $hex[1] . $hex[1] . $hex[2] . $hex[2];
+    }
+    if (!preg_match('/^[0-9a-fA-F]{6}$/', $hex)) {
+        return '#ffffff';
+    }
+    $channels = array_map(function ($pair) {
+        $c = hexdec($pair) / 255;
+        return $c <= 0.04045 ? $c / 12.92 : pow(($c + 0.055) / 1.055, 2.4);
+    }, str_split($hex, 2));
+    $luminance = 0.2126 * $channels[0] + 0.7152 * $channels[1] + 0.0722 * $channels[2];
+    return 1.05 / ($luminance + 0.05) >= 4.5 ? '#ffffff' : '#000000';
+}
+add_action('wp_head', '${prefix}_customizer_css');
 
 /**
  * Custom excerpt length
  */
-function ${slug}_excerpt_length($length) {
+function ${prefix}_excerpt_length($length) {
     return 30;
 }
-add_filter('excerpt_length', '${slug}_excerpt_length');
+add_filter('excerpt_length', '${prefix}_excerpt_length');
 
 /**
  * Custom excerpt more
  */
-function ${slug}_excerpt_more($more) {
+function ${prefix}_excerpt_more($more) {
     return '...';
 }
-add_filter('excerpt_more', '${slug}_excerpt_more');
+add_filter('excerpt_more', '${prefix}_excerpt_more');
 
 /**
  * Add body classes
  */
-function ${slug}_body_classes($classes) {
+function ${prefix}_body_classes($classes) {
     if (is_home() || is_archive()) {
         $classes[] = 'blog-layout-' . get_theme_mod('blog_layout', '${spec.layout.homepage}');
     }
-    
+${variations.length ? `
+    $scheme = ${prefix}_sanitize_color_scheme(get_theme_mod('color_scheme', 'default'));
+    if ($scheme !== 'default') {
+        $classes[] = 'scheme-' . $scheme;
+    }
+` : ''}    
     return $classes;
 }
-add_filter('body_class', '${slug}_body_classes');
+add_filter('body_class', '${prefix}_body_classes');
 
 /**
  * Security enhancements
@@ -507,7 +611,7 @@ add_filter('xmlrpc_enabled', '__return_false');
 /**
  * Theme activation hook
  */
-function ${slug}_activation() {
+function ${prefix}_activation() {
     // Flush rewrite rules
     flush_rewrite_rules();
     
@@ -515,11 +619,409 @@ function ${slug}_activation() {
     set_theme_mod('primary_color', '${spec.colors.primary}');
     set_theme_mod('accent_color', '${spec.colors.accent}');
 }
-add_action('after_switch_theme', '${slug}_activation');
+add_action('after_switch_theme', '${prefix}_activation');
+`;
+};
+
+const phpLinksArray = (links, indent) => {
+  if (links.length === 0) return 'array()';
+  const pad = ' '.repeat(indent);
+  const items = links.map((l) => `${pad}    array(
+${pad}        'label' => ${phpString(l.label)},
+${pad}        'url' => ${phpString(l.url)},
+${pad}        'children' => ${phpLinksArray(l.children, indent + 8)},
+${pad}    ),`);
+  return `array(\n${items.join('\n')}\n${pad})`;
+};
+
+const generateTemplateTagsPHP = (spec) => {
+  const slug = slugify(spec.projectName);
+  const prefix = functionPrefix(slug);
+  const { types } = resolveSections(spec);
+
+  return `<?php
+/**
+ * Template tags used by the theme templates
+ *
+ * @package ${slug}
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Publish date, and the modified date when the post was updated
+ */
+function ${prefix}_posted_on() {
+    $time_string = '<time class="entry-date published updated" datetime="%1$s">%2$s</time>';
+    if (get_the_time('U') !== get_the_modified_time('U')) {
+        $time_string = '<time class="entry-date published" datetime="%1$s">%2$s</time><time class="updated" datetime="%3$s">%4$s</time>';
+    }
+
+    printf(
+        '<span class="posted-on">' . $time_string . '</span>', // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+        esc_attr(get_the_date(DATE_W3C)),
+        esc_html(get_the_date()),
+        esc_attr(get_the_modified_date(DATE_W3C)),
+        esc_html(get_the_modified_date())
+    );
+}
+
+/**
+ * Author name linked to their archive
+ */
+function ${prefix}_posted_by() {
+    printf(
+        '<span class="byline">%1$s <a class="url fn n" href="%2$s">%3$s</a></span>',
+        esc_html__('by', '${slug}'),
+        esc_url(get_author_posts_url(get_the_author_meta('ID'))),
+        esc_html(get_the_author())
+    );
+}
+
+/**
+ * Categories and tags of a post
+ */
+function ${prefix}_entry_footer() {
+    if ('post' !== get_post_type()) {
+        return;
+    }
+
+    $categories = get_the_category_list(esc_html__(', ', '${slug}'));
+    if ($categories) {
+        /* translators: %s: list of categories. */
+        printf('<span class="cat-links">' . esc_html__('Posted in %s', '${slug}') . '</span>', $categories); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+    }
+
+    $tags = get_the_tag_list('', esc_html__(', ', '${slug}'));
+    if ($tags) {
+        /* translators: %s: list of tags. */
+        printf('<span class="tags-links">' . esc_html__('Tagged %s', '${slug}') . '</span>', $tags); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+    }
+}
+${types.length ? `
+/**
+ * A homepage section: the block pattern patterns/section-<id>.php
+ */
+function ${prefix}_section($id) {
+    echo do_blocks('<!-- wp:pattern {"slug":"${slug}/section-' . $id . '"} /-->'); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+}
+` : ''}`;
+};
+
+const generateNavigationPHP = (spec) => {
+  const slug = slugify(spec.projectName);
+  const prefix = functionPrefix(slug);
+  const nav = resolveNavigation(spec);
+
+  return `<?php
+/**
+ * Default navigation from the theme spec
+ *
+ * Provides the fallback used by wp_nav_menu() while no menu is assigned to
+ * the primary location, and creates that menu when the theme is activated.
+ *
+ * @package ${slug}
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Links declared in the theme spec
+ */
+function ${prefix}_default_navigation_links() {
+    return ${phpLinksArray(nav.links, 4)};
+}
+
+/**
+ * Resolve site-relative spec URLs ("/about") against the site URL
+ */
+function ${prefix}_navigation_url($url) {
+    if (0 === strpos($url, '/') && 0 !== strpos($url, '//')) {
+        return home_url($url);
+    }
+    return $url;
+}
+
+/**
+ * Render one fallback menu item and its children
+ */
+function ${prefix}_render_fallback_item($link) {
+    $has_children = !empty($link['children']);
+    echo '<li class="menu-item' . ($has_children ? ' menu-item-has-children' : '') . '">';
+    echo '<a href="' . esc_url(${prefix}_navigation_url($link['url'])) . '">' . esc_html($link['label']) . '</a>';
+    if ($has_children) {
+        echo '<ul class="sub-menu">';
+        foreach ($link['children'] as $child) {
+            ${prefix}_render_fallback_item($child);
+        }
+        echo '</ul>';
+    }
+    echo '</li>';
+}
+
+/**
+ * wp_nav_menu() fallback: renders the spec links with the same markup as a real menu
+ */
+function ${prefix}_primary_menu_fallback($args) {
+    $links = ${prefix}_default_navigation_links();
+    if (empty($links)) {
+        return;
+    }
+    echo '<ul id="' . esc_attr($args['menu_id']) . '" class="' . esc_attr($args['menu_class']) . '">';
+    foreach ($links as $link) {
+        ${prefix}_render_fallback_item($link);
+    }
+    echo '</ul>';
+}
+
+/**
+ * Add spec links (and their children) to a nav menu
+ */
+function ${prefix}_add_menu_items($menu_id, $links, $parent_id = 0) {
+    foreach ($links as $position => $link) {
+        $item_id = wp_update_nav_menu_item($menu_id, 0, array(
+            'menu-item-title' => $link['label'],
+            'menu-item-url' => ${prefix}_navigation_url($link['url']),
+            'menu-item-status' => 'publish',
+            'menu-item-parent-id' => $parent_id,
+            'menu-item-position' => $position + 1,
+        ));
+        if (!is_wp_error($item_id) && !empty($link['children'])) {
+            ${prefix}_add_menu_items($menu_id, $link['children'], $item_id);
+        }
+    }
+}
+
+/**
+ * Create the primary menu from the spec links on theme activation,
+ * unless the site already has a menu in that location
+ */
+function ${prefix}_create_default_menu() {
+    $locations = get_theme_mod('nav_menu_locations', array());
+    if (!empty($locations['primary'])) {
+        return;
+    }
+    $links = ${prefix}_default_navigation_links();
+    if (empty($links)) {
+        return;
+    }
+
+    $menu_name = ${phpString(`${spec.projectName} Primary`)};
+    $menu = wp_get_nav_menu_object($menu_name);
+    if ($menu) {
+        $menu_id = $menu->term_id;
+    } else {
+        $menu_id = wp_create_nav_menu($menu_name);
+        if (is_wp_error($menu_id)) {
+            return;
+        }
+        ${prefix}_add_menu_items($menu_id, $links);
+    }
+
+    $locations['primary'] = $menu_id;
+    set_theme_mod('nav_menu_locations', $locations);
+}
+add_action('after_switch_theme', '${prefix}_create_default_menu');
 `;
 };
 
-const generateThemeJSON = (spec) => {
+// Header markup per navigation.style; all variants share the branding block
+const generateHeaderNavigation = (nav, slug, prefix) => {
+  const menuClass = nav.style === 'mega-menu' ? 'nav-menu mega-menu' : 'nav-menu';
+  const menu = `<?php
+                wp_nav_menu(array(
+                    'theme_location' => 'primary',
+                    'menu_id' => 'primary-menu',
+                    'menu_class' => '${menuClass}',
+                    'container' => false,
+                    'fallback_cb' => '${prefix}_primary_menu_fallback',
+                ));
+                ?>`;
+  const toggle = `<button class="menu-toggle" aria-controls="site-navigation" aria-expanded="false">
+                <?php esc_html_e('Menu', '${slug}'); ?>
+            </button>`;
+
+  if (nav.style === 'sidebar-drawer') {
+    return `${toggle}
+
+            <nav id="site-navigation" class="main-navigation nav-drawer" aria-label="<?php esc_attr_e('Primary', '${slug}'); ?>">
+                <button class="nav-close" type="button" data-nav-close><?php esc_html_e('Close', '${slug}'); ?></button>
+                ${menu}
+            </nav>
+            <div class="nav-backdrop" data-nav-close></div>`;
+  }
+
+  if (nav.style === 'hamburger') {
+    return `${toggle}
+
+            <nav id="site-navigation" class="main-navigation nav-overlay" aria-label="<?php esc_attr_e('Primary', '${slug}'); ?>">
+                ${menu}
+            </nav>`;
+  }
+
+  return `<nav id="site-navigation" class="main-navigation" aria-label="<?php esc_attr_e('Primary', '${slug}'); ?>">
+                ${toggle}
+                ${menu}
+            </nav>`;
+};
+
+const generateNavigationCSS = (style, tokens) => {
+  const styles = {
+    'top-bar': '',
+    centered: `
+.nav-style-centered .container {
+  flex-direction: column;
+  gap: 1rem;
+  text-align: center;
+}
+
+.nav-style-centered .main-navigation ul {
+  justify-content: center;
+}
+`,
+    'sidebar-drawer': `
+.nav-style-sidebar-drawer .container {
+  justify-content: flex-start;
+  gap: 1rem;
+}
+
+.nav-drawer {
+  position: fixed;
+  top: 0;
+  bottom: 0;
+  left: 0;
+  width: min(320px, 85vw);
+  padding: 1.5rem;
+  background-color: var(--color-primary);
+  transform: translateX(-100%);
+  transition: transform 0.25s ease;
+  z-index: 1000;
+  overflow-y: auto;
+}
+
+.nav-drawer ul {
+  flex-direction: column;
+  gap: 1rem;
+}
+
+.nav-close {
+  background: none;
+  border: 0;
+  color: var(--color-on-primary);
+  cursor: pointer;
+  margin-bottom: 1rem;
+}
+
+.nav-backdrop {
+  position: fixed;
+  inset: 0;
+  background: rgba(0, 0, 0, 0.4);
+  opacity: 0;
+  pointer-events: none;
+  transition: opacity 0.25s ease;
+  z-index: 999;
+}
+
+.nav-open .nav-drawer {
+  transform: none;
+}
+
+.nav-open .nav-backdrop {
+  opacity: 1;
+  pointer-events: auto;
+}
+`,
+    hamburger: `
+.nav-style-hamburger .container {
+  flex-wrap: wrap;
+}
+
+.nav-overlay {
+  display: none;
+  flex-basis: 100%;
+  padding-top: 1rem;
+}
+
+.nav-overlay ul {
+  flex-direction: column;
+  gap: 1rem;
+  font-size: 1.25rem;
+}
+
+.nav-open .nav-overlay {
+  display: block;
+}
+`,
+    'mega-menu': `
+.nav-style-mega-menu {
+  position: relative;
+}
+
+.mega-menu > .menu-item-has-children > .sub-menu {
+  display: none;
+  position: absolute;
+  left: 0;
+  right: 0;
+  top: 100%;
+  padding: 2rem;
+  background-color: var(--color-background);
+  box-shadow: var(--shadow-large);
+  grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+  gap: 1.5rem;
+  z-index: 1000;
+}
+
+.mega-menu > .menu-item-has-children:hover > .sub-menu,
+.mega-menu > .menu-item-has-children:focus-within > .sub-menu {
+  display: grid;
+}
+
+.mega-menu .sub-menu a {
+  color: var(--color-text);
+}
+`,
+  };
+  const toggleStyles = style === 'top-bar' || style === 'centered'
+    ? `
+.menu-toggle {
+  display: none;
+}
+
+@media (max-width: ${tokens.breakpoints.medium}) {
+  .menu-toggle {
+    display: inline-block;
+  }
+}
+`
+    : `
+.menu-toggle {
+  display: inline-flex;
+  align-items: center;
+  gap: 0.5rem;
+}
+`;
+  return `
+/* Navigation (${style}) */
+.menu-toggle {
+  background: none;
+  border: 1px solid currentColor;
+  color: var(--color-on-primary);
+  padding: 0.5rem 1rem;
+  cursor: pointer;
+}
+${toggleStyles}${styles[style] || ''}`;
+};
+
+const generateThemeJSON = (spec, fonts) => {
+  const tokens = resolveTokens(spec);
+  const fontFamily = (font) => {
+    const faces = fontFaces(font, fonts);
+    return faces.length ? { "fontFace": faces } : {};
+  };
   return {
     "$schema": "https://schemas.wp.org/trunk/theme.json",
     "version": 2,
@@ -552,19 +1054,32 @@ const generateThemeJSON = (spec) => {
         "fontFamilies": [
           {
             "slug": "heading",
-            "fontFamily": spec?.fonts?.heading || "system-ui, sans-serif",
-            "name": "Heading Font"
+            "fontFamily": withFallback(spec?.fonts?.heading || "system-ui, sans-serif", fonts),
+            "name": "Heading Font",
+            ...fontFamily(spec?.fonts?.heading)
           },
           {
             "slug": "body",
-            "fontFamily": spec?.fonts?.body || "system-ui, sans-serif",
-            "name": "Body Font"
+            "fontFamily": withFallback(spec?.fonts?.body || "system-ui, sans-serif", fonts),
+            "name": "Body Font",
+            ...fontFamily(spec?.fonts?.body)
           }
-        ]
+        ],
+        "fontSizes": tokens.fontSizes
+      },
+      "spacing": {
+        "spacingSizes": tokens.spacingSizes
+      },
+      "shadow": {
+        "presets": Object.entries(tokens.shadows).map(([slug, shadow]) => ({
+          "slug": slug,
+          "name": slug[0].toUpperCase() + slug.slice(1),
+          "shadow": shadow
+        }))
       },
       "layout": {
-        "contentSize": "1200px",
-        "wideSize": "1400px"
+        "contentSize": tokens.layout.content,
+        "wideSize": tokens.layout.wide
       }
     },
     "styles": {
@@ -587,7 +1102,7 @@ const generateThemeJSON = (spec) => {
         "button": {
           "color": {
             "background": "var(--color-accent)",
-            "text": "white"
+            "text": readableOn(spec.colors.accent)
           },
           "typography": {
             "fontWeight": "500"
@@ -598,29 +1113,53 @@ const generateThemeJSON = (spec) => {
   };
 };
 
-export const buildWordPressThemeFromSpec = async (spec) => {
-  validateWordPressSpec(spec);
+// theme.json fontFace is printed for classic themes from WordPress 6.4
+const classicRequirements = (fonts) => (fonts.faces.length
+  ? { ...CLASSIC_REQUIREMENTS, requiresAtLeast: '6.4' }
+  : CLASSIC_REQUIREMENTS);
+
+export const buildWordPressThemeFromSpec = async (spec, {
+  outDir = path.resolve('output'),
+  fonts = NO_FONTS,
+} = {}) => {
   const slug = slugify(spec.projectName || 'theme');
-  const outRoot = path.resolve('output');
-  const themePath = path.join(outRoot, slug);
+  const themePath = path.join(outDir, slug);
 
+  // Start from an empty directory so files from an earlier build never linger
+  await fs.rm(themePath, { recursive: true, force: true });
   await ensureDir(themePath);
+
+  // Homepage sections are block patterns in both modes
+  await writeSectionPatterns(themePath, spec, { slug });
+
+  // wordpress.mode: "block" emits a Site Editor theme instead of PHP templates
+  if (spec.wordpress?.mode === 'block') {
+    return buildWordPressBlockTheme(spec, {
+      themePath, slug, prefix: functionPrefix(slug), fonts,
+    });
+  }
+  const requirements = classicRequirements(fonts);
   await ensureDir(path.join(themePath, 'assets', 'css'));
   await ensureDir(path.join(themePath, 'assets', 'js'));
   await ensureDir(path.join(themePath, 'assets', 'images'));
   await ensureDir(path.join(themePath, 'inc'));
 
   // Generate style.css
-  const styleCSS = generateStyleCSS(spec);
+  const styleCSS = generateStyleCSS(spec, { fonts, requirements });
   await fs.writeFile(path.join(themePath, 'style.css'), styleCSS, 'utf8');
 
   // Generate functions.php
   const functionsPHP = generateFunctionsPHP(spec);
   await fs.writeFile(path.join(themePath, 'functions.php'), functionsPHP, 'utf8');
 
+  // Generate default navigation (menu fallback + activation hook)
+  await fs.writeFile(path.join(themePath, 'inc', 'navigation.php'), generateNavigationPHP(spec), 'utf8');
+  await fs.writeFile(path.join(themePath, 'inc', 'template-tags.php'), generateTemplateTagsPHP(spec), 'utf8');
+
   // Generate theme.json
-  const themeJSON = generateThemeJSON(spec);
+  const themeJSON = generateThemeJSON(spec, fonts);
   await fs.writeFile(path.join(themePath, 'theme.json'), JSON.stringify(themeJSON, null, 2), 'utf8');
+  await writeFontFiles(themePath, fonts);
 
   // Generate template files
   await generateTemplateFiles(themePath, spec, slug);
@@ -629,12 +1168,24 @@ export const buildWordPressThemeFromSpec = async (spec) => {
   await generateAssets(themePath, spec);
 
   // Generate README
-  await generateReadme(themePath, spec);
+  await generateReadme(themePath, spec, requirements);
+
+  // WordPress.org format readme and the Appearance → Themes preview
+  await fs.writeFile(path.join(themePath, 'readme.txt'), generateReadmeTxt(spec, {
+    ...requirements,
+    description: 'a responsive theme with block editor support, customizer colors, two menu locations and two widget areas',
+  }), 'utf8');
+  await fs.writeFile(path.join(themePath, 'screenshot.png'), renderScreenshot(spec.colors));
 
   return themePath;
 };
 
 const generateTemplateFiles = async (themePath, spec, slug) => {
+  const prefix = functionPrefix(slug);
+  const nav = resolveNavigation(spec);
+  const sections = resolveSections(spec);
+  const feedAt = sections.home.findIndex((section) => section.type === 'posts');
+
   // index.php
   const indexPHP = `<?php
 /**
@@ -646,56 +1197,10 @@ const generateTemplateFiles = async (themePath, spec, slug) => {
 get_header(); ?>
 
 <main id="primary" class="site-main">
-    <div class="container">
+    <div class="container">${sectionCallsPHP(sections.home.slice(0, feedAt), prefix)}
         <?php if (have_posts()) : ?>
-            <div class="content-area">
-                <div class="posts-container">
-                    <?php while (have_posts()) : the_post(); ?>
-                        <article id="post-<?php the_ID(); ?>" <?php post_class('post'); ?>>
-                            <?php if (has_post_thumbnail()) : ?>
-                                <div class="post-thumbnail">
-                                    <?php the_post_thumbnail('large'); ?>
-                                </div>
-                            <?php endif; ?>
-                            
-                            <header class="entry-header">
-                                <?php
-                                if (is_singular()) :
-                                    the_title('<h1 class="entry-title">', '</h1>');
-                                else :
-                                    the_title('<h2 class="entry-title"><a href="' . esc_url(get_permalink()) . '" rel="bookmark">', '</a></h2>');
-                                endif;
-                                ?>
-                            </header>
-
-                            <div class="entry-content">
-                                <?php
-                                if (is_singular()) :
-                                    the_content();
-                                else :
-                                    the_excerpt();
-                                endif;
-                                ?>
-                            </div>
+            <?php get_template_part('template-parts/home', '${spec.layout.homepage}'); ?>
 
-                            <?php if (!is_singular()) : ?>
-                                <footer class="entry-footer">
-                                    <a href="<?php the_permalink(); ?>" class="read-more">
-                                        <?php _e('Read More', '${slug}'); ?>
-                                    </a>
-                                </footer>
-                            <?php endif; ?>
-                        </article>
-                    <?php endwhile; ?>
-                </div>
-                
-                <?php if (is_home() || is_archive()) : ?>
-                    <div class="widget-area">
-                        <?php get_sidebar(); ?>
-                    </div>
-                <?php endif; ?>
-            </div>
-            
             <?php
             the_posts_navigation(array(
                 'prev_text' => __('Older posts', '${slug}'),
@@ -712,7 +1217,7 @@ get_header(); ?>
                 </div>
             </section>
         <?php endif; ?>
-    </div>
+${sectionCallsPHP(sections.home.slice(feedAt + 1), prefix)}    </div>
 </main>
 
 <?php
@@ -720,6 +1225,11 @@ get_footer();
 `;
   await fs.writeFile(path.join(themePath, 'index.php'), indexPHP, 'utf8');
 
+  // Homepage layout parts loaded by index.php
+  await ensureDir(path.join(themePath, 'template-parts'));
+  await Promise.all(Object.entries(homeLayoutFiles(spec.layout.homepage, slug))
+    .map(([file, contents]) => fs.writeFile(path.join(themePath, file), contents, 'utf8')));
+
   // header.php
   const headerPHP = `<!DOCTYPE html>
 <html <?php language_attributes(); ?>>
@@ -736,7 +1246,7 @@ get_footer();
 <div id="page" class="site">
     <a class="skip-link screen-reader-text" href="#primary"><?php _e('Skip to content', '${slug}'); ?></a>
 
-    <header id="masthead" class="site-header">
+    <header id="masthead" class="site-header nav-style-${nav.style}">
         <div class="container">
             <div class="site-branding">
                 <?php
@@ -757,31 +1267,23 @@ get_footer();
                 <?php
                 $description = get_bloginfo('description', 'display');
                 if ($description || is_customize_preview()) : ?>
-                    <p class="site-description"><?php echo $description; ?></p>
+                    <p class="site-description"><?php echo esc_html($description); ?></p>
                 <?php endif; ?>
             </div>
 
-            <nav id="site-navigation" class="main-navigation">
-                <button class="menu-toggle" aria-controls="primary-menu" aria-expanded="false">
-                    <?php _e('Menu', '${slug}'); ?>
-                </button>
-                <?php
-                wp_nav_menu(array(
-                    'theme_location' => 'primary',
-                    'menu_id' => 'primary-menu',
-                    'menu_class' => 'nav-menu',
-                ));
-                ?>
-            </nav>
+            ${generateHeaderNavigation(nav, slug, prefix)}
         </div>
     </header>
 `;
   await fs.writeFile(path.join(themePath, 'header.php'), headerPHP, 'utf8');
 
-  // footer.php
+  // footer.php, with the footer-columns sections above the widgets
+  const footerSections = sections.footer
+    .map((section) => `            <?php ${prefix}_section('${section.id}'); ?>\n`)
+    .join('');
   const footerPHP = `    <footer id="colophon" class="site-footer">
         <div class="container">
-            <?php if (is_active_sidebar('footer-widgets')) : ?>
+${footerSections}            <?php if (is_active_sidebar('footer-widgets')) : ?>
                 <div class="footer-widgets">
                     <?php dynamic_sidebar('footer-widgets'); ?>
                 </div>
@@ -821,72 +1323,11 @@ if (!is_active_sidebar('sidebar-1')) {
 `;
   await fs.writeFile(path.join(themePath, 'sidebar.php'), sidebarPHP, 'utf8');
 
-  // single.php
-  const singlePHP = `<?php
-/**
- * The template for displaying all single posts
- *
- * @package ${slug}
- */
-
-get_header(); ?>
-
-<main id="primary" class="site-main">
-    <div class="container">
-        <?php while (have_posts()) : the_post(); ?>
-            <article id="post-<?php the_ID(); ?>" <?php post_class(); ?>>
-                <header class="entry-header">
-                    <?php the_title('<h1 class="entry-title">', '</h1>'); ?>
-                    
-                    <div class="entry-meta">
-                        <?php
-                        ${slug}_posted_on();
-                        ${slug}_posted_by();
-                        ?>
-                    </div>
-                </header>
-
-                <?php if (has_post_thumbnail()) : ?>
-                    <div class="post-thumbnail">
-                        <?php the_post_thumbnail('large'); ?>
-                    </div>
-                <?php endif; ?>
-
-                <div class="entry-content">
-                    <?php
-                    the_content();
-
-                    wp_link_pages(array(
-                        'before' => '<div class="page-links">' . __('Pages:', '${slug}'),
-                        'after' => '</div>',
-                    ));
-                    ?>
-                </div>
-
-                <footer class="entry-footer">
-                    <?php ${slug}_entry_footer(); ?>
-                </footer>
-            </article>
-
-            <?php
-            the_post_navigation(array(
-                'prev_text' => __('Previous post', '${slug}'),
-                'next_text' => __('Next post', '${slug}'),
-            ));
-
-            if (comments_open() || get_comments_number()) :
-                comments_template();
-            endif;
-            ?>
-        <?php endwhile; ?>
-    </div>
-</main>
-
-<?php
-get_sidebar();
-get_footer();
-`;
-  await fs.writeFile(path.join(themePath, 'single.php'), singlePHP, 'utf8');
+  // single.php for the post layout, with the parts it loads
+  const single = singlePHP(spec.layout.postPage, { slug, prefix });
+  await fs.writeFile(path.join(themePath, 'single.php'), single, 'utf8');
+  await Promise.all(Object.entries(postLayoutFiles(slug))
+    .map(([file, contents]) => fs.writeFile(path.join(themePath, file), contents, 'utf8')));
 
   // page.php
   const pagePHP = `<?php
@@ -990,7 +1431,7 @@ get_header(); ?>
                                 <?php the_title('<h2 class="entry-title"><a href="' . esc_url(get_permalink()) . '" rel="bookmark">', '</a></h2>'); ?>
                                 
                                 <div class="entry-meta">
-                                    <?php ${slug}_posted_on(); ?>
+                                    <?php ${prefix}_posted_on(); ?>
                                 </div>
                             </header>
 
@@ -1054,7 +1495,7 @@ get_header(); ?>
                     <?php
                     printf(
                         esc_html__('Search Results for: %s', '${slug}'),
-                        '<span>' . get_search_query() . '</span>'
+                        '<span>' . esc_html(get_search_query()) . '</span>'
                     );
                     ?>
                 </h1>
@@ -1068,7 +1509,7 @@ get_header(); ?>
                                 <?php the_title('<h2 class="entry-title"><a href="' . esc_url(get_permalink()) . '" rel="bookmark">', '</a></h2>'); ?>
                                 
                                 <div class="entry-meta">
-                                    <?php ${slug}_posted_on(); ?>
+                                    <?php ${prefix}_posted_on(); ?>
                                 </div>
                             </header>
 
@@ -1185,7 +1626,7 @@ get_footer();
 <form role="search" method="get" class="search-form" action="<?php echo esc_url(home_url('/')); ?>">
     <label>
         <span class="screen-reader-text"><?php echo _x('Search for:', 'label', '${slug}'); ?></span>
-        <input type="search" class="search-field" placeholder="<?php echo esc_attr_x('Search &hellip;', 'placeholder', '${slug}'); ?>" value="<?php echo get_search_query(); ?>" name="s" />
+        <input type="search" class="search-field" placeholder="<?php echo esc_attr_x('Search &hellip;', 'placeholder', '${slug}'); ?>" value="<?php echo esc_attr(get_search_query()); ?>" name="s" />
     </label>
     <input type="submit" class="search-submit" value="<?php echo esc_attr_x('Search', 'submit button', '${slug}'); ?>" />
 </form>
@@ -1205,20 +1646,20 @@ const generateAssets = async (themePath, spec) => {
     border: 1px solid currentColor;
     color: inherit;
     padding: 0.5rem 1rem;
-    border-radius: 4px;
+    border-radius: var(--radius-medium);
     cursor: pointer;
     font-size: 0.9rem;
 }
 
 .dark-mode-toggle:hover {
     background-color: var(--color-accent);
-    color: white;
+    color: var(--color-on-accent);
 }
 
 /* Custom block styles */
 .wp-block-group.has-background {
     padding: 2rem;
-    border-radius: 8px;
+    border-radius: var(--radius-large);
 }
 
 .wp-block-quote {
@@ -1230,7 +1671,7 @@ const generateAssets = async (themePath, spec) => {
 .wp-block-code {
     background: #f8f9fa;
     padding: 1rem;
-    border-radius: 4px;
+    border-radius: var(--radius-medium);
     font-family: monospace;
 }
 
@@ -1277,12 +1718,17 @@ body {
 
 .editor-styles-wrapper .wp-block-button__link {
     background-color: var(--color-accent);
-    color: white;
+    color: var(--color-on-accent);
 }
 `;
   await fs.writeFile(path.join(themePath, 'assets', 'css', 'editor-style.css'), editorCSS, 'utf8');
 
   // Main JavaScript
+  // Table of contents or reading progress for the post layout
+  const postScript = postLayoutScript(spec.layout.postPage, {
+    content: '.entry-content',
+    article: '.post-full',
+  });
   const mainJS = `/**
  * ${spec.projectName} JavaScript
  */
@@ -1291,10 +1737,25 @@ body {
     'use strict';
 
     $(document).ready(function() {
-        // Mobile menu toggle
+        // Menu toggle (mobile menu, drawer and hamburger navigation)
+        function setMenuOpen(open) {
+            $('body').toggleClass('nav-open', open);
+            $('.main-navigation').toggleClass('active', open);
+            $('.menu-toggle').toggleClass('active', open).attr('aria-expanded', open ? 'true' : 'false');
+        }
+
         $('.menu-toggle').on('click', function() {
-            $(this).toggleClass('active');
-            $('.main-navigation').toggleClass('active');
+            setMenuOpen(!$('body').hasClass('nav-open'));
+        });
+
+        $('[data-nav-close]').on('click', function() {
+            setMenuOpen(false);
+        });
+
+        $(document).on('keydown', function(e) {
+            if (e.key === 'Escape') {
+                setMenuOpen(false);
+            }
         });
 
         // Smooth scrolling for anchor links
@@ -1374,11 +1835,13 @@ body {
     };
 
 })(jQuery);
-`;
+${postScript && `
+// Post layout: ${spec.layout.postPage}
+${postScript}`}`;
   await fs.writeFile(path.join(themePath, 'assets', 'js', 'main.js'), mainJS, 'utf8');
 };
 
-const generateReadme = async (themePath, spec) => {
+const generateReadme = async (themePath, spec, requirements) => {
   const readmeContent = `# ${spec.projectName}
 
 A modern WordPress theme generated by ThemeSmith.
@@ -1435,6 +1898,12 @@ ${spec.features?.map(feature => `- ${feature.replace(/_/g, ' ').replace(/\\b\\w/
 - Primary Menu
 - Footer Menu
 
+### Navigation
+- Style: ${resolveNavigation(spec).style}
+- On activation the theme creates a "${spec.projectName} Primary" menu from these links and assigns it to the Primary location (skipped if a menu is already assigned):
+${resolveNavigation(spec).links.map((l) => `  - ${l.label}: ${l.url}`).join('\n') || '  - (no default links)'}
+- Until a menu is assigned, the header renders the same links as a fallback.
+
 ## File Structure
 
 \`\`\`
@@ -1452,12 +1921,15 @@ ${slugify(spec.projectName)}/
 ├── search.php            # Search template
 ├── 404.php               # 404 error template
 ├── searchform.php        # Search form template
+├── inc/
+│   └── navigation.php    # Default menu fallback and activation hook
 ├── assets/
 │   ├── css/
 │   │   ├── custom.css
 │   │   └── editor-style.css
 │   └── js/
 │       └── main.js
+├── readme.txt            # WordPress.org readme
 └── screenshot.png        # Theme screenshot
 \`\`\`
 
@@ -1471,8 +1943,8 @@ ${slugify(spec.projectName)}/
 
 ## Requirements
 
-- WordPress 6.0 or higher
-- PHP 7.4 or higher
+- WordPress ${requirements.requiresAtLeast} or higher
+- PHP ${requirements.requiresPhp} or higher
 
 ## License
 
@@ -1487,7 +1959,7 @@ For support and documentation, visit the ThemeSmith website.
 ### Version 1.0.0
 - Initial release
 - Generated by ThemeSmith
-- WordPress 6.0+ compatibility
+- WordPress ${requirements.requiresAtLeast}+ compatibility
 - Gutenberg support
 - Responsive design
 - Accessibility features
@@ -0,0 +1,54 @@
+import { readFileSync } from 'fs';
+import { withSectionPairs } from '../../core/sections.js';
+import { buildWordPressThemeFromSpec } from './builders/theme-builder.js';
+import validateWordPressTheme from './validators/theme-check.js';
+
+const schema = JSON.parse(readFileSync(new URL('./schema.json', import.meta.url), 'utf8'));
+
+// Text on primary and accent backgrounds uses a computed black or white in
+// classic themes; block theme buttons use the background color instead.
+// Section backgrounds add their own pairs.
+const colorPairs = (spec) => withSectionPairs([
+  {
+    foreground: 'text', background: 'background', usage: 'Body text', minRatio: 4.5,
+  },
+  ...(spec.wordpress?.mode === 'block' ? [
+    {
+      foreground: 'primary', background: 'background', usage: 'Links', minRatio: 4.5,
+    },
+    {
+      foreground: 'accent', background: 'background', usage: 'Hovered links', minRatio: 4.5,
+    },
+    {
+      foreground: 'background', background: 'accent', usage: 'Button text', minRatio: 4.5,
+    },
+    {
+      foreground: 'background', background: 'primary', usage: 'Hovered button text', minRatio: 4.5,
+    },
+  ] : [
+    {
+      foreground: 'accent', background: 'background', usage: 'Links', minRatio: 4.5,
+    },
+    {
+      foreground: 'primary',
+      background: 'background',
+      usage: 'Widget titles (large text)',
+      minRatio: 3,
+    },
+  ]),
+], spec);
+
+export default {
+  name: 'wordpress',
+  label: 'WordPress',
+  schema,
+  layout: {
+    homepage: 'grid',
+    postPage: 'single-column',
+    archivePage: 'grid',
+  },
+  features: ['gutenberg_blocks', 'customizer', 'widgets', 'menus', 'dark_mode', 'responsive'],
+  colorPairs,
+  build: buildWordPressThemeFromSpec,
+  validate: validateWordPressTheme,
+};
@@ -0,0 +1,16 @@
+<?php
+/**
+ * Title: <%- title %>
+ * Slug: <%- slug %>/<%- name %>
+ * Categories: <%- categories %>
+<% if (typeof blockTypes !== 'undefined') { -%>
+ * Block Types: <%- blockTypes %>
+<% } -%>
+<% if (typeof hidden !== 'undefined' && hidden) { -%>
+ * Inserter: no
+<% } -%>
+ *
+ * @package <%= slug %>
+ */
+
+?>
@@ -0,0 +1,14 @@
+<%# Rendered when the pattern loads, so the list is current until the template is saved in the Site Editor -%>
+<!-- wp:html -->
+<div class="author-grid">
+	<?php foreach ( get_users( array( 'has_published_posts' => array( 'post' ), 'number' => <%- section.count %>, 'orderby' => 'post_count', 'order' => 'DESC' ) ) as $section_author ) : ?>
+		<a class="author-card" href="<?php echo esc_url( get_author_posts_url( $section_author->ID ) ); ?>">
+			<?php echo get_avatar( $section_author->ID, 96, '', '', array( 'class' => 'author-card-image' ) ); ?>
+			<span class="author-card-name"><?php echo esc_html( $section_author->display_name ); ?></span>
+			<?php if ( $section_author->description ) : ?>
+				<span class="author-card-bio"><?php echo esc_html( $section_author->description ); ?></span>
+			<?php endif; ?>
+		</a>
+	<?php endforeach; ?>
+</div>
+<!-- /wp:html -->
@@ -0,0 +1,5 @@
+<%- block('buttons', frame.buttons) %>
+<div class="wp-block-buttons"><% links.forEach((link) => { %><%- block('button', frame.button) %>
+<div class="wp-block-button<%- frame.button.className ? ` ${frame.button.className}` : '' %>"><a class="wp-block-button__link wp-element-button" href="<%- href(link.url) %>"><%- t(link.label) %></a></div>
+<!-- /wp:button --><% }) %></div>
+<!-- /wp:buttons -->
@@ -0,0 +1,10 @@
+<%# Sticky posts are the featured posts of WordPress -%>
+<!-- wp:query <%- attrs({ queryId, query: { perPage: section.count, pages: 0, offset: 0, postType: 'post', order: 'desc', orderBy: 'date', sticky: 'only', inherit: false }, layout: { type: 'default' } }) %> -->
+<div class="wp-block-query"><!-- wp:post-template <%- attrs({ layout: { type: 'grid', columnCount: Math.min(section.count, 3) } }) %> -->
+<!-- wp:post-featured-image {"isLink":true,"aspectRatio":"3/2"} /-->
+
+<!-- wp:post-title {"isLink":true,"level":3,"fontSize":"medium"} /-->
+
+<!-- wp:post-date /-->
+<!-- /wp:post-template --></div>
+<!-- /wp:query -->
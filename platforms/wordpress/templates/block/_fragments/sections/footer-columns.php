@@ -0,0 +1,17 @@
+<!-- wp:columns -->
+<div class="wp-block-columns"><% section.columns.forEach((column) => { %><!-- wp:column {"className":"footer-column"} -->
+<div class="wp-block-column footer-column"><!-- wp:heading {"level":3,"fontSize":"medium"} -->
+<h3 class="wp-block-heading has-medium-font-size"><%- t(column.heading) %></h3>
+<!-- /wp:heading --><% if (column.text) { %>
+
+<!-- wp:paragraph {"fontSize":"small"} -->
+<p class="has-small-font-size"><%- t(column.text) %></p>
+<!-- /wp:paragraph --><% } %><% if (column.links?.length) { %>
+
+<!-- wp:list {"className":"footer-column-links","fontSize":"small"} -->
+<ul class="wp-block-list footer-column-links has-small-font-size"><% column.links.forEach((link) => { %><!-- wp:list-item -->
+<li><a href="<%- href(link.url) %>"><%- t(link.label) %></a></li>
+<!-- /wp:list-item --><% }) %></ul>
+<!-- /wp:list --><% } %></div>
+<!-- /wp:column --><% }) %></div>
+<!-- /wp:columns -->
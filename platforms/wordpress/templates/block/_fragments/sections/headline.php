@@ -0,0 +1,3 @@
+<%- block('heading', frame.heading) %>
+<h2 class="wp-block-heading<%- frame.headingClass %>"><%- t(section.headline) %></h2>
+<!-- /wp:heading -->
@@ -0,0 +1,3 @@
+<% if (section.button) { -%>
+<%- include('buttons.php', { links: [section.button] }) -%>
+<% } -%>
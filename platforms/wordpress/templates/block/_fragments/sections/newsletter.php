@@ -0,0 +1,7 @@
+<!-- wp:html -->
+<form class="section-signup<% if (section.alignment !== 'left') { %> section-signup-<%- section.alignment %><% } %>" action="<?php echo esc_url( <%- php(section.formAction) %> ); ?>" method="post" target="_blank">
+	<label class="screen-reader-text" for="<%- section.id %>-email"><?php esc_html_e( 'Email address', '<%- slug %>' ); ?></label>
+	<input id="<%- section.id %>-email" type="email" name="email" placeholder="you@example.com" autocomplete="email" required>
+	<button class="wp-element-button" type="submit"><?php esc_html_e( 'Subscribe', '<%- slug %>' ); ?></button>
+</form>
+<!-- /wp:html -->
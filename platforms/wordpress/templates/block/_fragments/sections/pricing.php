@@ -0,0 +1,19 @@
+<!-- wp:columns -->
+<div class="wp-block-columns"><% section.plans.forEach((plan) => { const className = plan.highlighted ? 'pricing-plan pricing-plan-highlighted' : 'pricing-plan'; %><!-- wp:column <%- attrs({ className }) %> -->
+<div class="wp-block-column <%- className %>"><!-- wp:heading {"level":3} -->
+<h3 class="wp-block-heading"><%- t(plan.name) %></h3>
+<!-- /wp:heading -->
+
+<!-- wp:paragraph {"className":"pricing-plan-price","fontSize":"x-large"} -->
+<p class="pricing-plan-price has-x-large-font-size"><%- t(plan.price) %><% if (plan.period) { %> <span><%- t(plan.period) %></span><% } %></p>
+<!-- /wp:paragraph --><% if (plan.features?.length) { %>
+
+<!-- wp:list {"className":"pricing-plan-features"} -->
+<ul class="wp-block-list pricing-plan-features"><% plan.features.forEach((feature) => { %><!-- wp:list-item -->
+<li><%- t(feature) %></li>
+<!-- /wp:list-item --><% }) %></ul>
+<!-- /wp:list --><% } %><% if (plan.button) { %>
+
+<%- include('buttons.php', { links: [plan.button], frame: { ...frame, buttons: {}, button: {} } }).trimEnd() %><% } %></div>
+<!-- /wp:column --><% }) %></div>
+<!-- /wp:columns -->
@@ -0,0 +1,12 @@
+<%
+  // The group around every section: headline, text, then the blocks of its type
+  const blocks = [
+    section.headline && include('headline.php').trimEnd(),
+    section.text && include('text.php').trimEnd(),
+    include(`${section.type}.php`).trim(),
+  ].filter(Boolean);
+-%>
+<%- include('../pattern-header.php', { title: `Section: ${section.id}`, name: `section-${section.id}`, categories: slug }) -%>
+<%- block('group', frame.group) %>
+<section id="<%- section.id %>" class="wp-block-group <%- frame.groupClass %>"><%- blocks.join('\n\n') %></section>
+<!-- /wp:group -->
@@ -0,0 +1 @@
+<!-- wp:tag-cloud <%- attrs({ numberOfTags: section.count, ...(section.alignment === 'left' ? {} : { className: `tag-cloud-${section.alignment}` }) }) %> /-->
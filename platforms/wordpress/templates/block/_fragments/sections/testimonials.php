@@ -0,0 +1,9 @@
+<!-- wp:columns -->
+<div class="wp-block-columns"><% section.items.forEach((item) => { %><!-- wp:column -->
+<div class="wp-block-column"><!-- wp:quote {"className":"testimonial"} -->
+<blockquote class="wp-block-quote testimonial"><!-- wp:paragraph -->
+<p><%- t(item.quote) %></p>
+<!-- /wp:paragraph --><cite><%- t(item.name) %><% if (item.role) { %><br><%- t(item.role) %><% } %></cite></blockquote>
+<!-- /wp:quote --></div>
+<!-- /wp:column --><% }) %></div>
+<!-- /wp:columns -->
@@ -0,0 +1,3 @@
+<%- block('paragraph', frame.paragraph) %>
+<p<% if (frame.paragraphClass) { %> class="<%- frame.paragraphClass.trim() %>"<% } %>><%- t(section.text) %></p>
+<!-- /wp:paragraph -->
@@ -0,0 +1,67 @@
+<?php
+/**
+ * <%= spec.projectName %> functions and definitions
+ *
+ * Block theme: templates, parts and patterns do the rendering, theme.json the styling.
+ *
+ * @package <%= slug %>
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Loads style.css in the editor as well, so both look the same.
+ */
+function <%- prefix %>_setup() {
+	add_editor_style( 'style.css' );
+}
+add_action( 'after_setup_theme', '<%- prefix %>_setup' );
+
+/**
+ * Enqueues style.css on the front end.
+ */
+function <%- prefix %>_enqueue_styles() {
+	wp_enqueue_style( '<%- slug %>-style', get_stylesheet_uri(), array(), wp_get_theme()->get( 'Version' ) );
+}
+add_action( 'wp_enqueue_scripts', '<%- prefix %>_enqueue_styles' );
+
+/**
+ * Groups the theme patterns in the inserter.
+ */
+function <%- prefix %>_pattern_categories() {
+	register_block_pattern_category( '<%- slug %>', array( 'label' => <%- php(spec.projectName) %> ) );
+}
+add_action( 'init', '<%- prefix %>_pattern_categories' );
+
+/**
+ * Narrows query blocks marked "related" to other posts from the current post's categories.
+ *
+ * @param array    $query Query vars built from the block.
+ * @param WP_Block $block The post template block.
+ * @return array
+ */
+function <%- prefix %>_related_posts_query( $query, $block ) {
+	if ( empty( $block->context['query']['related'] ) || ! is_singular() ) {
+		return $query;
+	}
+	$post_id                      = get_queried_object_id();
+	$query['category__in']        = wp_get_post_categories( $post_id );
+	$query['post__not_in']        = array( $post_id );
+	$query['ignore_sticky_posts'] = true;
+	return $query;
+}
+add_filter( 'query_loop_block_query_vars', '<%- prefix %>_related_posts_query', 10, 2 );
+<% if (postScript) { -%>
+
+/**
+ * Loads the <%- layout.postPage %> post layout script on single posts.
+ */
+function <%- prefix %>_post_layout_script() {
+	if ( is_singular( 'post' ) ) {
+		wp_enqueue_script( '<%- slug %>-post-layout', get_theme_file_uri( 'assets/js/post-layout.js' ), array(), wp_get_theme()->get( 'Version' ), true );
+	}
+}
+add_action( 'wp_enqueue_scripts', '<%- prefix %>_post_layout_script' );
+<% } -%>
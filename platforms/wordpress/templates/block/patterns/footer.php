@@ -0,0 +1,18 @@
+<%- include('../_fragments/pattern-header.php', { title: 'Footer', name: 'footer', categories: 'footer', blockTypes: 'core/template-part/footer', hidden: true }) -%>
+<!-- wp:group {"align":"full","className":"site-footer","style":{"spacing":{"padding":{"top":"var:preset|spacing|50","bottom":"var:preset|spacing|50"}}},"layout":{"type":"constrained"}} -->
+<div class="wp-block-group alignfull site-footer" style="padding-top:var(--wp--preset--spacing--50);padding-bottom:var(--wp--preset--spacing--50)"><!-- wp:group {"align":"wide","layout":{"type":"flex","justifyContent":"space-between","flexWrap":"wrap"}} -->
+<div class="wp-block-group alignwide"><!-- wp:site-title {"level":0} /-->
+
+<!-- wp:paragraph {"fontSize":"small"} -->
+<p class="has-small-font-size">
+<?php
+printf(
+	/* translators: %s: Link to WordPress.org */
+	esc_html__( 'Powered by %s', '<%- slug %>' ),
+	'<a href="' . esc_url( __( 'https://wordpress.org/', '<%- slug %>' ) ) . '" rel="nofollow">WordPress</a>'
+);
+?>
+</p>
+<!-- /wp:paragraph --></div>
+<!-- /wp:group --></div>
+<!-- /wp:group -->
@@ -0,0 +1,22 @@
+<%- include('../_fragments/pattern-header.php', { title: 'Header', name: 'header', categories: 'header', blockTypes: 'core/template-part/header', hidden: true }) -%>
+<!-- wp:group {"align":"full","className":"site-header","style":{"spacing":{"padding":{"top":"var:preset|spacing|40","bottom":"var:preset|spacing|40"}}},"layout":{"type":"constrained"}} -->
+<div class="wp-block-group alignfull site-header" style="padding-top:var(--wp--preset--spacing--40);padding-bottom:var(--wp--preset--spacing--40)">
+<% if (nav.style === 'centered') { -%>
+<!-- wp:group {"align":"wide","layout":{"type":"flex","orientation":"vertical","justifyContent":"center"}} -->
+<div class="wp-block-group alignwide"><!-- wp:site-title {"textAlign":"center"} /-->
+
+<!-- wp:site-tagline {"textAlign":"center"} /-->
+
+<%- include('../_fragments/navigation.html') -%>
+</div>
+<!-- /wp:group -->
+<% } else { -%>
+<!-- wp:group {"align":"wide","layout":{"type":"flex","justifyContent":"space-between","flexWrap":"wrap"}} -->
+<div class="wp-block-group alignwide"><!-- wp:site-title /-->
+
+<%- include('../_fragments/navigation.html') -%>
+</div>
+<!-- /wp:group -->
+<% } -%>
+</div>
+<!-- /wp:group -->
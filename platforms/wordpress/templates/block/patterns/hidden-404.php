@@ -0,0 +1,10 @@
+<%- include('../_fragments/pattern-header.php', { title: 'Page not found', name: 'hidden-404', categories: slug, hidden: true }) -%>
+<!-- wp:heading {"level":1} -->
+<h1 class="wp-block-heading"><?php esc_html_e( 'Page not found', '<%- slug %>' ); ?></h1>
+<!-- /wp:heading -->
+
+<!-- wp:paragraph -->
+<p><?php esc_html_e( 'The page you are looking for does not exist. Maybe try a search?', '<%- slug %>' ); ?></p>
+<!-- /wp:paragraph -->
+
+<!-- wp:search {"label":"<?php echo esc_attr_x( 'Search', 'search form label', '<%- slug %>' ); ?>","showLabel":false,"buttonText":"<?php echo esc_attr_x( 'Search', 'search button text', '<%- slug %>' ); ?>"} /-->
@@ -0,0 +1,10 @@
+<%- include('../_fragments/pattern-header.php', { title: 'No results', name: 'hidden-no-results', categories: slug, hidden: true }) -%>
+<!-- wp:heading {"level":2} -->
+<h2 class="wp-block-heading"><?php esc_html_e( 'Nothing found', '<%- slug %>' ); ?></h2>
+<!-- /wp:heading -->
+
+<!-- wp:paragraph -->
+<p><?php esc_html_e( 'Sorry, nothing matched. Try a different search.', '<%- slug %>' ); ?></p>
+<!-- /wp:paragraph -->
+
+<!-- wp:search {"label":"<?php echo esc_attr_x( 'Search', 'search form label', '<%- slug %>' ); ?>","showLabel":false,"buttonText":"<?php echo esc_attr_x( 'Search', 'search button text', '<%- slug %>' ); ?>"} /-->
@@ -0,0 +1,6 @@
+<%- include('../_fragments/pattern-header.php', { title: 'Table of contents', name: 'hidden-post-toc', categories: slug, hidden: true }) -%>
+<!-- wp:html -->
+<nav class="toc" aria-label="<?php echo esc_attr__( 'Table of contents', '<%- slug %>' ); ?>" data-toc>
+<h2 class="toc-title"><?php esc_html_e( 'Contents', '<%- slug %>' ); ?></h2>
+</nav>
+<!-- /wp:html -->
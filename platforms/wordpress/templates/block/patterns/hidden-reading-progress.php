@@ -0,0 +1,4 @@
+<%- include('../_fragments/pattern-header.php', { title: 'Reading progress', name: 'hidden-reading-progress', categories: slug, hidden: true }) -%>
+<!-- wp:html -->
+<progress class="reading-progress" max="100" value="0" aria-hidden="true"></progress>
+<!-- /wp:html -->
@@ -0,0 +1,15 @@
+<%- include('../_fragments/pattern-header.php', { title: 'Posts grid', name: 'posts-grid', categories: `${slug}, posts`, blockTypes: 'core/query' }) -%>
+<!-- wp:query {"query":{"inherit":true},"align":"wide","layout":{"type":"default"}} -->
+<div class="wp-block-query alignwide"><!-- wp:post-template {"layout":{"type":"grid","columnCount":3}} -->
+<!-- wp:post-featured-image {"isLink":true,"aspectRatio":"3/2"} /-->
+
+<!-- wp:post-title {"isLink":true,"level":2,"fontSize":"large"} /-->
+
+<!-- wp:post-date {"isLink":true} /-->
+
+<!-- wp:post-excerpt {"moreText":"<?php echo esc_attr__( 'Read more', '<%- slug %>' ); ?>","excerptLength":24} /-->
+<!-- /wp:post-template -->
+
+<%- include('../_fragments/query-footer.html') -%>
+</div>
+<!-- /wp:query -->
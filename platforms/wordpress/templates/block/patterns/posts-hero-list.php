@@ -0,0 +1,8 @@
+<%- include('../_fragments/pattern-header.php', { title: 'Hero and posts list', name: 'posts-hero-list', categories: `${slug}, posts`, blockTypes: 'core/query' }) -%>
+<!-- wp:cover {"useFeaturedImage":false,"dimRatio":100,"overlayColor":"primary","minHeight":40,"minHeightUnit":"vh","align":"full","className":"posts-hero","layout":{"type":"constrained"}} -->
+<div class="wp-block-cover alignfull posts-hero" style="min-height:40vh"><span aria-hidden="true" class="wp-block-cover__background has-primary-background-color has-background-dim-100 has-background-dim"></span><div class="wp-block-cover__inner-container"><!-- wp:site-title {"level":1,"textAlign":"center","fontSize":"xx-large"} /-->
+
+<!-- wp:site-tagline {"textAlign":"center","fontSize":"large"} /--></div></div>
+<!-- /wp:cover -->
+
+<!-- wp:pattern {"slug":"<%- slug %>/posts-list"} /-->
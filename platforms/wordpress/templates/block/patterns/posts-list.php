@@ -0,0 +1,23 @@
+<%- include('../_fragments/pattern-header.php', { title: 'Posts list', name: 'posts-list', categories: `${slug}, posts`, blockTypes: 'core/query' }) -%>
+<!-- wp:query {"query":{"inherit":true},"layout":{"type":"default"}} -->
+<div class="wp-block-query"><!-- wp:post-template -->
+<!-- wp:post-title {"isLink":true,"level":2} /-->
+
+<!-- wp:group {"className":"post-meta","layout":{"type":"flex","flexWrap":"wrap"}} -->
+<div class="wp-block-group post-meta"><!-- wp:post-date {"isLink":true} /-->
+
+<!-- wp:post-terms {"term":"category"} /--></div>
+<!-- /wp:group -->
+
+<!-- wp:post-featured-image {"isLink":true,"aspectRatio":"16/9"} /-->
+
+<!-- wp:post-excerpt {"moreText":"<?php echo esc_attr__( 'Read more', '<%- slug %>' ); ?>"} /-->
+
+<!-- wp:separator -->
+<hr class="wp-block-separator has-alpha-channel-opacity"/>
+<!-- /wp:separator -->
+<!-- /wp:post-template -->
+
+<%- include('../_fragments/query-footer.html') -%>
+</div>
+<!-- /wp:query -->
@@ -0,0 +1,33 @@
+<%- include('../_fragments/pattern-header.php', { title: 'Posts magazine', name: 'posts-magazine', categories: `${slug}, posts`, blockTypes: 'core/query' }) -%>
+<!-- wp:query {"queryId":1,"query":{"perPage":1,"inherit":false,"postType":"post","order":"desc","orderBy":"date","sticky":""},"align":"wide","className":"posts-magazine-featured","layout":{"type":"default"}} -->
+<div class="wp-block-query alignwide posts-magazine-featured"><!-- wp:post-template -->
+<!-- wp:columns {"verticalAlignment":"center"} -->
+<div class="wp-block-columns are-vertically-aligned-center"><!-- wp:column {"verticalAlignment":"center","width":"60%"} -->
+<div class="wp-block-column is-vertically-aligned-center" style="flex-basis:60%"><!-- wp:post-featured-image {"isLink":true,"aspectRatio":"3/2"} /--></div>
+<!-- /wp:column -->
+
+<!-- wp:column {"verticalAlignment":"center","width":"40%"} -->
+<div class="wp-block-column is-vertically-aligned-center" style="flex-basis:40%"><!-- wp:post-terms {"term":"category"} /-->
+
+<!-- wp:post-title {"isLink":true,"level":2,"fontSize":"x-large"} /-->
+
+<!-- wp:post-excerpt {"moreText":"<?php echo esc_attr__( 'Read more', '<%- slug %>' ); ?>","excerptLength":40} /-->
+
+<!-- wp:post-date {"isLink":true} /--></div>
+<!-- /wp:column --></div>
+<!-- /wp:columns -->
+<!-- /wp:post-template --></div>
+<!-- /wp:query -->
+
+<!-- wp:query {"queryId":2,"query":{"perPage":9,"offset":1,"inherit":false,"postType":"post","order":"desc","orderBy":"date","sticky":""},"align":"wide","layout":{"type":"default"}} -->
+<div class="wp-block-query alignwide"><!-- wp:post-template {"layout":{"type":"grid","columnCount":3}} -->
+<!-- wp:post-featured-image {"isLink":true,"aspectRatio":"3/2"} /-->
+
+<!-- wp:post-title {"isLink":true,"level":3,"fontSize":"large"} /-->
+
+<!-- wp:post-date {"isLink":true} /-->
+<!-- /wp:post-template -->
+
+<%- include('../_fragments/query-footer.html') -%>
+</div>
+<!-- /wp:query -->
@@ -0,0 +1,15 @@
+<%- include('../_fragments/pattern-header.php', { title: 'Posts masonry', name: 'posts-masonry', categories: `${slug}, posts`, blockTypes: 'core/query' }) -%>
+<!-- wp:query {"query":{"inherit":true},"align":"wide","className":"posts-masonry","layout":{"type":"default"}} -->
+<div class="wp-block-query alignwide posts-masonry"><!-- wp:post-template -->
+<!-- wp:post-featured-image {"isLink":true} /-->
+
+<!-- wp:post-title {"isLink":true,"level":2,"fontSize":"large"} /-->
+
+<!-- wp:post-excerpt {"moreText":"<?php echo esc_attr__( 'Read more', '<%- slug %>' ); ?>","excerptLength":30} /-->
+
+<!-- wp:post-date {"isLink":true} /-->
+<!-- /wp:post-template -->
+
+<%- include('../_fragments/query-footer.html') -%>
+</div>
+<!-- /wp:query -->
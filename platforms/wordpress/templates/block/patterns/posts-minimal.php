@@ -0,0 +1,13 @@
+<%- include('../_fragments/pattern-header.php', { title: 'Posts, titles only', name: 'posts-minimal', categories: `${slug}, posts`, blockTypes: 'core/query' }) -%>
+<!-- wp:query {"query":{"inherit":true},"layout":{"type":"default"}} -->
+<div class="wp-block-query"><!-- wp:post-template -->
+<!-- wp:group {"layout":{"type":"flex","justifyContent":"space-between","flexWrap":"nowrap"}} -->
+<div class="wp-block-group"><!-- wp:post-title {"isLink":true,"level":2,"fontSize":"medium"} /-->
+
+<!-- wp:post-date /--></div>
+<!-- /wp:group -->
+<!-- /wp:post-template -->
+
+<%- include('../_fragments/query-footer.html') -%>
+</div>
+<!-- /wp:query -->
@@ -0,0 +1,13 @@
+<%- include('../_fragments/pattern-header.php', { title: 'Posts portfolio', name: 'posts-portfolio', categories: `${slug}, posts`, blockTypes: 'core/query' }) -%>
+<!-- wp:query {"query":{"inherit":true},"align":"wide","className":"posts-portfolio","layout":{"type":"default"}} -->
+<div class="wp-block-query alignwide posts-portfolio"><!-- wp:post-template {"layout":{"type":"grid","columnCount":3}} -->
+<!-- wp:group {"className":"portfolio-tile","layout":{"type":"default"}} -->
+<div class="wp-block-group portfolio-tile"><!-- wp:post-featured-image {"isLink":true,"aspectRatio":"4/3"} /-->
+
+<!-- wp:post-title {"isLink":true,"level":2,"fontSize":"medium","className":"portfolio-tile-title"} /--></div>
+<!-- /wp:group -->
+<!-- /wp:post-template -->
+
+<%- include('../_fragments/query-footer.html') -%>
+</div>
+<!-- /wp:query -->
@@ -0,0 +1,13 @@
+<%- include('../_fragments/pattern-header.php', { title: 'Posts timeline', name: 'posts-timeline', categories: `${slug}, posts`, blockTypes: 'core/query' }) -%>
+<!-- wp:query {"query":{"inherit":true},"className":"posts-timeline","layout":{"type":"default"}} -->
+<div class="wp-block-query posts-timeline"><!-- wp:post-template -->
+<!-- wp:post-date {"isLink":true,"fontSize":"small"} /-->
+
+<!-- wp:post-title {"isLink":true,"level":2,"fontSize":"large"} /-->
+
+<!-- wp:post-excerpt {"excerptLength":25} /-->
+<!-- /wp:post-template -->
+
+<%- include('../_fragments/query-footer.html') -%>
+</div>
+<!-- /wp:query -->
@@ -0,0 +1,17 @@
+<%- include('../_fragments/pattern-header.php', { title: 'Related posts', name: 'related-posts', categories: `${slug}, posts`, blockTypes: 'core/query' }) -%>
+<!-- wp:group {"tagName":"section","className":"related-posts","layout":{"type":"default"}} -->
+<section class="wp-block-group related-posts"><!-- wp:heading {"level":2,"fontSize":"large"} -->
+<h2 class="wp-block-heading has-large-font-size"><?php esc_html_e( 'Related posts', '<%- slug %>' ); ?></h2>
+<!-- /wp:heading -->
+
+<%# "related" is read by the query_loop_block_query_vars filter in functions.php -%>
+<!-- wp:query {"queryId":3,"query":{"perPage":3,"pages":0,"offset":0,"postType":"post","order":"desc","orderBy":"date","inherit":false,"related":true},"layout":{"type":"default"}} -->
+<div class="wp-block-query"><!-- wp:post-template {"layout":{"type":"grid","columnCount":3}} -->
+<!-- wp:post-featured-image {"isLink":true,"aspectRatio":"3/2"} /-->
+
+<!-- wp:post-title {"isLink":true,"level":3,"fontSize":"medium"} /-->
+
+<!-- wp:post-date /-->
+<!-- /wp:post-template --></div>
+<!-- /wp:query --></section>
+<!-- /wp:group -->
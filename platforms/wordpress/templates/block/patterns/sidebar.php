@@ -0,0 +1,22 @@
+<%- include('../_fragments/pattern-header.php', { title: 'Sidebar', name: 'sidebar', categories: slug, hidden: true }) -%>
+<!-- wp:group {"tagName":"aside","className":"sidebar","layout":{"type":"default"}} -->
+<aside class="wp-block-group sidebar"><!-- wp:search {"label":"<?php echo esc_attr_x( 'Search', 'search form label', '<%- slug %>' ); ?>","showLabel":false,"buttonText":"<?php echo esc_attr_x( 'Search', 'search button text', '<%- slug %>' ); ?>"} /-->
+
+<!-- wp:heading {"level":2,"fontSize":"large"} -->
+<h2 class="wp-block-heading has-large-font-size"><?php esc_html_e( 'Recent posts', '<%- slug %>' ); ?></h2>
+<!-- /wp:heading -->
+
+<!-- wp:latest-posts /-->
+
+<!-- wp:heading {"level":2,"fontSize":"large"} -->
+<h2 class="wp-block-heading has-large-font-size"><?php esc_html_e( 'Categories', '<%- slug %>' ); ?></h2>
+<!-- /wp:heading -->
+
+<!-- wp:categories /-->
+
+<!-- wp:heading {"level":2,"fontSize":"large"} -->
+<h2 class="wp-block-heading has-large-font-size"><?php esc_html_e( 'Archives', '<%- slug %>' ); ?></h2>
+<!-- /wp:heading -->
+
+<!-- wp:archives /--></aside>
+<!-- /wp:group -->
@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { SEVERITIES, SPEC_RULES, createReport } from '../../../core/validation.js';
+import { rules } from './rules/index.js';
+
+// Pure-JS WordPress theme checks, modelled on the Theme Check plugin.
+//
+// A rule is a plain object:
+//
+//   {
+//     id: 'escape-output',
+//     severity: 'warning',             // default severity of its issues
+//     description: '...',
+//     docUrl: 'https://...',
+//     options: { ... },                // defaults, merged with the configured options
+//     check: (theme, options) => [{ file, line, message, fix, severity? }],
+//   }
+//
+// Rules are configured per id, ESLint style:
+//   { 'escape-output': 'error', 'screenshot': 'off', 'forbidden-functions': ['error', { ... }] }
+
+const TEXT_FILE = /\.(php|css|js|json|txt|html|md|xml|svg)$/i;
+
+const walk = async (dir, prefix = '') => {
+  const dirents = await fs.readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(dirents
+    .filter((d) => !d.name.startsWith('.') && d.name !== 'node_modules')
+    .map((d) => {
+      const relative = path.posix.join(prefix, d.name);
+      return d.isDirectory() ? walk(path.join(dir, d.name), relative) : [relative];
+    }));
+  return nested.flat().sort();
+};
+
+// Tokens inside <?php … ?>: quoted strings, comments, the closing tag, and
+// runs of anything else. A "#[" starts a PHP 8 attribute, not a comment.
+const PHP_TOKEN = new RegExp([
+  /'(?:[^'\\]|\\[\s\S])*'?/,
+  /"(?:[^"\\]|\\[\s\S])*"?/,
+  /\/\*[\s\S]*?(?:\*\/|$)/,
+  /(?:\/\/|#(?!\[))(?:(?!\?>)[^\n])*/,
+  /\?>/,
+  /[^'"/#?]+|[\s\S]/,
+].map((re) => re.source).join('|'), 'y');
+const PHP_OPEN = /<\?(?:php\b|=)/g;
+
+// PHP with comments blanked out (newlines kept, so line numbers still match).
+// Inline HTML and quoted strings are kept as they are, so a "#" or "//"
+// inside them is not mistaken for a comment.
+const stripPhpComments = (code) => {
+  const blank = (text) => text.replace(/[^\n]/g, ' ');
+  let out = '';
+  let index = 0;
+  while (index < code.length) {
+    PHP_OPEN.lastIndex = index;
+    const open = PHP_OPEN.exec(code);
+    const start = open ? open.index + open[0].length : code.length;
+    out += code.slice(index, start);
+    index = start;
+    PHP_TOKEN.lastIndex = index;
+    let token = PHP_TOKEN.exec(code);
+    while (token) {
+      const comment = /^(\/\/|\/\*|#)/.test(token[0]);
+      out += comment ? blank(token[0]) : token[0];
+      index = PHP_TOKEN.lastIndex;
+      token = token[0] === '?>' ? null : PHP_TOKEN.exec(code);
+    }
+  }
+  return out;
+};
+
+// style.css header fields, e.g. { 'Theme Name': 'My Theme', 'Text Domain': 'my-theme' }
+const parseStyleHeader = (css) => {
+  const comment = css?.match(/\/\*([\s\S]*?)\*\//)?.[1] || '';
+  return Object.fromEntries(comment
+    .split('\n')
+    .map((line) => line.match(/^\s*([A-Za-z][A-Za-z ]*?):\s*(.+?)\s*$/))
+    .filter(Boolean)
+    .map(([, key, value]) => [key, value]));
+};
+
+// Reads the whole theme once; rules work on this snapshot synchronously
+export const loadTheme = async (root) => {
+  const files = await walk(root);
+  const buffers = new Map(await Promise.all(files.map(async (file) => [
+    file,
+    await fs.readFile(path.join(root, file)),
+  ])));
+  const texts = new Map(files
+    .filter((file) => TEXT_FILE.test(file))
+    .map((file) => [file, buffers.get(file).toString('utf8')]));
+  const phpFiles = files.filter((file) => file.endsWith('.php'));
+  const php = new Map(phpFiles.map((file) => [file, stripPhpComments(texts.get(file))]));
+  const header = parseStyleHeader(texts.get('style.css'));
+
+  return {
+    root,
+    files,
+    phpFiles,
+    header,
+    has: (file) => buffers.has(file),
+    text: (file) => texts.get(file) ?? null,
+    buffer: (file) => buffers.get(file) ?? null,
+    // PHP source without comments, for pattern based checks
+    php: (file) => php.get(file) ?? null,
+    // Block themes have no header.php/footer.php, so some checks do not apply
+    isBlockTheme: files.some((file) => /^templates\/.+\.html$/.test(file)),
+  };
+};
+
+const resolveSetting = (rule, setting) => {
+  if (setting === undefined) return { severity: rule.severity, options: rule.options || {} };
+  const [severity, options = {}] = Array.isArray(setting) ? setting : [setting];
+  return { severity, options: { ...rule.options, ...options } };
+};
+
+export const runRules = (theme, config = {}, ruleList = rules) => {
+  const known = new Set(ruleList.map((r) => r.id));
+  const configIssues = Object.keys(config)
+    .filter((id) => !known.has(id) && !SPEC_RULES.includes(id))
+    .map((id) => ({
+      ruleId: 'unknown-rule',
+      severity: 'warning',
+      message: `validation.rules.${id} does not match any WordPress rule`,
+      fix: `Known rules: ${[...known].join(', ')}`,
+    }));
+
+  const issues = ruleList.flatMap((rule) => {
+    const { severity, options } = resolveSetting(rule, config[rule.id]);
+    if (severity === 'off') return [];
+    if (!SEVERITIES.includes(severity)) {
+      return [{
+        ruleId: 'invalid-rule-setting',
+        severity: 'warning',
+        message: `validation.rules.${rule.id} must be one of: off, ${SEVERITIES.join(', ')}`,
+      }];
+    }
+    return rule.check(theme, options).map((issue) => ({
+      docUrl: rule.docUrl || null,
+      ...issue,
+      ruleId: rule.id,
+      // A rule may downgrade single findings (e.g. "recommended" vs "required")
+      severity: issue.severity && severity === rule.severity ? issue.severity : severity,
+    }));
+  });
+  return [...configIssues, ...issues];
+};
+
+export const validateWithRules = async (themePath, config = {}) => {
+  const theme = await loadTheme(themePath);
+  return createReport('themesmith-wp', runRules(theme, config));
+};
+
+export default validateWithRules;
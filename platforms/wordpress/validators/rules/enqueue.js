@@ -0,0 +1,62 @@
+import {
+  HANDBOOK, callArguments, matchAll, stringLiteral,
+} from './helpers.js';
+
+const HARDCODED = /<link\b[^>]*\brel=["']stylesheet["'][^>]*>|<script\b[^>]*\bsrc=/gi;
+const ENQUEUE = /(?<![\w$>:])(wp_(?:enqueue|register)_(?:style|script))\s*\(/g;
+
+export default {
+  id: 'enqueue',
+  severity: 'error',
+  description: 'Styles and scripts are enqueued, and the hooks plugins rely on are called',
+  docUrl: `${HANDBOOK}/basics/including-css-javascript/`,
+  options: {
+    // Hosts themes may load assets from; everything else must be bundled
+    allowedHosts: ['fonts.googleapis.com', 'fonts.gstatic.com'],
+  },
+  check: (theme, { allowedHosts }) => {
+    const issues = theme.phpFiles.flatMap((file) => {
+      const code = theme.php(file);
+      const hardcoded = matchAll(code, HARDCODED).map(({ line }) => ({
+        file,
+        line,
+        message: 'Stylesheet or script is hardcoded instead of enqueued',
+        fix: 'Load it with wp_enqueue_style() / wp_enqueue_script() on the wp_enqueue_scripts hook',
+      }));
+      const external = matchAll(code, ENQUEUE).flatMap(({ match, line }) => {
+        const args = callArguments(code, match.index + match[0].length - 1) || [];
+        const url = stringLiteral(args[1]);
+        const host = url?.match(/^(?:https?:)?\/\/([^/]+)/)?.[1];
+        if (!host || allowedHosts.includes(host)) return [];
+        return [{
+          file,
+          line,
+          severity: 'warning',
+          message: `${match[1]}() loads ${url} from an external host`,
+          fix: 'Bundle the asset with the theme',
+        }];
+      });
+      return [...hardcoded, ...external];
+    });
+
+    // Block themes get these from the block template canvas
+    if (theme.isBlockTheme) return issues;
+    const calls = (fn) => theme.phpFiles
+      .some((file) => new RegExp(`\\b${fn}\\s*\\(`).test(theme.php(file)));
+    [
+      { fn: 'wp_head', file: 'header.php' },
+      { fn: 'wp_footer', file: 'footer.php' },
+      { fn: 'wp_body_open', file: 'header.php', severity: 'info' },
+      { fn: 'body_class', file: 'header.php', severity: 'info' },
+      { fn: 'language_attributes', file: 'header.php', severity: 'info' },
+    ].filter(({ fn }) => !calls(fn)).forEach(({ fn, file, severity }) => {
+      issues.push({
+        file,
+        severity,
+        message: `${fn}() is never called`,
+        fix: `Call ${fn}() in ${file}`,
+      });
+    });
+    return issues;
+  },
+};
@@ -0,0 +1,29 @@
+import { HANDBOOK, matchAll } from './helpers.js';
+
+export default {
+  id: 'escape-output',
+  severity: 'warning',
+  description: 'Variables and unescaped getters are escaped before they are printed',
+  docUrl: `${HANDBOOK}/theme-security/data-sanitization-escaping/`,
+  options: {
+    // Getters that return raw, unescaped data
+    functions: [
+      'get_the_title', 'get_bloginfo', 'get_search_query', 'get_the_author', 'get_option',
+      'get_theme_mod',
+    ],
+  },
+  check: (theme, { functions }) => {
+    const getter = functions.length ? `|(?:${functions.join('|')})\\s*\\(` : '';
+    const printed = new RegExp(`(\\becho\\b|\\bprint\\b|<\\?=)\\s*\\(?\\s*(\\$\\w+${getter})`, 'g');
+    return theme.phpFiles.flatMap((file) => matchAll(theme.php(file), printed)
+      .map(({ match, line }) => {
+        const value = match[2].replace(/\s*\($/, '()');
+        return {
+          file,
+          line,
+          message: `${match[1]} ${value} prints data without escaping it`,
+          fix: `Escape it for its context, e.g. echo esc_html( ${value} ); (or esc_attr, esc_url)`,
+        };
+      }));
+  },
+};
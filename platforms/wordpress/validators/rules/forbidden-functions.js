@@ -0,0 +1,39 @@
+import { REVIEW, matchAll } from './helpers.js';
+
+export default {
+  id: 'forbidden-functions',
+  severity: 'error',
+  description: 'No obfuscation, shell access or plugin territory functionality',
+  docUrl: REVIEW,
+  options: {
+    forbidden: [
+      'eval', 'create_function', 'assert', 'base64_decode', 'base64_encode', 'str_rot13',
+      'gzinflate', 'gzuncompress', 'exec', 'shell_exec', 'system', 'passthru', 'popen',
+      'proc_open', 'fsockopen', 'move_uploaded_file',
+    ],
+    // Features that belong in plugins; reported as warnings
+    pluginTerritory: [
+      'register_post_type', 'register_taxonomy', 'add_shortcode', 'add_menu_page',
+      'add_submenu_page', 'add_options_page',
+    ],
+  },
+  check: (theme, { forbidden, pluginTerritory }) => {
+    const names = [...forbidden, ...pluginTerritory];
+    if (!names.length) return [];
+    // Calls only: not methods, variables or function definitions
+    const call = new RegExp(`(?<![\\w$>:]|function\\s{1,8})(${names.join('|')})\\s*\\(`, 'g');
+    return theme.phpFiles.flatMap((file) => matchAll(theme.php(file), call)
+      .map(({ match, line }) => {
+        const fn = match[1];
+        return forbidden.includes(fn)
+          ? { file, line, message: `${fn}() is not allowed in themes` }
+          : {
+            file,
+            line,
+            severity: 'warning',
+            message: `${fn}() is plugin territory`,
+            fix: 'Move this functionality into a companion plugin',
+          };
+      }));
+  },
+};
@@ -0,0 +1,44 @@
+export const HANDBOOK = 'https://developer.wordpress.org/themes';
+export const REVIEW = 'https://make.wordpress.org/themes/handbook/review/required';
+
+// 1-based line number of a character offset
+export const lineAt = (text, index) => text.slice(0, index).split('\n').length;
+
+// Every match of a global regex, with its line number
+export const matchAll = (text, regex) => [...text.matchAll(regex)].map((match) => ({
+  match,
+  line: lineAt(text, match.index),
+}));
+
+// Splits the arguments of a PHP call whose "(" is at `open`. Strings and
+// nested brackets are skipped, so `__( 'a, b', 'domain' )` yields two args.
+export const callArguments = (code, open) => {
+  const args = [];
+  let depth = 0;
+  let quote = null;
+  let start = open + 1;
+  for (let i = open; i < code.length; i += 1) {
+    const ch = code[i];
+    if (quote) {
+      if (ch === '\\') i += 1;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if ('([{'.includes(ch)) {
+      depth += 1;
+    } else if (')]}'.includes(ch)) {
+      depth -= 1;
+      if (depth === 0) {
+        args.push(code.slice(start, i).trim());
+        return args.filter((arg, n) => arg !== '' || n < args.length - 1);
+      }
+    } else if (ch === ',' && depth === 1) {
+      args.push(code.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  return null;
+};
+
+// 'my-theme' / "my-theme" → my-theme; anything else (variables, constants) → null
+export const stringLiteral = (arg = '') => arg.match(/^(['"])([^'"]*)\1$/)?.[2] ?? null;
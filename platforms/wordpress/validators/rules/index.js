@@ -0,0 +1,24 @@
+import requiredFiles from './required-files.js';
+import styleHeader from './style-header.js';
+import textDomain from './text-domain.js';
+import escapeOutput from './escape-output.js';
+import forbiddenFunctions from './forbidden-functions.js';
+import screenshot from './screenshot.js';
+import readmeTxt from './readme-txt.js';
+import themeJson from './theme-json.js';
+import enqueue from './enqueue.js';
+
+// Run in this order; ids are what validation.rules in the spec refers to
+export const rules = [
+  requiredFiles,
+  styleHeader,
+  textDomain,
+  escapeOutput,
+  forbiddenFunctions,
+  screenshot,
+  readmeTxt,
+  themeJson,
+  enqueue,
+];
+
+export default rules;
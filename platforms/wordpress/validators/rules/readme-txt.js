@@ -0,0 +1,57 @@
+import { REVIEW, lineAt } from './helpers.js';
+
+export default {
+  id: 'readme-txt',
+  severity: 'error',
+  description: 'readme.txt follows the WordPress.org readme format',
+  docUrl: `${REVIEW}/#readme`,
+  options: {
+    fields: ['Requires at least', 'Tested up to', 'Requires PHP', 'License', 'License URI'],
+    sections: ['Description', 'Changelog', 'Copyright'],
+  },
+  check: (theme, { fields, sections }) => {
+    const text = theme.text('readme.txt');
+    if (text === null) {
+      return [{
+        file: 'readme.txt',
+        message: 'Missing readme.txt',
+        fix: 'Add a readme.txt with the theme description, changelog, copyright and licenses',
+      }];
+    }
+    const issue = (message, extra) => ({ file: 'readme.txt', message, ...extra });
+    const issues = [];
+
+    const title = text.match(/^\s*===\s*(.+?)\s*===/);
+    if (!title) {
+      issues.push(issue('readme.txt must start with "=== Theme Name ==="', { line: 1 }));
+    } else if (theme.header['Theme Name'] && title[1] !== theme.header['Theme Name']) {
+      const name = theme.header['Theme Name'];
+      const message = `readme.txt names the theme "${title[1]}", style.css "${name}"`;
+      issues.push(issue(message, { line: 1, severity: 'warning' }));
+    }
+
+    const values = Object.fromEntries([...text.matchAll(/^([A-Za-z][A-Za-z ]*?):\s*(.+?)\s*$/gm)]
+      .map(([, key, value]) => [key, value]));
+    fields.filter((field) => !values[field]).forEach((field) => {
+      const fix = `Add a "${field}: ..." line below the title`;
+      issues.push(issue(`Missing readme.txt field: ${field}`, { fix }));
+    });
+    // Both headers are read by WordPress.org; they must agree
+    ['Requires at least', 'Tested up to', 'Requires PHP'].forEach((field) => {
+      const [readme, style] = [values[field], theme.header[field]];
+      if (readme && style && readme !== style) {
+        const message = `${field} is ${readme} in readme.txt but ${style} in style.css`;
+        issues.push(issue(message, { severity: 'warning' }));
+      }
+    });
+
+    const found = [...text.matchAll(/^==\s*(.+?)\s*==\s*$/gm)].map((m) => m[1].toLowerCase());
+    sections.filter((section) => !found.includes(section.toLowerCase())).forEach((section) => {
+      issues.push(issue(`Missing readme.txt section: == ${section} ==`, {
+        line: lineAt(text, text.length),
+        severity: section === 'Description' ? undefined : 'warning',
+      }));
+    });
+    return issues;
+  },
+};
@@ -0,0 +1,23 @@
+import { HANDBOOK } from './helpers.js';
+
+// Block themes replace the PHP templates with templates/*.html
+export default {
+  id: 'required-files',
+  severity: 'error',
+  description: 'The files every classic or block theme must ship',
+  docUrl: `${HANDBOOK}/basics/template-files/`,
+  options: {
+    always: ['style.css'],
+    classic: ['index.php', 'header.php', 'footer.php', 'functions.php'],
+    block: ['templates/index.html', 'theme.json'],
+  },
+  check: (theme, { always, classic, block }) => [
+    ...always,
+    ...(theme.isBlockTheme ? block : classic),
+  ]
+    .filter((file) => !theme.has(file))
+    .map((file) => ({
+      file,
+      message: `Missing required file: ${file}`,
+    })),
+};
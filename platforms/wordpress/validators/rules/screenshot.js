@@ -0,0 +1,72 @@
+import { HANDBOOK } from './helpers.js';
+
+const PNG_SIGNATURE = '89504e470d0a1a0a';
+
+// Width and height from the IHDR chunk
+const pngSize = (buf) => (buf.length >= 24 && buf.toString('hex', 0, 8) === PNG_SIGNATURE
+  ? { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) }
+  : null);
+
+// Width and height from the first SOFn segment
+const jpegSize = (buf) => {
+  if (buf.length < 4 || buf[0] !== 0xff || buf[1] !== 0xd8) return null;
+  let offset = 2;
+  while (offset + 9 < buf.length && buf[offset] === 0xff) {
+    const marker = buf[offset + 1];
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isFrame) {
+      return { width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buf.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+export default {
+  id: 'screenshot',
+  severity: 'error',
+  description: 'screenshot.png (or .jpg) exists and is 1200×900 at most, in a 4:3 ratio',
+  docUrl: `${HANDBOOK}/core-concepts/main-stylesheet/#screenshot`,
+  options: {
+    width: 1200,
+    height: 900,
+  },
+  check: (theme, { width, height }) => {
+    const file = ['screenshot.png', 'screenshot.jpg'].find(theme.has);
+    if (!file) {
+      return [{
+        file: 'screenshot.png',
+        message: 'Missing theme screenshot',
+        fix: `Add a ${width}×${height} screenshot.png to the theme root`,
+      }];
+    }
+    const buf = theme.buffer(file);
+    const size = file.endsWith('.png') ? pngSize(buf) : jpegSize(buf);
+    if (!size) return [{ file, message: `${file} is not a valid image` }];
+
+    const issues = [];
+    const actual = `${size.width}×${size.height}`;
+    if (size.width * height !== size.height * width) {
+      issues.push({
+        file,
+        severity: 'warning',
+        message: `${file} is ${actual}, not ${width}:${height} proportional`,
+        fix: `Resize it to ${width}×${height}`,
+      });
+    }
+    if (size.width > width || size.height > height) {
+      issues.push({
+        file,
+        severity: 'warning',
+        message: `${file} is ${actual}, larger than ${width}×${height}`,
+      });
+    } else if (size.width < width) {
+      issues.push({
+        file,
+        severity: 'info',
+        message: `${file} is ${actual}; ${width}×${height} is recommended for HiDPI displays`,
+      });
+    }
+    return issues;
+  },
+};
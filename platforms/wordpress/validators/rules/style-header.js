@@ -0,0 +1,49 @@
+import path from 'path';
+import { HANDBOOK } from './helpers.js';
+
+export default {
+  id: 'style-header',
+  severity: 'error',
+  description: 'style.css starts with the theme header WordPress reads',
+  docUrl: `${HANDBOOK}/basics/main-stylesheet-style-css/`,
+  options: {
+    required: [
+      'Theme Name', 'Description', 'Author', 'Version', 'License', 'License URI', 'Text Domain',
+    ],
+    recommended: ['Requires at least', 'Tested up to', 'Requires PHP'],
+  },
+  check: (theme, { required, recommended }) => {
+    if (!theme.has('style.css')) return [];
+    const { header } = theme;
+    const missing = (field, severity) => ({
+      file: 'style.css',
+      line: 1,
+      severity,
+      message: `Missing style.css header: ${field}`,
+      fix: `Add a "${field}: ..." line to the comment block at the top of style.css`,
+    });
+    const issues = [
+      ...required.filter((field) => !header[field]).map((field) => missing(field)),
+      ...recommended.filter((field) => !header[field]).map((field) => missing(field, 'info')),
+    ];
+
+    if (header.Version && !/^\d+(\.\d+){0,3}$/.test(header.Version)) {
+      issues.push({
+        file: 'style.css',
+        message: `Version "${header.Version}" is not a plain version number`,
+        fix: 'Use a version like 1.0.0',
+      });
+    }
+    // WordPress loads translations by the theme folder name
+    const slug = path.basename(theme.root);
+    if (header['Text Domain'] && header['Text Domain'] !== slug) {
+      issues.push({
+        file: 'style.css',
+        severity: 'warning',
+        message: `Text Domain "${header['Text Domain']}" does not match the theme folder "${slug}"`,
+        fix: `Use "Text Domain: ${slug}"`,
+      });
+    }
+    return issues;
+  },
+};
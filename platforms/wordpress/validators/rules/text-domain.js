@@ -0,0 +1,74 @@
+import {
+  HANDBOOK, callArguments, matchAll, stringLiteral,
+} from './helpers.js';
+
+// Position of the text domain argument for each gettext function
+const DOMAIN_ARGUMENT = {
+  __: 1,
+  _e: 1,
+  esc_html__: 1,
+  esc_html_e: 1,
+  esc_attr__: 1,
+  esc_attr_e: 1,
+  _x: 2,
+  _ex: 2,
+  esc_html_x: 2,
+  esc_attr_x: 2,
+  _n_noop: 2,
+  _n: 3,
+  _nx_noop: 3,
+  _nx: 4,
+  load_theme_textdomain: 0,
+};
+
+const CALL = new RegExp(`(?<![\\w$>:])(${Object.keys(DOMAIN_ARGUMENT).join('|')})\\s*\\(`, 'g');
+
+export default {
+  id: 'text-domain',
+  severity: 'error',
+  description: 'Every translatable string uses the theme text domain',
+  docUrl: `${HANDBOOK}/functionality/internationalization/`,
+  options: {
+    // Defaults to the Text Domain header of style.css
+    domain: null,
+  },
+  check: (theme, options) => {
+    const domain = options.domain || theme.header['Text Domain'];
+    if (!domain) return [];
+    return theme.phpFiles.flatMap((file) => {
+      const code = theme.php(file);
+      return matchAll(code, CALL).flatMap(({ match, line }) => {
+        const [call, fn] = match;
+        const args = callArguments(code, match.index + call.length - 1) || [];
+        const arg = args[DOMAIN_ARGUMENT[fn]];
+        if (arg === undefined) {
+          return [{
+            file,
+            line,
+            message: `${fn}() is called without a text domain`,
+            fix: `Pass '${domain}' as the text domain`,
+          }];
+        }
+        const value = stringLiteral(arg);
+        if (value === null) {
+          return [{
+            file,
+            line,
+            severity: 'warning',
+            message: `${fn}() uses ${arg} as text domain; string extraction needs a literal`,
+            fix: `Pass '${domain}' as the text domain`,
+          }];
+        }
+        if (value !== domain) {
+          return [{
+            file,
+            line,
+            message: `${fn}() uses text domain "${value}" instead of "${domain}"`,
+            fix: `Pass '${domain}' as the text domain`,
+          }];
+        }
+        return [];
+      });
+    });
+  },
+};
@@ -0,0 +1,48 @@
+import { readFileSync } from 'fs';
+import { validateAgainstSchema } from '../../../../core/spec/schema.js';
+import { HANDBOOK, lineAt } from './helpers.js';
+
+const schemaUrl = new URL('../theme-json.schema.json', import.meta.url);
+const schema = JSON.parse(readFileSync(schemaUrl, 'utf8'));
+
+// Line of a JSON pointer such as /settings/color/palette/2, best effort
+const lineOfPointer = (text, pointer) => {
+  const key = pointer.split('/').reverse().find((part) => part && !/^\d+$/.test(part));
+  const index = key ? text.indexOf(`"${key}"`) : -1;
+  return index === -1 ? null : lineAt(text, index);
+};
+
+// Style variations use the theme.json format too
+const STYLE_VARIATION = /^styles\/[^/]+\.json$/;
+
+const checkFile = (file, text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    const position = Number(e.message.match(/position (\d+)/)?.[1]);
+    return [{
+      file,
+      line: Number.isNaN(position) ? null : lineAt(text, position),
+      message: `${file} is not valid JSON: ${e.message}`,
+    }];
+  }
+  return validateAgainstSchema(schema, json).errors.map((e) => ({
+    file,
+    line: lineOfPointer(text, e.pointer),
+    message: e.message,
+    docUrl: 'https://schemas.wp.org/trunk/theme.json',
+  }));
+};
+
+export default {
+  id: 'theme-json',
+  severity: 'error',
+  description: 'theme.json and styles/*.json are valid JSON and match the theme.json schema',
+  docUrl: `${HANDBOOK}/global-settings-and-styles/`,
+  options: {},
+  check: (theme) => {
+    const files = theme.files.filter((file) => file === 'theme.json' || STYLE_VARIATION.test(file));
+    return files.flatMap((file) => checkFile(file, theme.text(file)));
+  },
+};
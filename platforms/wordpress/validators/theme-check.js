@@ -1,103 +1,51 @@
 import { exec } from 'child_process';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const validateWordPressTheme = async (req, res, next) => {
-  const { themePath } = res.locals;
-  if (!themePath) return res.status(500).json({ error: 'Missing themePath for validation' });
-
-  try {
-    // Check if theme-check is available
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-    const repoRoot = path.resolve(__dirname, '..', '..', '..');
-    
-    // Try to run theme-check if available
-    exec(`which theme-check`, (err, stdout) => {
-      if (err || !stdout.trim()) {
-        // theme-check not available, do basic validation
-        performBasicWordPressValidation(themePath, res, next);
-      } else {
-        // Run theme-check
-        exec(`theme-check ${themePath}`, { maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
-          res.locals.validatorSummary = err ? stderr || stdout : stdout;
-          res.locals.validatorError = Boolean(err);
-          res.locals.slug = path.basename(themePath);
-          return next();
-        });
-      }
-    });
-  } catch (e) {
-    return res.status(500).json({ error: 'Failed to run WordPress theme validation', details: e.message });
-  }
-  return undefined;
+import { createReport } from '../../../core/validation.js';
+import { validateWithRules } from './engine.js';
+
+// Theme Check prefixes every finding with its level
+const THEME_CHECK_SEVERITY = {
+  REQUIRED: 'error',
+  WARNING: 'warning',
+  RECOMMENDED: 'info',
+  INFO: 'info',
 };
 
-const performBasicWordPressValidation = (themePath, res, next) => {
-  const fs = require('fs');
-  const validationResults = [];
-  let hasErrors = false;
-
-  // Check required files
-  const requiredFiles = [
-    'style.css',
-    'index.php',
-    'functions.php',
-    'header.php',
-    'footer.php'
-  ];
-
-  requiredFiles.forEach(file => {
-    const filePath = path.join(themePath, file);
-    if (!fs.existsSync(filePath)) {
-      validationResults.push(`ERROR: Missing required file: ${file}`);
-      hasErrors = true;
-    }
+const parseThemeCheckOutput = (output) => output
+  .split('\n')
+  .map((line) => line.trim().match(/^(REQUIRED|WARNING|RECOMMENDED|INFO):\s*(.+)$/))
+  .filter(Boolean)
+  .map(([, level, message]) => {
+    const location = message.match(/(?:in the file|file)\s+([\w./-]+\.\w+)(?:.*?line\s+(\d+))?/i);
+    return {
+      ruleId: `theme-check-${level.toLowerCase()}`,
+      severity: THEME_CHECK_SEVERITY[level],
+      file: location?.[1] || null,
+      line: location?.[2] ? Number(location[2]) : null,
+      message,
+    };
   });
 
-  // Check style.css header
-  const stylePath = path.join(themePath, 'style.css');
-  if (fs.existsSync(stylePath)) {
-    const styleContent = fs.readFileSync(stylePath, 'utf8');
-    const requiredHeaders = ['Theme Name:', 'Description:', 'Author:', 'Version:'];
-    
-    requiredHeaders.forEach(header => {
-      if (!styleContent.includes(header)) {
-        validationResults.push(`WARNING: Missing style.css header: ${header}`);
+// Uses the theme-check CLI when it is installed, otherwise the rule engine
+// in ./engine.js configured by spec.validation.rules.
+// Resolves with a report from core/validation.js.
+const validateWordPressTheme = (themePath, { spec } = {}) => new Promise((resolve, reject) => {
+  exec('which theme-check', (whichErr, whichOut) => {
+    if (whichErr || !whichOut.trim()) {
+      validateWithRules(themePath, spec?.validation?.rules).then(resolve, reject);
+      return;
+    }
+    exec(`theme-check "${themePath}"`, { maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
+      const issues = parseThemeCheckOutput(`${stdout}\n${stderr}`);
+      if (err && issues.length === 0) {
+        issues.push({
+          ruleId: 'theme-check-failed',
+          severity: 'error',
+          message: (stderr || stdout).trim(),
+        });
       }
+      resolve(createReport('theme-check', issues));
     });
-  }
-
-  // Check functions.php for security issues
-  const functionsPath = path.join(themePath, 'functions.php');
-  if (fs.existsSync(functionsPath)) {
-    const functionsContent = fs.readFileSync(functionsPath, 'utf8');
-    
-    // Check for basic security practices
-    if (functionsContent.includes('eval(')) {
-      validationResults.push('ERROR: eval() function found - security risk');
-      hasErrors = true;
-    }
-    
-    if (!functionsContent.includes('ABSPATH')) {
-      validationResults.push('WARNING: No ABSPATH check found in functions.php');
-    }
-  }
-
-  // Check for theme.json (modern WordPress feature)
-  const themeJsonPath = path.join(themePath, 'theme.json');
-  if (fs.existsSync(themeJsonPath)) {
-    validationResults.push('INFO: theme.json found - Gutenberg support detected');
-  }
-
-  const summary = validationResults.length > 0 
-    ? validationResults.join('\n')
-    : 'Basic validation passed - all required files present';
-
-  res.locals.validatorSummary = summary;
-  res.locals.validatorError = hasErrors;
-  res.locals.slug = path.basename(themePath);
-  return next();
-};
+  });
+});
 
 export default validateWordPressTheme;
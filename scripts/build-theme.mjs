@@ -1,15 +1,23 @@
 import { readFile } from 'fs/promises';
-import { buildThemeFromSpec } from '../core/theme-builder.js';
+import { buildThemeFromSpec, migrateSpec, validateTheme } from '../core/theme-builder.js';
+import { formatReport } from '../core/validation.js';
+
+// Usage: node scripts/build-theme.mjs [--validate]
+// With --validate the platform validator and the spec checks (color
+// contrast) run after the build and the process exits with 1 on errors.
 
 const main = async () => {
   const raw = await readFile(new URL('../themeSpec.json', import.meta.url), 'utf8');
-  const spec = JSON.parse(raw);
+  const { spec } = migrateSpec(JSON.parse(raw));
   const out = await buildThemeFromSpec(spec);
   console.log(out);
+  if (!process.argv.includes('--validate')) return;
+  const report = await validateTheme(spec, out);
+  console.log(formatReport(report));
+  if (!report.ok) process.exitCode = 1;
 };
 
 main().catch((e) => {
   console.error(e);
   process.exit(1);
 });
-
@@ -0,0 +1,38 @@
+import { readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { migrateSpec } from '../core/spec/migrate.js';
+
+// Usage: node scripts/migrate-spec.mjs [--dry-run] [spec.json ...]
+// Rewrites each spec file in place in the current spec format.
+// Defaults to ./themeSpec.json when no file is given.
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const files = args.filter((a) => !a.startsWith('--'));
+if (files.length === 0) files.push('themeSpec.json');
+
+const migrateFile = async (file) => {
+  const p = path.resolve(process.cwd(), file);
+  const raw = await readFile(p, 'utf8');
+  const {
+    spec, changes, fromVersion, toVersion,
+  } = migrateSpec(JSON.parse(raw));
+  if (changes.length === 0) {
+    console.log(`${file}: already at specVersion ${toVersion}`);
+    return;
+  }
+  console.log(`${file}: specVersion ${fromVersion} -> ${toVersion}`);
+  changes.forEach((c) => console.log(`  - ${c.message}`));
+  if (!dryRun) await writeFile(p, `${JSON.stringify(spec, null, 2)}\n`, 'utf8');
+};
+
+const main = async () => {
+  // One file at a time keeps the log output grouped per file
+  await files.reduce((prev, file) => prev.then(() => migrateFile(file)), Promise.resolve());
+  if (dryRun) console.log('Dry run: no files were written');
+};
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -1,4 +1,6 @@
-const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals');
+import {
+  describe, it, expect, beforeEach, afterEach, jest,
+} from '@jest/globals';
 
 describe('API Index', () => {
   beforeEach(() => {
@@ -0,0 +1,150 @@
+// express is a dependency of the api package
+// eslint-disable-next-line import/no-extraneous-dependencies
+import express from 'express';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import {
+  createJob, getJob, isFinished, serializeJob, subscribe,
+} from '../../api/jobs.js';
+import { createJobRequest, getJobRequest, streamJobEvents } from '../../api/routes/jobs.js';
+
+const root = process.cwd();
+const spec = JSON.parse(await fs.readFile(path.join(root, 'themeSpec.json'), 'utf8'));
+
+const app = express();
+app.use(express.json({ limit: '2mb' }));
+app.post('/jobs', createJobRequest);
+app.get('/jobs/:id', getJobRequest);
+app.get('/jobs/:id/events', streamJobEvents);
+
+let cwd;
+
+// Resolves with every event of the job once it is done
+const events = (job) => new Promise((resolve) => {
+  const seen = [];
+  const unsubscribe = subscribe(job, (event) => {
+    seen.push(event);
+    if (event.type === 'done') {
+      setImmediate(() => unsubscribe());
+      resolve(seen);
+    }
+  });
+});
+
+// Collects the raw event stream into text
+const text = (res, callback) => {
+  let body = '';
+  res.setEncoding('utf8');
+  res.on('data', (chunk) => { body += chunk; });
+  res.on('end', () => callback(null, body));
+};
+
+const parseStream = (body) => body.trim().split('\n\n').map((block) => {
+  const [, id, type, data] = block.match(/^id: (\d+)\nevent: (\w+)\ndata: (.*)$/);
+  return { id: Number(id), type, data: JSON.parse(data) };
+});
+
+// Jobs build into ./output, so they run in a scratch directory
+beforeAll(async () => {
+  cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-jobs-'));
+  process.chdir(cwd);
+});
+
+afterAll(async () => {
+  process.chdir(root);
+  await fs.rm(cwd, { recursive: true, force: true });
+});
+
+describe('createJob', () => {
+  it('reports status, every stage transition and the finished job', async () => {
+    const job = createJob(spec);
+    expect(getJob(job.id)).toBe(job);
+    const seen = await events(job);
+
+    expect(seen.map((e) => e.id)).toEqual(seen.map((e, i) => i + 1));
+    expect(seen[0]).toMatchObject({ type: 'status', data: { status: 'running' } });
+    expect(seen.filter((e) => e.type === 'stage').map((e) => `${e.data.name}:${e.data.status}`))
+      .toEqual([
+        'build:running', 'build:completed',
+        'validate:running', 'validate:completed',
+        'zip:running', 'zip:completed',
+        'report:running', 'report:completed',
+      ]);
+    const done = seen[seen.length - 1];
+    expect(done.data).toEqual(serializeJob(job));
+    expect(job.status).toBe('succeeded');
+    expect(isFinished(job)).toBe(true);
+    expect(job.result.download).toMatch(/^\/output\/builds\/[^/]+\/.+\.zip$/);
+    expect(job.stages.every((stage) => stage.durationMs >= 0)).toBe(true);
+  }, 60000);
+
+  it('fails the job with the failing stage and skips the rest', async () => {
+    const job = createJob({ ...spec, specVersion: 99 });
+    const seen = await events(job);
+
+    expect(job.status).toBe('failed');
+    expect(job.error).toMatchObject({ stage: 'build' });
+    expect(job.stages.map((stage) => stage.status))
+      .toEqual(['failed', 'pending', 'pending', 'pending']);
+    expect(seen[seen.length - 1].data.error.stage).toBe('build');
+    expect(await fs.readdir(path.join('output', 'builds', '.staging'))).toEqual([]);
+  });
+
+  it('replays only the events after lastEventId', async () => {
+    const job = createJob({ ...spec, specVersion: 99 });
+    const all = await events(job);
+    const replayed = [];
+    subscribe(job, (event) => replayed.push(event), 2)();
+    expect(replayed).toEqual(all.slice(2));
+  });
+});
+
+describe('jobs API', () => {
+  it('queues a job and links to it', async () => {
+    const res = await request(app).post('/jobs?failOn=error').send(spec).expect(202);
+    expect(res.headers.location).toBe(`/jobs/${res.body.id}`);
+    expect(res.body.links).toEqual({
+      self: `/jobs/${res.body.id}`,
+      events: `/jobs/${res.body.id}/events`,
+    });
+    expect(res.body.stages.map((stage) => stage.name))
+      .toEqual(['build', 'validate', 'zip', 'report']);
+    await events(getJob(res.body.id));
+
+    const polled = await request(app).get(`/jobs/${res.body.id}`).expect(200);
+    expect(polled.body.status).toBe('succeeded');
+  }, 60000);
+
+  it('streams events until the job is done', async () => {
+    const { body: { id } } = await request(app).post('/jobs').send(spec).expect(202);
+    const res = await request(app).get(`/jobs/${id}/events`).buffer(true).parse(text)
+      .expect(200)
+      .expect('Content-Type', /text\/event-stream/);
+
+    const stream = parseStream(res.body);
+    expect(stream[0].type).toBe('status');
+    expect(stream[stream.length - 1])
+      .toMatchObject({ type: 'done', data: { id, status: 'succeeded' } });
+  }, 60000);
+
+  it('sends a finished job only what the client missed', async () => {
+    const job = createJob({ ...spec, specVersion: 99 });
+    const all = await events(job);
+    const res = await request(app).get(`/jobs/${job.id}/events`)
+      .set('Last-Event-ID', String(all.length - 1))
+      .buffer(true)
+      .parse(text)
+      .expect(200);
+    expect(parseStream(res.body)).toEqual([all[all.length - 1]]);
+  });
+
+  it('answers 404 for unknown jobs', async () => {
+    await request(app).get('/jobs/nope').expect(404);
+    await request(app).get('/jobs/nope/events').expect(404);
+  });
+});
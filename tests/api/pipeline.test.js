@@ -0,0 +1,75 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import { StageError, runPipeline } from '../../api/pipeline.js';
+import { buildsRoot } from '../../core/builds.js';
+
+const root = process.cwd();
+const spec = JSON.parse(await fs.readFile(path.join(root, 'themeSpec.json'), 'utf8'));
+
+let cwd;
+
+const list = (dir) => fs.readdir(dir).catch(() => []);
+
+// Builds go to ./output, so every test runs in a scratch directory
+beforeAll(async () => {
+  cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-pipeline-'));
+  process.chdir(cwd);
+});
+
+afterAll(async () => {
+  process.chdir(root);
+  await fs.rm(cwd, { recursive: true, force: true });
+});
+
+describe('runPipeline', () => {
+  it('promotes a finished build and leaves no staging directory', async () => {
+    const stages = [];
+    const result = await runPipeline({ input: spec }, {
+      onStage: (stage, { status }) => stages.push(`${stage}:${status}`),
+    });
+
+    expect(stages).toEqual([
+      'build:started', 'build:completed',
+      'validate:started', 'validate:completed',
+      'zip:started', 'zip:completed',
+      'report:started', 'report:completed',
+    ]);
+    const buildPath = path.join(buildsRoot(), result.buildId);
+    expect(result.themePath.startsWith(buildPath)).toBe(true);
+    expect(await list(buildPath)).toEqual(expect.arrayContaining(['report.md']));
+    expect(await list(path.join(buildsRoot(), '.staging'))).toEqual([]);
+  }, 60000);
+
+  it('discards the staging directory of a failed build', async () => {
+    const events = [];
+    const failing = runPipeline({ input: { ...spec, specVersion: 99 } }, {
+      onStage: (stage, { status }) => events.push(`${stage}:${status}`),
+    });
+
+    await expect(failing).rejects.toThrow(StageError);
+    await expect(failing).rejects.toMatchObject({ stage: 'build', status: 400 });
+    expect(events).toEqual(['build:started', 'build:failed']);
+    expect(await list(path.join(buildsRoot(), '.staging'))).toEqual([]);
+  });
+
+  it('rejects colors that would be written into the stylesheet as they are', async () => {
+    const input = { ...spec, colors: { ...spec.colors, accent: 'red;}body{display:none' } };
+    await expect(runPipeline({ input })).rejects.toMatchObject({
+      stage: 'build',
+      status: 400,
+      message: expect.stringContaining('colors.accent must be a CSS color'),
+    });
+    expect(await list(path.join(buildsRoot(), '.staging'))).toEqual([]);
+  });
+
+  it('discards the build when the validation gate fails', async () => {
+    const ctx = { input: { ...spec, colors: { ...spec.colors, text: '#ffffff' } }, failOn: 'info' };
+    await expect(runPipeline(ctx)).rejects.toMatchObject({ stage: 'validate', status: 422 });
+    expect(ctx.build.promoted).toBe(false);
+    expect(await list(path.join(buildsRoot(), '.staging'))).toEqual([]);
+  }, 60000);
+});
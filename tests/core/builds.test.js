@@ -0,0 +1,120 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterEach, beforeEach, describe, expect, it,
+} from '@jest/globals';
+import {
+  buildsRoot, createBuild, discardBuild, isBuildId, promoteBuild, promotedPath, pruneBuilds,
+} from '../../core/builds.js';
+
+const HOUR = 60 * 60 * 1000;
+
+let outputRoot;
+
+const exists = (p) => fs.access(p).then(() => true, () => false);
+
+// A promoted build holding one file
+const promotedBuild = async () => {
+  const build = await createBuild({ outputRoot });
+  await fs.writeFile(path.join(build.stagingPath, 'report.md'), build.id);
+  await promoteBuild(build);
+  return build;
+};
+
+const age = (dir, ms) => {
+  const time = new Date(Date.now() - ms);
+  return fs.utimes(dir, time, time);
+};
+
+beforeEach(async () => {
+  outputRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-builds-'));
+});
+
+afterEach(() => fs.rm(outputRoot, { recursive: true, force: true }));
+
+describe('createBuild', () => {
+  it('stages every build in its own directory', async () => {
+    const [a, b] = await Promise.all([createBuild({ outputRoot }), createBuild({ outputRoot })]);
+    expect(a.id).not.toBe(b.id);
+    expect(isBuildId(a.id)).toBe(true);
+    expect(a.stagingPath).toBe(path.join(buildsRoot(outputRoot), '.staging', a.id));
+    expect(a.path).toBe(path.join(buildsRoot(outputRoot), a.id));
+    expect(await exists(a.stagingPath)).toBe(true);
+    expect(await exists(a.path)).toBe(false);
+  });
+
+  it('only accepts generated ids', () => {
+    expect(isBuildId('lx1k2j3-0a1b2c3d')).toBe(true);
+    expect(isBuildId('.staging')).toBe(false);
+    expect(isBuildId('../etc-0a1b2c3d')).toBe(false);
+  });
+});
+
+describe('promoteBuild', () => {
+  it('moves the complete staging directory into place at once', async () => {
+    const build = await createBuild({ outputRoot });
+    const file = path.join(build.stagingPath, 'theme', 'index.hbs');
+    await fs.mkdir(path.dirname(file));
+    await fs.writeFile(file, 'index');
+
+    expect(promotedPath(build, file)).toBe(path.join(build.path, 'theme', 'index.hbs'));
+    expect(await promoteBuild(build)).toBe(build.path);
+    expect(build.promoted).toBe(true);
+    expect(await fs.readFile(promotedPath(build, file), 'utf8')).toBe('index');
+    expect(await exists(build.stagingPath)).toBe(false);
+  });
+});
+
+describe('discardBuild', () => {
+  it('removes an unfinished build', async () => {
+    const build = await createBuild({ outputRoot });
+    await fs.writeFile(path.join(build.stagingPath, 'partial.hbs'), '');
+    await discardBuild(build);
+    expect(await exists(build.stagingPath)).toBe(false);
+  });
+
+  it('keeps a promoted build', async () => {
+    const build = await promotedBuild();
+    await discardBuild(build);
+    expect(await exists(build.path)).toBe(true);
+  });
+});
+
+describe('pruneBuilds', () => {
+  it('keeps only the newest builds', async () => {
+    const builds = [];
+    // Sequential so the time-ordered ids differ
+    for (let i = 0; i < 3; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      builds.push(await promotedBuild());
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise((resolve) => { setTimeout(resolve, 2); });
+    }
+    const removed = await pruneBuilds({ outputRoot, keep: 2, maxAgeMs: HOUR });
+    expect(removed).toEqual([builds[0].id]);
+    expect(await exists(builds[0].path)).toBe(false);
+    expect(await exists(builds[2].path)).toBe(true);
+  });
+
+  it('removes expired builds and abandoned staging directories', async () => {
+    const old = await promotedBuild();
+    const fresh = await promotedBuild();
+    const crashed = await createBuild({ outputRoot });
+    const running = await createBuild({ outputRoot });
+    await age(old.path, 2 * HOUR);
+    await age(crashed.stagingPath, 2 * HOUR);
+
+    const removed = await pruneBuilds({ outputRoot, keep: 10, maxAgeMs: HOUR });
+    expect(removed.sort()).toEqual([old.id, crashed.id].sort());
+    expect(await exists(fresh.path)).toBe(true);
+    expect(await exists(running.stagingPath)).toBe(true);
+  });
+
+  it('ignores a missing builds directory and foreign entries', async () => {
+    expect(await pruneBuilds({ outputRoot, keep: 0 })).toEqual([]);
+    await fs.mkdir(path.join(buildsRoot(outputRoot), 'notes'), { recursive: true });
+    expect(await pruneBuilds({ outputRoot, keep: 0 })).toEqual([]);
+    expect(await exists(path.join(buildsRoot(outputRoot), 'notes'))).toBe(true);
+  });
+});
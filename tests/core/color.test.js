@@ -0,0 +1,132 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  AA,
+  AAA,
+  adjust,
+  contrastRatio,
+  ensureContrast,
+  mix,
+  parseColor,
+  readableOn,
+  relativeLuminance,
+  toHex,
+  toHsl,
+} from '../../core/color.js';
+
+const hexOf = (value) => toHex(parseColor(value));
+
+describe('parseColor', () => {
+  it('parses hex colors with and without alpha', () => {
+    expect(parseColor('#fff')).toEqual({
+      r: 255, g: 255, b: 255, a: 1,
+    });
+    expect(parseColor('#336699')).toEqual({
+      r: 51, g: 102, b: 153, a: 1,
+    });
+    expect(parseColor('#FF000080').a).toBeCloseTo(0.5, 2);
+    expect(parseColor('#0f08').a).toBeCloseTo(0.53, 2);
+  });
+
+  it('parses named colors and transparent', () => {
+    expect(hexOf('RebeccaPurple')).toBe('#663399');
+    expect(parseColor('transparent')).toEqual({
+      r: 0, g: 0, b: 0, a: 0,
+    });
+  });
+
+  it('parses legacy and modern function syntax', () => {
+    expect(hexOf('rgb(255, 0, 0)')).toBe('#ff0000');
+    expect(hexOf('rgba(0, 0, 255, 0.5)')).toBe('#0000ff80');
+    expect(hexOf('rgb(100% 50% 0% / 50%)')).toBe('#ff800080');
+    expect(hexOf('hsl(120, 100%, 50%)')).toBe('#00ff00');
+    expect(hexOf('hsl(0.5turn 100% 25%)')).toBe('#008080');
+    expect(hexOf('hwb(0 0% 0%)')).toBe('#ff0000');
+    expect(hexOf('hwb(0 60% 60%)')).toBe('#808080');
+  });
+
+  it('converts lab, lch, oklab, oklch and color() to sRGB', () => {
+    expect(hexOf('lab(100 0 0)')).toBe('#ffffff');
+    expect(hexOf('lch(0 0 0)')).toBe('#000000');
+    expect(hexOf('oklab(1 0 0)')).toBe('#ffffff');
+    expect(hexOf('oklch(62.8% 0.2577 29.23)')).toBe('#ff0000');
+    expect(hexOf('color(srgb 1 0.5 0)')).toBe('#ff8000');
+    expect(hexOf('color(srgb-linear 0.2159 0.2159 0.2159)')).toBe('#808080');
+  });
+
+  it('clips out of gamut colors', () => {
+    expect(hexOf('color(display-p3 0 1 0)')).toBe('#00ff00');
+    expect(hexOf('rgb(300 -20 0)')).toBe('#ff0000');
+  });
+
+  it('returns null for what it cannot resolve', () => {
+    ['var(--accent)', 'currentColor', 'not-a-color', '#12', 'rgb(1 2)', 'color(rec2020 1 0 0)',
+      'rgb(1 2 3 / 4 / 5)', '', null, undefined].forEach((value) => {
+      expect(parseColor(value)).toBeNull();
+    });
+  });
+});
+
+describe('contrastRatio', () => {
+  it('matches known WCAG ratios', () => {
+    expect(contrastRatio('#000000', '#ffffff')).toBe(21);
+    expect(contrastRatio('#ffffff', '#000')).toBe(21);
+    expect(contrastRatio('white', 'white')).toBe(1);
+    expect(contrastRatio('#777777', '#ffffff')).toBeCloseTo(4.48, 2);
+    expect(contrastRatio('#767676', '#ffffff')).toBeCloseTo(4.54, 2);
+    expect(contrastRatio('#ff0000', '#ffffff')).toBeCloseTo(4, 2);
+  });
+
+  it('places translucent colors on the background, and that on white', () => {
+    expect(contrastRatio('rgb(0 0 0 / 0)', '#ffffff')).toBe(1);
+    expect(contrastRatio('#000000', 'rgb(0 0 0 / 50%)'))
+      .toBeCloseTo(contrastRatio('#000000', '#808080'), 1);
+  });
+
+  it('returns null for unparseable colors', () => {
+    expect(contrastRatio('var(--text)', '#ffffff')).toBeNull();
+    expect(relativeLuminance('inherit')).toBeNull();
+    expect(relativeLuminance('#ffffff')).toBe(1);
+  });
+});
+
+describe('ensureContrast', () => {
+  it('keeps colors that already pass', () => {
+    expect(ensureContrast('#767676', '#ffffff')).toBe('#767676');
+    expect(ensureContrast('var(--x)', '#ffffff')).toBe('var(--x)');
+  });
+
+  it('finds the nearest passing lightness, keeping the hue', () => {
+    const fixed = ensureContrast('#ff5722', '#ffffff');
+    expect(contrastRatio(fixed, '#ffffff')).toBeGreaterThanOrEqual(AA);
+    const hue = (value) => toHsl(parseColor(value)).h;
+    expect(Math.abs(hue(fixed) - hue('#ff5722'))).toBeLessThan(1);
+    // Just past the threshold: one lightness step less would fail
+    const lighter = adjust(fixed, ({ l }) => ({ l: l + 0.01 }));
+    expect(contrastRatio(lighter, '#ffffff')).toBeLessThan(AA);
+  });
+
+  it('lightens on dark backgrounds', () => {
+    const fixed = ensureContrast('#333333', '#111111', AAA);
+    expect(relativeLuminance(fixed)).toBeGreaterThan(relativeLuminance('#333333'));
+    expect(contrastRatio(fixed, '#111111')).toBeGreaterThanOrEqual(AAA);
+  });
+
+  it('returns the best reachable color when nothing passes', () => {
+    expect(ensureContrast('#808080', '#808080', 21)).toBe('#000000');
+  });
+});
+
+describe('palette helpers', () => {
+  it('picks the first readable candidate', () => {
+    expect(readableOn('#1a1a1a')).toBe('#ffffff');
+    expect(readableOn('#ffeb3b')).toBe('#000000');
+    expect(readableOn('#777777', ['#ffffff', '#eeeeee'], AAA)).toBe('#ffffff');
+  });
+
+  it('mixes and adjusts in sRGB and HSL', () => {
+    expect(mix('#000000', '#ffffff')).toBe('#808080');
+    expect(mix('#000000', 'var(--x)')).toBe('#000000');
+    expect(adjust('#ff0000', () => ({ l: 0.25 }))).toBe('#800000');
+    expect(adjust('inherit', () => ({ l: 0 }))).toBe('inherit');
+  });
+});
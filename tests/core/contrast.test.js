@@ -0,0 +1,127 @@
+import { describe, expect, it } from '@jest/globals';
+import { AA, contrastRatio } from '../../core/color.js';
+import {
+  RULE_ID, autoFixColors, checkContrast, colorPairsFor, fixPalette,
+} from '../../core/contrast.js';
+
+const PAIRS = [
+  { foreground: 'text', background: 'background', usage: 'Body text' },
+  { foreground: 'accent', background: 'background', usage: 'Links' },
+  {
+    foreground: '#ffffff', background: 'primary', usage: 'Header text', minRatio: 3,
+  },
+];
+
+const spec = (colors, extra = {}) => ({
+  colors: {
+    primary: '#1a1a1a', accent: '#ff5722', background: '#ffffff', text: '#333333', ...colors,
+  },
+  ...extra,
+});
+
+const ratios = (colors) => PAIRS.map((pair) => contrastRatio(
+  colors[pair.foreground] || pair.foreground,
+  colors[pair.background] || pair.background,
+));
+
+describe('colorPairsFor', () => {
+  it('accepts a list or a function of the spec', () => {
+    expect(colorPairsFor({ colorPairs: PAIRS }, {})).toBe(PAIRS);
+    expect(colorPairsFor({ colorPairs: (s) => s.pairs }, { pairs: PAIRS })).toBe(PAIRS);
+    expect(colorPairsFor(undefined, {})).toEqual([]);
+  });
+});
+
+describe('checkContrast', () => {
+  it('passes a readable palette', () => {
+    expect(checkContrast(spec({ accent: '#c2410c' }), PAIRS)).toEqual([]);
+  });
+
+  it('warns about failing pairs with a suggestion', () => {
+    const [issue, ...rest] = checkContrast(spec(), PAIRS);
+    expect(rest).toEqual([]);
+    expect(issue).toMatchObject({ ruleId: RULE_ID, severity: 'warning', file: null });
+    expect(issue.message).toBe('Links: accent #ff5722 on background #ffffff has a contrast ratio '
+      + 'of 3.16:1, WCAG AA needs 4.5:1');
+    expect(issue.fix).toMatch(/^Use #[0-9a-f]{6} for accent, or set colors\.autoFix$/);
+  });
+
+  it('uses the pair threshold and never rounds a failure up', () => {
+    const issues = checkContrast(spec({ primary: '#777777', accent: '#c2410c' }), [
+      { foreground: '#ffffff', background: 'primary', usage: 'Buttons' },
+    ]);
+    expect(issues[0].message).toContain('4.47:1, WCAG AA needs 4.5:1');
+  });
+
+  it('checks every variation', () => {
+    const issues = checkContrast(spec({ accent: '#c2410c' }, {
+      variations: [{ name: 'Pale', colors: { text: '#bbbbbb' } }],
+    }), PAIRS);
+    expect(issues.map((i) => i.message)).toEqual([
+      expect.stringMatching(/^Body text \(variation "Pale"\): text #bbbbbb/),
+    ]);
+  });
+
+  it('cannot check CSS variables', () => {
+    expect(checkContrast(spec({ text: 'var(--ink)', accent: '#c2410c' }), PAIRS))
+      .toMatchObject([{ severity: 'info', message: expect.stringContaining('cannot check') }]);
+  });
+
+  it('reports values that are not colors as errors', () => {
+    const issues = checkContrast(spec({ accent: 'banana' }), PAIRS);
+    expect(issues).toEqual([expect.objectContaining({
+      severity: 'error',
+      message: 'Links: accent banana is not a CSS color',
+    })]);
+  });
+});
+
+describe('autoFixColors', () => {
+  it('does nothing unless colors.autoFix is set', () => {
+    const input = spec();
+    expect(autoFixColors(input, PAIRS)).toEqual({ spec: input, changes: [] });
+  });
+
+  it('fixes failing pairs and reports the changes', () => {
+    const input = spec({ autoFix: true, primary: '#aaaaaa' });
+    const { spec: fixed, changes } = autoFixColors(input, PAIRS);
+    expect(changes.map(({ key, from }) => [key, from])).toEqual([
+      ['accent', '#ff5722'],
+      ['primary', '#aaaaaa'],
+    ]);
+    expect(fixed.colors.background).toBe('#ffffff');
+    ratios(fixed.colors).forEach((ratio, i) => {
+      expect(ratio).toBeGreaterThanOrEqual(PAIRS[i].minRatio ?? AA);
+    });
+    expect(checkContrast(fixed, PAIRS).filter((i) => i.severity === 'warning')).toEqual([]);
+  });
+
+  it('stops changing colors once they meet AA', () => {
+    const passing = spec({ autoFix: true, accent: '#c2410c' });
+    expect(autoFixColors(passing, PAIRS)).toEqual({ spec: passing, changes: [] });
+
+    const { spec: fixed } = autoFixColors(spec({ autoFix: true }), PAIRS);
+    const again = autoFixColors(fixed, PAIRS);
+    expect(again.changes).toEqual([]);
+    expect(again.spec.colors).toEqual(fixed.colors);
+  });
+
+  it('fixes each variation on its own palette', () => {
+    const { spec: fixed, changes } = autoFixColors(spec({ autoFix: true, accent: '#c2410c' }, {
+      variations: ['dark', { name: 'Pale', colors: { text: '#bbbbbb' } }],
+    }), PAIRS);
+    // The dark preset lightens primary past what white header text allows
+    expect(changes.map((c) => [c.variation, c.key]))
+      .toEqual([['Dark', 'primary'], ['Pale', 'text']]);
+    expect(fixed.variations.map((v) => v.name)).toEqual(['Dark', 'Pale']);
+    expect(contrastRatio(fixed.variations[1].colors.text, '#ffffff')).toBeGreaterThanOrEqual(AA);
+  });
+
+  it('only moves palette colors, never the background', () => {
+    const { colors, changes } = fixPalette({ background: '#777777' }, [
+      { foreground: '#ffffff', background: 'background', usage: 'Text' },
+    ]);
+    expect(changes).toEqual([]);
+    expect(colors.background).toBe('#777777');
+  });
+});
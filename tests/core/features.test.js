@@ -0,0 +1,114 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import { RULE_ID, checkFeatures } from '../../core/features.js';
+import { getPlatform } from '../../core/registry.js';
+import { buildThemeFromSpec, loadPlatforms, validateTheme } from '../../core/theme-builder.js';
+
+const themeSpec = JSON.parse(await fs.readFile(path.resolve('themeSpec.json'), 'utf8'));
+
+let outDir;
+
+beforeAll(async () => {
+  await loadPlatforms();
+  outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-features-'));
+});
+
+afterAll(() => fs.rm(outDir, { recursive: true, force: true }));
+
+describe('checkFeatures', () => {
+  it('accepts the flags the platform lists', () => {
+    expect(checkFeatures(themeSpec, getPlatform('ghost'))).toEqual([]);
+    expect(checkFeatures({ ...themeSpec, features: undefined }, getPlatform('ghost'))).toEqual([]);
+  });
+
+  it('warns about each flag the platform does not build', () => {
+    const spec = { ...themeSpec, platform: 'wordpress', features: ['menus', 'search', 'amp'] };
+    const issues = checkFeatures(spec, getPlatform('wordpress'));
+    expect(issues.map((i) => [i.ruleId, i.severity, i.message])).toEqual([
+      [RULE_ID, 'warning', 'Feature "search" is not supported by WordPress and is ignored'],
+      [RULE_ID, 'warning', 'Feature "amp" is not supported by WordPress and is ignored'],
+    ]);
+    expect(issues[0].fix).toBe('Remove it from features; supported features: gutenberg_blocks, '
+      + 'customizer, widgets, menus, dark_mode, responsive');
+  });
+
+  it('names the spec platform when it is not registered', () => {
+    const [issue] = checkFeatures({ platform: 'hugo', features: ['search'] }, undefined);
+    expect(issue).toMatchObject({
+      message: 'Feature "search" is not supported by hugo and is ignored',
+      fix: 'Remove it from features',
+    });
+  });
+});
+
+describe('validateTheme', () => {
+  const spec = {
+    ...themeSpec,
+    platform: 'wordpress',
+    layout: { homepage: 'grid', postPage: 'single-column', archivePage: 'grid' },
+    features: ['menus', 'newsletter_signup'],
+  };
+  let themePath;
+
+  beforeAll(async () => {
+    themePath = await buildThemeFromSpec(spec, { outDir: path.join(outDir, 'wordpress') });
+  });
+
+  const unknown = async (validation) => {
+    const report = await validateTheme({ ...spec, validation }, themePath);
+    return report.issues.filter((i) => i.ruleId === RULE_ID);
+  };
+
+  it('reports unknown features as theme warnings', async () => {
+    expect(await unknown()).toEqual([expect.objectContaining({
+      severity: 'warning',
+      file: null,
+      message: 'Feature "newsletter_signup" is not supported by WordPress and is ignored',
+    })]);
+  });
+
+  it('applies validation.rules to the warning', async () => {
+    expect((await unknown({ rules: { [RULE_ID]: 'error' } }))[0].severity).toBe('error');
+    expect(await unknown({ rules: { [RULE_ID]: 'off' } })).toEqual([]);
+  });
+});
+
+describe('Ghost feature markup', () => {
+  const FLAGS = ['newsletter_signup', 'search', 'comments', 'share_buttons', 'reading_time'];
+  const FILES = {
+    header: 'partials/header.hbs',
+    footer: 'partials/footer.hbs',
+    post: 'post.hbs',
+    card: 'partials/post-card.hbs',
+    main: 'assets/js/main.js',
+  };
+  const files = {};
+
+  beforeAll(async () => {
+    const build = async (name, features) => {
+      const themePath = await buildThemeFromSpec({ ...themeSpec, features }, {
+        outDir: path.join(outDir, name),
+      });
+      files[name] = Object.fromEntries(await Promise.all(Object.entries(FILES)
+        .map(async ([key, file]) => [key, await fs.readFile(path.join(themePath, file), 'utf8')])));
+    };
+    await build('on', FLAGS);
+    await build('off', []);
+  });
+
+  it.each([
+    ['search', 'header', 'data-ghost-search'],
+    ['newsletter_signup', 'footer', '<section class="footer-signup">'],
+    ['comments', 'post', '{{comments}}'],
+    ['share_buttons', 'post', '<div class="post-share">'],
+    ['share_buttons', 'main', 'data-share-copy'],
+    ['reading_time', 'card', '{{reading_time'],
+  ])('%s adds its markup to %s', (flag, file, markup) => {
+    expect(files.on[file]).toContain(markup);
+    expect(files.off[file]).not.toContain(markup);
+  });
+});
@@ -0,0 +1,289 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import {
+  FontError, RULE_ID, checkFonts, fontFaceCSS, readFontMetadata, resolveFonts, withFallback,
+} from '../../core/fonts.js';
+import { buildThemeFromSpec, validateTheme } from '../../core/theme-builder.js';
+
+// Advance widths (per 1000 units) of space and a–z in Helvetica, which the
+// sans-serif fallback (Arial) matches
+const HELVETICA = [278, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500];
+
+const table = (size, write) => {
+  const buf = Buffer.alloc(size);
+  write(buf);
+  return buf;
+};
+
+const nameTable = (family) => {
+  const value = Buffer.from(family, 'utf16le').swap16();
+  return table(18 + value.length, (buf) => {
+    buf.writeUInt16BE(1, 2);
+    buf.writeUInt16BE(18, 4);
+    [3, 1, 0x409, 1, value.length, 0].forEach((n, i) => buf.writeUInt16BE(n, 6 + i * 2));
+    value.copy(buf, 18);
+  });
+};
+
+// Format 4 cmap: space → glyph 1, a–z → glyphs 2–27
+const cmapTable = () => table(12 + 14 + 4 * 3 * 2 + 2, (buf) => {
+  buf.writeUInt16BE(1, 2);
+  buf.writeUInt16BE(3, 4);
+  buf.writeUInt16BE(1, 6);
+  buf.writeUInt32BE(12, 8);
+  const segments = [[32, 32, 1 - 32], [97, 122, 2 - 97], [0xffff, 0xffff, 1]];
+  buf.writeUInt16BE(4, 12);
+  buf.writeUInt16BE(segments.length * 2, 18);
+  segments.forEach(([start, end, delta], i) => {
+    buf.writeUInt16BE(end, 26 + i * 2);
+    buf.writeUInt16BE(start, 26 + segments.length * 2 + 2 + i * 2);
+    buf.writeInt16BE(delta, 26 + segments.length * 4 + 2 + i * 2);
+  });
+});
+
+// A WOFF2 font with just the tables readFontMetadata looks at
+const woff2 = ({
+  family = 'Test Sans',
+  unitsPerEm = 1000,
+  widths = HELVETICA,
+  weight = 400,
+  italic = false,
+  typo = true,
+  serifStyle = 11,
+  weightRange = null,
+} = {}) => {
+  const tables = [
+    [0, cmapTable()],
+    [1, table(54, (buf) => buf.writeUInt16BE(unitsPerEm, 18))],
+    [2, table(36, (buf) => {
+      buf.writeInt16BE(1000, 4);
+      buf.writeInt16BE(-300, 6);
+      buf.writeInt16BE(0, 8);
+      buf.writeUInt16BE(28, 34);
+    })],
+    [3, table(28 * 4, (buf) => [500, ...widths].forEach((width, glyph) => {
+      buf.writeUInt16BE(Math.round((width * unitsPerEm) / 1000), glyph * 4);
+    }))],
+    [5, family ? nameTable(family) : table(6, () => {})],
+    [6, table(96, (buf) => {
+      buf.writeInt16BE(480, 2);
+      buf.writeUInt16BE(weight, 4);
+      buf.writeUInt8(2, 32);
+      buf.writeUInt8(serifStyle, 33);
+      // eslint-disable-next-line no-bitwise
+      buf.writeUInt16BE((italic ? 0x1 : 0x40) | (typo ? 0x80 : 0), 62);
+      buf.writeInt16BE(905, 68);
+      buf.writeInt16BE(-212, 70);
+      buf.writeInt16BE(33, 72);
+    })],
+    ...(weightRange ? [['fvar', table(36, (buf) => {
+      buf.writeUInt16BE(16, 4);
+      buf.writeUInt16BE(1, 8);
+      buf.writeUInt16BE(20, 10);
+      buf.write('wght', 16, 'latin1');
+      buf.writeInt32BE(weightRange[0] * 65536, 20);
+      buf.writeInt32BE(weightRange[1] * 65536, 28);
+    })]] : []),
+  ];
+  const directory = Buffer.concat(tables.map(([tag, data]) => (typeof tag === 'number'
+    ? Buffer.from([tag, data.length])
+    : Buffer.concat([Buffer.from([63]), Buffer.from(tag, 'latin1'), Buffer.from([data.length])]))));
+  const compressed = zlib.brotliCompressSync(Buffer.concat(tables.map(([, data]) => data)));
+  const header = table(48, (buf) => {
+    buf.write('wOF2', 0, 'latin1');
+    buf.writeUInt16BE(tables.length, 12);
+    buf.writeUInt32BE(compressed.length, 20);
+  });
+  return Buffer.concat([header, directory, compressed]);
+};
+
+describe('readFontMetadata', () => {
+  it('reads family, weight, style, category and metrics', () => {
+    expect(readFontMetadata(woff2())).toEqual({
+      family: 'Test Sans',
+      weight: '400',
+      style: 'normal',
+      category: 'sans-serif',
+      metrics: {
+        unitsPerEm: 1000, ascent: 905, descent: -212, lineGap: 33, averageWidth: expect.any(Number),
+      },
+    });
+  });
+
+  it('weights the letter widths by English letter frequency', () => {
+    const width = readFontMetadata(woff2()).metrics.averageWidth;
+    expect(width).toBeGreaterThan(Math.min(...HELVETICA));
+    expect(width).toBeLessThan(Math.max(...HELVETICA));
+    const wide = readFontMetadata(woff2({ widths: HELVETICA.map((w) => w * 1.2) }));
+    expect(wide.metrics.averageWidth).toBeCloseTo(width * 1.2, 0);
+  });
+
+  it('takes hhea metrics without USE_TYPO_METRICS', () => {
+    expect(readFontMetadata(woff2({ typo: false })).metrics)
+      .toMatchObject({ ascent: 1000, descent: -300, lineGap: 0 });
+  });
+
+  it('reads italics, serif fonts and variable weight ranges', () => {
+    expect(readFontMetadata(woff2({
+      italic: true, serifStyle: 2, weightRange: [100, 900],
+    }))).toMatchObject({ style: 'italic', category: 'serif', weight: '100 900' });
+  });
+
+  it('rejects what it cannot read', () => {
+    expect(() => readFontMetadata(Buffer.from('wOFFxxxx'.repeat(8)))).toThrow(FontError);
+    expect(() => readFontMetadata(Buffer.alloc(10))).toThrow('not a WOFF2 file');
+  });
+});
+
+describe('resolveFonts', () => {
+  let dir;
+
+  const font = async (file, options) => {
+    const full = path.join(dir, file);
+    await fs.mkdir(path.dirname(full), { recursive: true });
+    await fs.writeFile(full, options === null ? 'broken' : woff2(options));
+    return full;
+  };
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-fonts-'));
+    await font('lib/test-sans.woff2');
+    await font('lib/test-sans-italic.woff2', { italic: true });
+    await font('lib/other/serif.woff2', { family: 'Test Serif', serifStyle: 2 });
+  });
+
+  afterAll(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('derives a metric-adjusted fallback from the regular face', async () => {
+    const fonts = await resolveFonts({
+      fonts: {
+        heading: 'Test Sans', body: 'system-ui', library: path.join(dir, 'lib'),
+      },
+    });
+    expect(fonts.faces.map((face) => face.file).sort())
+      .toEqual(['test-sans-400-italic.woff2', 'test-sans-400-normal.woff2']);
+    // Helvetica's widths and 1000 units per em: Arial needs no scaling
+    expect(fonts.fallbacks['Test Sans']).toEqual({
+      family: 'Test Sans Fallback',
+      local: ['Arial', 'Liberation Sans', 'Arimo'],
+      generic: 'sans-serif',
+      sizeAdjust: '100%',
+      ascentOverride: '90.5%',
+      descentOverride: '21.2%',
+      lineGapOverride: '3.3%',
+    });
+    expect(withFallback('Test Sans', fonts)).toBe('"Test Sans", "Test Sans Fallback", sans-serif');
+    expect(fontFaceCSS(fonts, '../fonts')).toContain('size-adjust: 100%;');
+    expect(fonts.issues).toEqual([]);
+  });
+
+  it('scales the fallback to wider letters', async () => {
+    const file = await font('wide.woff2', {
+      family: 'Wide', unitsPerEm: 2048, widths: HELVETICA.map((w) => w * 1.1),
+    });
+    const { fallbacks } = await resolveFonts({ fonts: { heading: 'Wide', files: [file] } });
+    const { sizeAdjust, ascentOverride, descentOverride } = fallbacks.Wide;
+    expect(parseFloat(sizeAdjust)).toBeCloseTo(110, 1);
+    expect(parseFloat(ascentOverride)).toBeCloseTo(((905 / 2048) * 100) / 1.1, 1);
+    expect(parseFloat(descentOverride)).toBeCloseTo(((212 / 2048) * 100) / 1.1, 1);
+  });
+
+  it('skips broken library files and reports them', async () => {
+    const broken = await font('broken-lib/broken.woff2', null);
+    await font('broken-lib/test-sans.woff2');
+    const fonts = await resolveFonts({
+      fonts: { heading: 'Test Sans', library: path.join(dir, 'broken-lib') },
+    });
+    expect(fonts.faces).toHaveLength(1);
+    expect(fonts.issues).toEqual([{
+      ruleId: RULE_ID,
+      severity: 'warning',
+      file: null,
+      docUrl: null,
+      message: `Skipped a library font: ${broken}: not a WOFF2 file`,
+      fix: 'Replace the file with a valid WOFF2 font or remove it from the library',
+    }]);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it('reports families the library has no face for', async () => {
+    const library = path.join(dir, 'lib');
+    const fonts = await resolveFonts({
+      fonts: { heading: 'Missing Font, serif', body: 'serif', library },
+    });
+    expect(fonts.faces).toEqual([]);
+    expect(fonts.issues.map((i) => [i.severity, i.message, i.fix])).toEqual([[
+      'warning',
+      `No face of font "Missing Font" in the font library ${library}`,
+      'Add WOFF2 files of "Missing Font" to the library or list them in fonts.files',
+    ]]);
+  });
+
+  it('fails on broken listed files', async () => {
+    const broken = await font('listed/broken.woff2', null);
+    await expect(resolveFonts({ fonts: { files: [broken] } }))
+      .rejects.toThrow(`${broken}: not a WOFF2 file`);
+    await expect(resolveFonts({ fonts: { files: [path.join(dir, 'nope.woff2')] } }))
+      .rejects.toThrow('cannot be read');
+    await expect(resolveFonts({ fonts: { files: ['font.ttf'] } }))
+      .rejects.toThrow('font.ttf: only WOFF2 files are supported');
+  });
+
+  it('confines font paths to root', async () => {
+    await expect(resolveFonts({ fonts: { library: path.join(dir, 'lib') } }, { root: null }))
+      .rejects.toThrow('is not allowed here');
+    const fonts = await resolveFonts({
+      fonts: { heading: 'Test Serif', library: path.join(dir, 'lib') },
+    }, { root: dir });
+    expect(fonts.faces.map((face) => face.family)).toEqual(['Test Serif']);
+  });
+});
+
+describe('checkFonts', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-check-fonts-'));
+    await fs.mkdir(path.join(dir, 'lib'));
+    await fs.writeFile(path.join(dir, 'lib', 'broken.woff2'), 'broken');
+  });
+
+  afterAll(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const spec = () => ({
+    specVersion: 2,
+    platform: 'wordpress',
+    projectName: 'Font Check',
+    layout: { homepage: 'list', postPage: 'single-column', archivePage: 'list' },
+    colors: {
+      primary: '#1e3a8a', accent: '#b91c1c', background: '#ffffff', text: '#111827',
+    },
+    fonts: { heading: 'Lora, serif', body: 'system-ui', library: path.join(dir, 'lib') },
+  });
+
+  it('returns the library issues of the spec', async () => {
+    expect((await checkFonts(spec())).map((i) => i.message)).toEqual([
+      `Skipped a library font: ${path.join(dir, 'lib', 'broken.woff2')}: not a WOFF2 file`,
+      `No face of font "Lora" in the font library ${path.join(dir, 'lib')}`,
+    ]);
+    await expect(checkFonts(spec(), { root: null })).rejects.toThrow(FontError);
+  });
+
+  it('adds them to the validation report, which validation.rules can change', async () => {
+    const themePath = await buildThemeFromSpec(spec(), { outDir: path.join(dir, 'out') });
+    const fontIssues = async (rules) => (await validateTheme({
+      ...spec(), validation: { rules },
+    }, themePath, { fontsRoot: dir })).issues.filter((i) => i.ruleId === RULE_ID);
+
+    expect((await fontIssues({})).map((i) => i.severity)).toEqual(['warning', 'warning']);
+    expect((await fontIssues({ [RULE_ID]: 'error' }))[0].severity).toBe('error');
+    expect(await fontIssues({ [RULE_ID]: 'off' })).toEqual([]);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+});
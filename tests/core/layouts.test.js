@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import { HOMEPAGE_LAYOUTS, POST_LAYOUTS } from '../../core/layouts.js';
+import { describePlatform, getPlatform } from '../../core/registry.js';
+import { getSpecSchema, validateSpec } from '../../core/spec/schema.js';
+import { resolveTokens } from '../../core/tokens.js';
+import { buildThemeFromSpec, loadPlatforms } from '../../core/theme-builder.js';
+import { homeLayoutCSS, homeLayoutFiles } from '../../platforms/wordpress/builders/home-layouts.js';
+
+const themeSpec = JSON.parse(await fs.readFile(path.resolve('themeSpec.json'), 'utf8'));
+
+const wordpressSpec = {
+  ...themeSpec,
+  platform: 'wordpress',
+  layout: { homepage: 'grid', postPage: 'single-column', archivePage: 'grid' },
+  features: [],
+};
+
+// Registered up front: it.each reads the schema enums while collecting tests
+await loadPlatforms();
+
+const enumOf = (platform, key) => getSpecSchema(platform).properties.layout.properties[key].enum;
+
+let outDir;
+
+beforeAll(async () => {
+  outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-layouts-'));
+});
+
+afterAll(() => fs.rm(outDir, { recursive: true, force: true }));
+
+const build = async (spec, homepage) => buildThemeFromSpec(
+  { ...spec, layout: { ...spec.layout, homepage } },
+  { outDir: path.join(outDir, `${spec.platform}-${homepage}`) },
+);
+
+describe('layout catalogues', () => {
+  it('describe every layout a platform schema lists', () => {
+    ['ghost', 'wordpress'].forEach((platform) => {
+      enumOf(platform, 'homepage').forEach((l) => expect(HOMEPAGE_LAYOUTS).toHaveProperty([l]));
+      enumOf(platform, 'postPage').forEach((l) => expect(POST_LAYOUTS).toHaveProperty([l]));
+    });
+  });
+
+  it('are what describePlatform reports for each option', () => {
+    const { homepage } = describePlatform(getPlatform('wordpress')).layout;
+    expect(homepage.options).toEqual(enumOf('wordpress', 'homepage'));
+    expect(homepage.descriptions.sidebar).toBe(HOMEPAGE_LAYOUTS.sidebar);
+    expect(homepage.descriptions).not.toHaveProperty('newsletter');
+  });
+
+  it('reject layouts the platform does not build', () => {
+    const errors = (spec) => validateSpec(spec).errors.map((e) => [e.pointer, e.keyword]);
+    const homepage = (spec, layout) => ({ ...spec, layout: { ...spec.layout, homepage: layout } });
+    expect(errors(homepage(wordpressSpec, 'newsletter'))).toEqual([['/layout/homepage', 'enum']]);
+    expect(errors(homepage(themeSpec, 'sidebar'))).toEqual([['/layout/homepage', 'enum']]);
+  });
+});
+
+describe('Ghost homepage layouts', () => {
+  // The element each fragment opens with
+  const MARKERS = {
+    'hero-list': '<section class="home-hero"',
+    newsletter: '<section class="home-signup">',
+  };
+  // Denser layouts show more posts per page
+  const PER_PAGE = {
+    grid: 9,
+    list: 8,
+    minimal: 20,
+    magazine: 10,
+    masonry: 12,
+    'hero-list': 8,
+    portfolio: 12,
+    newsletter: 10,
+    timeline: 15,
+  };
+
+  it.each(enumOf('ghost', 'homepage'))('builds the %s layout', async (layout) => {
+    const themePath = await build(themeSpec, layout);
+    const read = (file) => fs.readFile(path.join(themePath, file), 'utf8');
+    const marker = MARKERS[layout] || `<section class="home home-${layout}">`;
+
+    expect(await read('index.hbs')).toContain(marker);
+    expect(await read('home.hbs')).toContain(marker);
+    expect(await read('assets/css/screen.css')).toContain(`/* Homepage (${layout}) */`);
+    const { config } = JSON.parse(await read('package.json'));
+    expect(config.posts_per_page).toBe(PER_PAGE[layout]);
+  });
+});
+
+describe('WordPress homepage layouts', () => {
+  it('have a template part and CSS for every layout in the schema', () => {
+    const tokens = resolveTokens({});
+    enumOf('wordpress', 'homepage').forEach((layout) => {
+      const files = homeLayoutFiles(layout, 'demo');
+      expect(Object.keys(files)).toEqual([
+        'template-parts/content-card.php', `template-parts/home-${layout}.php`,
+      ]);
+      expect(files[`template-parts/home-${layout}.php`])
+        .toContain(` * Homepage posts, ${layout} layout`);
+      const [heading, ...rules] = homeLayoutCSS(layout, tokens).split('\n');
+      expect(heading).toBe(`/* Homepage (${layout}) */`);
+      expect(rules.join('\n')).toMatch(/\{[^}]+\}/);
+    });
+  });
+
+  it.each([
+    ['sidebar', '<div class="widget-area">'],
+    ['magazine', '<div class="posts-container posts-magazine">'],
+    ['timeline', '<ol class="posts-container timeline">'],
+  ])('loads the %s part from index.php', async (layout, markup) => {
+    const themePath = await build(wordpressSpec, layout);
+    const read = (file) => fs.readFile(path.join(themePath, file), 'utf8');
+
+    expect(await read('index.php'))
+      .toContain(`get_template_part('template-parts/home', '${layout}')`);
+    expect(await read(`template-parts/home-${layout}.php`)).toContain(markup);
+    expect(await read('style.css')).toContain(`/* Homepage (${layout}) */`);
+    const parts = await fs.readdir(path.join(themePath, 'template-parts'));
+    expect(parts.filter((f) => f.startsWith('home-'))).toEqual([`home-${layout}.php`]);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  CURRENT_SPEC_VERSION, SpecMigrationError, getSpecVersion, migrateSpec,
+} from '../../core/spec/migrate.js';
+
+const v1Ghost = {
+  platform: 'ghost',
+  projectName: 'Legacy',
+  layout: { homepage: 'grid', postPage: 'single-column', archivePage: 'list' },
+  colors: { primary: '#111111' },
+};
+
+describe('migrateSpec', () => {
+  it('treats a spec without specVersion as version 1', () => {
+    expect(getSpecVersion(v1Ghost)).toBe(1);
+  });
+
+  it('renames archivePage to tagPage for Ghost', () => {
+    const { spec, changes, fromVersion } = migrateSpec(v1Ghost);
+    expect(fromVersion).toBe(1);
+    expect(spec.specVersion).toBe(CURRENT_SPEC_VERSION);
+    expect(Object.keys(spec)[0]).toBe('specVersion');
+    expect(spec.layout).toEqual({ homepage: 'grid', postPage: 'single-column', tagPage: 'list' });
+    expect(changes).toEqual([
+      {
+        version: 2,
+        pointer: '/layout/tagPage',
+        message: 'Renamed layout.archivePage to layout.tagPage',
+      },
+      { version: 2, pointer: '/specVersion', message: 'Set specVersion to 2' },
+    ]);
+  });
+
+  it('renames tagPage to archivePage for WordPress', () => {
+    const { spec } = migrateSpec({
+      ...v1Ghost,
+      platform: 'wordpress',
+      layout: { homepage: 'grid', postPage: 'sidebar', tagPage: 'minimal' },
+    });
+    expect(spec.layout).toEqual({ homepage: 'grid', postPage: 'sidebar', archivePage: 'minimal' });
+  });
+
+  it('drops the other key when both are present', () => {
+    const { spec, changes } = migrateSpec({
+      ...v1Ghost,
+      layout: { ...v1Ghost.layout, tagPage: 'grid' },
+    });
+    expect(spec.layout.tagPage).toBe('grid');
+    expect(spec.layout.archivePage).toBeUndefined();
+    expect(changes[0].message).toBe('Removed layout.archivePage (ghost uses layout.tagPage)');
+  });
+
+  it('does not modify its input', () => {
+    const input = structuredClone(v1Ghost);
+    migrateSpec(input);
+    expect(input).toEqual(v1Ghost);
+  });
+
+  it('leaves a current spec unchanged', () => {
+    const current = {
+      specVersion: CURRENT_SPEC_VERSION,
+      ...v1Ghost,
+      layout: { homepage: 'grid', postPage: 'single-column', tagPage: 'list' },
+    };
+    const { spec, changes, fromVersion } = migrateSpec(current);
+    expect(fromVersion).toBe(CURRENT_SPEC_VERSION);
+    expect(changes).toEqual([]);
+    expect(spec).toEqual(current);
+  });
+
+  it('rejects a specVersion newer than the current one', () => {
+    expect(() => migrateSpec({ ...v1Ghost, specVersion: CURRENT_SPEC_VERSION + 1 }))
+      .toThrow(new SpecMigrationError(
+        `specVersion ${CURRENT_SPEC_VERSION + 1} is newer than this ThemeSmith supports `
+          + `(${CURRENT_SPEC_VERSION})`,
+      ));
+  });
+
+  it.each([0, -1, 1.5, '2'])('rejects specVersion %p', (specVersion) => {
+    expect(() => migrateSpec({ ...v1Ghost, specVersion })).toThrow(/positive integer/);
+  });
+
+  it('rejects values that are not objects', () => {
+    expect(() => migrateSpec([])).toThrow(SpecMigrationError);
+    expect(() => migrateSpec(null)).toThrow('Spec must be a JSON object');
+  });
+});
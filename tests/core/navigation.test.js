@@ -0,0 +1,122 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import { isSiteRelative, resolveNavigation } from '../../core/navigation.js';
+import { buildThemeFromSpec } from '../../core/theme-builder.js';
+
+const ghostSpec = JSON.parse(await fs.readFile(path.resolve('themeSpec.json'), 'utf8'));
+
+const LINKS = [
+  { label: 'Home', url: '/' },
+  {
+    label: 'Topics',
+    url: '/topics',
+    children: [
+      { label: 'Design', url: '/tag/design' },
+      { label: 'Docs', url: 'https://docs.example.com' },
+    ],
+  },
+];
+
+let outDir;
+
+// Builds `spec` with the navigation and returns a reader for its files
+const buildWith = async (spec, navigation) => {
+  const themePath = await buildThemeFromSpec({ ...spec, navigation }, {
+    outDir: path.join(outDir, `${spec.platform}-${navigation.style}`),
+  });
+  return (file) => fs.readFile(path.join(themePath, file), 'utf8');
+};
+
+beforeAll(async () => {
+  outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-navigation-'));
+});
+
+afterAll(() => fs.rm(outDir, { recursive: true, force: true }));
+
+describe('resolveNavigation', () => {
+  it('defaults to a top bar without links', () => {
+    expect(resolveNavigation({})).toEqual({ style: 'top-bar', links: [], toggled: false });
+  });
+
+  it('gives every link a children list and marks toggled styles', () => {
+    const nav = resolveNavigation({ navigation: { style: 'hamburger', links: LINKS } });
+    expect(nav.toggled).toBe(true);
+    expect(nav.links[0]).toEqual({ label: 'Home', url: '/', children: [] });
+    expect(nav.links[1].children[1]).toEqual({
+      label: 'Docs', url: 'https://docs.example.com', children: [],
+    });
+    expect(resolveNavigation({ navigation: { style: 'centered' } }).toggled).toBe(false);
+  });
+
+  it('treats only single-slash paths as site relative', () => {
+    expect(isSiteRelative('/about')).toBe(true);
+    expect(isSiteRelative('//cdn.example.com')).toBe(false);
+    expect(isSiteRelative('https://example.com/about')).toBe(false);
+  });
+});
+
+describe('Ghost header', () => {
+  it('renders a top bar with spec links as the navigation fallback', async () => {
+    const read = await buildWith(ghostSpec, { style: 'top-bar', links: LINKS });
+    const header = await read('partials/header.hbs');
+    expect(header).toContain('class="site-header nav-style-top-bar"');
+    expect(header).toContain('{{#if @site.navigation}}');
+    expect(header).toContain('<a href="{{@site.url}}/topics">{{t "Topics"}}</a>');
+    expect(header).not.toContain('nav-toggle');
+    expect(await read('assets/js/main.js')).not.toContain('.nav-toggle');
+  });
+
+  it('puts the menu in a drawer behind a toggle', async () => {
+    const read = await buildWith(ghostSpec, { style: 'sidebar-drawer', links: LINKS });
+    const header = await read('partials/header.hbs');
+    expect(header).toContain('aria-controls="site-drawer"');
+    expect(header).toMatch(/<div class="nav-drawer" id="site-drawer">[\s\S]*class="site-nav"/);
+    expect(header).toContain('<div class="nav-backdrop" data-nav-close></div>');
+    expect(await read('assets/js/main.js')).toContain("document.querySelector('.nav-toggle')");
+  });
+
+  it('lists child links in the mega menu panel', async () => {
+    const read = await buildWith(ghostSpec, { style: 'mega-menu', links: LINKS });
+    const header = await read('partials/header.hbs');
+    expect(header).toContain('<div class="mega-panel" id="site-mega">');
+    expect(header).toContain('{{navigation type="secondary"}}');
+    expect(header).toContain('<li><a href="https://docs.example.com">{{t "Docs"}}</a></li>');
+  });
+});
+
+describe('WordPress header', () => {
+  const wordpressSpec = {
+    ...ghostSpec,
+    platform: 'wordpress',
+    layout: { homepage: 'grid', postPage: 'single-column', archivePage: 'grid' },
+    features: [],
+  };
+
+  it('renders the classic menu in an overlay and falls back to the spec links', async () => {
+    const read = await buildWith(wordpressSpec, { style: 'hamburger', links: LINKS });
+    const header = await read('header.php');
+    expect(header).toContain('class="site-header nav-style-hamburger"');
+    expect(header).toContain('class="main-navigation nav-overlay"');
+    expect(header).toContain("'fallback_cb' => 'clean_grid_blog_primary_menu_fallback'");
+
+    const navigation = await read('inc/navigation.php');
+    expect(navigation).toContain("'label' => 'Design',");
+    expect(navigation).toContain("'url' => 'https://docs.example.com',");
+    expect(navigation)
+      .toContain("add_action('after_switch_theme', 'clean_grid_blog_create_default_menu');");
+  });
+
+  it('configures core/navigation per style in block themes', async () => {
+    const read = await buildWith({ ...wordpressSpec, wordpress: { mode: 'block' } }, {
+      style: 'mega-menu', links: LINKS,
+    });
+    const header = await read('patterns/header.php');
+    expect(header).toMatch(/<!-- wp:navigation \{[^}]*"openSubmenusOnClick":true/);
+    expect(header).toContain('"className":"mega-menu"');
+    expect(header).toContain("<?php echo esc_url( home_url( '/tag/design' ) ); ?>");
+  });
+});
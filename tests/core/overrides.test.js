@@ -0,0 +1,194 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, beforeEach, describe, expect, it, jest,
+} from '@jest/globals';
+import {
+  OverrideError, applyOverrides, defaultOverridesDir, resolveOverridesDir,
+} from '../../core/overrides.js';
+import { buildThemeFromSpec } from '../../core/theme-builder.js';
+
+const themeSpec = JSON.parse(
+  await fs.readFile(new URL('../../themeSpec.json', import.meta.url), 'utf8'),
+);
+
+let tmp;
+let count = 0;
+
+const writeFiles = async (dir, files) => {
+  await Promise.all(Object.entries(files).map(async ([file, content]) => {
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), content);
+  }));
+  return dir;
+};
+
+// A generated theme and an overrides directory side by side
+const setup = async (theme, overrides) => {
+  count += 1;
+  const dir = path.join(tmp, `case-${count}`);
+  return {
+    themePath: await writeFiles(path.join(dir, 'theme'), theme),
+    overridesDir: await writeFiles(path.join(dir, 'overrides'), overrides),
+  };
+};
+
+const read = (dir, file) => fs.readFile(path.join(dir, file), 'utf8');
+
+beforeAll(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-overrides-'));
+});
+
+afterAll(() => fs.rm(tmp, { recursive: true, force: true }));
+
+describe('resolveOverridesDir', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await writeFiles(path.join(tmp, 'root'), { 'brand/partials/footer.hbs': '' });
+    jest.spyOn(os, 'homedir').mockReturnValue(path.join(tmp, 'home'));
+  });
+
+  const spec = (overrides) => ({ platform: 'ghost', overrides });
+
+  it('accepts a directory inside the root', async () => {
+    const dir = path.join(root, 'brand');
+    expect(await resolveOverridesDir(spec(dir), { root })).toBe(dir);
+  });
+
+  it('rejects paths that leave the root', async () => {
+    const outside = [
+      path.join(root, '..', 'home'),
+      path.join(root, 'brand', '..', '..'),
+      os.tmpdir(),
+      '/etc',
+      '~',
+    ];
+    await Promise.all(outside.map(async (dir) => {
+      await expect(resolveOverridesDir(spec(dir), { root }))
+        .rejects.toThrow(new OverrideError(`overrides path "${dir}" is not allowed here`));
+    }));
+  });
+
+  it('does not take a sibling with the same prefix for the root', async () => {
+    await writeFiles(path.join(tmp, 'root-evil'), { 'x.css': '' });
+    await expect(resolveOverridesDir(spec(path.join(tmp, 'root-evil')), { root }))
+      .rejects.toThrow(OverrideError);
+  });
+
+  it('rejects spec.overrides entirely when the root is null', async () => {
+    await expect(resolveOverridesDir(spec(path.join(root, 'brand')), { root: null }))
+      .rejects.toThrow('is not allowed here');
+  });
+
+  it('accepts any directory without a root', async () => {
+    const dir = path.join(root, 'brand');
+    expect(await resolveOverridesDir(spec(dir))).toBe(dir);
+  });
+
+  it('rejects paths that are not directories', async () => {
+    await expect(resolveOverridesDir(spec(path.join(root, 'missing')), { root }))
+      .rejects.toThrow('is not a directory');
+    await expect(resolveOverridesDir(spec(path.join(root, 'brand/partials/footer.hbs')), { root }))
+      .rejects.toThrow('is not a directory');
+  });
+
+  it('falls back to ~/.themesmith/overrides/<platform> when it exists', async () => {
+    const fallback = defaultOverridesDir('ghost');
+    expect(fallback).toBe(path.join(tmp, 'home', '.themesmith', 'overrides', 'ghost'));
+    expect(await resolveOverridesDir(spec(undefined), { root: null })).toBeNull();
+
+    await fs.mkdir(fallback, { recursive: true });
+    expect(await resolveOverridesDir(spec(undefined), { root: null })).toBe(fallback);
+    expect(await resolveOverridesDir({ platform: 'wordpress' })).toBeNull();
+  });
+});
+
+describe('applyOverrides', () => {
+  it('replaces generated files and adds new ones', async () => {
+    const { themePath, overridesDir } = await setup(
+      { 'partials/footer.hbs': 'generated', 'index.hbs': 'index' },
+      { 'partials/footer.hbs': 'mine', 'partials/extra/cta.hbs': 'new' },
+    );
+    expect(await applyOverrides(themePath, overridesDir)).toEqual([
+      { file: 'partials/extra/cta.hbs', action: 'add' },
+      { file: 'partials/footer.hbs', action: 'replace' },
+    ]);
+    expect(await read(themePath, 'partials/footer.hbs')).toBe('mine');
+    expect(await read(themePath, 'partials/extra/cta.hbs')).toBe('new');
+    expect(await read(themePath, 'index.hbs')).toBe('index');
+  });
+
+  it('appends and prepends CSS and JS blocks', async () => {
+    const { themePath, overridesDir } = await setup(
+      { 'assets/css/screen.css': 'a {}', 'assets/js/main.js': 'run();\n' },
+      {
+        'assets/css/screen.append.css': 'b {}\n',
+        'assets/css/screen.prepend.css': '@import "x.css";',
+        'assets/js/main.append.js': 'more();\n',
+      },
+    );
+    const applied = await applyOverrides(themePath, overridesDir);
+    expect(applied).toEqual([
+      { file: 'assets/css/screen.css', action: 'append' },
+      { file: 'assets/css/screen.css', action: 'prepend' },
+      { file: 'assets/js/main.js', action: 'append' },
+    ]);
+    expect(await read(themePath, 'assets/css/screen.css')).toBe('@import "x.css";\na {}\nb {}\n');
+    expect(await read(themePath, 'assets/js/main.js')).toBe('run();\nmore();\n');
+  });
+
+  it('merges blocks into a replaced file', async () => {
+    const { themePath, overridesDir } = await setup(
+      { 'style.css': 'generated' },
+      { 'style.css': 'mine', 'style.append.css': 'extra' },
+    );
+    await applyOverrides(themePath, overridesDir);
+    expect(await read(themePath, 'style.css')).toBe('mine\nextra');
+  });
+
+  it('only merges CSS and JS files', async () => {
+    const { themePath, overridesDir } = await setup(
+      { 'partials/footer.hbs': 'generated' },
+      { 'partials/footer.append.hbs': 'more' },
+    );
+    await expect(applyOverrides(themePath, overridesDir)).rejects.toThrow(new OverrideError(
+      'partials/footer.append.hbs: append/prepend is only supported for .css and .js files',
+    ));
+    expect(await read(themePath, 'partials/footer.hbs')).toBe('generated');
+  });
+
+  it('needs the generated file to merge into', async () => {
+    const { themePath, overridesDir } = await setup({}, { 'assets/css/extra.append.css': 'x' });
+    await expect(applyOverrides(themePath, overridesDir))
+      .rejects.toThrow('the generated theme has no assets/css/extra.css to append to');
+  });
+
+  it('skips hidden files', async () => {
+    const { themePath, overridesDir } = await setup({}, { '.DS_Store': 'x', '.git/HEAD': 'y' });
+    expect(await applyOverrides(themePath, overridesDir)).toEqual([]);
+  });
+});
+
+describe('buildThemeFromSpec', () => {
+  it('applies spec.overrides from inside overridesRoot after the build', async () => {
+    const root = await writeFiles(path.join(tmp, 'build-root'), {
+      'brand/partials/footer.hbs': '<footer>mine</footer>',
+      'brand/assets/css/screen.append.css': '.brand {}\n',
+    });
+    const themePath = await buildThemeFromSpec(
+      { ...themeSpec, overrides: path.join(root, 'brand') },
+      { outDir: path.join(tmp, 'build-out'), overridesRoot: root },
+    );
+    expect(await read(themePath, 'partials/footer.hbs')).toBe('<footer>mine</footer>');
+    expect(await read(themePath, 'assets/css/screen.css')).toMatch(/\n\.brand \{\}\n$/);
+  });
+
+  it('refuses spec.overrides when overridesRoot is null, as the API does', async () => {
+    await expect(buildThemeFromSpec({ ...themeSpec, overrides: tmp }, {
+      outDir: path.join(tmp, 'build-out'),
+      overridesRoot: null,
+    })).rejects.toThrow(OverrideError);
+  });
+});
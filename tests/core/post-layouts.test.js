@@ -0,0 +1,186 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import { postLayoutScript } from '../../core/layouts.js';
+import { buildThemeFromSpec } from '../../core/theme-builder.js';
+
+const themeSpec = JSON.parse(await fs.readFile(path.resolve('themeSpec.json'), 'utf8'));
+
+const SPECS = {
+  ghost: themeSpec,
+  wordpress: {
+    ...themeSpec,
+    platform: 'wordpress',
+    layout: { homepage: 'grid', postPage: 'single-column', archivePage: 'grid' },
+    features: [],
+  },
+};
+
+let outDir;
+const themes = new Map();
+
+// Files of the theme built with `postPage`, one build per platform, layout
+// and spec change
+const theme = async (platform, postPage, changes = {}) => {
+  const name = [platform, postPage, ...Object.keys(changes)].join('-');
+  if (!themes.has(name)) {
+    const spec = { ...SPECS[platform], ...changes };
+    themes.set(name, buildThemeFromSpec({ ...spec, layout: { ...spec.layout, postPage } }, {
+      outDir: path.join(outDir, name),
+    }));
+  }
+  const themePath = await themes.get(name);
+  return (file) => fs.readFile(path.join(themePath, file), 'utf8');
+};
+
+const count = (text, search) => text.split(search).length - 1;
+
+beforeAll(async () => {
+  outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-post-layouts-'));
+});
+
+afterAll(() => fs.rm(outDir, { recursive: true, force: true }));
+
+describe('postLayoutScript', () => {
+  const selectors = { content: '.entry-content', article: '.post-full' };
+
+  it('is empty for layouts without a script', () => {
+    ['single-column', 'sidebar', 'minimal', 'wide-feature-image', undefined].forEach((layout) => {
+      expect(postLayoutScript(layout, selectors)).toBe('');
+    });
+  });
+
+  it('builds the table of contents from the headings of the content', () => {
+    const script = postLayoutScript('toc-sidebar', selectors);
+    expect(script).toContain("document.querySelector('[data-toc]')");
+    expect(script).toContain("document.querySelector('.entry-content')");
+    expect(script).toContain("content.querySelectorAll('h2, h3')");
+  });
+
+  it('fills the progress bar while the article is read', () => {
+    const script = postLayoutScript('reading-progress', selectors);
+    expect(script).toContain("document.querySelector('.reading-progress')");
+    expect(script).toContain("document.querySelector('.post-full')");
+  });
+
+  it('is plain ES5 that parses on its own', () => {
+    ['toc-sidebar', 'reading-progress'].forEach((layout) => {
+      const script = postLayoutScript(layout, selectors);
+      expect(script).not.toMatch(/`|=>|\b(const|let)\b/);
+      // eslint-disable-next-line no-new-func -- only parsed, never called
+      expect(() => new Function(script)).not.toThrow();
+    });
+  });
+});
+
+describe('Ghost post layouts', () => {
+  it('puts the author box and related posts below a single column', async () => {
+    const read = await theme('ghost', 'single-column');
+    const post = await read('post.hbs');
+    expect(post).toContain('{{> "author-box"}}');
+    expect(post).toMatch(/<\/article>\n\{\{\/post\}\}\n\{\{> "related-posts"\}\}/);
+    expect(await read('assets/js/main.js')).not.toContain('[data-toc]');
+  });
+
+  it('leaves related posts out without the related_posts feature', async () => {
+    const read = await theme('ghost', 'single-column', {
+      features: themeSpec.features.filter((f) => f !== 'related_posts'),
+    });
+    expect(await read('post.hbs')).not.toContain('related-posts');
+  });
+
+  it('moves the author box and related posts into the sidebar', async () => {
+    const post = await (await theme('ghost', 'sidebar'))('post.hbs');
+    expect(count(post, '{{> "author-box"}}')).toBe(1);
+    expect(post).toMatch(/<aside class="post-sidebar">[\s\S]*author-box[\s\S]*related-posts/);
+  });
+
+  it('keeps only the title, date and text in the minimal layout', async () => {
+    const post = await (await theme('ghost', 'minimal'))('post.hbs');
+    expect(post).not.toMatch(/author-box|related-posts|feature_image/);
+    expect(post).toContain('<time datetime="{{date format="YYYY-MM-DD"}}">');
+  });
+
+  it('spans the viewport with the feature image above the title', async () => {
+    const read = await theme('ghost', 'wide-feature-image');
+    const post = await read('post.hbs');
+    expect(post).toContain('<figure class="post-image post-image-wide kg-width-full">');
+    expect(post).toContain('{{img_url feature_image size="xl"}} 2000w');
+    expect(post).toContain('sizes="100vw"');
+    expect(post.indexOf('post-image-wide')).toBeLessThan(post.indexOf('class="post-header'));
+    expect(await read('assets/css/screen.css')).toContain('/* Post (wide-feature-image) */');
+  });
+
+  it('runs the table of contents script next to the content', async () => {
+    const read = await theme('ghost', 'toc-sidebar');
+    expect(await read('post.hbs'))
+      .toMatch(/<aside class="post-toc">\s*<nav class="toc"[^>]*data-toc>/);
+    const main = await read('assets/js/main.js');
+    expect(main).toContain("document.querySelector('[data-toc]')");
+    expect(main).toContain("document.querySelector('.post-content')");
+  });
+
+  it('adds the progress bar above a single column post', async () => {
+    const read = await theme('ghost', 'reading-progress');
+    const post = await read('post.hbs');
+    expect(post).toMatch(/^\{\{!< default\}\}\n<progress class="reading-progress"/);
+    expect(post).toContain('{{> "author-box"}}');
+    expect(await read('assets/js/main.js'))
+      .toContain("document.querySelector('.reading-progress')");
+  });
+});
+
+describe('WordPress post layouts', () => {
+  it('load the author box and related posts parts from single.php', async () => {
+    const read = await theme('wordpress', 'single-column');
+    const single = await read('single.php');
+    expect(single).toContain('<main id="primary" class="site-main post-layout-single-column">');
+    expect(single).toContain("get_template_part('template-parts/author-box');");
+    expect(single).toContain("get_template_part('template-parts/related-posts');");
+    expect(await read('template-parts/author-box.php')).toContain('<section class="author-box">');
+    expect(await read('template-parts/related-posts.php')).toContain("'posts_per_page' => 3,");
+  });
+
+  it('leave the author box and related posts out of the minimal layout', async () => {
+    const single = await (await theme('wordpress', 'minimal'))('single.php');
+    expect(single).not.toMatch(/author-box|related-posts|has_post_thumbnail/);
+    expect(single).toContain('comments_template();');
+  });
+
+  it('put the widget sidebar beside the sidebar layout', async () => {
+    const single = await (await theme('wordpress', 'sidebar'))('single.php');
+    expect(single).toMatch(/<div class="post-with-sidebar">[\s\S]*<\?php get_sidebar\(\); \?>/);
+  });
+
+  it('bundle the table of contents script in main.js', async () => {
+    const read = await theme('wordpress', 'toc-sidebar');
+    expect(await read('single.php')).toContain('<aside class="post-toc">');
+    const main = await read('assets/js/main.js');
+    expect(main).toContain("document.querySelector('.entry-content')");
+    expect(await read('style.css')).toContain('/* Post (toc-sidebar) */');
+  });
+
+  it('add the progress bar before the post', async () => {
+    const read = await theme('wordpress', 'reading-progress');
+    expect(await read('single.php')).toMatch(
+      /get_header\(\); \?>\n\n<progress class="reading-progress"[^>]*><\/progress>\n\n<main/,
+    );
+    expect(await read('assets/js/main.js')).toContain("document.querySelector('.post-full')");
+  });
+
+  it('enqueue the script as its own file in block themes', async () => {
+    const block = { wordpress: { mode: 'block' } };
+    const read = await theme('wordpress', 'toc-sidebar', block);
+    expect(await read('assets/js/post-layout.js'))
+      .toContain("document.querySelector('.wp-block-post-content')");
+    expect(await read('functions.php'))
+      .toContain("get_theme_file_uri( 'assets/js/post-layout.js' )");
+
+    const plain = await theme('wordpress', 'single-column', block);
+    await expect(plain('assets/js/post-layout.js')).rejects.toThrow('ENOENT');
+    expect(await plain('functions.php')).not.toContain('post-layout');
+  });
+});
@@ -0,0 +1,166 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import {
+  describePlatform, getPlatform, listPlatforms, loadPlatforms, registerPlatform,
+} from '../../core/registry.js';
+import { getSpecSchema } from '../../core/spec/schema.js';
+
+const nodeModules = new URL('../../node_modules/', import.meta.url).pathname;
+// Unique per run, so a parallel run never loads another run's fixtures
+const id = `fixture${process.pid}`;
+
+const definition = (overrides = {}) => ({
+  name: 'static',
+  schema: { $id: `https://themesmith.test/${Math.random()}/static.schema.json` },
+  build: async () => '/tmp/static',
+  ...overrides,
+});
+
+// Installed plugin packages: a valid one, a scoped one, one that throws on
+// import, one with the wrong shape and one that takes a built-in name
+const PACKAGES = {
+  [`themesmith-platform-${id}`]: `export default {
+    name: '${id}', label: 'Fixture', schema: { $id: 'https://themesmith.test/${id}.json' },
+    layout: { homepage: 'list' }, build: async () => '/tmp/${id}',
+  };`,
+  [`@${id}/themesmith-platform-scoped`]: `export default {
+    name: '${id}-scoped', schema: { $id: 'https://themesmith.test/${id}-scoped.json' },
+    build: async () => '/tmp/${id}-scoped',
+  };`,
+  [`themesmith-platform-${id}-throws`]: "throw new Error('plugin exploded');",
+  [`themesmith-platform-${id}-shape`]: "export default { name: 'Bad Name' };",
+  [`themesmith-platform-${id}-ghost`]: `export default {
+    name: 'ghost', schema: { $id: 'https://themesmith.test/${id}-ghost.json' },
+    build: async () => '/tmp/ghost',
+  };`,
+};
+
+beforeAll(async () => {
+  await Promise.all(Object.entries(PACKAGES).map(async ([name, source]) => {
+    const dir = path.join(nodeModules, name);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({
+      name, type: 'module', main: 'index.js',
+    }));
+    await fs.writeFile(path.join(dir, 'index.js'), source);
+  }));
+});
+
+afterAll(async () => {
+  await Promise.all(Object.keys(PACKAGES).map((name) => fs.rm(path.join(nodeModules, name), {
+    recursive: true, force: true,
+  })));
+  await fs.rm(path.join(nodeModules, `@${id}`), { recursive: true, force: true });
+});
+
+describe('loadPlatforms', () => {
+  let loaded;
+  let warnings;
+
+  beforeAll(async () => {
+    loaded = await loadPlatforms();
+    // console.warn is a mock (tests/setup.js), reset before each test
+    warnings = console.warn.mock.calls.map(([message]) => message);
+  });
+
+  it('registers the built-in platforms and valid plugin packages', () => {
+    expect(loaded.map((p) => p.name)).toEqual(expect.arrayContaining([
+      'ghost', 'wordpress', id, `${id}-scoped`,
+    ]));
+    expect(getPlatform('ghost').source).toBe(path.join('platforms', 'ghost', 'index.js'));
+    expect(getPlatform(id)).toMatchObject({
+      label: 'Fixture', features: [], source: `themesmith-platform-${id}`,
+    });
+    expect(getSpecSchema(id).$id).toBe(`https://themesmith.test/${id}.json`);
+  });
+
+  it('skips broken packages and keeps the built-in platform on a name clash', () => {
+    expect(listPlatforms().map((p) => p.source)).not.toEqual(expect.arrayContaining([
+      expect.stringMatching(/-(throws|shape|ghost)$/),
+    ]));
+    expect(getPlatform('ghost').label).toBe('Ghost');
+  });
+
+  it('names each skipped package and the reason', () => {
+    expect(warnings).toEqual(expect.arrayContaining([
+      `Skipping platform themesmith-platform-${id}-throws: plugin exploded`,
+      expect.stringMatching(new RegExp(`^Skipping platform themesmith-platform-${id}-shape: `
+        + 'Invalid platform definition .*name must match')),
+      `Skipping platform themesmith-platform-${id}-ghost: Platform "ghost" is already `
+        + `registered (themesmith-platform-${id}-ghost)`,
+    ]));
+  });
+
+  it('returns the same registry on later calls', async () => {
+    expect(await loadPlatforms()).toBe(loaded);
+  });
+});
+
+describe('registerPlatform', () => {
+  it('rejects definitions that do not match the contract', () => {
+    expect(() => registerPlatform(null, 'test')).toThrow(
+      'Invalid platform definition (test): default export must be a platform object',
+    );
+    expect(() => registerPlatform({ name: 'Hugo' }, 'test')).toThrow(
+      'Invalid platform definition (test): name must match /^[a-z][a-z0-9-]*$/; '
+        + 'build() is required; schema with an $id is required',
+    );
+    expect(() => registerPlatform(definition({ colorPairs: 'text/background' })))
+      .toThrow('colorPairs must be an array or a function');
+    expect(() => registerPlatform(definition({ validate: true, package: 'zip' })))
+      .toThrow('validate must be a function; package must be a function');
+    expect(getPlatform('static')).toBeUndefined();
+  });
+
+  it('fills in defaults and refuses a second platform with the same name', () => {
+    const platform = registerPlatform(definition(), 'test');
+    expect(platform).toMatchObject({
+      name: 'static', label: 'static', layout: {}, features: [], source: 'test',
+    });
+    expect(getPlatform('static')).toBe(platform);
+    expect(() => registerPlatform(definition(), 'other'))
+      .toThrow('Platform "static" is already registered (other)');
+  });
+});
+
+describe('describePlatform', () => {
+  it('lists layout options from the schema with defaults and settings', () => {
+    const platform = registerPlatform(definition({
+      name: 'described',
+      label: 'Described',
+      layout: { homepage: 'list' },
+      features: ['search'],
+      schema: {
+        $id: 'https://themesmith.test/described.json',
+        properties: {
+          layout: {
+            properties: {
+              homepage: { enum: ['grid', 'list'] },
+              tagPage: { enum: ['minimal', 'cards'] },
+            },
+          },
+          described: {
+            properties: {
+              mode: { enum: ['a', 'b'], default: 'b', description: 'Output mode' },
+              title: { type: 'string' },
+            },
+          },
+        },
+      },
+    }));
+    const described = describePlatform(platform);
+    expect(described).toMatchObject({
+      name: 'described',
+      label: 'Described',
+      schema: 'https://themesmith.test/described.json',
+      features: ['search'],
+      settings: { mode: { default: 'b', options: ['a', 'b'], description: 'Output mode' } },
+    });
+    expect(described.layout.homepage).toMatchObject({ default: 'list', options: ['grid', 'list'] });
+    expect(described.layout.homepage.descriptions.grid).toEqual(expect.any(String));
+    expect(described.layout.tagPage).toEqual({ default: 'minimal', options: ['minimal', 'cards'] });
+  });
+});
@@ -0,0 +1,241 @@
+import { readFileSync } from 'fs';
+import {
+  beforeAll, describe, expect, it,
+} from '@jest/globals';
+import { loadPlatforms } from '../../core/registry.js';
+import {
+  SpecValidationError, assertValidSpec, validateAgainstSchema, validateSpec,
+} from '../../core/spec/schema.js';
+
+const readJson = (relative) => JSON.parse(readFileSync(new URL(relative, import.meta.url), 'utf8'));
+
+const themeSpec = readJson('../../themeSpec.json');
+
+const schema = (body) => ({ $id: `https://themesmith.test/${Math.random()}.json`, ...body });
+
+const errorAt = (result, pointer) => result.errors.find((e) => e.pointer === pointer);
+
+describe('validateAgainstSchema', () => {
+  it('reports type errors with pointer, path, expected and received', () => {
+    const result = validateAgainstSchema(schema({
+      type: 'object',
+      properties: { layout: { type: 'object', properties: { count: { type: 'integer' } } } },
+    }), { layout: { count: 'three' } });
+    expect(result.valid).toBe(false);
+    expect(errorAt(result, '/layout/count')).toEqual({
+      pointer: '/layout/count',
+      path: 'layout.count',
+      keyword: 'type',
+      expected: 'integer',
+      received: 'string',
+      message: 'layout.count must be an integer, got string',
+    });
+  });
+
+  it('reports enum errors with the allowed values', () => {
+    const result = validateAgainstSchema(schema({
+      properties: { homepage: { type: 'string', enum: ['grid', 'list'] } },
+    }), { homepage: 'gird' });
+    const e = errorAt(result, '/homepage');
+    expect(e.keyword).toBe('enum');
+    expect(e.expected).toEqual(['grid', 'list']);
+    expect(e.received).toBe('gird');
+    expect(e.message).toContain('grid, list');
+    expect(e.message).toContain('"gird"');
+  });
+
+  it('reports missing required properties at the property pointer', () => {
+    const result = validateAgainstSchema(schema({
+      properties: { layout: { type: 'object', required: ['homepage', 'postPage'] } },
+    }), { layout: { postPage: 'sidebar' } });
+    expect(result.errors).toEqual([expect.objectContaining({
+      pointer: '/layout/homepage',
+      keyword: 'required',
+      message: 'layout.homepage is required',
+    })]);
+  });
+
+  it('reports unknown properties when additionalProperties is false', () => {
+    const result = validateAgainstSchema(schema({
+      type: 'object',
+      additionalProperties: false,
+      properties: { base: { type: 'string' } },
+    }), { base: '1rem', ratoi: 1.2 });
+    expect(result.errors).toEqual([expect.objectContaining({
+      pointer: '/ratoi',
+      keyword: 'additionalProperties',
+      message: 'ratoi is not a known property',
+    })]);
+  });
+
+  it('reports unknown properties past allOf when unevaluatedProperties is false', () => {
+    const result = validateAgainstSchema(schema({
+      type: 'object',
+      allOf: [{ properties: { base: { type: 'string' } } }],
+      unevaluatedProperties: false,
+      properties: { ratio: { type: 'number' } },
+    }), { base: '1rem', ratio: 1.2, ratoi: 1.2 });
+    expect(result.errors).toEqual([expect.objectContaining({
+      pointer: '/ratoi',
+      keyword: 'unevaluatedProperties',
+      message: 'ratoi is not a known property',
+    })]);
+  });
+
+  it('escapes pointer tokens that contain a slash', () => {
+    const result = validateAgainstSchema(schema({
+      additionalProperties: { type: 'string' },
+    }), { '/blog/': 1 });
+    expect(result.errors[0].pointer).toBe('/~1blog~1');
+    expect(result.errors[0].path).toBe('/blog/');
+  });
+
+  describe('anyOf', () => {
+    const cardAssets = schema({
+      properties: {
+        cardAssets: {
+          anyOf: [
+            { type: 'boolean' },
+            {
+              type: 'object',
+              required: ['include'],
+              properties: { include: { type: 'array', items: { enum: ['gallery', 'toggle'] } } },
+            },
+          ],
+        },
+      },
+    });
+
+    it('passes when one branch matches', () => {
+      expect(validateAgainstSchema(cardAssets, { cardAssets: false }).valid).toBe(true);
+      expect(validateAgainstSchema(cardAssets, { cardAssets: { include: ['toggle'] } }).valid)
+        .toBe(true);
+    });
+
+    it('lists the allowed types when no branch takes the value type', () => {
+      const result = validateAgainstSchema(cardAssets, { cardAssets: 'yes' });
+      expect(result.errors).toEqual([{
+        pointer: '/cardAssets',
+        path: 'cardAssets',
+        keyword: 'anyOf',
+        expected: ['boolean', 'object'],
+        received: 'string',
+        message: 'cardAssets must be a boolean or object, got string',
+      }]);
+    });
+
+    it('reports the errors of the branch that takes the value type', () => {
+      const result = validateAgainstSchema(cardAssets, { cardAssets: { include: ['slider'] } });
+      expect(result.errors).toEqual([expect.objectContaining({
+        pointer: '/cardAssets/include/0',
+        keyword: 'enum',
+        expected: ['gallery', 'toggle'],
+        received: 'slider',
+      })]);
+    });
+
+    it('keeps the enum of a string branch', () => {
+      const result = validateAgainstSchema(schema({
+        properties: {
+          mode: { anyOf: [{ type: 'string', enum: ['classic', 'block'] }, { type: 'object' }] },
+        },
+      }), { mode: 'hybrid' });
+      expect(result.errors).toEqual([expect.objectContaining({
+        keyword: 'enum',
+        expected: ['classic', 'block'],
+        received: 'hybrid',
+      })]);
+    });
+  });
+});
+
+describe('validateSpec', () => {
+  beforeAll(() => loadPlatforms());
+
+  it('accepts the example spec', () => {
+    expect(validateSpec(themeSpec)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('reports every problem at once', () => {
+    const { layout, ...rest } = themeSpec;
+    const result = validateSpec({ ...rest, colors: { ...themeSpec.colors, primary: 42 } });
+    expect(result.errors.map((e) => e.pointer)).toEqual(expect.arrayContaining([
+      '/layout',
+      '/colors/primary',
+    ]));
+  });
+
+  it('rejects an unknown platform with the registered ones', () => {
+    const result = validateSpec({ ...themeSpec, platform: 'drupal' });
+    expect(result.errors[0]).toEqual(expect.objectContaining({
+      pointer: '/platform',
+      keyword: 'enum',
+      received: 'drupal',
+      expected: expect.arrayContaining(['ghost', 'wordpress']),
+    }));
+  });
+
+  it('rejects unknown top-level keys on every platform', () => {
+    const { features, ...rest } = themeSpec;
+    const wordpress = {
+      ...rest,
+      platform: 'wordpress',
+      layout: { homepage: 'grid', postPage: 'single-column', archivePage: 'grid' },
+    };
+    [{ ...rest, featurs: features }, { ...wordpress, featurs: [] }].forEach((spec) => {
+      expect(validateSpec(spec).errors).toEqual([expect.objectContaining({
+        pointer: '/featurs',
+        keyword: 'unevaluatedProperties',
+        message: 'featurs is not a known property',
+      })]);
+    });
+  });
+
+  it('rejects colors that are not CSS colors', () => {
+    const result = validateSpec({
+      ...themeSpec,
+      colors: { ...themeSpec.colors, primary: 'banana', accent: 'red;}body{display:none' },
+    });
+    expect(result.errors).toEqual([
+      expect.objectContaining({
+        pointer: '/colors/primary',
+        keyword: 'format',
+        message: 'colors.primary must be a CSS color (got "banana")',
+      }),
+      expect.objectContaining({ pointer: '/colors/accent', keyword: 'format' }),
+    ]);
+  });
+
+  it('accepts CSS color syntaxes and plain custom property references', () => {
+    const colors = {
+      primary: 'rebeccapurple',
+      accent: 'oklch(0.6 0.2 30)',
+      background: 'var(--paper)',
+      text: 'rgb(20 20 20 / 90%)',
+    };
+    expect(validateSpec({ ...themeSpec, colors }).valid).toBe(true);
+    const injected = { ...colors, background: 'var(--paper);color:red' };
+    expect(validateSpec({ ...themeSpec, colors: injected }).errors)
+      .toEqual([expect.objectContaining({ pointer: '/colors/background', keyword: 'format' })]);
+  });
+
+  it('checks the colors of declared variations', () => {
+    const result = validateSpec({
+      ...themeSpec,
+      variations: [{ name: 'Night', colors: { text: '#eee;}' } }],
+    });
+    expect(result.errors).toEqual([expect.objectContaining({
+      pointer: '/variations/0/colors/text',
+      keyword: 'format',
+    })]);
+  });
+
+  it('rejects values that are not objects', () => {
+    expect(validateSpec(null).errors).toEqual([expect.objectContaining({ keyword: 'type' })]);
+  });
+
+  it('throws a SpecValidationError listing the messages', () => {
+    expect(() => assertValidSpec({ ...themeSpec, projectName: '' }))
+      .toThrow(SpecValidationError);
+  });
+});
@@ -0,0 +1,175 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import { resolveSections, withSectionPairs } from '../../core/sections.js';
+import { validateSpec } from '../../core/spec/schema.js';
+import { buildThemeFromSpec, loadPlatforms } from '../../core/theme-builder.js';
+
+const themeSpec = JSON.parse(await fs.readFile(path.resolve('themeSpec.json'), 'utf8'));
+
+const SECTIONS = [
+  { type: 'hero', headline: 'Notes on design', button: { label: 'Start', url: '/start' } },
+  { type: 'cta', headline: 'Hire us', button: { label: 'Contact', url: '/contact' } },
+  { type: 'posts' },
+  { type: 'cta', headline: 'Read more', button: { label: 'Archive', url: '/archive' } },
+  {
+    type: 'newsletter',
+    id: 'signup',
+    headline: 'Stay in touch',
+    formAction: 'https://lists.example.com/subscribe',
+  },
+  { type: 'footer-columns', columns: [{ heading: 'About', text: 'A design journal' }] },
+];
+
+const wordpressSpec = {
+  ...themeSpec,
+  platform: 'wordpress',
+  layout: { homepage: 'grid', postPage: 'single-column', archivePage: 'grid' },
+  features: [],
+  sections: SECTIONS,
+};
+
+let outDir;
+
+beforeAll(async () => {
+  await loadPlatforms();
+  outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-sections-'));
+});
+
+afterAll(() => fs.rm(outDir, { recursive: true, force: true }));
+
+describe('resolveSections', () => {
+  it('numbers ids per type and fills in the defaults of each type', () => {
+    const { home, footer, types } = resolveSections({ sections: SECTIONS });
+    expect(home.map((s) => s.id)).toEqual(['hero-1', 'cta-1', 'posts-1', 'cta-2', 'signup']);
+    expect(home[0]).toMatchObject({ alignment: 'center', background: 'primary' });
+    expect(home[4]).toMatchObject({ alignment: 'center', background: 'none' });
+    expect(footer).toEqual([
+      expect.objectContaining({ id: 'footer-columns-1', alignment: 'left' }),
+    ]);
+    expect(types).toEqual(['hero', 'cta', 'newsletter', 'footer-columns']);
+  });
+
+  it('puts the feed after the sections when the spec does not place it', () => {
+    const { home } = resolveSections({ sections: [{ type: 'hero' }, { type: 'tag-cloud' }] });
+    expect(home.map((s) => [s.id, s.count])).toEqual([
+      ['hero-1', undefined], ['tag-cloud-1', 20], ['posts', undefined],
+    ]);
+    expect(resolveSections({}).home).toEqual([{ type: 'posts', id: 'posts' }]);
+  });
+
+  it('keeps ids unique and counts every section of a type', () => {
+    const { home } = resolveSections({
+      sections: [{ type: 'hero', id: 'intro' }, { type: 'cta', id: 'intro' }, { type: 'cta' }],
+    });
+    expect(home.map((s) => s.id)).toEqual(['intro', 'intro-2', 'cta-2', 'posts']);
+  });
+
+  it('adds a contrast pair per section background the palette does not already check', () => {
+    const pairs = [{ foreground: 'background', background: 'primary', usage: 'Buttons' }];
+    expect(withSectionPairs(pairs, { sections: SECTIONS }).map((p) => p.usage)).toEqual([
+      'Buttons', 'Section text on accent',
+    ]);
+  });
+});
+
+describe('spec.sections', () => {
+  const errors = (spec) => validateSpec(spec).errors.map((e) => [e.pointer, e.keyword]);
+
+  it('require the fields of each type', () => {
+    expect(errors({ ...themeSpec, sections: [{ type: 'cta' }, { type: 'pricing' }] })).toEqual([
+      ['/sections/0/headline', 'required'],
+      ['/sections/0/button', 'required'],
+      ['/sections/1/plans', 'required'],
+    ]);
+  });
+
+  it('allow one posts entry', () => {
+    expect(errors({ ...themeSpec, sections: [{ type: 'posts' }, { type: 'posts' }] }))
+      .toEqual([['/sections', 'maxContains']]);
+  });
+
+  it('need a formAction for a newsletter on WordPress only', () => {
+    const newsletter = [{ type: 'newsletter' }];
+    expect(errors({ ...wordpressSpec, sections: newsletter }))
+      .toEqual([['/sections/0/formAction', 'required']]);
+    expect(errors({ ...themeSpec, sections: newsletter })).toEqual([]);
+  });
+});
+
+describe('Ghost sections', () => {
+  let themePath;
+  let read;
+
+  beforeAll(async () => {
+    themePath = await buildThemeFromSpec({ ...themeSpec, sections: SECTIONS }, {
+      outDir: path.join(outDir, 'ghost'),
+    });
+    read = (file) => fs.readFile(path.join(themePath, file), 'utf8');
+  });
+
+  it('write a partial per section', async () => {
+    expect((await fs.readdir(path.join(themePath, 'partials/sections'))).sort()).toEqual([
+      'cta-1.hbs', 'cta-2.hbs', 'featured.hbs', 'footer-columns-1.hbs', 'hero-1.hbs', 'signup.hbs',
+    ]);
+    expect(await read('partials/sections/hero-1.hbs')).toMatch(
+      /^<section id="hero-1" class="section section-hero section-align-center section-bg-primary">/,
+    );
+    expect(await read('partials/sections/signup.hbs')).toContain('{{> "subscribe-form"}}');
+    expect(await read('partials/sections/signup.hbs')).not.toContain('lists.example.com');
+  });
+
+  it('place them around the feed on the first page of the homepage', async () => {
+    const home = await read('home.hbs');
+    const order = [...home.matchAll(/\{\{> "sections\/([^"]+)"\}\}|class="home home-grid"/g)]
+      .map(([, id]) => id || 'feed');
+    // featured_posts adds its section just above the feed
+    expect(order).toEqual(['hero-1', 'cta-1', 'featured', 'feed', 'cta-2', 'signup']);
+    expect(await read('index.hbs')).not.toContain('sections/');
+  });
+
+  it('render footer columns above the site footer', async () => {
+    expect(await read('partials/footer.hbs')).toContain('{{> "sections/footer-columns-1"}}');
+    expect(await read('home.hbs')).not.toContain('footer-columns');
+  });
+});
+
+describe('WordPress sections', () => {
+  it('become patterns the classic templates render around the feed', async () => {
+    const themePath = await buildThemeFromSpec(wordpressSpec, {
+      outDir: path.join(outDir, 'wordpress'),
+    });
+    const read = (file) => fs.readFile(path.join(themePath, file), 'utf8');
+
+    const patterns = await fs.readdir(path.join(themePath, 'patterns'));
+    expect(patterns.filter((f) => f.startsWith('section-')).sort()).toEqual([
+      'section-cta-1.php', 'section-cta-2.php', 'section-footer-columns-1.php',
+      'section-hero-1.php', 'section-signup.php',
+    ]);
+    const signup = await read('patterns/section-signup.php');
+    expect(signup).toContain(' * Slug: clean-grid-blog/section-signup');
+    expect(signup)
+      .toContain("action=\"<?php echo esc_url( 'https://lists.example.com/subscribe' ); ?>\"");
+
+    const index = await read('index.php');
+    const call = /_section\('([^']+)'\)|get_template_part\('template-parts\/home'/g;
+    const calls = [...index.matchAll(call)].map(([, id]) => id || 'feed');
+    expect(calls).toEqual(['hero-1', 'cta-1', 'feed', 'cta-2', 'signup']);
+    expect(await read('footer.php')).toContain("clean_grid_blog_section('footer-columns-1');");
+    expect(await read('style.css')).toContain('/* Sections */');
+  });
+
+  it('are loaded with wp:pattern in block themes', async () => {
+    const block = { ...wordpressSpec, wordpress: { mode: 'block' } };
+    const themePath = await buildThemeFromSpec(block, {
+      outDir: path.join(outDir, 'wordpress-block'),
+    });
+    const index = await fs.readFile(path.join(themePath, 'templates/index.html'), 'utf8');
+    const patterns = [...index.matchAll(/"slug":"clean-grid-blog\/section-([^"]+)"/g)]
+      .map(([, id]) => id);
+    expect(patterns).toEqual(['hero-1', 'cta-1', 'cta-2', 'signup']);
+  });
+});
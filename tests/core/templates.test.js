@@ -0,0 +1,112 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import {
+  TemplateError, listTemplates, renderTemplate, renderTemplateDir,
+} from '../../core/templates.js';
+
+let dir;
+
+// Writes a template under the test directory and returns its path
+const template = async (name, source) => {
+  const file = path.join(dir, name);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, source, 'utf8');
+  return file;
+};
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-templates-'));
+});
+
+afterAll(() => fs.rm(dir, { recursive: true, force: true }));
+
+describe('renderTemplate', () => {
+  it('escapes <%= output and leaves <%- output raw', async () => {
+    const file = await template('output.hbs', '<%= title %>|<%- title %>');
+    expect(renderTemplate(file, { title: '<b>"Tom" & \'Jerry\'</b>' }))
+      .toBe('&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;|<b>"Tom" & \'Jerry\'</b>');
+  });
+
+  it('prints nothing for undefined and null', async () => {
+    const file = await template('empty.hbs', '[<%= missing %>][<%- nothing %>]');
+    expect(renderTemplate(file, { missing: undefined, nothing: null })).toBe('[][]');
+  });
+
+  it('leaves Handlebars, backticks and backslashes untouched', async () => {
+    const file = await template('handlebars.hbs', '{{#if title}}\\n{{/if}} `<%- n %>`');
+    expect(renderTemplate(file, { n: 1 })).toBe('{{#if title}}\\n{{/if}} `1`');
+  });
+
+  it('drops the newline after -%> and keeps it after %>', async () => {
+    const file = await template('trim.hbs', [
+      '<% if (show) { -%>',
+      'shown',
+      '<% } -%>',
+      '<%# a note -%>',
+      '<%= 1 %>',
+      'end',
+    ].join('\n'));
+    expect(renderTemplate(file, { show: true })).toBe('shown\n1\nend');
+    expect(renderTemplate(file, { show: false })).toBe('1\nend');
+  });
+
+  it('runs loops and renders comments as nothing', async () => {
+    const file = await template(
+      'loop.hbs',
+      '<%# skipped %><% items.forEach((i) => { %><%= i %>,<% }) %>',
+    );
+    expect(renderTemplate(file, { items: ['a', 'b'] })).toBe('a,b,');
+  });
+
+  it('includes templates relative to the current file with its locals', async () => {
+    await template('parts/item.hbs', '<%= label %>:<%= site %>');
+    const file = await template('parts/list.hbs', "<%- include('item.hbs', { label: 'x' }) %>");
+    expect(renderTemplate(file, { site: 'blog' })).toBe('x:blog');
+  });
+
+  it('indents every non-empty line', async () => {
+    const file = await template('indent.hbs', '<%- indent(text, 2) %>');
+    expect(renderTemplate(file, { text: 'a\n\nb\n' })).toBe('  a\n\n  b\n');
+  });
+
+  it('names the file when a template throws', async () => {
+    const file = await template('throws.hbs', '<%= spec.layout.homepage %>');
+    expect(() => renderTemplate(file, { spec: {} })).toThrow(TemplateError);
+    expect(() => renderTemplate(file, { spec: {} })).toThrow(`${file}: `);
+  });
+
+  it('reports syntax errors and the file of a failing include', async () => {
+    const broken = await template('syntax.hbs', '<% if (true) { %>never closed');
+    expect(() => renderTemplate(broken)).toThrow(TemplateError);
+    const inner = await template('inner-fail.hbs', '<%= missing.value %>');
+    const outer = await template('outer.hbs', "<%- include('inner-fail.hbs') %>");
+    expect(() => renderTemplate(outer, {})).toThrow(`${inner}: `);
+  });
+
+  it('reports missing templates', () => {
+    expect(() => renderTemplate(path.join(dir, 'nope.hbs'))).toThrow('template not found');
+  });
+});
+
+describe('renderTemplateDir', () => {
+  it('renders every file except _ fragments to the same path', async () => {
+    const source = path.join(dir, 'theme');
+    await fs.mkdir(path.join(source, 'partials'), { recursive: true });
+    await fs.mkdir(path.join(source, '_fragments'), { recursive: true });
+    await fs.writeFile(path.join(source, 'index.hbs'), "<%- include('_fragments/x.hbs') %>");
+    await fs.writeFile(path.join(source, '_fragments', 'x.hbs'), '<%= name %>');
+    await fs.writeFile(path.join(source, 'partials', 'card.hbs'), 'card');
+    await fs.writeFile(path.join(source, '_draft.hbs'), 'draft');
+
+    const out = path.join(dir, 'out');
+    expect(await listTemplates(source)).toEqual(['index.hbs', path.join('partials', 'card.hbs')]);
+    await renderTemplateDir(source, out, { name: 'A&B' });
+    expect(await fs.readFile(path.join(out, 'index.hbs'), 'utf8')).toBe('A&amp;B');
+    expect(await fs.readFile(path.join(out, 'partials', 'card.hbs'), 'utf8')).toBe('card');
+    await expect(fs.access(path.join(out, '_fragments'))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,142 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { describe, expect, it } from '@jest/globals';
+import {
+  exportTokens, importW3CTokens, toStyleDictionary, toTailwindConfig, toW3CTokens,
+} from '../../core/token-formats.js';
+
+const spec = JSON.parse(await fs.readFile(path.resolve('themeSpec.json'), 'utf8'));
+
+describe('toW3CTokens', () => {
+  it('writes typed DTCG tokens', () => {
+    const tokens = toW3CTokens(spec);
+    expect(tokens.$description)
+      .toBe(`Design tokens of ${spec.projectName}, exported by ThemeSmith`);
+    expect(tokens.color.primary).toEqual({ $type: 'color', $value: spec.colors.primary });
+    expect(tokens.font.family.body).toEqual({ $type: 'fontFamily', $value: ['Open Sans'] });
+    expect(tokens.spacing).not.toEqual({});
+  });
+
+  it('writes colors as hex and splits font stacks', () => {
+    const tokens = toW3CTokens({
+      ...spec,
+      colors: { ...spec.colors, accent: 'rgb(255 0 0)' },
+      fonts: { heading: '"Playfair Display", Georgia, serif' },
+    });
+    expect(tokens.color.accent.$value).toBe('#ff0000');
+    expect(tokens.font.family.heading.$value).toEqual(['Playfair Display', 'Georgia', 'serif']);
+    expect(tokens.font.family.body.$value).toEqual(['system-ui', 'sans-serif']);
+  });
+
+  it('turns box shadows into DTCG shadow values', () => {
+    const shadows = Object.values(toW3CTokens(spec).shadow);
+    expect(shadows.length).toBeGreaterThan(0);
+    shadows.filter((token) => token.$type).forEach((token) => {
+      [].concat(token.$value).forEach((layer) => {
+        expect(layer).toEqual(expect.objectContaining({
+          color: expect.stringMatching(/^#/),
+          offsetX: expect.any(String),
+          offsetY: expect.any(String),
+        }));
+      });
+    });
+  });
+});
+
+describe('other formats', () => {
+  it('writes a Tailwind config', () => {
+    const config = toTailwindConfig(spec);
+    expect(config).toMatch(/^\/\/ Design tokens of /);
+    expect(config).toContain('module.exports = {');
+    expect(config).toContain(`"primary": "${spec.colors.primary}"`);
+  });
+
+  it('writes Style Dictionary leaves with joined font stacks', () => {
+    const tokens = toStyleDictionary(spec);
+    expect(tokens.font.family.body).toEqual({ value: 'Open Sans', type: 'fontFamily' });
+    expect(tokens.color.text).toEqual({ value: spec.colors.text, type: 'color' });
+  });
+
+  it('names the file and content type of each format', () => {
+    expect(exportTokens(spec)).toMatchObject({
+      filename: 'tokens.json', contentType: 'application/design-tokens+json',
+    });
+    expect(exportTokens(spec, 'tailwind').filename).toBe('tailwind.config.js');
+    expect(() => exportTokens(spec, 'figma'))
+      .toThrow('Unknown token format "figma" (use w3c, tailwind, style-dictionary)');
+  });
+});
+
+describe('importW3CTokens', () => {
+  it('reads an exported file back into the same colors and fonts', () => {
+    const withStack = {
+      ...spec,
+      fonts: { heading: 'Playfair Display, Georgia, serif', body: 'Open Sans' },
+    };
+    const exported = JSON.parse(exportTokens(withStack).content);
+    const { colors, fonts, warnings } = importW3CTokens(exported);
+    expect(colors).toEqual(spec.colors);
+    expect(fonts).toEqual(withStack.fonts);
+    expect(warnings).toEqual([]);
+  });
+
+  it('matches common token names and inherits group types', () => {
+    const { colors, fonts, imported } = importW3CTokens({
+      brand: { $type: 'color', brand: { $value: '#0055ff' } },
+      palette: {
+        $type: 'color',
+        link: { $value: { colorSpace: 'srgb', components: [1, 0, 0], alpha: 0.5 } },
+        surface: { $value: { colorSpace: 'hsl', components: [0, 0, 100] } },
+        fg: { $value: { hex: '#111111' } },
+      },
+      typography: { display: { $type: 'fontFamily', $value: 'Lora' } },
+    });
+    expect(colors).toEqual({
+      primary: '#0055ff',
+      accent: 'color(srgb 1 0 0 / 0.5)',
+      background: 'hsl(0 0% 100%)',
+      text: '#111111',
+    });
+    expect(fonts).toEqual({ heading: 'Lora' });
+    expect(imported).toContainEqual({ path: 'brand.brand', to: 'colors.primary' });
+  });
+
+  it('follows aliases, taking the type of the target', () => {
+    const { colors, imported } = importW3CTokens({
+      base: { blue: { $type: 'color', $value: '#1d4ed8' }, navy: { $value: '{base.blue}' } },
+      primary: { $value: '{base.navy}' },
+      accent: { $type: 'color', $value: '{base.missing}' },
+    });
+    expect(colors.primary).toBe('#1d4ed8');
+    expect(imported).toContainEqual({ path: 'primary', to: 'colors.primary' });
+    expect(colors.accent).toBeUndefined();
+  });
+
+  it('does not loop on circular aliases', () => {
+    const { colors } = importW3CTokens({
+      a: { $type: 'color', $value: '{b}' },
+      b: { $value: '{a}' },
+      primary: { $value: '{a}' },
+    });
+    expect(colors).toEqual({});
+  });
+
+  it('warns about unusable and missing tokens', () => {
+    const { colors, warnings } = importW3CTokens({
+      primary: { $type: 'color', $value: 'var(--brand)' },
+      text: { $type: 'color', $value: '#222222' },
+    });
+    expect(colors).toEqual({ text: '#222222' });
+    expect(warnings).toEqual([
+      'primary: unsupported color value "var(--brand)"',
+      'No color token for colors.primary',
+      'No color token for colors.accent',
+      'No color token for colors.background',
+    ]);
+  });
+
+  it('rejects documents that are not objects', () => {
+    expect(() => importW3CTokens([])).toThrow('A design tokens file must be a JSON object');
+    expect(() => importW3CTokens(null)).toThrow('A design tokens file must be a JSON object');
+  });
+});
@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import { DEFAULT_TOKENS, cssCustomProperties, resolveTokens } from '../../core/tokens.js';
+import { validateSpec } from '../../core/spec/schema.js';
+import { buildThemeFromSpec, loadPlatforms } from '../../core/theme-builder.js';
+
+const themeSpec = JSON.parse(await fs.readFile(path.resolve('themeSpec.json'), 'utf8'));
+
+const TOKENS = {
+  spacing: { base: '8px', ratio: 2 },
+  typeScale: { base: '18px', ratio: 1.25 },
+  radius: { medium: '12px' },
+  breakpoints: { small: '560px', medium: '900px' },
+  layout: { content: '680px' },
+};
+
+describe('resolveTokens', () => {
+  it('uses the defaults without spec.tokens', () => {
+    const tokens = resolveTokens({});
+    expect(tokens.radius).toEqual(DEFAULT_TOKENS.radius);
+    expect(tokens.spacingSizes.map((s) => [s.slug, s.size])).toEqual([
+      ['20', '0.667rem'], ['30', '1rem'], ['40', '1.5rem'],
+      ['50', '2.25rem'], ['60', '3.375rem'], ['70', '5.063rem'],
+    ]);
+    expect(tokens.headings.h6).toBe('1rem');
+    expect(tokens.headings.h1).toBe('2.488rem');
+  });
+
+  it('merges partial groups over the defaults and scales from the spec base', () => {
+    const tokens = resolveTokens({ tokens: TOKENS });
+    expect(tokens.radius).toEqual({ small: '2px', medium: '12px', large: '8px' });
+    expect(tokens.layout).toEqual({ content: '680px', wide: '1200px' });
+    expect(tokens.breakpoints.large).toBe('1024px');
+    expect(tokens.spacingSizes.find((s) => s.slug === '40').size).toBe('16px');
+    expect(tokens.fontSizes.map((s) => s.size)).toEqual([
+      '14.4px', '18px', '28.125px', '43.945px', '54.932px',
+    ]);
+  });
+
+  it('writes one custom property per token', () => {
+    const css = cssCustomProperties(resolveTokens({ tokens: TOKENS }), '');
+    expect(css.split('\n')).toEqual(expect.arrayContaining([
+      '--space-30: 8px;',
+      '--font-size-medium: 18px;',
+      '--font-size-h1: 54.932px;',
+      '--radius-medium: 12px;',
+      `--shadow-small: ${DEFAULT_TOKENS.shadows.small};`,
+      '--width-content: 680px;',
+      '--width-wide: 1200px;',
+    ]));
+    expect(css).not.toContain('breakpoint');
+  });
+});
+
+describe('spec.tokens', () => {
+  let outDir;
+
+  beforeAll(async () => {
+    await loadPlatforms();
+    outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-tokens-'));
+  });
+
+  afterAll(() => fs.rm(outDir, { recursive: true, force: true }));
+
+  it('rejects unknown groups, malformed lengths and out of range ratios', () => {
+    const result = validateSpec({
+      ...themeSpec,
+      tokens: { spacing: { base: '1 rem', ratio: 5 }, colors: {} },
+    });
+    expect(result.errors.map((e) => [e.pointer, e.keyword])).toEqual([
+      ['/tokens/spacing/base', 'pattern'],
+      ['/tokens/spacing/ratio', 'maximum'],
+      ['/tokens/colors', 'additionalProperties'],
+    ]);
+  });
+
+  it('become Ghost custom properties and media queries', async () => {
+    const themePath = await buildThemeFromSpec({ ...themeSpec, tokens: TOKENS }, {
+      outDir: path.join(outDir, 'ghost'),
+    });
+    const css = await fs.readFile(path.join(themePath, 'assets/css/screen.css'), 'utf8');
+    expect(css).toContain('  --space-40: 16px;');
+    expect(css).toContain('  --radius-medium: 12px;');
+    expect(css).toContain('@media (max-width: 560px)');
+    expect(css).not.toContain('@media (max-width: 640px)');
+  });
+
+  it('become theme.json presets and style.css properties on WordPress', async () => {
+    const themePath = await buildThemeFromSpec({
+      ...themeSpec,
+      platform: 'wordpress',
+      layout: { homepage: 'grid', postPage: 'single-column', archivePage: 'grid' },
+      features: [],
+      tokens: TOKENS,
+    }, { outDir: path.join(outDir, 'wordpress') });
+    const themeJSON = JSON.parse(await fs.readFile(path.join(themePath, 'theme.json'), 'utf8'));
+    expect(themeJSON.settings.spacing.spacingSizes).toContainEqual({
+      slug: '40', name: '3', size: '16px',
+    });
+    expect(themeJSON.settings.typography.fontSizes[1]).toEqual({
+      slug: 'medium', name: 'Medium', size: '18px',
+    });
+    const css = await fs.readFile(path.join(themePath, 'style.css'), 'utf8');
+    expect(css).toContain('  --width-content: 680px;');
+    expect(css).toContain('@media (max-width: 900px)');
+  });
+});
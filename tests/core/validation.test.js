@@ -0,0 +1,131 @@
+import { describe, expect, it } from '@jest/globals';
+import {
+  applyRuleConfig,
+  countIssues,
+  createIssue,
+  createReport,
+  exceedsThreshold,
+  formatReport,
+  groupByFile,
+} from '../../core/validation.js';
+
+const issue = (severity, file = null, line = null) => ({
+  ruleId: `${severity}-rule`, severity, file, line, message: `${severity} found`,
+});
+
+describe('createIssue', () => {
+  it('fills in the optional fields', () => {
+    expect(createIssue({ ruleId: 'r', message: 'm' })).toEqual({
+      ruleId: 'r', severity: 'error', file: null, line: null, message: 'm', docUrl: null, fix: null,
+    });
+  });
+
+  it('drops unknown fields', () => {
+    expect(createIssue({ ...issue('info'), extra: true })).not.toHaveProperty('extra');
+  });
+
+  it('rejects unknown severities', () => {
+    expect(() => createIssue({ ...issue('error'), severity: 'fatal' }))
+      .toThrow('Unknown issue severity: fatal');
+  });
+});
+
+describe('createReport', () => {
+  it('counts and sorts issues by severity, file and line', () => {
+    const report = createReport('theme-check', [
+      issue('info', 'a.php'),
+      issue('warning', 'style.css', 9),
+      issue('error', 'style.css', 12),
+      issue('error', 'style.css', 3),
+      issue('error'),
+    ]);
+    expect(report.validator).toBe('theme-check');
+    expect(report.ok).toBe(false);
+    expect(report.counts).toEqual({ error: 3, warning: 1, info: 1 });
+    expect(report.issues.map((i) => [i.severity, i.file, i.line])).toEqual([
+      ['error', null, null],
+      ['error', 'style.css', 3],
+      ['error', 'style.css', 12],
+      ['warning', 'style.css', 9],
+      ['info', 'a.php', null],
+    ]);
+  });
+
+  it('is ok without errors', () => {
+    const report = createReport('gscan', [issue('warning'), issue('info')]);
+    expect(report.ok).toBe(true);
+    expect(createReport('gscan', []).counts).toEqual({ error: 0, warning: 0, info: 0 });
+  });
+
+  it('does not reorder the issues passed in', () => {
+    const issues = [issue('info'), issue('error')];
+    createReport('gscan', issues);
+    expect(issues.map((i) => i.severity)).toEqual(['info', 'error']);
+  });
+});
+
+describe('exceedsThreshold', () => {
+  const report = createReport('gscan', [issue('warning')]);
+
+  it('fails on issues at the threshold severity or worse', () => {
+    expect(exceedsThreshold(report, 'info')).toBe(true);
+    expect(exceedsThreshold(report, 'warning')).toBe(true);
+    expect(exceedsThreshold(report, 'error')).toBe(false);
+  });
+
+  it('never fails for none, the default, or an unknown threshold', () => {
+    const failing = createReport('gscan', [issue('error')]);
+    expect(exceedsThreshold(failing, 'none')).toBe(false);
+    expect(exceedsThreshold(failing)).toBe(false);
+    expect(exceedsThreshold(failing, 'fatal')).toBe(false);
+  });
+
+  it('passes a clean report at any threshold', () => {
+    expect(exceedsThreshold(createReport('gscan', []), 'info')).toBe(false);
+  });
+});
+
+describe('applyRuleConfig', () => {
+  const issues = [issue('error'), issue('warning'), issue('info')];
+
+  it('drops the issues of rules turned off', () => {
+    expect(applyRuleConfig(issues, { 'warning-rule': 'off' }).map((i) => i.ruleId))
+      .toEqual(['error-rule', 'info-rule']);
+  });
+
+  it('replaces the severity of configured rules', () => {
+    const configured = applyRuleConfig(issues, { 'error-rule': 'info', 'info-rule': ['error'] });
+    expect(configured.map((i) => i.severity)).toEqual(['info', 'warning', 'error']);
+    expect(issues[0].severity).toBe('error');
+  });
+
+  it('leaves issues alone without a usable setting', () => {
+    expect(applyRuleConfig(issues)).toEqual(issues);
+    expect(applyRuleConfig(issues, { 'error-rule': 'fatal', 'info-rule': [] })).toEqual(issues);
+  });
+});
+
+describe('report helpers', () => {
+  it('counts each severity', () => {
+    expect(countIssues([issue('info'), issue('info')])).toEqual({ error: 0, warning: 0, info: 2 });
+  });
+
+  it('groups issues without a file under (theme)', () => {
+    const groups = groupByFile([issue('error'), issue('info', 'index.hbs'), issue('warning')]);
+    expect(Object.keys(groups)).toEqual(['(theme)', 'index.hbs']);
+    expect(groups['(theme)']).toHaveLength(2);
+  });
+
+  it('formats locations, fixes and docs', () => {
+    const report = createReport('gscan', [{
+      ...issue('error', 'post.hbs', 4), fix: 'Add it', docUrl: 'https://example.com',
+    }, issue('info')]);
+    expect(formatReport(report)).toBe([
+      'gscan: 1 error(s), 0 warning(s), 1 info',
+      '- [error] post.hbs:4 error found (error-rule)',
+      '  Fix: Add it',
+      '  Docs: https://example.com',
+      '- [info] (theme) info found (info-rule)',
+    ].join('\n'));
+  });
+});
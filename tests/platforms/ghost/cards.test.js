@@ -0,0 +1,103 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import { buildThemeFromSpec, loadPlatforms, validateTheme } from '../../../core/theme-builder.js';
+import { validateSpec } from '../../../core/spec/schema.js';
+import {
+  CARD_ASSETS, cardAssets, ghostLoadsCard,
+} from '../../../platforms/ghost/builders/cards.js';
+
+const spec = JSON.parse(await fs.readFile(path.resolve('themeSpec.json'), 'utf8'));
+
+const withCards = (setting) => ({ ...spec, ghost: { ...spec.ghost, cardAssets: setting } });
+
+const TOGGLE_SCRIPT = "document.querySelectorAll('.kg-toggle-card')";
+const GALLERY_SCRIPT = "document.querySelectorAll('.kg-gallery-image img')";
+
+let dir;
+
+beforeAll(async () => {
+  await loadPlatforms();
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-cards-'));
+});
+
+afterAll(() => fs.rm(dir, { recursive: true, force: true }));
+
+describe('ghostLoadsCard', () => {
+  it('loads every card by default', () => {
+    expect(cardAssets(spec)).toBe(true);
+    CARD_ASSETS.forEach((card) => expect(ghostLoadsCard(spec, card)).toBe(true));
+  });
+
+  it('follows true, false and the include or exclude list', () => {
+    expect(ghostLoadsCard(withCards(false), 'toggle')).toBe(false);
+    expect(ghostLoadsCard(withCards({ include: ['gallery'] }), 'gallery')).toBe(true);
+    expect(ghostLoadsCard(withCards({ include: ['gallery'] }), 'toggle')).toBe(false);
+    expect(ghostLoadsCard(withCards({ exclude: ['gallery'] }), 'gallery')).toBe(false);
+    expect(ghostLoadsCard(withCards({ exclude: ['gallery'] }), 'toggle')).toBe(true);
+  });
+});
+
+describe('ghost.cardAssets', () => {
+  const pointers = (setting) => validateSpec(withCards(setting)).errors.map((e) => e.pointer);
+
+  it('accepts a boolean or one list of known cards', () => {
+    [true, false, { include: ['toggle'] }, { exclude: CARD_ASSETS }].forEach((setting) => {
+      expect(validateSpec(withCards(setting)).valid).toBe(true);
+    });
+  });
+
+  it('rejects unknown cards and both lists at once', () => {
+    expect(pointers({ include: ['carousel'] })).toContain('/ghost/cardAssets/include/0');
+    expect(pointers({ include: ['toggle'], exclude: ['gallery'] }))
+      .toContain('/ghost/cardAssets/exclude');
+    expect(pointers('all')).toContain('/ghost/cardAssets');
+  });
+});
+
+describe('config.card_assets', () => {
+  const build = async (name, themeSpec) => {
+    const themePath = await buildThemeFromSpec(themeSpec, {
+      outDir: path.join(dir, name),
+    });
+    const read = (file) => fs.readFile(path.join(themePath, file), 'utf8');
+    const { config } = JSON.parse(await read('package.json'));
+    return {
+      themePath,
+      config,
+      main: await read('assets/js/main.js'),
+      css: await read('assets/css/screen.css'),
+    };
+  };
+
+  it('leaves the card scripts to Ghost by default', async () => {
+    const { config, main, css } = await build('default', spec);
+    expect(config.card_assets).toBe(true);
+    expect(main).not.toContain(TOGGLE_SCRIPT);
+    expect(main).not.toContain(GALLERY_SCRIPT);
+    expect(css).toContain('.kg-toggle-card {');
+  });
+
+  it('adds the scripts of the cards Ghost does not load', async () => {
+    const { config, main } = await build('exclude', withCards({ exclude: ['toggle'] }));
+    expect(config.card_assets).toEqual({ exclude: ['toggle'] });
+    expect(main).toContain(TOGGLE_SCRIPT);
+    expect(main).not.toContain(GALLERY_SCRIPT);
+  });
+
+  it('styles and scripts every card itself when Ghost loads none', async () => {
+    const {
+      themePath, config, main, css,
+    } = await build('none', withCards(false));
+    expect(config.card_assets).toBe(false);
+    expect(main).toContain(TOGGLE_SCRIPT);
+    expect(main).toContain(GALLERY_SCRIPT);
+    ['gallery-container', 'bookmark-card', 'callout-card', 'toggle-card', 'signup-card']
+      .forEach((selector) => expect(css).toContain(`.kg-${selector} {`));
+    const report = await validateTheme(withCards(false), themePath);
+    expect(report.issues.filter((i) => i.severity === 'error')).toEqual([]);
+  });
+});
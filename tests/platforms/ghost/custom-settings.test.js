@@ -0,0 +1,125 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import { buildThemeFromSpec, loadPlatforms, validateTheme } from '../../../core/theme-builder.js';
+import { validateSpec } from '../../../core/spec/schema.js';
+import {
+  CUSTOM_SETTINGS, HEADER_STYLES, customSettings,
+} from '../../../platforms/ghost/builders/custom-settings.js';
+
+const spec = JSON.parse(await fs.readFile(path.resolve('themeSpec.json'), 'utf8'));
+
+const ALL = Object.keys(CUSTOM_SETTINGS);
+
+const withSettings = (keys, extra = {}) => ({
+  ...spec, ghost: { ...spec.ghost, customSettings: keys }, ...extra,
+});
+
+let dir;
+
+beforeAll(async () => {
+  await loadPlatforms();
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-custom-settings-'));
+});
+
+afterAll(() => fs.rm(dir, { recursive: true, force: true }));
+
+describe('ghost.customSettings', () => {
+  it('accepts the known settings once each', () => {
+    expect(validateSpec(withSettings(ALL)).valid).toBe(true);
+    const { errors } = validateSpec(withSettings(['accent_color', 'logo_size']));
+    expect(errors.map((e) => [e.pointer, e.keyword]))
+      .toEqual([['/ghost/customSettings/1', 'enum']]);
+    expect(validateSpec(withSettings(['footer_text', 'footer_text'])).valid).toBe(false);
+  });
+});
+
+describe('customSettings', () => {
+  const noSections = { types: [] };
+
+  it('is empty without settings or variations', () => {
+    expect(customSettings(spec, { sections: noSections, variations: [] })).toEqual({});
+  });
+
+  it('starts each setting from the spec', () => {
+    const settings = customSettings(withSettings(ALL), {
+      sections: { types: ['featured-posts'] }, variations: [],
+    });
+    expect(Object.keys(settings)).toEqual(ALL);
+    Object.entries(settings).forEach(([key, setting]) => {
+      expect(setting.description).toBe(CUSTOM_SETTINGS[key]);
+    });
+    expect(settings.accent_color).toMatchObject({ type: 'color', default: '#ff5722' });
+    expect(settings.header_style)
+      .toMatchObject({ type: 'select', options: HEADER_STYLES, default: 'Standard' });
+    expect(settings.typography).toMatchObject({
+      options: ['Theme fonts', 'Sans-serif', 'Serif', 'Monospace'],
+      default: 'Theme fonts',
+    });
+    expect(settings.show_featured)
+      .toMatchObject({ type: 'boolean', default: true, group: 'homepage' });
+    expect(settings.footer_text).toMatchObject({ type: 'text', default: '' });
+  });
+
+  it('leaves out settings with nothing to edit', () => {
+    const settings = customSettings(withSettings(['accent_color', 'show_featured'], {
+      colors: { ...spec.colors, accent: 'rgb(255 87 34 / 50%)' },
+    }), { sections: noSections, variations: [] });
+    expect(settings).toEqual({});
+  });
+
+  it('adds the color scheme first when the spec has variations', () => {
+    const settings = customSettings(withSettings(['footer_text']), {
+      sections: noSections,
+      variations: [{ name: 'Dark', slug: 'dark' }, { name: 'Warm', slug: 'warm' }],
+    });
+    expect(Object.keys(settings)).toEqual(['color_scheme', 'footer_text']);
+    expect(settings.color_scheme).toEqual({
+      type: 'select', options: ['Default', 'Dark', 'Warm'], default: 'Default',
+    });
+  });
+});
+
+describe('a theme with every setting', () => {
+  let themePath;
+  let read;
+
+  beforeAll(async () => {
+    themePath = await buildThemeFromSpec(withSettings(ALL), { outDir: path.join(dir, 'all') });
+    read = (file) => fs.readFile(path.join(themePath, file), 'utf8');
+  });
+
+  it('declares them in package.json config.custom', async () => {
+    const { config } = JSON.parse(await read('package.json'));
+    // featured_posts gives the theme the section show_featured hides
+    expect(Object.keys(config.custom)).toEqual(ALL);
+  });
+
+  it('reads each setting back in the templates', async () => {
+    const [layout, header, footer, home] = await Promise.all([
+      'default.hbs', 'partials/header.hbs', 'partials/footer.hbs', 'home.hbs',
+    ].map(read));
+    expect(layout).toContain('--color-accent: {{@custom.accent_color}};');
+    expect(layout).toContain('{{#match @custom.typography "Serif"}} typography-serif{{/match}}');
+    expect(header).toContain('{{#match @custom.header_style "Sticky"}} header-sticky{{/match}}');
+    expect(footer).toContain('<p>{{@custom.footer_text}}</p>');
+    expect(home).toContain('{{#if @custom.show_featured}}{{> "sections/featured"}}{{/if}}');
+    expect(await read('assets/css/screen.css')).toMatch(/\.typography-mono\s*\{/);
+  });
+
+  it('passes gscan', async () => {
+    const report = await validateTheme(withSettings(ALL), themePath);
+    expect(report.issues.filter((i) => i.severity === 'error')).toEqual([]);
+  });
+
+  it('leaves the templates alone without settings', async () => {
+    const plain = await buildThemeFromSpec(spec, { outDir: path.join(dir, 'plain') });
+    const { config } = JSON.parse(await fs.readFile(path.join(plain, 'package.json'), 'utf8'));
+    expect(config).not.toHaveProperty('custom');
+    const layout = await fs.readFile(path.join(plain, 'default.hbs'), 'utf8');
+    expect(layout).not.toContain('@custom');
+  });
+});
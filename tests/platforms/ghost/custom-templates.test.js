@@ -0,0 +1,63 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import { buildThemeFromSpec } from '../../../core/theme-builder.js';
+import { validateSpec } from '../../../core/spec/schema.js';
+import { loadPlatforms } from '../../../core/registry.js';
+
+const spec = JSON.parse(await fs.readFile(path.resolve('themeSpec.json'), 'utf8'));
+
+const withTemplates = (customTemplates, extra = {}) => ({
+  ...spec, ghost: { ...spec.ghost, customTemplates }, ...extra,
+});
+
+let dir;
+
+beforeAll(async () => {
+  await loadPlatforms();
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-custom-templates-'));
+});
+
+afterAll(() => fs.rm(dir, { recursive: true, force: true }));
+
+describe('ghost.customTemplates', () => {
+  it('accepts lowercase hyphenated names', () => {
+    expect(validateSpec(withTemplates(['landing', 'podcast-episode', 'v2'])).valid).toBe(true);
+  });
+
+  it('rejects names Ghost cannot use in a file name', () => {
+    ['Podcast', 'two words', 'trailing-', '../post', ''].forEach((name) => {
+      const { valid, errors } = validateSpec(withTemplates([name]));
+      expect(valid).toBe(false);
+      expect(errors[0].pointer).toBe('/ghost/customTemplates/0');
+    });
+    expect(validateSpec(withTemplates(['landing', 'landing'])).valid).toBe(false);
+  });
+
+  it('writes catalogue layouts and the post layout for other names', async () => {
+    const themePath = await buildThemeFromSpec(withTemplates(['full-width', 'podcast-episode']), {
+      outDir: path.join(dir, 'build'),
+    });
+    const read = (file) => fs.readFile(path.join(themePath, file), 'utf8');
+    const [fullWidth, podcast, post] = await Promise.all([
+      read('custom-full-width.hbs'), read('custom-podcast-episode.hbs'), read('post.hbs'),
+    ]);
+    expect(fullWidth).toContain('post-full-width');
+    expect(podcast).toBe(post);
+    expect(await read('README.md')).toContain('- custom-podcast-episode');
+  });
+
+  it('lets overrides replace a generated template', async () => {
+    const overrides = path.join(dir, 'overrides');
+    await fs.mkdir(overrides, { recursive: true });
+    await fs.writeFile(path.join(overrides, 'custom-podcast-episode.hbs'), '{{!< default}}\n');
+    const themePath = await buildThemeFromSpec(withTemplates(['podcast-episode'], { overrides }), {
+      outDir: path.join(dir, 'overridden'),
+    });
+    expect(await fs.readFile(path.join(themePath, 'custom-podcast-episode.hbs'), 'utf8'))
+      .toBe('{{!< default}}\n');
+  });
+});
@@ -0,0 +1,106 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import {
+  DEFAULT_LOCALE, hbsString, templateStrings, writeLocales,
+} from '../../../platforms/ghost/builders/locales.js';
+
+let dir;
+let count = 0;
+
+// A theme folder with the given templates
+const theme = async (files) => {
+  count += 1;
+  const themePath = path.join(dir, String(count));
+  await Promise.all(Object.entries(files).map(async ([file, content]) => {
+    await fs.mkdir(path.dirname(path.join(themePath, file)), { recursive: true });
+    await fs.writeFile(path.join(themePath, file), content);
+  }));
+  return themePath;
+};
+
+const readLocale = async (themePath, locale) => JSON.parse(
+  await fs.readFile(path.join(themePath, 'locales', `${locale}.json`), 'utf8'),
+);
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-locales-'));
+});
+
+afterAll(() => fs.rm(dir, { recursive: true, force: true }));
+
+describe('hbsString', () => {
+  it('quotes text and escapes double quotes', () => {
+    expect(hbsString('Latest posts')).toBe('"Latest posts"');
+    expect(hbsString('Say "hi"')).toBe('"Say \\"hi\\""');
+    expect(hbsString(42)).toBe('"42"');
+  });
+
+  it('writes other backslashes as they are, as Handlebars reads them', () => {
+    expect(hbsString('C:\\Users')).toBe('"C:\\Users"');
+    expect(hbsString('a\\"b')).toBe('"a\\\\"b"');
+  });
+
+  it('rejects text ending in a backslash, which would escape the closing quote', () => {
+    expect(() => hbsString('C:\\')).toThrow('{{t}} text cannot end with a backslash: "C:\\\\"');
+  });
+});
+
+describe('templateStrings', () => {
+  it('collects {{t}} and (t) strings of every template, sorted and once', async () => {
+    const themePath = await theme({
+      'index.hbs': '{{t "Latest"}} {{t   "Read more"}} {{t "Latest"}}',
+      'partials/card.hbs': '{{#if (t "Featured")}}{{/if}} {{tag "ignored"}} {{at "no"}}',
+      'assets/built/main.js': '{{t "not a template"}}',
+    });
+    expect(await templateStrings(themePath)).toEqual(['Featured', 'Latest', 'Read more']);
+  });
+
+  it('reads back exactly what hbsString wrote', async () => {
+    const texts = ['Say "hi"', 'C:\\Users', 'a\\"b', '"', 'Back\\slash "and" quotes'];
+    const themePath = await theme({
+      'index.hbs': texts.map((text) => `{{t ${hbsString(text)}}}`).join('\n'),
+    });
+    expect(await templateStrings(themePath)).toEqual([...texts].sort());
+  });
+});
+
+describe('writeLocales', () => {
+  it('maps every string to itself in en.json', async () => {
+    const themePath = await theme({ 'index.hbs': '{{t "Older"}}{{t "Newer"}}' });
+    await writeLocales(themePath);
+    expect(await readLocale(themePath, DEFAULT_LOCALE)).toEqual({ Newer: 'Newer', Older: 'Older' });
+    expect(await fs.readdir(path.join(themePath, 'locales'))).toEqual(['en.json']);
+  });
+
+  it('adds the translations of each locale', async () => {
+    const themePath = await theme({ 'index.hbs': '{{t "Older"}}{{t "Newer"}}' });
+    const asked = [];
+    await writeLocales(themePath, {
+      locales: ['en', 'de', 'fr'],
+      translate: async (locale, strings) => {
+        asked.push([locale, strings]);
+        return {
+          en: { Older: 'Older posts' },
+          de: { Older: 'Ältere Beiträge', Newer: 'Neuere Beiträge' },
+          fr: {},
+        }[locale];
+      },
+    });
+    expect(asked.map(([locale]) => locale).sort()).toEqual(['de', 'en', 'fr']);
+    expect(asked[0][1]).toEqual(['Newer', 'Older']);
+    expect(await readLocale(themePath, 'en')).toEqual({ Newer: 'Newer', Older: 'Older posts' });
+    expect(await readLocale(themePath, 'de'))
+      .toEqual({ Older: 'Ältere Beiträge', Newer: 'Neuere Beiträge' });
+    expect(await readLocale(themePath, 'fr')).toEqual({});
+  });
+
+  it('writes an empty en.json for a theme without {{t}}', async () => {
+    const themePath = await theme({ 'index.hbs': '{{title}}' });
+    await writeLocales(themePath, { locales: [] });
+    expect(await readLocale(themePath, 'en')).toEqual({});
+  });
+});
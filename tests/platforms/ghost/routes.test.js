@@ -0,0 +1,220 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import { buildThemeFromSpec, validateTheme } from '../../../core/theme-builder.js';
+import { validateSpec } from '../../../core/spec/schema.js';
+import { loadPlatforms } from '../../../core/registry.js';
+import { routesYaml, specRoutes } from '../../../platforms/ghost/builders/routes.js';
+import { checkRoutes } from '../../../platforms/ghost/validators/routes.js';
+
+const spec = JSON.parse(await fs.readFile(path.resolve('themeSpec.json'), 'utf8'));
+
+const withRoutes = (routes) => ({ ...spec, routes });
+
+let dir;
+
+beforeAll(async () => {
+  await loadPlatforms();
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-routes-'));
+});
+
+afterAll(() => fs.rm(dir, { recursive: true, force: true }));
+
+describe('routesYaml', () => {
+  it("keeps Ghost's default collection and taxonomies", () => {
+    expect(routesYaml(withRoutes({}))).toBe([
+      'routes:',
+      'collections:',
+      '  /:',
+      '    permalink: /{slug}/',
+      '    template: index',
+      'taxonomies:',
+      '  tag: /tag/{slug}/',
+      '  author: /author/{slug}/',
+      '',
+    ].join('\n'));
+  });
+
+  it('writes custom routes, channels, collections and taxonomies', () => {
+    expect(routesYaml(withRoutes({
+      routes: {
+        '/about/': 'about',
+        '/start/': { template: ['start', 'page'], data: 'page.start' },
+      },
+      channels: { '/podcast/': { filter: 'tag:podcast+featured:true', template: 'podcast' } },
+      collections: { '/blog/': { permalink: '/blog/{slug}/', template: 'index', limit: 5 } },
+      taxonomies: { tag: '/topic/{slug}/' },
+    }))).toBe([
+      'routes:',
+      '  /about/:',
+      '    template: about',
+      '  /start/:',
+      '    template: [start, page]',
+      '    data: page.start',
+      '  /podcast/:',
+      '    controller: channel',
+      '    filter: tag:podcast+featured:true',
+      '    template: podcast',
+      'collections:',
+      '  /blog/:',
+      '    permalink: /blog/{slug}/',
+      '    template: index',
+      '    limit: 5',
+      'taxonomies:',
+      '  tag: /topic/{slug}/',
+      '',
+    ].join('\n'));
+  });
+
+  it('quotes only values YAML would misread', () => {
+    const yaml = routesYaml(withRoutes({
+      channels: {
+        '/a/': { filter: 'tag:[a,b]' },
+        '/b/': { filter: 'primary_tag:news # latest' },
+        '/c/': { filter: '*featured' },
+        '/d/': { filter: 'tag: news' },
+      },
+    }));
+    expect(yaml).toContain('    filter: tag:[a,b]\n');
+    expect(yaml).toContain('    filter: "primary_tag:news # latest"\n');
+    expect(yaml).toContain('    filter: "*featured"\n');
+    expect(yaml).toContain('    filter: "tag: news"\n');
+  });
+});
+
+describe('writeRoutes', () => {
+  let themePath;
+  const read = (file) => fs.readFile(path.join(themePath, file), 'utf8');
+
+  beforeAll(async () => {
+    themePath = await buildThemeFromSpec(withRoutes({
+      routes: {
+        '/start/': 'start',
+        '/about/': { template: 'about', data: 'page.about' },
+        '/news/': { template: ['news', 'index'] },
+      },
+      channels: { '/podcast/': { filter: 'tag:podcast', template: 'shows/podcast' } },
+      collections: {
+        '/': { permalink: '/{slug}/', template: 'index' },
+        '/blog/': { permalink: '/blog/{slug}/', template: 'blog', filter: 'tag:blog' },
+      },
+    }), { outDir: path.join(dir, 'build') });
+  });
+
+  it('writes routes.yaml into the theme', async () => {
+    expect(await read('routes.yaml')).toMatch(/^routes:\n {2}\/start\/:\n {4}template: start\n/);
+  });
+
+  it('generates the templates the routes name', async () => {
+    expect(await read('start.hbs')).toContain('{{> "sections/');
+    expect(await read('about.hbs')).toMatch(/{{#page}}[\s\S]*{{\/page}}/);
+    expect(await read('shows/podcast.hbs')).toContain('{{pagination}}');
+    expect(await read('blog.hbs')).toContain('{{pagination}}');
+  });
+
+  it('keeps existing templates and fallbacks', async () => {
+    await expect(fs.access(path.join(themePath, 'news.hbs'))).rejects.toThrow();
+    expect(await read('index.hbs')).toContain('{{#foreach posts');
+  });
+
+  it('passes the route checks', async () => {
+    const report = await validateTheme(withRoutes({ routes: { '/start/': 'start' } }), themePath);
+    expect(report.issues.filter((issue) => issue.ruleId.startsWith('route-'))).toEqual([]);
+  });
+
+  it('writes nothing without spec.routes', async () => {
+    const plain = await buildThemeFromSpec(spec, { outDir: path.join(dir, 'plain') });
+    await expect(fs.access(path.join(plain, 'routes.yaml'))).rejects.toThrow();
+  });
+});
+
+describe('checkRoutes', () => {
+  let themePath;
+
+  beforeAll(async () => {
+    themePath = path.join(dir, 'bare');
+    await fs.mkdir(themePath, { recursive: true });
+    await Promise.all(['index', 'page'].map((name) => fs.writeFile(
+      path.join(themePath, `${name}.hbs`),
+      '',
+    )));
+  });
+
+  it('reports routes whose templates the theme lacks', async () => {
+    const issues = await checkRoutes(themePath, withRoutes({
+      routes: { '/about/': ['about', 'page'], '/team/': { template: ['team', 'people'] } },
+      channels: { '/podcast/': { filter: 'tag:podcast' } },
+    }));
+    expect(issues).toEqual([expect.objectContaining({
+      ruleId: 'route-template',
+      severity: 'error',
+      file: 'routes.yaml',
+      message: 'The route /team/ renders team or people, which the theme does not have',
+      fix: 'Add team.hbs, for example through overrides, or name an existing template',
+    })]);
+  });
+
+  it('reports URLs claimed twice', async () => {
+    const issues = await checkRoutes(themePath, withRoutes({
+      routes: { '/': 'index' },
+      channels: { '/news/': { filter: 'tag:news' } },
+      collections: {
+        '/': { permalink: '/{slug}/', template: 'index' },
+        '/news/': { permalink: '/news/{slug}/' },
+      },
+    }));
+    expect(issues.map((issue) => [issue.ruleId, issue.message])).toEqual([
+      ['route-conflict', '/ is both a route and a collection'],
+      ['route-conflict', '/news/ is both a channel and a collection'],
+    ]);
+  });
+
+  it('checks nothing without spec.routes', async () => {
+    expect(await checkRoutes(themePath, spec)).toEqual([]);
+    expect(specRoutes(withRoutes({})).map((route) => route.kind)).toEqual(['collection']);
+  });
+});
+
+describe('routes schema', () => {
+  const errorsFor = (routes) => validateSpec(withRoutes(routes)).errors.map((e) => e.pointer);
+
+  it('accepts the documented shapes', () => {
+    expect(validateSpec(withRoutes({
+      routes: {
+        '/about/': 'about',
+        '/start/': { template: ['start', 'page'], data: 'page.start' },
+      },
+      channels: { '/podcast/': { filter: 'tag:podcast', limit: 10 } },
+      collections: { '/blog/': { permalink: '/blog/{year}/{slug}/' } },
+      taxonomies: { tag: '/topic/{slug}/' },
+    })).valid).toBe(true);
+  });
+
+  it('rejects malformed URLs, templates and data', () => {
+    expect(errorsFor({ routes: { about: 'about' } })).toEqual(['/routes/routes/about']);
+    expect(errorsFor({ routes: { '/about/': 'About Us' } })).toEqual(['/routes/routes/~1about~1']);
+    expect(errorsFor({ routes: { '/about/': { template: [] } } }))
+      .toEqual(['/routes/routes/~1about~1/template']);
+    expect(errorsFor({ routes: { '/about/': { data: 'tag.news' } } }))
+      .toEqual(['/routes/routes/~1about~1/data']);
+  });
+
+  it('requires permalinks, filters and slug placeholders', () => {
+    expect(errorsFor({ collections: { '/blog/': { template: 'blog' } } }))
+      .toEqual(['/routes/collections/~1blog~1/permalink']);
+    expect(errorsFor({ collections: { '/blog/': { permalink: '/blog/' } } }))
+      .toEqual(['/routes/collections/~1blog~1/permalink']);
+    expect(errorsFor({ channels: { '/podcast/': { template: 'podcast' } } }))
+      .toEqual(['/routes/channels/~1podcast~1/filter']);
+    expect(errorsFor({ taxonomies: { tag: '/tag/' } })).toEqual(['/routes/taxonomies/tag']);
+  });
+
+  it('rejects unknown keys', () => {
+    expect(errorsFor({ redirects: {} })).toEqual(['/routes/redirects']);
+    expect(errorsFor({ channels: { '/a/': { filter: 'tag:a', controller: 'x' } } }))
+      .toEqual(['/routes/channels/~1a~1/controller']);
+  });
+});
@@ -0,0 +1,100 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import { buildThemeFromSpec } from '../../../core/theme-builder.js';
+import { loadTheme, runRules } from '../../../platforms/wordpress/validators/engine.js';
+
+const spec = {
+  specVersion: 2,
+  platform: 'wordpress',
+  projectName: 'Site Editor',
+  wordpress: { mode: 'block' },
+  layout: { homepage: 'magazine', postPage: 'sidebar', archivePage: 'list' },
+  colors: {
+    primary: '#1e3a8a', accent: '#b91c1c', background: '#ffffff', text: '#111827',
+  },
+  fonts: { heading: 'Playfair Display', body: 'Georgia, serif' },
+  navigation: { style: 'centered', links: [{ label: 'About', url: '/about' }] },
+};
+
+let tmp;
+let theme;
+let themeJSON;
+
+const matches = (text, re) => [...text.matchAll(re)].map((m) => m[1]);
+
+beforeAll(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-block-theme-'));
+  const themePath = await buildThemeFromSpec(spec, { outDir: tmp });
+  theme = await loadTheme(themePath);
+  themeJSON = JSON.parse(theme.text('theme.json'));
+});
+
+afterAll(() => fs.rm(tmp, { recursive: true, force: true }));
+
+describe('WordPress block themes', () => {
+  it('ship templates and parts instead of PHP templates', () => {
+    expect(theme.isBlockTheme).toBe(true);
+    expect(theme.files).toEqual(expect.arrayContaining([
+      'templates/index.html', 'templates/single.html', 'templates/archive.html',
+      'templates/page.html', 'templates/404.html', 'templates/search.html',
+      'parts/header.html', 'parts/footer.html', 'style.css', 'functions.php', 'theme.json',
+    ]));
+    expect(theme.files.filter((f) => /^[^/]+\.php$/.test(f))).toEqual(['functions.php']);
+    expect(theme.header)
+      .toMatchObject({ 'Theme Name': 'Site Editor', 'Text Domain': 'site-editor' });
+  });
+
+  it('only reference template parts and patterns the theme has', () => {
+    const markup = theme.files
+      .filter((f) => /^(templates|parts|patterns)\//.test(f))
+      .map((f) => theme.text(f))
+      .join('\n');
+    const parts = matches(markup, /<!-- wp:template-part \{"slug":"([^"]+)"/g);
+    const patterns = matches(markup, /<!-- wp:pattern \{"slug":"site-editor\/([^"]+)"/g);
+    const declared = theme.files.filter((f) => f.startsWith('patterns/'))
+      .flatMap((f) => matches(theme.text(f), /^ \* Slug: site-editor\/(.+)$/gm));
+
+    expect(parts.length).toBeGreaterThan(0);
+    parts.forEach((part) => expect(theme.files).toContain(`parts/${part}.html`));
+    expect(patterns).toEqual(expect.arrayContaining(['header', 'footer', 'posts-magazine']));
+    patterns.forEach((pattern) => expect(declared).toContain(pattern));
+  });
+
+  it('write a theme.json v3 that carries the spec palette and fonts', () => {
+    expect(themeJSON.version).toBe(3);
+    expect(themeJSON.settings.color.palette).toEqual([
+      { slug: 'primary', color: '#1e3a8a', name: 'Primary' },
+      { slug: 'accent', color: '#b91c1c', name: 'Accent' },
+      { slug: 'background', color: '#ffffff', name: 'Background' },
+      { slug: 'text', color: '#111827', name: 'Text' },
+    ]);
+    const families = Object.fromEntries(themeJSON.settings.typography.fontFamilies
+      .map((f) => [f.slug, f.fontFamily]));
+    expect(families.heading).toMatch(/^"Playfair Display", system-ui/);
+    expect(families.body).toBe('Georgia, serif');
+  });
+
+  it('style every element through the presets', () => {
+    const { styles } = themeJSON;
+    expect(styles.color).toEqual({
+      background: 'var(--wp--preset--color--background)',
+      text: 'var(--wp--preset--color--text)',
+    });
+    expect(styles.elements.link.color.text).toBe('var(--wp--preset--color--primary)');
+    expect(styles.elements.heading.typography.fontFamily)
+      .toBe('var(--wp--preset--font-family--heading)');
+    expect(JSON.stringify(styles)).not.toMatch(/#[0-9a-f]{6}/i);
+    expect(themeJSON.templateParts.map((p) => p.name)).toEqual(['header', 'footer', 'sidebar']);
+    themeJSON.customTemplates.forEach(({ name }) => {
+      expect(theme.files).toContain(`templates/${name}.html`);
+    });
+  });
+
+  it('pass the theme checks, including the theme.json schema', () => {
+    expect(runRules(theme).filter((i) => i.severity === 'error')).toEqual([]);
+  });
+});
@@ -0,0 +1,337 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import {
+  loadTheme, runRules, validateWithRules,
+} from '../../../platforms/wordpress/validators/engine.js';
+import { rules } from '../../../platforms/wordpress/validators/rules/index.js';
+
+// A classic theme every rule accepts
+const STYLE = `/*
+Theme Name: My Theme
+Description: A test theme
+Author: ThemeSmith
+Version: 1.0.0
+License: GPLv2 or later
+License URI: https://www.gnu.org/licenses/gpl-2.0.html
+Text Domain: my-theme
+Requires at least: 6.4
+Tested up to: 6.6
+Requires PHP: 7.4
+*/
+`;
+
+const README = `=== My Theme ===
+Requires at least: 6.4
+Tested up to: 6.6
+Requires PHP: 7.4
+License: GPLv2 or later
+License URI: https://www.gnu.org/licenses/gpl-2.0.html
+
+== Description ==
+A test theme.
+
+== Changelog ==
+= 1.0.0 =
+* Initial release
+
+== Copyright ==
+My Theme, (C) 2026 ThemeSmith
+`;
+
+const png = (width, height) => {
+  const buf = Buffer.alloc(24);
+  Buffer.from('89504e470d0a1a0a', 'hex').copy(buf);
+  buf.write('IHDR', 12);
+  buf.writeUInt32BE(width, 16);
+  buf.writeUInt32BE(height, 20);
+  return buf;
+};
+
+const jpeg = (width, height) => {
+  const buf = Buffer.alloc(16);
+  Buffer.from('ffd8ffc0001108', 'hex').copy(buf);
+  buf.writeUInt16BE(height, 7);
+  buf.writeUInt16BE(width, 9);
+  return buf;
+};
+
+const CLASSIC = {
+  'style.css': STYLE,
+  'readme.txt': README,
+  'screenshot.png': png(1200, 900),
+  'theme.json': JSON.stringify({ version: 3, settings: { color: { palette: [] } } }, null, 2),
+  'index.php': "<?php get_header(); ?>\n<h1><?php esc_html_e( 'Latest', 'my-theme' ); ?></h1>\n"
+    + '<?php get_footer();\n',
+  'header.php': '<html <?php language_attributes(); ?>><head><?php wp_head(); ?></head>\n'
+    + '<body <?php body_class(); ?>><?php wp_body_open(); ?>\n'
+    + '<?php echo esc_html( get_bloginfo( \'name\' ) ); ?>\n',
+  'footer.php': '<?php wp_footer(); ?></body></html>\n',
+  'functions.php': "<?php\nadd_action( 'wp_enqueue_scripts', function () {\n"
+    + "\twp_enqueue_style( 'my-theme', get_stylesheet_uri() );\n"
+    + "\twp_enqueue_style( 'fonts', 'https://fonts.googleapis.com/css2?family=Inter' );\n"
+    + '} );\n',
+};
+
+let tmp;
+let count = 0;
+
+// Writes the classic theme with `changes` (null removes a file) and loads it
+const themeWith = async (changes = {}, base = CLASSIC) => {
+  count += 1;
+  const root = path.join(tmp, String(count), 'my-theme');
+  const files = Object.entries({ ...base, ...changes }).filter(([, content]) => content !== null);
+  await Promise.all(files.map(async ([file, content]) => {
+    await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+    await fs.writeFile(path.join(root, file), content);
+  }));
+  return loadTheme(root);
+};
+
+const rule = (id) => rules.find((r) => r.id === id);
+
+const check = async (id, changes) => rule(id).check(await themeWith(changes), rule(id).options);
+
+beforeAll(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-wp-rules-'));
+});
+
+afterAll(() => fs.rm(tmp, { recursive: true, force: true }));
+
+describe('WordPress rules', () => {
+  it('accept a complete classic theme', async () => {
+    expect(runRules(await themeWith())).toEqual([]);
+  });
+
+  describe('required-files', () => {
+    it('reports missing classic templates', async () => {
+      const issues = await check('required-files', { 'footer.php': null });
+      expect(issues).toEqual([
+        { file: 'footer.php', message: 'Missing required file: footer.php' },
+      ]);
+    });
+
+    it('asks block themes for templates and theme.json instead', async () => {
+      const block = {
+        'style.css': STYLE, 'templates/index.html': '<!-- wp:post-content /-->',
+      };
+      const theme = await themeWith({}, block);
+      expect(theme.isBlockTheme).toBe(true);
+      expect(rule('required-files').check(theme, rule('required-files').options)
+        .map((i) => i.file)).toEqual(['theme.json']);
+    });
+  });
+
+  describe('style-header', () => {
+    it('reports missing fields, a bad version and a foreign text domain', async () => {
+      const style = STYLE.replace('Author: ThemeSmith\n', '').replace('Requires PHP: 7.4\n', '')
+        .replace('1.0.0', 'beta').replace('Text Domain: my-theme', 'Text Domain: other');
+      const issues = await check('style-header', { 'style.css': style });
+      expect(issues.map((i) => [i.severity, i.message])).toEqual([
+        [undefined, 'Missing style.css header: Author'],
+        ['info', 'Missing style.css header: Requires PHP'],
+        [undefined, 'Version "beta" is not a plain version number'],
+        ['warning', 'Text Domain "other" does not match the theme folder "my-theme"'],
+      ]);
+    });
+  });
+
+  describe('text-domain', () => {
+    it('reports missing, foreign and variable text domains', async () => {
+      const issues = await check('text-domain', {
+        'index.php': "<?php\n__( 'A, b' );\n_e( 'B', 'other' );\n_x( 'C', 'ctx', $domain );\n"
+          + "esc_html__( 'D', 'my-theme' );\n// __( 'commented' );\n",
+      });
+      expect(issues.map((i) => [i.line, i.severity, i.message])).toEqual([
+        [2, undefined, '__() is called without a text domain'],
+        [3, undefined, '_e() uses text domain "other" instead of "my-theme"'],
+        [4, 'warning', '_x() uses $domain as text domain; string extraction needs a literal'],
+      ]);
+    });
+
+    it('does not take # or // inside strings for comments', async () => {
+      const issues = await check('text-domain', {
+        'index.php': "<?php\nesc_html__( 'Item #1', 'wrong' );\n"
+          + "$u = '//cdn.example.com/x.js'; echo esc_html__( 'Hello', 'wrong2' );\n"
+          + 'echo __( "Say \\"#hi\\"", \'wrong3\' ); # __( \'x\' );\n'
+          + "/* _e( 'y' ); */ ?><a href=\"#top\"><?php _e( 'Top', 'wrong4' ); ?></a>\n",
+      });
+      expect(issues.map((i) => [i.line, i.message])).toEqual([
+        [2, 'esc_html__() uses text domain "wrong" instead of "my-theme"'],
+        [3, 'esc_html__() uses text domain "wrong2" instead of "my-theme"'],
+        [4, '__() uses text domain "wrong3" instead of "my-theme"'],
+        [5, '_e() uses text domain "wrong4" instead of "my-theme"'],
+      ]);
+    });
+  });
+
+  describe('escape-output', () => {
+    it('reports printed variables and raw getters', async () => {
+      const issues = await check('escape-output', {
+        'index.php': '<?php\necho $title;\nprint get_the_title();\n?><?= $x ?>\n'
+          + 'echo esc_html( $title );\n',
+      });
+      expect(issues.map((i) => [i.line, i.message])).toEqual([
+        [2, 'echo $title prints data without escaping it'],
+        [3, 'print get_the_title() prints data without escaping it'],
+        [4, '<?= $x prints data without escaping it'],
+      ]);
+    });
+  });
+
+  describe('forbidden-functions', () => {
+    it('reports forbidden calls as errors and plugin territory as warnings', async () => {
+      const issues = await check('forbidden-functions', {
+        'functions.php': "<?php\neval( $code );\nregister_post_type( 'book' );\n"
+          + "$obj->exec();\nfunction my_system() {}\n// base64_decode( 'x' );\n",
+      });
+      expect(issues.map((i) => [i.line, i.severity, i.message])).toEqual([
+        [2, undefined, 'eval() is not allowed in themes'],
+        [3, 'warning', 'register_post_type() is plugin territory'],
+      ]);
+    });
+  });
+
+  describe('screenshot', () => {
+    it('reports a missing or broken screenshot', async () => {
+      expect(await check('screenshot', { 'screenshot.png': null }))
+        .toMatchObject([{ message: 'Missing theme screenshot' }]);
+      expect(await check('screenshot', { 'screenshot.png': 'not a png' }))
+        .toMatchObject([{ message: 'screenshot.png is not a valid image' }]);
+    });
+
+    it('checks the size of PNG and JPEG screenshots', async () => {
+      expect(await check('screenshot', { 'screenshot.png': png(1600, 900) })).toMatchObject([
+        { severity: 'warning', message: 'screenshot.png is 1600×900, not 1200:900 proportional' },
+        { severity: 'warning', message: 'screenshot.png is 1600×900, larger than 1200×900' },
+      ]);
+      const small = { 'screenshot.png': null, 'screenshot.jpg': jpeg(800, 600) };
+      expect(await check('screenshot', small))
+        .toMatchObject([{ severity: 'info', file: 'screenshot.jpg' }]);
+      const exact = { 'screenshot.png': null, 'screenshot.jpg': jpeg(1200, 900) };
+      expect(await check('screenshot', exact)).toEqual([]);
+    });
+  });
+
+  describe('readme-txt', () => {
+    it('reports a missing readme', async () => {
+      expect(await check('readme-txt', { 'readme.txt': null }))
+        .toMatchObject([{ message: 'Missing readme.txt' }]);
+    });
+
+    it('reports a wrong title, missing fields and sections, and header mismatches', async () => {
+      const readme = README.replace('My Theme ===', 'Other ===')
+        .replace('License: GPLv2 or later\n', '')
+        .replace('Tested up to: 6.6', 'Tested up to: 6.5').replace('== Changelog ==', '');
+      const issues = await check('readme-txt', { 'readme.txt': readme });
+      expect(issues.map((i) => [i.severity, i.message])).toEqual([
+        ['warning', 'readme.txt names the theme "Other", style.css "My Theme"'],
+        [undefined, 'Missing readme.txt field: License'],
+        ['warning', 'Tested up to is 6.5 in readme.txt but 6.6 in style.css'],
+        ['warning', 'Missing readme.txt section: == Changelog =='],
+      ]);
+    });
+  });
+
+  describe('theme-json', () => {
+    it('reports invalid JSON with its line', async () => {
+      const issues = await check('theme-json', { 'theme.json': '{\n  "version": 3,\n}' });
+      expect(issues).toMatchObject([{ file: 'theme.json', line: 3 }]);
+      expect(issues[0].message).toMatch(/^theme.json is not valid JSON/);
+    });
+
+    it('checks theme.json and style variations against the schema', async () => {
+      const issues = await check('theme-json', {
+        'theme.json': '{\n  "version": 1\n}',
+        'styles/dark.json': JSON.stringify({ version: 3, settings: { color: { palette: [{}] } } }),
+      });
+      expect([...new Set(issues.map((i) => i.file))]).toEqual(['styles/dark.json', 'theme.json']);
+      expect(issues[issues.length - 1]).toMatchObject({
+        line: 2,
+        docUrl: 'https://schemas.wp.org/trunk/theme.json',
+      });
+    });
+  });
+
+  describe('enqueue', () => {
+    it('reports hardcoded and external assets and missing hooks', async () => {
+      const issues = await check('enqueue', {
+        'header.php': '<html><head><link rel="stylesheet" href="style.css"></head><body>\n',
+        'functions.php': "<?php\nwp_enqueue_script( 'x', 'https://cdn.example.com/x.js' );\n",
+      });
+      expect(issues.map((i) => [i.file, i.severity, i.message])).toEqual([
+        [
+          'functions.php',
+          'warning',
+          'wp_enqueue_script() loads https://cdn.example.com/x.js from an external host',
+        ],
+        ['header.php', undefined, 'Stylesheet or script is hardcoded instead of enqueued'],
+        ['header.php', undefined, 'wp_head() is never called'],
+        ['header.php', 'info', 'wp_body_open() is never called'],
+        ['header.php', 'info', 'body_class() is never called'],
+        ['header.php', 'info', 'language_attributes() is never called'],
+      ]);
+    });
+
+    it('reads protocol-relative URLs', async () => {
+      const issues = await check('enqueue', {
+        'functions.php': "<?php\nwp_enqueue_style( 'x', '//cdn.example.com/x.css' );\n"
+          + "wp_enqueue_script( 'y', \"//fonts.googleapis.com/y.js\" ); // bundled later\n",
+      });
+      expect(issues.map((i) => [i.line, i.message])).toEqual([
+        [2, 'wp_enqueue_style() loads //cdn.example.com/x.css from an external host'],
+      ]);
+    });
+  });
+});
+
+describe('rule configuration', () => {
+  it('turns rules off and overrides their severity', async () => {
+    const theme = await themeWith({ 'screenshot.png': null, 'index.php': '<?php echo $x;\n' });
+    const issues = runRules(theme, { screenshot: 'off', 'escape-output': 'error' });
+    expect(issues.map((i) => [i.ruleId, i.severity])).toEqual([['escape-output', 'error']]);
+  });
+
+  it('keeps a rule\'s per-finding severity only at its default level', async () => {
+    const theme = await themeWith({ 'style.css': STYLE.replace('Requires PHP: 7.4\n', '') });
+    expect(runRules(theme)).toMatchObject([{ ruleId: 'style-header', severity: 'info' }]);
+    expect(runRules(theme, { 'style-header': 'warning' }))
+      .toMatchObject([{ ruleId: 'style-header', severity: 'warning' }]);
+  });
+
+  it('merges rule options with the defaults', async () => {
+    const theme = await themeWith({
+      'functions.php': "<?php\nwp_enqueue_script( 'x', 'https://cdn.example.com/x.js' );\n",
+    });
+    expect(runRules(theme)).toHaveLength(1);
+    const allowed = { enqueue: ['error', { allowedHosts: ['cdn.example.com'] }] };
+    expect(runRules(theme, allowed)).toEqual([]);
+  });
+
+  it('reports unknown rules and invalid settings', async () => {
+    const issues = runRules(await themeWith(), {
+      'no-such-rule': 'error', screenshot: 'fatal', 'color-contrast': 'off',
+    });
+    expect(issues.map((i) => [i.ruleId, i.message])).toEqual([
+      ['unknown-rule', 'validation.rules.no-such-rule does not match any WordPress rule'],
+      [
+        'invalid-rule-setting',
+        'validation.rules.screenshot must be one of: off, error, warning, info',
+      ],
+    ]);
+  });
+
+  it('resolves to a report', async () => {
+    const theme = await themeWith({ 'footer.php': null });
+    const report = await validateWithRules(theme.root);
+    expect(report).toMatchObject({ validator: 'themesmith-wp', ok: false });
+    expect(report.issues[0]).toMatchObject({
+      ruleId: 'required-files',
+      severity: 'error',
+      docUrl: rule('required-files').docUrl,
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  afterAll, beforeAll, describe, expect, it,
+} from '@jest/globals';
+import { darkPalette } from '../../../core/color.js';
+import { buildThemeFromSpec } from '../../../core/theme-builder.js';
+import { loadTheme, runRules } from '../../../platforms/wordpress/validators/engine.js';
+
+const spec = {
+  specVersion: 2,
+  platform: 'wordpress',
+  projectName: 'Schemes',
+  layout: { homepage: 'grid', postPage: 'single-column', archivePage: 'grid' },
+  colors: {
+    primary: '#1a1a1a', accent: '#c2410c', background: '#ffffff', text: '#333333',
+  },
+  fonts: { heading: 'Inter', body: 'Georgia, serif' },
+  variations: [
+    'dark',
+    { name: 'Warm Serif', colors: { accent: '#9a3412' }, fonts: { heading: 'Lora' } },
+  ],
+};
+
+let outDir;
+
+const read = (themePath, file) => fs.readFile(path.join(themePath, file), 'utf8');
+const exists = (file) => fs.access(file).then(() => true, () => false);
+
+beforeAll(async () => {
+  outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'themesmith-wp-variations-'));
+});
+
+afterAll(() => fs.rm(outDir, { recursive: true, force: true }));
+
+describe('WordPress style variations', () => {
+  describe('classic themes', () => {
+    let themePath;
+
+    beforeAll(async () => {
+      themePath = await buildThemeFromSpec(spec, { outDir: path.join(outDir, 'classic') });
+    });
+
+    it('write no styles/*.json, which only the Site Editor reads', async () => {
+      expect(await exists(path.join(themePath, 'styles'))).toBe(false);
+    });
+
+    it('define a scheme class per variation in style.css', async () => {
+      const css = await read(themePath, 'style.css');
+      const dark = darkPalette(spec.colors);
+      const rule = (slug) => css.match(new RegExp(`body\\.scheme-${slug} \\{([^}]*)\\}`))?.[1];
+
+      expect(rule('dark')).toContain(`--color-background: ${dark.background};`);
+      expect(rule('dark')).toContain(`--color-text: ${dark.text};`);
+      expect(rule('dark')).toMatch(/--font-heading: Inter\b/);
+      expect(rule('warm-serif')).toContain('--color-accent: #9a3412;');
+      expect(rule('warm-serif')).toMatch(/--font-heading: Lora\b/);
+    });
+
+    it('let the Customizer pick the scheme and add it as a body class', async () => {
+      const php = await read(themePath, 'functions.php');
+      expect(php).toContain("$wp_customize->add_setting('color_scheme'");
+      expect(php).toContain("'sanitize_callback' => 'schemes_sanitize_color_scheme'");
+      expect(php).toContain([
+        "        'default' => __('Default', 'schemes'),",
+        "        'dark' => 'Dark',",
+        "        'warm-serif' => 'Warm Serif',",
+      ].join('\n'));
+      expect(php).toContain("$classes[] = 'scheme-' . $scheme;");
+    });
+
+    it('pass the theme checks', async () => {
+      const issues = runRules(await loadTheme(themePath));
+      expect(issues.filter((i) => i.severity === 'error')).toEqual([]);
+    });
+
+    it('leave the Customizer alone without variations', async () => {
+      const { variations, ...plain } = spec;
+      const plainPath = await buildThemeFromSpec(plain, { outDir: path.join(outDir, 'plain') });
+      expect(await read(plainPath, 'functions.php')).not.toContain('color_scheme');
+      expect(await read(plainPath, 'style.css')).not.toContain('body.scheme-');
+    });
+  });
+
+  describe('block themes', () => {
+    it('write one styles/<slug>.json per variation', async () => {
+      const themePath = await buildThemeFromSpec({ ...spec, wordpress: { mode: 'block' } }, {
+        outDir: path.join(outDir, 'block'),
+      });
+      expect((await fs.readdir(path.join(themePath, 'styles'))).sort())
+        .toEqual(['dark.json', 'warm-serif.json']);
+      const warm = JSON.parse(await read(themePath, 'styles/warm-serif.json'));
+      expect(warm.title).toBe('Warm Serif');
+      expect(warm.settings.color.palette).toContainEqual({
+        slug: 'accent', color: '#9a3412', name: 'Accent',
+      });
+    });
+  });
+});
@@ -1,5 +1,7 @@
 // Jest setup file for ThemeSmith tests
 // Note: @testing-library/jest-dom is for React testing, not needed for Node.js tests
+// Tests run as ES modules (see the test script), where jest is not a global
+import { afterAll, jest } from '@jest/globals';
 
 // Mock console methods to reduce noise in tests
 global.console = {